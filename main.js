@@ -1,13 +1,23 @@
 import * as THREE from 'three';
 import { World } from './src/World.js';
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './src/Chunk.js';
 import { TextureAtlas } from './src/TextureAtlas.js';
 import { Player } from './src/Player.js';
 import { Controls } from './src/Controls.js';
+import { WorkerPool } from './src/WorkerPool.js';
+import { WorldPersistence } from './src/WorldPersistence.js';
+import { IndexedDBStorage, MemoryStorage } from './src/WorldStorage.js';
+import { EditHistory } from './src/EditHistory.js';
+import { Clipboard } from './src/Clipboard.js';
+import { Structure } from './src/Structure.js';
+import { SignRenderer } from './src/SignRenderer.js';
+import { FallingBlocks } from './src/FallingBlocks.js';
+import { DayNightCycle } from './src/DayNightCycle.js';
 
 // --- Core Components ---
 const clock = new THREE.Clock();
 const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x87CEEB);
+scene.background = new THREE.Color(0x87CEEB); // Recoloured through the day by DayNightCycle
 
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
 const canvas = document.getElementById('game-canvas');
@@ -15,6 +25,8 @@ const renderer = new THREE.WebGLRenderer({ canvas: canvas });
 renderer.setSize(window.innerWidth, window.innerHeight);
 
 // --- Lighting ---
+// Only shades faces by direction; how bright a place is comes from the voxel light baked into chunk meshes (src/Lighting.js).
+// DayNightCycle moves the directional light with the sun and moon and sets both intensities.
 const ambientLight = new THREE.AmbientLight(0xcccccc, 0.5);
 scene.add(ambientLight);
 const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
@@ -36,9 +48,26 @@ scene.add(highlightMesh);
 
 // --- Game Components ---
 const textureAtlas = new TextureAtlas();
+// Chunk generation/meshing workers; leave one core for the main thread
+const workerCount = Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1));
+const workerPool = new WorkerPool(
+    () => new Worker(new URL('./src/ChunkWorker.js', import.meta.url), { type: 'module' }),
+    workerCount
+);
 let world;
 let player;
 let controls;
+let persistence;
+let editHistory;
+let clipboard;
+let signRenderer;
+let fallingBlocks;
+let dayNightCycle;
+
+// --- Persistence ---
+const WORLD_ID = 'default';
+// Fall back to an in-memory store (nothing survives a reload) where IndexedDB is unavailable
+const worldStorage = typeof indexedDB !== 'undefined' ? new IndexedDBStorage() : new MemoryStorage();
 
 // --- Initialization ---
 async function initializeGame() {
@@ -47,18 +76,48 @@ async function initializeGame() {
         console.log("Texture Atlas loaded.");
 
         const chunkMaterial = textureAtlas.getMaterial();
-        world = new World(chunkMaterial);
+        // Reuse the stored seed so saved edits line up with the regenerated terrain (persistence.load() below
+        // restores the stored generator settings)
+        const savedMeta = await WorldPersistence.readMeta(worldStorage, WORLD_ID);
+        const seed = savedMeta ? savedMeta.seed : Date.now();
+        world = new World(chunkMaterial, seed, {
+            workerPool,
+            maxChunkLoadsPerFrame: workerCount * 2,
+            translucentMaterial: textureAtlas.getTranslucentMaterial(),
+            cutoutMaterial: textureAtlas.getCutoutMaterial(),
+        });
+        // Fog hides chunks popping in at the edge of the render distance
+        const fogEnd = world.renderDistance * CHUNK_WIDTH;
+        scene.fog = new THREE.Fog(scene.background, fogEnd * 0.6, fogEnd);
+        dayNightCycle = new DayNightCycle(world, scene, {
+            ambientLight,
+            sunLight: directionalLight,
+            materials: [chunkMaterial, textureAtlas.getTranslucentMaterial(), textureAtlas.getCutoutMaterial()],
+        });
+        signRenderer = new SignRenderer(world, scene); // Before any chunk exists, so every sign gets its text
+        fallingBlocks = new FallingBlocks(world, scene, chunkMaterial); // Sand and gravel fall when unsupported
+        world.on('blockEntityAdded', ({ entity, reason, source }) => {
+            if (entity.type === 'sign' && reason === 'placed' && source === 'player') editSign(entity);
+        });
+
+        persistence = new WorldPersistence(world, worldStorage, WORLD_ID);
+        const restoredChunks = await persistence.load(); // Before any chunk exists, so edits are overlaid on creation
+        console.log(`Restored ${restoredChunks} edited chunk(s) for world '${WORLD_ID}'.`);
+        persistence.startAutosave();
 
-        // Generate initial chunk(s)
+        // Generate the spawn chunk(s) up front so the player doesn't fall before streaming catches up
         console.log("Generating initial chunks...");
         const initialChunkTop = world.getOrCreateChunk(0, 0, 0); // Explicitly create at Y=0
         const initialChunkBottom = world.getOrCreateChunk(0, -1, 0); // Create chunk below at Y=-1
 
         // Meshes for newly created chunks are added by world.updateDirtyChunkMeshes later in the game loop.
+        // The remaining chunks around the player are streamed in by world.updateLoadedChunks.
 
         // Create Player and Controls AFTER world is ready
         player = new Player(camera, scene, world, highlightMesh);
-        controls = new Controls(player, world, renderer.domElement);
+        editHistory = new EditHistory(world); // Records the player's edits for Ctrl+Z / Ctrl+Y
+        clipboard = new Clipboard(world, player);
+        controls = new Controls(player, world, renderer.domElement, editHistory, clipboard);
 
         animate(); // Start the game loop
 
@@ -69,6 +128,8 @@ async function initializeGame() {
 }
 
 // --- Game Loop ---
+const cameraWorldPosition = new THREE.Vector3(); // Reused each frame for mesh rebuild prioritisation
+
 function animate() {
     requestAnimationFrame(animate);
 
@@ -78,16 +139,131 @@ function animate() {
     if (player && world && controls) {
         player.update(deltaTime, controls); // Handles physics, collisions, input response
         player.updateTargetBlock();         // Handles raycasting for interaction
-        world.updateDirtyChunkMeshes(scene); // Updates chunk geometry and adds new meshes
+        world.updateLoadedChunks(player.playerObject.position, scene); // Streams chunks in/out around the player
+        world.updateTicks(deltaTime);       // Runs block ticks (grass spreading, ...) and the world clock at a fixed rate
+        fallingBlocks.update(deltaTime);    // Moves and lands falling sand and gravel
+        camera.getWorldPosition(cameraWorldPosition);
+        dayNightCycle.update(cameraWorldPosition); // Sun, moon, stars, sky colour and light for the time of day
+        world.updateDirtyChunkMeshes(scene, cameraWorldPosition); // Rebuilds dirty chunk meshes within the frame budget
+        world.sortTranslucentFaces(cameraWorldPosition); // Glass and water faces back to front for blending
         // controls.update(deltaTime); // Potential future use
     }
 
     renderer.render(scene, camera);
 }
 
+// --- Signs ---
+/**
+ * Asks the player for the text of a sign they just placed.
+ * @param {SignBlockEntity} sign
+ */
+function editSign(sign) {
+    // Deferred so the prompt doesn't block the click that placed the sign
+    setTimeout(() => {
+        const text = window.prompt('Sign text:', sign.text);
+        if (text !== null) {
+            world.setBlockEntityData(sign.x, sign.y, sign.z, { text }, { source: 'player' });
+        }
+    }, 0);
+}
+
+// --- World File Export/Import ---
+/** Downloads the current world (seed, edits, player state) as a .dcworld file. */
+function downloadWorld() {
+    if (!world || !player) return;
+    const buffer = world.exportWorld({
+        position: player.playerObject.position,
+        selectedBlockId: player.selectedBlockId,
+    });
+    const url = URL.createObjectURL(new Blob([buffer], { type: 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dinecraft-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.dcworld`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Replaces the current world with an uploaded .dcworld file and makes it the saved world.
+ * @param {File} file The selected file.
+ */
+async function uploadWorld(file) {
+    if (!world || !player) return;
+    try {
+        const playerState = world.importWorld(await file.arrayBuffer(), scene);
+        editHistory.clear(); // Steps refer to the replaced world
+        player.playerObject.position.set(playerState.position.x, playerState.position.y, playerState.position.z);
+        player.velocity.set(0, 0, 0);
+        player.selectedBlockId = playerState.selectedBlockId;
+
+        // Generate the chunks under the player right away so they don't fall while streaming catches up
+        const chunkX = Math.floor(playerState.position.x / CHUNK_WIDTH);
+        const chunkY = Math.floor(playerState.position.y / CHUNK_HEIGHT);
+        const chunkZ = Math.floor(playerState.position.z / CHUNK_DEPTH);
+        world.getOrCreateChunk(chunkX, chunkY, chunkZ);
+        world.getOrCreateChunk(chunkX, chunkY - 1, chunkZ);
+
+        // The imported world replaces the stored one; clear() waits for any autosave in progress and marks all
+        // imported chunks unsaved again, so this save writes them even if that autosave took them
+        await persistence.clear();
+        await persistence.save();
+        console.log(`Imported world from ${file.name}.`);
+    } catch (error) {
+        console.error("Failed to import world:", error);
+    }
+}
+
+// --- Structure Files ---
+/** Downloads the clipboard structure as a .dcstructure (JSON) file. */
+function downloadStructure() {
+    if (!clipboard || !clipboard.structure) {
+        console.warn("Nothing copied: mark two corners with [ and ], then press Ctrl+C.");
+        return;
+    }
+    const json = JSON.stringify(clipboard.structure.transformed(clipboard.rotation, clipboard.mirror));
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `structure-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.dcstructure`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Loads a .dcstructure file into the clipboard, ready to paste with Ctrl+V.
+ * @param {File} file The selected file.
+ */
+async function uploadStructure(file) {
+    if (!clipboard) return;
+    try {
+        clipboard.setStructure(Structure.fromJSON(await file.text()));
+        console.log(`Loaded structure from ${file.name}.`);
+    } catch (error) {
+        console.error("Failed to load structure:", error);
+    }
+}
+
 // --- Event Listeners ---
 window.addEventListener('resize', onWindowResize, false);
 
+const importFileInput = document.getElementById('import-world-file');
+document.getElementById('export-world').addEventListener('click', downloadWorld);
+document.getElementById('import-world').addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = ''; // Allow importing the same file again
+    if (file) uploadWorld(file);
+});
+
+const structureFileInput = document.getElementById('load-structure-file');
+document.getElementById('save-structure').addEventListener('click', downloadStructure);
+document.getElementById('load-structure').addEventListener('click', () => structureFileInput.click());
+structureFileInput.addEventListener('change', () => {
+    const file = structureFileInput.files[0];
+    structureFileInput.value = ''; // Allow loading the same file again
+    if (file) uploadStructure(file);
+});
+
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
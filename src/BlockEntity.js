@@ -0,0 +1,107 @@
+// Longest text a sign holds (4 lines of about 15 characters)
+export const SIGN_MAX_LENGTH = 64;
+
+/**
+ * Data attached to a single block that doesn't fit in its ID or state (sign text, container
+ * contents, ...). A block type opts in by declaring `blockEntity: '<type>'` in BlockRegistry; the
+ * World then creates an entity when such a block is placed and removes it when the block is broken
+ * or replaced. Entities are owned by their Chunk (see Chunk.blockEntities) and follow its lifecycle;
+ * the World reports all of this through its 'blockEntityAdded' / 'blockEntityRemoved' /
+ * 'blockEntityChanged' events.
+ *
+ * Serialised form (toJSON / blockEntityFromJSON), used by every save format:
+ *
+ *   { "type": "sign", "x": 10, "y": 64, "z": -3, "data": { "text": "Hello" } }
+ *
+ * Subclasses define `getData` / `setData` for their own data; `data` must be JSON-serialisable.
+ */
+export class BlockEntity {
+    /**
+     * @param {string} type The entity type (a key of BLOCK_ENTITY_TYPES).
+     * @param {number} x World X coordinate of the block.
+     * @param {number} y World Y coordinate of the block.
+     * @param {number} z World Z coordinate of the block.
+     */
+    constructor(type, x, y, z) {
+        this.type = type;
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    /**
+     * Returns the entity's data in serialisable form.
+     * @returns {object}
+     */
+    getData() {
+        return {};
+    }
+
+    /**
+     * Replaces the entity's data (from getData, a save, or an edit). Invalid values are sanitised.
+     * @param {object} data
+     */
+    setData(data) {}
+
+    /**
+     * Returns the serialised form (see the class comment).
+     * @returns {{type: string, x: number, y: number, z: number, data: object}}
+     */
+    toJSON() {
+        return { type: this.type, x: this.x, y: this.y, z: this.z, data: this.getData() };
+    }
+}
+
+/**
+ * A sign's text. Line breaks are kept; the text is cut at SIGN_MAX_LENGTH characters.
+ */
+export class SignBlockEntity extends BlockEntity {
+    constructor(x, y, z) {
+        super('sign', x, y, z);
+        this.text = '';
+    }
+
+    getData() {
+        return { text: this.text };
+    }
+
+    setData(data) {
+        this.text = String(data?.text ?? '').slice(0, SIGN_MAX_LENGTH);
+    }
+}
+
+// Block entity classes by type name (the `blockEntity` value of a block definition)
+export const BLOCK_ENTITY_TYPES = {
+    sign: SignBlockEntity,
+};
+
+/**
+ * Creates a block entity of a type.
+ * @param {string} type A key of BLOCK_ENTITY_TYPES.
+ * @param {number} x World X coordinate of the block.
+ * @param {number} y World Y coordinate of the block.
+ * @param {number} z World Z coordinate of the block.
+ * @param {object} [data] Initial data (see setData); defaults apply if omitted.
+ * @returns {BlockEntity | null} The entity, or null (with a warning) for unknown types.
+ */
+export function createBlockEntity(type, x, y, z, data = null) {
+    const EntityClass = BLOCK_ENTITY_TYPES[type];
+    if (!EntityClass) {
+        console.warn(`Unknown block entity type '${type}'`);
+        return null;
+    }
+    const entity = new EntityClass(x, y, z);
+    if (data) {
+        entity.setData(data);
+    }
+    return entity;
+}
+
+/**
+ * Recreates a block entity from its serialised form (see BlockEntity.toJSON).
+ * @param {{type: string, x: number, y: number, z: number, data?: object}} json
+ * @returns {BlockEntity | null} The entity, or null (with a warning) for unknown types.
+ */
+export function blockEntityFromJSON(json) {
+    return createBlockEntity(json.type, json.x, json.y, json.z, json.data);
+}
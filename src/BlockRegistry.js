@@ -1,7 +1,52 @@
 /**
  * Defines the properties of different block types in the game.
+ *
+ * Blocks may declare `states`: named properties with a list of allowed values each, e.g.
+ * `{ axis: ['y', 'x', 'z'] }`. A block's state is stored as one integer per block (see Chunk),
+ * combining the value indices of all properties; 0 means every property has its first (default) value.
+ * Property names with built-in behaviour (placement in getPlacementState, textures in getBlockFaceTexture):
+ *   axis    'y' | 'x' | 'z': the block's top/bottom faces point along this axis (logs)
+ *   facing  'north' | 'south' | 'east' | 'west': the side showing the `front` texture; turns models (stairs: the low step)
+ *   half    'bottom' | 'top': which half of the cell the block sits in (slabs, stairs)
+ *   open    false | true: e.g. doors and trapdoors
+ *   level   0..7: how far a fluid is from its source (0 = source block; see Fluids)
+ *   falling false | true: a fluid pouring down from the same fluid above
+ *
+ * Blocks that carry richer data (sign text, container contents) declare `blockEntity: '<type>'`,
+ * a key of BlockEntity.BLOCK_ENTITY_TYPES; the World keeps one such entity per placed block.
+ *
+ * Fluids (`fluid: true`) are non-solid blocks that flow (see Fluids): `flowDistance` is how many blocks
+ * they spread sideways from a source, `flowDelay` the ticks between flow steps, and `hardensInto` the
+ * block they turn into where they meet a different fluid.
+ *
+ * `transparency` says how a block is drawn (see getBlockTransparency); each kind gets its own mesh per section:
+ *   'opaque'      (default) the texture covers the whole face; hides the faces of blocks next to it
+ *   'cutout'      pixels are either fully visible or not drawn (alpha-tested), e.g. leaves
+ *   'translucent' blended with what is behind it, sorted back to front, e.g. glass and water
+ * Only solid opaque blocks hide their neighbours' faces, stop light and cast ambient occlusion (see isBlockOpaque);
+ * faces between two blocks of the same translucent type are hidden too, so a glass wall shows only its outside.
+ *
+ * Blocks that aren't full cubes declare a `model` (see getBlockBoxes):
+ *   boxes       [minX, minY, minZ, maxX, maxY, maxZ] in block units (0-1), as seen with the default state; `facing`
+ *               turns them about Y (from north) and `half: 'top'` turns them upside down
+ *   connections boxes added towards each side (given for north) where the neighbour is the same block or opaque (fences)
+ *   cross       drawn as two crossed quads through the boxes (plants); the boxes are then only used for targeting
+ * The mesher draws the boxes' faces with the matching part of the texture, and collisions and targeting use the
+ * boxes instead of the whole cell. Model blocks are never opaque.
+ *
+ * Blocks with `lightEmission` (1-15) give off block light of that level (see Lighting); opaque blocks
+ * stop light, everything else lets it through.
+ *
+ * Blocks with `gravity: true` fall when nothing solid is below them (see FallingBlocks).
+ *
+ * Blocks that change over time declare tick handlers, called as `handler(world, x, y, z, random)`
+ * (see TickScheduler): `onRandomTick` for slow ambient changes, `onScheduledTick` for ticks
+ * requested with World.scheduleTick.
  */
 
+// Values of the `level` state of fluids (see Fluids)
+const FLUID_LEVELS = [0, 1, 2, 3, 4, 5, 6, 7];
+
 export const BLOCKS = {
     // ID 0 is always Air
     0: {
@@ -18,6 +63,7 @@ export const BLOCKS = {
             bottom: [0.5, 0.75], // Dirt texture at (2,3)
             side: [0.25, 0.75]   // Grass Side texture at (1,3)
         },
+        onRandomTick: tickGrass,
     },
     2: {
         id: 2,
@@ -44,18 +90,228 @@ export const BLOCKS = {
             bottom: [0.0, 0.5],  // Wood Top/Bottom texture at (0,2)
             side: [0.25, 0.5]    // Wood Side texture at (1,2)
         },
+        states: {
+            axis: ['y', 'x', 'z'],
+        },
+    },
+    5: {
+        id: 5,
+        name: 'sign',
+        solid: true,
+        textures: {
+            all: [0.25, 0.5]     // Wood Side texture at (1,2); the text is drawn by SignRenderer
+        },
+        states: {
+            facing: ['north', 'south', 'east', 'west'], // The side the text is on
+        },
+        blockEntity: 'sign',
+    },
+    6: {
+        id: 6,
+        name: 'sand',
+        solid: true,
+        gravity: true,
+        textures: {
+            all: [0.0, 0.25]     // Sand texture at (0,1)
+        },
+    },
+    7: {
+        id: 7,
+        name: 'gravel',
+        solid: true,
+        gravity: true,
+        textures: {
+            all: [0.25, 0.25]    // Gravel texture at (1,1)
+        },
+    },
+    8: {
+        id: 8,
+        name: 'water',
+        solid: false,
+        fluid: true,
+        transparency: 'translucent',
+        flowDistance: 7,
+        flowDelay: 5,
+        textures: {
+            all: [0.5, 0.25]     // Water texture at (2,1), partly transparent
+        },
+        states: {
+            level: FLUID_LEVELS,
+            falling: [false, true],
+        },
+        onScheduledTick: tickFluid,
+    },
+    9: {
+        id: 9,
+        name: 'lava',
+        solid: false,
+        fluid: true,
+        flowDistance: 3,
+        flowDelay: 30,
+        hardensInto: 3,          // Stone where it meets water
+        lightEmission: 15,
+        textures: {
+            all: [0.75, 0.25]    // Lava texture at (3,1)
+        },
+        states: {
+            level: FLUID_LEVELS,
+            falling: [false, true],
+        },
+        onScheduledTick: tickFluid,
+    },
+    10: {
+        id: 10,
+        name: 'glowstone',
+        solid: true,
+        lightEmission: 15,
+        textures: {
+            all: [0.0, 0.0]      // Glowstone texture at (0,0)
+        },
+    },
+    11: {
+        id: 11,
+        name: 'glass',
+        solid: true,
+        transparency: 'translucent',
+        textures: {
+            all: [0.25, 0.0]     // Glass texture at (1,0), mostly transparent
+        },
+    },
+    12: {
+        id: 12,
+        name: 'leaves',
+        solid: true,
+        transparency: 'cutout',
+        textures: {
+            all: [0.5, 0.0]      // Leaves texture at (2,0), with fully transparent gaps
+        },
+    },
+    13: {
+        id: 13,
+        name: 'stone_slab',
+        solid: true,
+        textures: {
+            all: [0.75, 0.75]    // Stone texture at (3,3)
+        },
+        states: {
+            half: ['bottom', 'top'],
+        },
+        model: {
+            boxes: [[0, 0, 0, 1, 0.5, 1]],
+        },
+    },
+    14: {
+        id: 14,
+        name: 'stone_stairs',
+        solid: true,
+        textures: {
+            all: [0.75, 0.75]    // Stone texture at (3,3)
+        },
+        states: {
+            facing: ['north', 'east', 'south', 'west'], // The side of the low step
+            half: ['bottom', 'top'],
+        },
+        model: {
+            boxes: [[0, 0, 0, 1, 0.5, 1], [0, 0.5, 0.5, 1, 1, 1]],
+        },
+    },
+    15: {
+        id: 15,
+        name: 'fence',
+        solid: true,
+        textures: {
+            all: [0.25, 0.5]     // Wood Side texture at (1,2)
+        },
+        model: {
+            boxes: [[0.375, 0, 0.375, 0.625, 1, 0.625]], // Post
+            connections: [[0.4375, 0.375, 0, 0.5625, 0.5625, 0.375], [0.4375, 0.75, 0, 0.5625, 0.9375, 0.375]], // Rails
+        },
+    },
+    16: {
+        id: 16,
+        name: 'flower',
+        solid: false,
+        transparency: 'cutout',
+        textures: {
+            all: [0.75, 0.0]     // Flower texture at (3,0), transparent around the plant
+        },
+        model: {
+            cross: true,
+            boxes: [[0.1875, 0, 0.1875, 0.8125, 0.8125, 0.8125]],
+        },
     },
 };
 
+// Grass spreading: a random tick tries one dirt block within 1 block horizontally, 3 below to 1 above
+const GRASS_SPREAD_RANGE_DOWN = 3;
+const GRASS_SPREAD_RANGE_UP = 1;
+
+/**
+ * Random tick of grass: dies back to dirt when covered by an opaque block, otherwise spreads to a
+ * random nearby dirt block that isn't covered. Blocks in unloaded chunks are left alone.
+ * @private Internal helper method
+ */
+function tickGrass(world, x, y, z, random) {
+    const isCovered = (bx, by, bz) => isBlockOpaque(world.getBlock(bx, by + 1, bz));
+    if (isCovered(x, y, z)) {
+        world.setBlock(x, y, z, BLOCKS[2].id, { source: 'tick' });
+        return;
+    }
+    const targetX = x + Math.floor(random() * 3) - 1;
+    const targetY = y + Math.floor(random() * (GRASS_SPREAD_RANGE_DOWN + GRASS_SPREAD_RANGE_UP + 1)) - GRASS_SPREAD_RANGE_DOWN;
+    const targetZ = z + Math.floor(random() * 3) - 1;
+    if (!world.isBlockLoaded(targetX, targetY + 1, targetZ)) return;
+    if (world.getBlock(targetX, targetY, targetZ) === BLOCKS[2].id && !isCovered(targetX, targetY, targetZ)) {
+        world.setBlock(targetX, targetY, targetZ, BLOCKS[1].id, { source: 'tick' });
+    }
+}
+
+/**
+ * Scheduled tick of fluids: one flow step (see Fluids).
+ * @private Internal helper method
+ */
+function tickFluid(world, x, y, z) {
+    world.fluids.tick(x, y, z);
+}
+
 // Size of one texture tile in the atlas UV coordinates (16px / 64px = 0.25)
-const TILE_UV_WIDTH = 0.25;
-const TILE_UV_HEIGHT = 0.25;
+export const TILE_UV_WIDTH = 0.25;
+export const TILE_UV_HEIGHT = 0.25;
 
 // Helper function to get block properties by ID
 export function getBlockById(id) {
     return BLOCKS[id] || BLOCKS[0]; // Default to Air if ID is invalid
 }
 
+/**
+ * Gets how a block is drawn: 'opaque', 'cutout' or 'translucent' (see BLOCKS).
+ * @param {number} blockId The ID of the block.
+ * @returns {'opaque'|'cutout'|'translucent'}
+ */
+export function getBlockTransparency(blockId) {
+    return getBlockById(blockId).transparency || 'opaque';
+}
+
+/**
+ * Checks whether a block can't be seen through: a solid opaque full cube, which hides its neighbours' faces,
+ * stops light and casts ambient occlusion.
+ * @param {number} blockId The ID of the block.
+ * @returns {boolean}
+ */
+export function isBlockOpaque(blockId) {
+    const block = getBlockById(blockId);
+    return block.solid === true && !block.transparency && !block.model;
+}
+
+/**
+ * Gets the block entity type a block declares (see BlockEntity.js).
+ * @param {number} blockId The ID of the block.
+ * @returns {string|null} The type, or null if the block has no block entity.
+ */
+export function getBlockEntityType(blockId) {
+    return getBlockById(blockId).blockEntity || null;
+}
+
 /**
  * Gets the UV coordinates for a specific face of a block.
  * @param {number} blockId The ID of the block.
@@ -79,13 +335,298 @@ export function getBlockTextureUV(blockId, faceName) {
  * Assumes standard texture mapping (bottom-left, bottom-right, top-left, top-right).
  * @param {number} u The U coordinate of the bottom-left corner.
  * @param {number} v The V coordinate of the bottom-left corner.
+ * @param {number} [rotation=0] Quarter turns to rotate the texture by on the face.
  * @returns {number[]} A flat array of UV coordinates for the face vertices.
  */
-export function generateFaceUVs(u, v) {
-    return [
+export function generateFaceUVs(u, v, rotation = 0) {
+    const corners = [
         u, v,                         // Bottom-left
         u + TILE_UV_WIDTH, v,          // Bottom-right
         u, v + TILE_UV_HEIGHT,         // Top-left
         u + TILE_UV_WIDTH, v + TILE_UV_HEIGHT // Top-right
     ];
+    // Each quarter turn moves every vertex's UV one corner around the tile (bl -> br -> tr -> tl)
+    const CORNER_CYCLE = [0, 1, 3, 2]; // bl, br, tr, tl as indices into corners
+    const turns = ((rotation % 4) + 4) % 4;
+    if (turns === 0) return corners;
+    const rotated = new Array(8);
+    for (let i = 0; i < 4; i++) {
+        const vertex = CORNER_CYCLE[i];
+        const source = CORNER_CYCLE[(i + turns) % 4];
+        rotated[vertex * 2] = corners[source * 2];
+        rotated[vertex * 2 + 1] = corners[source * 2 + 1];
+    }
+    return rotated;
+}
+
+// --- Block states ---
+
+// Horizontal directions in clockwise order seen from above (+X turns into +Z)
+const HORIZONTAL_FACINGS = ['north', 'east', 'south', 'west'];
+
+/**
+ * Gets the state property definitions of a block type.
+ * @param {number} blockId The ID of the block.
+ * @returns {Object<string, Array>|null} Property name -> allowed values (first is the default), or null if stateless.
+ */
+export function getBlockStateProperties(blockId) {
+    return getBlockById(blockId).states || null;
+}
+
+/**
+ * Combines property values into a block state.
+ * @param {number} blockId The ID of the block.
+ * @param {object} [properties] Property name -> value; missing properties get their default.
+ * @returns {number} The state (0 for the defaults, and for blocks without states).
+ */
+export function encodeBlockState(blockId, properties = {}) {
+    const definitions = getBlockStateProperties(blockId);
+    if (!definitions) return 0;
+    let state = 0;
+    let multiplier = 1;
+    for (const [name, values] of Object.entries(definitions)) {
+        let valueIndex = 0;
+        if (properties[name] !== undefined) {
+            valueIndex = values.indexOf(properties[name]);
+            if (valueIndex === -1) {
+                console.warn(`Invalid value '${properties[name]}' for ${getBlockById(blockId).name}.${name}; using '${values[0]}'`);
+                valueIndex = 0;
+            }
+        }
+        state += valueIndex * multiplier;
+        multiplier *= values.length;
+    }
+    return state;
+}
+
+/**
+ * Splits a block state into its property values.
+ * @param {number} blockId The ID of the block.
+ * @param {number} state The state (see encodeBlockState).
+ * @returns {object} Property name -> value (empty for blocks without states).
+ */
+export function decodeBlockState(blockId, state) {
+    const definitions = getBlockStateProperties(blockId);
+    const properties = {};
+    if (!definitions) return properties;
+    let remaining = state;
+    for (const [name, values] of Object.entries(definitions)) {
+        properties[name] = values[remaining % values.length] ?? values[0];
+        remaining = Math.floor(remaining / values.length);
+    }
+    return properties;
+}
+
+/**
+ * Formats a block and state as text, e.g. 'wood[axis=x]' (just the name for default states).
+ * @param {number} blockId The ID of the block.
+ * @param {number} [state=0] The state.
+ * @returns {string}
+ */
+export function formatBlockState(blockId, state = 0) {
+    const name = getBlockById(blockId).name;
+    if (state === 0) return name;
+    const properties = Object.entries(decodeBlockState(blockId, state)).map(([key, value]) => `${key}=${value}`);
+    return `${name}[${properties.join(',')}]`;
+}
+
+/**
+ * Parses text produced by formatBlockState. Unknown block names give air, with a warning.
+ * @param {string} text
+ * @returns {{blockId: number, state: number}}
+ */
+export function parseBlockState(text) {
+    const match = /^([^[\]]+)(?:\[(.*)\])?$/.exec(text);
+    const block = match && Object.values(BLOCKS).find(candidate => candidate.name === match[1]);
+    if (!block) {
+        console.warn(`Unknown block '${text}'; using air`);
+        return { blockId: BLOCKS[0].id, state: 0 };
+    }
+    const definitions = getBlockStateProperties(block.id) || {};
+    const properties = {};
+    for (const pair of match[2] ? match[2].split(',') : []) {
+        const [key, rawValue] = pair.split('=');
+        // Values are strings in text; map them back to the declared value (e.g. 'true' -> true)
+        const value = (definitions[key] || []).find(candidate => String(candidate) === rawValue);
+        properties[key] = value !== undefined ? value : rawValue;
+    }
+    return { blockId: block.id, state: encodeBlockState(block.id, properties) };
+}
+
+/**
+ * Gets the surface height of a fluid block within its cell: just below the top for sources and
+ * falling fluid, and lower the further the fluid is from its source.
+ * @param {number} blockId The ID of the fluid block.
+ * @param {number} state The block's state.
+ * @returns {number} The height, in (0, 1].
+ */
+export function getFluidHeight(blockId, state) {
+    const { level = 0, falling = false } = decodeBlockState(blockId, state);
+    if (falling) return 1;
+    return (FLUID_LEVELS.length - level) / (FLUID_LEVELS.length + 1);
+}
+
+/**
+ * Chooses the state of a block placed by the player.
+ * `axis` follows the clicked face, `facing` points back towards the player, and `half` is 'top'
+ * when placed against a block's bottom face or the upper half of a side face. Other properties keep their default.
+ * @param {number} blockId The ID of the block being placed.
+ * @param {object} context
+ * @param {{x: number, y: number, z: number}} context.normal Normal of the clicked face.
+ * @param {{x: number, y: number, z: number}} context.lookDirection The player's view direction.
+ * @param {{x: number, y: number, z: number}} [context.hitPoint] Where the view ray hit the clicked face.
+ * @returns {number} The state.
+ */
+export function getPlacementState(blockId, { normal, lookDirection, hitPoint = null }) {
+    const definitions = getBlockStateProperties(blockId);
+    if (!definitions) return 0;
+    const properties = {};
+    if (definitions.axis) {
+        properties.axis = normal.x !== 0 ? 'x' : normal.z !== 0 ? 'z' : 'y';
+    }
+    if (definitions.facing) {
+        // The front faces the player, i.e. against the horizontal look direction
+        properties.facing = Math.abs(lookDirection.x) > Math.abs(lookDirection.z)
+            ? (lookDirection.x > 0 ? 'west' : 'east')
+            : (lookDirection.z > 0 ? 'north' : 'south');
+    }
+    if (definitions.half) {
+        if (normal.y !== 0) {
+            properties.half = normal.y < 0 ? 'top' : 'bottom';
+        } else {
+            properties.half = hitPoint && hitPoint.y - Math.floor(hitPoint.y) > 0.5 ? 'top' : 'bottom';
+        }
+    }
+    return encodeBlockState(blockId, properties);
+}
+
+/**
+ * Rotates and/or mirrors a block state (e.g. for a pasted structure): `axis` swaps x and z on odd
+ * turns, `facing` turns with the block. Matches Structure's transform order (mirror first).
+ * @param {number} blockId The ID of the block.
+ * @param {number} state The state.
+ * @param {number} [rotation=0] Quarter turns about Y, clockwise seen from above.
+ * @param {'x'|'z'|null} [mirror=null] Axis to flip along.
+ * @returns {number} The transformed state.
+ */
+export function transformBlockState(blockId, state, rotation = 0, mirror = null) {
+    const definitions = getBlockStateProperties(blockId);
+    if (!definitions || (!definitions.axis && !definitions.facing)) return state;
+    const properties = decodeBlockState(blockId, state);
+    const turns = ((rotation % 4) + 4) % 4;
+    if (properties.axis && properties.axis !== 'y' && turns % 2 === 1) {
+        properties.axis = properties.axis === 'x' ? 'z' : 'x';
+    }
+    if (properties.facing) {
+        let facing = properties.facing;
+        if ((mirror === 'x' && (facing === 'east' || facing === 'west')) ||
+            (mirror === 'z' && (facing === 'north' || facing === 'south'))) {
+            facing = HORIZONTAL_FACINGS[(HORIZONTAL_FACINGS.indexOf(facing) + 2) % 4];
+        }
+        properties.facing = HORIZONTAL_FACINGS[(HORIZONTAL_FACINGS.indexOf(facing) + turns) % 4];
+    }
+    return encodeBlockState(blockId, properties);
+}
+
+/**
+ * Gets the texture of a block face, taking the block's state into account.
+ * For `axis` x or z the top/bottom texture moves to the faces along that axis and the side texture is
+ * turned on the others so the grain follows the axis; for `facing` the matching face shows the `front` texture.
+ * @param {number} blockId The ID of the block.
+ * @param {number} state The block's state.
+ * @param {string} faceName The world-space face ('top', 'bottom', 'north', 'south', 'east' or 'west').
+ * @returns {{uv: number[], rotation: number}|null} The tile's bottom-left UV and the number of quarter
+ *   turns to rotate it by (see generateFaceUVs), or null if the block has no texture.
+ */
+export function getBlockFaceTexture(blockId, state, faceName) {
+    let textureFace = faceName;
+    let rotation = 0;
+    if (state !== 0) {
+        const { axis, facing } = decodeBlockState(blockId, state);
+        if (axis === 'x' || axis === 'z') {
+            const alongAxis = axis === 'x' ? ['east', 'west'] : ['south', 'north'];
+            if (alongAxis.includes(faceName)) {
+                textureFace = faceName === alongAxis[0] ? 'top' : 'bottom';
+            } else {
+                textureFace = 'side';
+                // A face's V runs along Y on sides and along Z on top/bottom; turn the grain when the axis differs
+                const vAxis = faceName === 'top' || faceName === 'bottom' ? 'z' : 'y';
+                rotation = vAxis === axis ? 0 : 1;
+            }
+        }
+        if (facing && faceName === facing) {
+            textureFace = 'front';
+        }
+    }
+    const uv = getBlockTextureUV(blockId, textureFace);
+    return uv ? { uv, rotation } : null;
+}
+
+// --- Block models ---
+
+// Offsets (x, z) to the horizontal neighbours, in HORIZONTAL_FACINGS order
+const HORIZONTAL_OFFSETS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+// Model boxes per block, state and connected sides, built on first use (see getBlockBoxes)
+const modelBoxCache = new Map();
+
+/**
+ * Gets the boxes a block's model is made of, for its state and (for models with `connections`) its neighbours.
+ * The arrays are shared between calls and must not be changed.
+ * @param {number} blockId The ID of the block.
+ * @param {number} [state=0] The block's state.
+ * @param {function(number, number, number): number} [getNeighborId] Block ID at an offset (dx, dy, dz) from the block;
+ *   without it nothing connects.
+ * @returns {number[][]|null} [minX, minY, minZ, maxX, maxY, maxZ] per box, relative to the block's minimum corner,
+ *   or null for full cubes (blocks without a model).
+ */
+export function getBlockBoxes(blockId, state = 0, getNeighborId = null) {
+    const model = getBlockById(blockId).model;
+    if (!model) return null;
+    let connectedSides = 0;
+    if (model.connections && getNeighborId) {
+        HORIZONTAL_OFFSETS.forEach(([dx, dz], side) => {
+            const neighborId = getNeighborId(dx, 0, dz);
+            if (neighborId === blockId || isBlockOpaque(neighborId)) connectedSides |= 1 << side;
+        });
+    }
+    const key = `${blockId}:${state}:${connectedSides}`;
+    let boxes = modelBoxCache.get(key);
+    if (!boxes) {
+        boxes = buildModelBoxes(blockId, model, state, connectedSides);
+        modelBoxCache.set(key, boxes);
+    }
+    return boxes;
+}
+
+/**
+ * Places a model's boxes for a state: adds the connections of the connected sides (a bit per
+ * HORIZONTAL_FACINGS index), then turns everything by `facing` and flips it for `half: 'top'`.
+ * @private Internal helper method
+ */
+function buildModelBoxes(blockId, model, state, connectedSides) {
+    const boxes = [...(model.boxes || [])];
+    for (let side = 0; side < HORIZONTAL_FACINGS.length; side++) {
+        if (connectedSides & (1 << side)) {
+            boxes.push(...model.connections.map(box => turnBox(box, side)));
+        }
+    }
+    const { facing, half } = decodeBlockState(blockId, state);
+    const turns = facing ? HORIZONTAL_FACINGS.indexOf(facing) : 0;
+    return boxes.map(box => {
+        const [minX, minY, minZ, maxX, maxY, maxZ] = turnBox(box, turns);
+        return half === 'top' ? [minX, 1 - maxY, minZ, maxX, 1 - minY, maxZ] : [minX, minY, minZ, maxX, maxY, maxZ];
+    });
+}
+
+/**
+ * Turns a box about the block's vertical centre line by quarter turns, clockwise seen from above (north -> east).
+ * @private Internal helper method
+ */
+function turnBox(box, turns) {
+    let [minX, minY, minZ, maxX, maxY, maxZ] = box;
+    for (let i = 0; i < turns; i++) {
+        [minX, minZ, maxX, maxZ] = [1 - maxZ, minX, 1 - minZ, maxX];
+    }
+    return [minX, minY, minZ, maxX, maxY, maxZ];
 }
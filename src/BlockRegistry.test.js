@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import {
+    BLOCKS, encodeBlockState, decodeBlockState, formatBlockState, parseBlockState,
+    getPlacementState, transformBlockState, getBlockFaceTexture, generateFaceUVs, getBlockTransparency, isBlockOpaque,
+    getBlockBoxes,
+} from './BlockRegistry.js';
+
+// --- Test Helpers ---
+const STONE = BLOCKS[3].id;
+const WOOD = BLOCKS[4].id;
+const TEST_ID = 250; // Temporary block with every built-in property
+const up = { x: 0, y: 1, z: 0 };
+
+describe('Block states', () => {
+    beforeAll(() => {
+        BLOCKS[TEST_ID] = {
+            id: TEST_ID,
+            name: 'test_furnace',
+            solid: true,
+            textures: { front: [0.5, 0.5], all: [0.75, 0.75] },
+            states: { facing: ['north', 'south', 'east', 'west'], half: ['bottom', 'top'], open: [false, true] },
+        };
+    });
+
+    afterAll(() => {
+        delete BLOCKS[TEST_ID];
+    });
+
+    it('should encode and decode property values, with 0 for the defaults', () => {
+        expect(encodeBlockState(WOOD)).toBe(0);
+        expect(encodeBlockState(STONE, { axis: 'x' })).toBe(0); // Stateless block
+
+        const state = encodeBlockState(TEST_ID, { facing: 'west', open: true });
+        expect(decodeBlockState(TEST_ID, state)).toEqual({ facing: 'west', half: 'bottom', open: true });
+        expect(decodeBlockState(WOOD, encodeBlockState(WOOD, { axis: 'z' }))).toEqual({ axis: 'z' });
+    });
+
+    it('should round-trip states through text', () => {
+        const state = encodeBlockState(TEST_ID, { facing: 'east', half: 'top', open: true });
+        expect(formatBlockState(TEST_ID, state)).toBe('test_furnace[facing=east,half=top,open=true]');
+        expect(parseBlockState('test_furnace[facing=east,half=top,open=true]')).toEqual({ blockId: TEST_ID, state });
+        expect(parseBlockState('wood')).toEqual({ blockId: WOOD, state: 0 });
+
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(parseBlockState('marble[axis=x]')).toEqual({ blockId: BLOCKS[0].id, state: 0 });
+        expect(warnSpy).toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+
+    it('should orient placed blocks by the clicked face and view direction', () => {
+        const lookNorth = { x: 0.1, y: -0.5, z: -1 };
+        expect(getPlacementState(WOOD, { normal: { x: -1, y: 0, z: 0 }, lookDirection: lookNorth })).toBe(encodeBlockState(WOOD, { axis: 'x' }));
+        expect(getPlacementState(WOOD, { normal: up, lookDirection: lookNorth })).toBe(0);
+        expect(getPlacementState(STONE, { normal: up, lookDirection: lookNorth })).toBe(0);
+
+        // Front faces the player; upper half of a side face places a top half
+        const sideHit = { normal: { x: 0, y: 0, z: 1 }, lookDirection: lookNorth, hitPoint: { x: 3.2, y: 10.7, z: 5 } };
+        expect(decodeBlockState(TEST_ID, getPlacementState(TEST_ID, sideHit))).toEqual({ facing: 'south', half: 'top', open: false });
+        expect(decodeBlockState(TEST_ID, getPlacementState(TEST_ID, { normal: { x: 0, y: -1, z: 0 }, lookDirection: { x: -1, y: 0, z: 0 } })))
+            .toEqual({ facing: 'east', half: 'top', open: false });
+    });
+
+    it('should turn axis and facing with structure transforms', () => {
+        const axisX = encodeBlockState(WOOD, { axis: 'x' });
+        expect(transformBlockState(WOOD, axisX, 1)).toBe(encodeBlockState(WOOD, { axis: 'z' }));
+        expect(transformBlockState(WOOD, axisX, 2)).toBe(axisX);
+
+        const north = encodeBlockState(TEST_ID, { facing: 'north', open: true });
+        expect(decodeBlockState(TEST_ID, transformBlockState(TEST_ID, north, 1)).facing).toBe('east');
+        expect(decodeBlockState(TEST_ID, transformBlockState(TEST_ID, north, 0, 'z')).facing).toBe('south');
+        expect(decodeBlockState(TEST_ID, transformBlockState(TEST_ID, north, 1, 'z')).facing).toBe('west');
+        expect(decodeBlockState(TEST_ID, transformBlockState(TEST_ID, north, 1)).open).toBe(true);
+    });
+
+    it('should move log end textures to the faces along the axis', () => {
+        const axisX = encodeBlockState(WOOD, { axis: 'x' });
+        expect(getBlockFaceTexture(WOOD, 0, 'top')).toEqual({ uv: BLOCKS[4].textures.top, rotation: 0 });
+        expect(getBlockFaceTexture(WOOD, axisX, 'east')).toEqual({ uv: BLOCKS[4].textures.top, rotation: 0 });
+        expect(getBlockFaceTexture(WOOD, axisX, 'top')).toEqual({ uv: BLOCKS[4].textures.side, rotation: 1 });
+        expect(getBlockFaceTexture(WOOD, axisX, 'north')).toEqual({ uv: BLOCKS[4].textures.side, rotation: 1 });
+
+        const facingEast = encodeBlockState(TEST_ID, { facing: 'east' });
+        expect(getBlockFaceTexture(TEST_ID, facingEast, 'east').uv).toEqual([0.5, 0.5]);
+        expect(getBlockFaceTexture(TEST_ID, facingEast, 'north').uv).toEqual([0.75, 0.75]);
+    });
+
+    it('should rotate face UVs a quarter turn per step', () => {
+        const uvs = generateFaceUVs(0, 0);
+        expect(generateFaceUVs(0, 0, 4)).toEqual(uvs);
+        // Bottom-left takes bottom-right's UV, bottom-right takes top-right's, and so on
+        expect(generateFaceUVs(0, 0, 1)).toEqual([0.25, 0, 0.25, 0.25, 0, 0, 0, 0.25]);
+    });
+});
+
+describe('Block transparency', () => {
+    it('should tell opaque blocks from cutout and translucent ones', () => {
+        const [air, glass, leaves, water] = [BLOCKS[0].id, BLOCKS[11].id, BLOCKS[12].id, BLOCKS[8].id];
+        expect(getBlockTransparency(STONE)).toBe('opaque');
+        expect(getBlockTransparency(glass)).toBe('translucent');
+        expect(getBlockTransparency(leaves)).toBe('cutout');
+        expect(getBlockTransparency(water)).toBe('translucent');
+
+        expect(isBlockOpaque(STONE)).toBe(true);
+        for (const blockId of [air, glass, leaves, water, BLOCKS[9].id]) {
+            expect(isBlockOpaque(blockId)).toBe(false);
+        }
+        expect(BLOCKS[glass].solid).toBe(true); // Still walked on
+    });
+});
+
+describe('Block models', () => {
+    const [SLAB, STAIRS, FENCE, FLOWER] = [BLOCKS[13].id, BLOCKS[14].id, BLOCKS[15].id, BLOCKS[16].id];
+
+    it('should have no boxes for full cubes and never count models as opaque', () => {
+        expect(getBlockBoxes(STONE)).toBeNull();
+        for (const blockId of [SLAB, STAIRS, FENCE, FLOWER]) {
+            expect(isBlockOpaque(blockId)).toBe(false);
+        }
+    });
+
+    it('should turn the boxes with facing and flip them for the top half', () => {
+        expect(getBlockBoxes(SLAB)).toEqual([[0, 0, 0, 1, 0.5, 1]]);
+        expect(getBlockBoxes(SLAB, encodeBlockState(SLAB, { half: 'top' }))).toEqual([[0, 0.5, 0, 1, 1, 1]]);
+
+        // The low step faces east, so the high one is in the west half
+        expect(getBlockBoxes(STAIRS, encodeBlockState(STAIRS, { facing: 'east' }))).toEqual([
+            [0, 0, 0, 1, 0.5, 1],
+            [0, 0.5, 0, 0.5, 1, 1],
+        ]);
+        expect(getBlockBoxes(STAIRS, encodeBlockState(STAIRS, { facing: 'south', half: 'top' }))).toEqual([
+            [0, 0.5, 0, 1, 1, 1],
+            [0, 0, 0, 1, 0.5, 0.5],
+        ]);
+    });
+
+    it('should add the connections towards fences and opaque neighbours', () => {
+        expect(getBlockBoxes(FENCE)).toHaveLength(1);
+        const neighbors = { '1,0,0': FENCE, '0,0,1': STONE, '-1,0,0': FLOWER };
+        const boxes = getBlockBoxes(FENCE, 0, (dx, dy, dz) => neighbors[`${dx},${dy},${dz}`] ?? BLOCKS[0].id);
+        expect(boxes).toHaveLength(5); // Post, and two rails east and south
+        expect(boxes).toContainEqual([0.625, 0.375, 0.4375, 1, 0.5625, 0.5625]);
+        expect(boxes).toContainEqual([0.4375, 0.75, 0.625, 0.5625, 0.9375, 1]);
+    });
+});
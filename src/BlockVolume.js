@@ -0,0 +1,136 @@
+import { BLOCKS } from './BlockRegistry.js';
+import { MAX_LIGHT, packLight } from './Lighting.js';
+
+// Blocks of padding around the volume's interior, on every side: enough for each interior block's
+// neighbours, including the diagonal ones that ambient occlusion and smooth light look at
+export const VOLUME_PADDING = 1;
+
+/**
+ * A copy of the blocks, block states and light in a box of the world, padded by VOLUME_PADDING on every side,
+ * in flat typed arrays. ChunkMesher meshes from it so neighbour lookups are array offsets instead of chunk
+ * lookups, and as it holds no references to the world it can be meshed off-thread.
+ * Layout is Y-major like Chunk: the cell at world (x, y, z) is at index(x, y, z), its neighbours at ±1 (x),
+ * ±strideZ (z) and ±strideY (y).
+ */
+export class BlockVolume {
+    /**
+     * @param {number} minX World X coordinate of the interior's minimum corner.
+     * @param {number} minY World Y coordinate of the interior's minimum corner.
+     * @param {number} minZ World Z coordinate of the interior's minimum corner.
+     * @param {number} sizeX Interior size along X.
+     * @param {number} sizeY Interior size along Y.
+     * @param {number} sizeZ Interior size along Z.
+     * @param {{states?: boolean, light?: boolean}} [options={}] Which data besides block IDs to hold; without
+     *   states every block reads as its default state, without light ChunkMesher lights everything with full sky light.
+     */
+    constructor(minX, minY, minZ, sizeX, sizeY, sizeZ, options = {}) {
+        this.minX = minX;
+        this.minY = minY;
+        this.minZ = minZ;
+        this.sizeX = sizeX;
+        this.sizeY = sizeY;
+        this.sizeZ = sizeZ;
+        this.strideZ = sizeX + 2 * VOLUME_PADDING;
+        this.strideY = this.strideZ * (sizeZ + 2 * VOLUME_PADDING);
+        const length = this.strideY * (sizeY + 2 * VOLUME_PADDING);
+        this.blocks = new Uint16Array(length);
+        this.states = options.states ? new Uint16Array(length) : null;
+        this.light = options.light ? new Uint8Array(length) : null;
+    }
+
+    /**
+     * Fills a volume from lookup functions, called once for every cell including the padding.
+     * @param {number} minX World X coordinate of the interior's minimum corner.
+     * @param {number} minY World Y coordinate of the interior's minimum corner.
+     * @param {number} minZ World Z coordinate of the interior's minimum corner.
+     * @param {number} sizeX Interior size along X.
+     * @param {number} sizeY Interior size along Y.
+     * @param {number} sizeZ Interior size along Z.
+     * @param {function} getBlockFn (worldX, worldY, worldZ) => blockId.
+     * @param {function | null} [getStateFn=null] (worldX, worldY, worldZ) => state; null for default states.
+     * @param {function | null} [getLightFn=null] (worldX, worldY, worldZ) => packed light (see Lighting); null for none.
+     * @returns {BlockVolume}
+     */
+    static fromLookups(minX, minY, minZ, sizeX, sizeY, sizeZ, getBlockFn, getStateFn = null, getLightFn = null) {
+        const volume = new BlockVolume(minX, minY, minZ, sizeX, sizeY, sizeZ, { states: !!getStateFn, light: !!getLightFn });
+        volume.forEachCell((index, worldX, worldY, worldZ) => {
+            volume.blocks[index] = getBlockFn(worldX, worldY, worldZ);
+            if (getStateFn) volume.states[index] = getStateFn(worldX, worldY, worldZ);
+            if (getLightFn) volume.light[index] = getLightFn(worldX, worldY, worldZ);
+        });
+        return volume;
+    }
+
+    /**
+     * Calls a function for every cell in a box of world coordinates, clipped to the volume (padding included),
+     * in index order.
+     * @param {function(number, number, number, number): void} callback (index, worldX, worldY, worldZ).
+     * @param {{min: {x: number, y: number, z: number}, max: {x: number, y: number, z: number}} | null} [box=null]
+     *   Inclusive bounds; null for the whole volume.
+     */
+    forEachCell(callback, box = null) {
+        const fromX = Math.max(this.minX - VOLUME_PADDING, box ? box.min.x : -Infinity);
+        const fromY = Math.max(this.minY - VOLUME_PADDING, box ? box.min.y : -Infinity);
+        const fromZ = Math.max(this.minZ - VOLUME_PADDING, box ? box.min.z : -Infinity);
+        const toX = Math.min(this.minX + this.sizeX + VOLUME_PADDING - 1, box ? box.max.x : Infinity);
+        const toY = Math.min(this.minY + this.sizeY + VOLUME_PADDING - 1, box ? box.max.y : Infinity);
+        const toZ = Math.min(this.minZ + this.sizeZ + VOLUME_PADDING - 1, box ? box.max.z : Infinity);
+        for (let y = fromY; y <= toY; y++) {
+            for (let z = fromZ; z <= toZ; z++) {
+                let index = this.index(fromX, y, z);
+                for (let x = fromX; x <= toX; x++) {
+                    callback(index++, x, y, z);
+                }
+            }
+        }
+    }
+
+    /**
+     * Flat index of the cell at world coordinates; only meaningful where contains() is true.
+     * @param {number} worldX
+     * @param {number} worldY
+     * @param {number} worldZ
+     * @returns {number}
+     */
+    index(worldX, worldY, worldZ) {
+        return (worldY - this.minY + VOLUME_PADDING) * this.strideY + (worldZ - this.minZ + VOLUME_PADDING) * this.strideZ +
+            (worldX - this.minX + VOLUME_PADDING);
+    }
+
+    /**
+     * Checks whether world coordinates are in the volume, padding included.
+     * @param {number} worldX
+     * @param {number} worldY
+     * @param {number} worldZ
+     * @returns {boolean}
+     */
+    contains(worldX, worldY, worldZ) {
+        return worldX >= this.minX - VOLUME_PADDING && worldX < this.minX + this.sizeX + VOLUME_PADDING &&
+            worldY >= this.minY - VOLUME_PADDING && worldY < this.minY + this.sizeY + VOLUME_PADDING &&
+            worldZ >= this.minZ - VOLUME_PADDING && worldZ < this.minZ + this.sizeZ + VOLUME_PADDING;
+    }
+
+    /**
+     * Gets the block ID at world coordinates.
+     * @returns {number} The block ID, or Air (0) outside the volume.
+     */
+    getBlock(worldX, worldY, worldZ) {
+        return this.contains(worldX, worldY, worldZ) ? this.blocks[this.index(worldX, worldY, worldZ)] : BLOCKS[0].id;
+    }
+
+    /**
+     * Gets the block state at world coordinates.
+     * @returns {number} The state, or 0 (default) outside the volume or if it holds no states.
+     */
+    getBlockState(worldX, worldY, worldZ) {
+        return this.states && this.contains(worldX, worldY, worldZ) ? this.states[this.index(worldX, worldY, worldZ)] : 0;
+    }
+
+    /**
+     * Gets the packed light at world coordinates (see Lighting).
+     * @returns {number} The packed light; full sky light outside the volume or if it holds no light.
+     */
+    getLight(worldX, worldY, worldZ) {
+        return this.light && this.contains(worldX, worldY, worldZ) ? this.light[this.index(worldX, worldY, worldZ)] : packLight(MAX_LIGHT, 0);
+    }
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { BlockVolume, VOLUME_PADDING } from './BlockVolume.js';
+import { BLOCKS } from './BlockRegistry.js';
+import { packLight, MAX_LIGHT } from './Lighting.js';
+
+const STONE = BLOCKS[3].id;
+
+describe('BlockVolume', () => {
+    it('should hold the interior and its padding in Y-major order', () => {
+        const volume = new BlockVolume(10, 20, 30, 4, 2, 3);
+        const sizeX = 4 + 2 * VOLUME_PADDING;
+        const sizeZ = 3 + 2 * VOLUME_PADDING;
+
+        expect(volume.blocks.length).toBe(sizeX * (2 + 2 * VOLUME_PADDING) * sizeZ);
+        expect(volume.index(9, 19, 29)).toBe(0);
+        expect(volume.index(10, 20, 30)).toBe(volume.strideY + volume.strideZ + 1);
+        expect(volume.strideZ).toBe(sizeX);
+        expect(volume.strideY).toBe(sizeX * sizeZ);
+        expect(volume.states).toBeNull();
+        expect(volume.light).toBeNull();
+    });
+
+    it('should fill every cell from lookups and read air, default state and full sky light outside', () => {
+        const calls = [];
+        const volume = BlockVolume.fromLookups(0, 0, 0, 2, 2, 2,
+            (x, y, z) => { calls.push([x, y, z]); return y >= 0 ? STONE : BLOCKS[0].id; },
+            (x, y, z) => x + 2,
+            (x, y, z) => packLight(z + 1, 3));
+
+        expect(calls.length).toBe(4 * 4 * 4);
+        expect(volume.getBlock(-1, -1, -1)).toBe(BLOCKS[0].id);
+        expect(volume.getBlock(2, 2, 2)).toBe(STONE);
+        expect(volume.getBlockState(-1, 0, 0)).toBe(1);
+        expect(volume.getLight(0, 0, 2)).toBe(packLight(3, 3));
+
+        expect(volume.contains(3, 0, 0)).toBe(false);
+        expect(volume.getBlock(3, 0, 0)).toBe(BLOCKS[0].id);
+        expect(volume.getBlockState(3, 0, 0)).toBe(0);
+        expect(volume.getLight(3, 0, 0)).toBe(packLight(MAX_LIGHT, 0));
+    });
+
+    it('should visit only the cells inside a box, clipped to the volume', () => {
+        const volume = new BlockVolume(0, 0, 0, 4, 4, 4);
+        const visited = [];
+        volume.forEachCell((index, x, y, z) => visited.push([index, x, y, z]),
+            { min: { x: 3, y: -10, z: 0 }, max: { x: 10, y: 0, z: 1 } });
+
+        // x 3..4, y -1..0, z 0..1
+        expect(visited.length).toBe(2 * 2 * 2);
+        expect(visited[0]).toEqual([volume.index(3, -1, 0), 3, -1, 0]);
+        visited.forEach(([index, x, y, z]) => expect(index).toBe(volume.index(x, y, z)));
+    });
+});
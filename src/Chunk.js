@@ -1,6 +1,8 @@
 import * as THREE from 'three';
-import { BLOCKS, getBlockById, getBlockTextureUV, generateFaceUVs } from './BlockRegistry.js';
+import { BLOCKS, isBlockOpaque, getBlockTextureUV, generateFaceUVs } from './BlockRegistry.js';
 import { ChunkMesher } from './ChunkMesher.js'; // Import the new mesher
+import { PaletteStorage } from './PaletteStorage.js';
+import { POSITION_SCALE } from './MeshBuffers.js';
 
 // Chunk dimensions
 export const CHUNK_WIDTH = 16;
@@ -8,12 +10,46 @@ export const CHUNK_HEIGHT = 256;
 export const CHUNK_DEPTH = 16;
 const CHUNK_VOLUME = CHUNK_WIDTH * CHUNK_HEIGHT * CHUNK_DEPTH;
 
+// Chunks are split into vertical sections that are stored and meshed independently
+export const SECTION_HEIGHT = 16;
+export const SECTION_COUNT = CHUNK_HEIGHT / SECTION_HEIGHT;
+const SECTION_VOLUME = CHUNK_WIDTH * SECTION_HEIGHT * CHUNK_DEPTH;
+
+// Blocks the viewer moves before a translucent mesh's faces are sorted again (see sortTranslucentFaces)
+const TRANSLUCENT_SORT_DISTANCE = 1;
+
+/**
+ * Creates a geometry for the chunk materials from mesher output (see ChunkMesher.generate), using its packed
+ * arrays as they are: the materials decode positions, normals and tiles in their shaders (see TextureAtlas).
+ * @param {{positions: Uint16Array, faces: Uint8Array, uvs: Float32Array, tiles: Uint8Array, lights: Uint8Array,
+ *   ao: Uint8Array, indices: Uint16Array | Uint32Array}} meshData
+ * @returns {THREE.BufferGeometry} A geometry whose bounding sphere is in block units.
+ */
+export function createMeshGeometry({ positions, faces, uvs, tiles, lights, ao, indices }) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('face', new THREE.BufferAttribute(faces, 1));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    // Texture tile of each vertex, which the chunk materials wrap merged quads' UVs into
+    geometry.setAttribute('tile', new THREE.BufferAttribute(tiles, 2));
+    // Baked sky and block light and ambient occlusion per vertex (see ChunkMesher), scaled to 0-1 by the GPU
+    geometry.setAttribute('light', new THREE.BufferAttribute(lights, 2, true));
+    geometry.setAttribute('ao', new THREE.BufferAttribute(ao, 1, true));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+    // For frustum culling; computed from the packed positions, then scaled like the shader does
+    geometry.computeBoundingSphere();
+    geometry.boundingSphere.center.divideScalar(POSITION_SCALE);
+    geometry.boundingSphere.radius /= POSITION_SCALE;
+    return geometry;
+}
+
 // Note: Geometry constants (CUBE_FACE_VERTICES, CUBE_FACE_NORMALS, INDICES_CW/CCW, FACE_NAMES)
 // have been moved to ChunkMesher.js as they are specific to the meshing algorithm.
 
 /**
- * Represents a 16x256x16 section of the world.
- * Manages block data and the visual representation (mesh) of the chunk.
+ * Represents a 16x256x16 column of the world, split into 16 sections of 16x16x16 blocks.
+ * Manages block data and the visual representation (mesh) of the chunk, both per section.
  * Mesh generation is delegated to ChunkMesher.
  */
 export class Chunk {
@@ -21,17 +57,47 @@ export class Chunk {
      * @param {THREE.Vector3} position The position of the chunk's origin (corner) in world coordinates.
      * @param {THREE.Material} material The material to use for the chunk mesh.
      * @param {World} world A reference to the world object for neighbor lookups.
+     * @param {THREE.Material} [translucentMaterial] The material for translucent blocks (glass, water); defaults to `material`.
+     * @param {THREE.Material} [cutoutMaterial] The material for cutout blocks (leaves); defaults to `material`.
      */
-    constructor(position, material, world) {
+    constructor(position, material, world, translucentMaterial = material, cutoutMaterial = material) {
         this.position = position; // World position of the chunk's corner (0,0,0)
         this.material = material;
+        this.translucentMaterial = translucentMaterial;
+        this.cutoutMaterial = cutoutMaterial;
         this.world = world; // Reference to the world for neighbor checks
-        this.mesh = null; // Will hold the single THREE.Mesh for the chunk
-        this.geometry = null; // Will hold the BufferGeometry
+        this.mesh = null; // Will hold a THREE.Group with one mesh per non-empty section
+        this.sectionMeshes = new Array(SECTION_COUNT).fill(null); // THREE.Mesh per section, or null
+        this.cutoutMeshes = new Array(SECTION_COUNT).fill(null); // Meshes of cutout blocks per section, or null
+        this.translucentMeshes = new Array(SECTION_COUNT).fill(null); // Meshes of translucent blocks per section, or null
+
+        // Block data per 16-high section, each a palette of block IDs with bit-packed indices
+        // (see PaletteStorage); null for all-air sections, which take no memory.
+        // Y-major order within a section: y * (CHUNK_WIDTH * CHUNK_DEPTH) + z * CHUNK_WIDTH + x
+        this.sections = new Array(SECTION_COUNT).fill(null);
+
+        // Block states per section, in the same layout (see BlockRegistry: 0 = default state);
+        // null for sections where every block has its default state, which is almost all of them.
+        this.stateSections = new Array(SECTION_COUNT).fill(null);
+
+        // Packed sky and block light per section (see Lighting: sky light in the high nibble, block light in the
+        // low one), each a Uint8Array in the section's block layout; null for sections with the same light
+        // throughout (open air in full sky light, dark rock), whose one value is in uniformLight and which take no
+        // memory. Null as a whole until World lights the chunk (see setLightData).
+        this.lightSections = null;
+        this.uniformLight = new Uint8Array(SECTION_COUNT);
+
+        // Block entities of blocks in this chunk (see BlockEntity.js). Key: block index (as in getBlockData), Value: BlockEntity
+        this.blockEntities = new Map();
 
-        // Block data stored in a flat Uint8Array for memory efficiency
-        // Y-major order: y * (CHUNK_WIDTH * CHUNK_DEPTH) + z * CHUNK_WIDTH + x
-        this.blocks = new Uint8Array(CHUNK_VOLUME);
+        // Sections whose mesh must be rebuilt by the next updateMesh() (all of them initially)
+        this.dirtySections = new Set(Array.from({ length: SECTION_COUNT }, (_, index) => index));
+
+        // True once a block has been edited after generation (edited data must outlive unloading)
+        this.isModified = false;
+
+        // Per-section mesh buffers built off-thread together with the block data; consumed by the next updateMesh()
+        this.pendingMeshData = null;
 
         // Mesh update is now triggered by World adding the chunk to dirtyChunks
     }
@@ -43,45 +109,187 @@ export class Chunk {
     // Note: generateGeometryData method has been removed and its logic moved to ChunkMesher.js
 
     /**
-     * Updates the chunk's mesh based on its current block data by calling ChunkMesher.
-     * Creates or updates the BufferGeometry and Mesh.
+     * Rebuilds the meshes of dirty sections (see markSectionDirty) by calling ChunkMesher.
+     * All-air sections and all-opaque sections enclosed by opaque blocks get no mesh.
+     * If mesh buffers were already built by a worker (`pendingMeshData`), those are used instead, except for
+     * sections whose entry was cleared (undefined) because their light changed since.
+     * Creates the chunk's THREE.Group on first use.
+     * @returns {number} The number of sections rebuilt.
      */
     updateMesh() {
-        // Call the external ChunkMesher to generate geometry data
-        const { positions, normals, uvs, indices } = ChunkMesher.generate(
-            this.blocks, // Pass the chunk's block data
-            this.position, // Pass the chunk's world position
-            (worldX, worldY, worldZ) => this.world.getBlock(worldX, worldY, worldZ) // Pass the world's getBlock function for neighbor checks
-        );
+        if (!this.mesh) {
+            this.mesh = new THREE.Group();
+            this.mesh.position.copy(this.position);
+            this.mesh.name = `Chunk_${this.position.x}_${this.position.y}_${this.position.z}`;
+        }
+
+        const pendingMeshData = this.pendingMeshData;
+        this.pendingMeshData = null;
+        const isPending = sectionIndex => pendingMeshData && pendingMeshData[sectionIndex] !== undefined;
 
-        // Dispose existing geometry if it exists
-        if (this.geometry) {
-            this.geometry.dispose();
+        // One snapshot of the blocks around all the sections to mesh, so the mesher never calls back into the world
+        let volume = null;
+        const meshedSections = [...this.dirtySections].filter(sectionIndex => !isPending(sectionIndex) && this.sections[sectionIndex]);
+        if (meshedSections.length > 0) {
+            const minY = Math.min(...meshedSections) * SECTION_HEIGHT;
+            const maxY = (Math.max(...meshedSections) + 1) * SECTION_HEIGHT;
+            volume = this.world.createBlockVolume(this.position.x, this.position.y + minY, this.position.z, CHUNK_WIDTH, maxY - minY,
+                CHUNK_DEPTH);
+        }
+        const getBlockFn = (worldX, worldY, worldZ) => volume.getBlock(worldX, worldY, worldZ);
+
+        for (const sectionIndex of this.dirtySections) {
+            let meshData = null;
+            if (isPending(sectionIndex)) {
+                meshData = pendingMeshData[sectionIndex];
+            } else if (this.sections[sectionIndex] &&
+                !(this.isSectionOpaque(sectionIndex) && ChunkMesher.isSectionEnclosed(this.position, sectionIndex, getBlockFn))) {
+                meshData = ChunkMesher.generateSectionFromVolume(volume, this.position, sectionIndex, { greedy: this.world.greedyMeshing });
+            }
+            this.applySectionMeshData(sectionIndex, meshData);
         }
 
-        this.geometry = new THREE.BufferGeometry();
-        this.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        this.geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-        this.geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-        this.geometry.setIndex(indices);
+        const rebuilt = this.dirtySections.size;
+        this.dirtySections.clear();
+        return rebuilt;
+    }
 
-        // Compute bounding sphere for frustum culling
-        this.geometry.computeBoundingSphere();
+    /**
+     * Creates, updates or removes a section's meshes from mesher output.
+     * @param {number} sectionIndex Index of the section (0 = bottom).
+     * @param {{positions: Uint16Array, faces: Uint8Array, uvs: Float32Array, tiles: Uint8Array, lights: Uint8Array,
+     *   ao: Uint8Array, indices: Uint16Array | Uint32Array, cutout?: object | null, translucent?: object | null} | null} meshData
+     *   Packed geometry arrays as returned by ChunkMesher.generateSection, or null for no mesh; the geometry keeps them.
+     *   `cutout` and `translucent` hold the same arrays for cutout and translucent blocks, drawn with their materials.
+     */
+    applySectionMeshData(sectionIndex, meshData) {
+        this.applyMesh(this.sectionMeshes, sectionIndex, meshData, this.material, 'section');
+        this.applyMesh(this.cutoutMeshes, sectionIndex, meshData?.cutout ?? null, this.cutoutMaterial, 'cutout');
+        this.applyMesh(this.translucentMeshes, sectionIndex, meshData?.translucent ?? null, this.translucentMaterial, 'translucent');
+    }
 
-        if (!this.mesh) {
-            // Create mesh if it doesn't exist
-            this.mesh = new THREE.Mesh(this.geometry, this.material);
-            this.mesh.position.copy(this.position);
-            this.mesh.name = `Chunk_${this.position.x}_${this.position.y}_${this.position.z}`;
+    /**
+     * Creates, updates or removes one of a section's meshes.
+     * @private Internal helper method
+     */
+    applyMesh(meshes, sectionIndex, meshData, material, namePrefix) {
+        let mesh = meshes[sectionIndex];
+        if (mesh) {
+            mesh.geometry.dispose();
+        }
+        if (!meshData || meshData.positions.length === 0) {
+            if (mesh) {
+                this.mesh.remove(mesh);
+                meshes[sectionIndex] = null;
+            }
+            return;
+        }
+
+        // One geometry per section, so buried or off-screen parts are culled
+        const geometry = createMeshGeometry(meshData);
+
+        if (!mesh) {
+            // Positions are relative to the chunk origin, so section meshes sit at the group's origin
+            mesh = new THREE.Mesh(geometry, material);
+            mesh.name = `${this.mesh.name}_${namePrefix}_${sectionIndex}`;
+            this.mesh.add(mesh);
+            meshes[sectionIndex] = mesh;
         } else {
-            // Update existing mesh's geometry
-            this.mesh.geometry = this.geometry;
+            mesh.geometry = geometry;
         }
+    }
 
-        // needsMeshUpdate flag is managed by World's dirtyChunks set
-        // console.log(`Updated mesh for chunk at ${this.position.x},${this.position.y},${this.position.z}`);
+    /**
+     * Orders the faces of the chunk's translucent meshes back to front as seen from a position, so blending draws
+     * the far faces first (three.js already orders the meshes themselves by distance). A mesh is sorted when it
+     * was rebuilt and again once the viewer has moved TRANSLUCENT_SORT_DISTANCE from where it was last sorted for.
+     * @param {THREE.Vector3} viewPosition World position of the camera.
+     * @returns {number} The number of meshes sorted.
+     */
+    sortTranslucentFaces(viewPosition) {
+        let sorted = 0;
+        for (const mesh of this.translucentMeshes) {
+            if (!mesh) continue;
+            const { userData } = mesh.geometry;
+            if (userData.sortedFor && userData.sortedFor.distanceToSquared(viewPosition) < TRANSLUCENT_SORT_DISTANCE ** 2) {
+                continue;
+            }
+            userData.sortedFor = viewPosition.clone();
+            this.sortFaces(mesh.geometry, viewPosition.x - this.position.x, viewPosition.y - this.position.y,
+                viewPosition.z - this.position.z);
+            sorted++;
+        }
+        return sorted;
     }
 
+    /**
+     * Rewrites a mesh's index buffer so its faces go from the farthest to the nearest (by their centre) from a
+     * chunk-relative position. Relies on the mesher's layout: face i is vertices 4i..4i+3 and indices 6i..6i+5.
+     * @private Internal helper method
+     */
+    sortFaces(geometry, viewX, viewY, viewZ) {
+        const positions = geometry.getAttribute('position').array; // Packed, see createMeshGeometry
+        viewX *= POSITION_SCALE;
+        viewY *= POSITION_SCALE;
+        viewZ *= POSITION_SCALE;
+        const index = geometry.index;
+        // The mesher's order, which the face numbers refer to
+        const faceIndices = geometry.userData.unsortedIndices ??= index.array.slice();
+        const faceCount = faceIndices.length / 6;
+        const distances = new Float32Array(faceCount);
+        for (let face = 0; face < faceCount; face++) {
+            let dx = -viewX * 4;
+            let dy = -viewY * 4;
+            let dz = -viewZ * 4;
+            for (let vertex = face * 4; vertex < face * 4 + 4; vertex++) {
+                dx += positions[vertex * 3];
+                dy += positions[vertex * 3 + 1];
+                dz += positions[vertex * 3 + 2];
+            }
+            distances[face] = dx * dx + dy * dy + dz * dz;
+        }
+        const order = Array.from({ length: faceCount }, (_, face) => face).sort((a, b) => distances[b] - distances[a]);
+        order.forEach((face, slot) => {
+            for (let i = 0; i < 6; i++) index.array[slot * 6 + i] = faceIndices[face * 6 + i];
+        });
+        index.needsUpdate = true;
+    }
+
+    /**
+     * Marks a section's mesh for rebuilding by the next updateMesh().
+     * @param {number} sectionIndex Index of the section (0 = bottom).
+     */
+    markSectionDirty(sectionIndex) {
+        this.dirtySections.add(sectionIndex);
+    }
+
+    /**
+     * Marks every section's mesh for rebuilding by the next updateMesh().
+     */
+    markAllSectionsDirty() {
+        for (let sectionIndex = 0; sectionIndex < SECTION_COUNT; sectionIndex++) {
+            this.dirtySections.add(sectionIndex);
+        }
+    }
+
+    /**
+     * Checks whether a section contains only air (and is therefore not stored).
+     * @param {number} sectionIndex Index of the section (0 = bottom).
+     * @returns {boolean}
+     */
+    isSectionEmpty(sectionIndex) {
+        return this.sections[sectionIndex] === null;
+    }
+
+    /**
+     * Checks whether a section contains only opaque blocks (see isBlockOpaque).
+     * @param {number} sectionIndex Index of the section (0 = bottom).
+     * @returns {boolean}
+     */
+    isSectionOpaque(sectionIndex) {
+        const section = this.sections[sectionIndex];
+        return section !== null && section.everyValue(isBlockOpaque);
+    }
 
     /**
      * Gets the block ID at the given local chunk coordinates.
@@ -92,32 +300,276 @@ export class Chunk {
      */
     getBlock(x, y, z) {
         if (this._isValidCoordinate(x, y, z)) {
-            const index = this._getIndex(x, y, z);
-            return this.blocks[index];
+            const sectionIndex = Math.floor(y / SECTION_HEIGHT);
+            const section = this.sections[sectionIndex];
+            if (!section) {
+                return BLOCKS[0].id; // All-air section
+            }
+            return section.get(this._getIndex(x, y, z) - sectionIndex * SECTION_VOLUME);
         }
         return BLOCKS[0].id; // Return Air for out-of-bounds coordinates
     }
 
     /**
-     * Sets the block ID at the given local chunk coordinates.
+     * Gets the block state at the given local chunk coordinates.
+     * @param {number} x Local X coordinate (0-15).
+     * @param {number} y Local Y coordinate (0-255).
+     * @param {number} z Local Z coordinate (0-15).
+     * @returns {number} The state (0 = default, also for out-of-bounds coordinates).
+     */
+    getBlockState(x, y, z) {
+        if (this._isValidCoordinate(x, y, z)) {
+            const sectionIndex = Math.floor(y / SECTION_HEIGHT);
+            const states = this.stateSections[sectionIndex];
+            return states ? states.get(this._getIndex(x, y, z) - sectionIndex * SECTION_VOLUME) : 0;
+        }
+        return 0;
+    }
+
+    /**
+     * Sets the block ID (and state) at the given local chunk coordinates.
      * Note: This only updates the data array. Mesh regeneration is separate.
      * @param {number} x Local X coordinate (0-15).
      * @param {number} y Local Y coordinate (0-255).
      * @param {number} z Local Z coordinate (0-15).
      * @param {number} blockId The ID of the block to set.
-     * @returns {boolean} True if the block was changed, false otherwise.
+     * @param {number} [state=0] The block's state (see BlockRegistry).
+     * @returns {boolean} True if the block or its state was changed, false otherwise.
      */
-    setBlock(x, y, z, blockId) {
+    setBlock(x, y, z, blockId, state = 0) {
         if (this._isValidCoordinate(x, y, z)) {
-            const index = this._getIndex(x, y, z);
-            const oldBlockId = this.blocks[index];
-            if (oldBlockId !== blockId) {
-                this.blocks[index] = blockId;
+            const sectionIndex = Math.floor(y / SECTION_HEIGHT);
+            const index = this._getIndex(x, y, z) - sectionIndex * SECTION_VOLUME;
+            let section = this.sections[sectionIndex];
+            if (!section) {
+                if (blockId === BLOCKS[0].id) {
+                    return false; // Already air
+                }
+                section = new PaletteStorage(SECTION_VOLUME, BLOCKS[0].id);
+                this.sections[sectionIndex] = section;
+            }
+            const oldBlockId = section.set(index, blockId);
+            const oldState = this._setSectionState(sectionIndex, index, state);
+            if (oldBlockId !== blockId || oldState !== state) {
+                if (section.isSingleValue() && blockId === BLOCKS[0].id) {
+                    // The last non-air block was removed
+                    this.sections[sectionIndex] = null;
+                    this.stateSections[sectionIndex] = null;
+                }
                 // Marking dirty is now handled solely in World.setBlock
                 return true; // Block data was changed
             }
         }
-        return false; // Block was not changed (out of bounds or same ID)
+        return false; // Block was not changed (out of bounds or same ID and state)
+    }
+
+    /**
+     * Gets the packed light at the given local chunk coordinates (see Lighting.skyLightOf / blockLightOf).
+     * @param {number} x Local X coordinate (0-15).
+     * @param {number} y Local Y coordinate (0-255).
+     * @param {number} z Local Z coordinate (0-15).
+     * @returns {number} The packed light, or 0 (dark) for out-of-bounds coordinates or an unlit chunk.
+     */
+    getLight(x, y, z) {
+        if (!this.lightSections || !this._isValidCoordinate(x, y, z)) return 0;
+        const sectionIndex = Math.floor(y / SECTION_HEIGHT);
+        const light = this.lightSections[sectionIndex];
+        return light ? light[this._getIndex(x, y, z) - sectionIndex * SECTION_VOLUME] : this.uniformLight[sectionIndex];
+    }
+
+    /**
+     * Sets the packed light at the given local chunk coordinates. Spreading light is handled by Lighting.
+     * @param {number} x Local X coordinate (0-15).
+     * @param {number} y Local Y coordinate (0-255).
+     * @param {number} z Local Z coordinate (0-15).
+     * @param {number} light The packed light (see Lighting.packLight).
+     */
+    setLight(x, y, z, light) {
+        if (!this.lightSections || !this._isValidCoordinate(x, y, z)) return;
+        const sectionIndex = Math.floor(y / SECTION_HEIGHT);
+        let sectionLight = this.lightSections[sectionIndex];
+        if (!sectionLight) {
+            if (light === this.uniformLight[sectionIndex]) return;
+            sectionLight = new Uint8Array(SECTION_VOLUME).fill(this.uniformLight[sectionIndex]);
+            this.lightSections[sectionIndex] = sectionLight;
+        }
+        sectionLight[this._getIndex(x, y, z) - sectionIndex * SECTION_VOLUME] = light;
+    }
+
+    /**
+     * Replaces the chunk's light, splitting it into sections and keeping only one value for sections with the
+     * same light throughout.
+     * @param {Uint8Array} light Packed light for the whole chunk, in the same layout as getBlockData
+     *   (see computeChunkLight).
+     */
+    setLightData(light) {
+        this.lightSections = new Array(SECTION_COUNT).fill(null);
+        for (let sectionIndex = 0; sectionIndex < SECTION_COUNT; sectionIndex++) {
+            const start = sectionIndex * SECTION_VOLUME;
+            const sectionLight = light.subarray(start, start + SECTION_VOLUME);
+            const first = sectionLight[0];
+            this.uniformLight[sectionIndex] = first;
+            if (!sectionLight.every(value => value === first)) {
+                this.lightSections[sectionIndex] = sectionLight.slice();
+            }
+        }
+    }
+
+    /**
+     * Gets the block entity at the given local chunk coordinates.
+     * @param {number} x Local X coordinate (0-15).
+     * @param {number} y Local Y coordinate (0-255).
+     * @param {number} z Local Z coordinate (0-15).
+     * @returns {BlockEntity | undefined} The entity, or undefined if there is none.
+     */
+    getBlockEntity(x, y, z) {
+        return this._isValidCoordinate(x, y, z) ? this.blockEntities.get(this._getIndex(x, y, z)) : undefined;
+    }
+
+    /**
+     * Stores a block entity at the given local chunk coordinates, replacing any existing one.
+     * Creating and removing entities as blocks change is handled by World.
+     * @param {number} x Local X coordinate (0-15).
+     * @param {number} y Local Y coordinate (0-255).
+     * @param {number} z Local Z coordinate (0-15).
+     * @param {BlockEntity} entity The entity.
+     */
+    setBlockEntity(x, y, z, entity) {
+        if (this._isValidCoordinate(x, y, z)) {
+            this.blockEntities.set(this._getIndex(x, y, z), entity);
+        }
+    }
+
+    /**
+     * Removes the block entity at the given local chunk coordinates.
+     * @param {number} x Local X coordinate (0-15).
+     * @param {number} y Local Y coordinate (0-255).
+     * @param {number} z Local Z coordinate (0-15).
+     * @returns {BlockEntity | undefined} The removed entity, or undefined if there was none.
+     */
+    removeBlockEntity(x, y, z) {
+        const entity = this.getBlockEntity(x, y, z);
+        if (entity) {
+            this.blockEntities.delete(this._getIndex(x, y, z));
+        }
+        return entity;
+    }
+
+    /**
+     * Replaces all block data.
+     * @param {ArrayLike<number>} blocks Block IDs in Y-major order for the whole chunk.
+     * @param {ArrayLike<number> | null} [states=null] Block states in the same layout; null for all defaults.
+     */
+    setBlockData(blocks, states = null) {
+        this.sections = Chunk.sectionsFromArray(blocks);
+        this.stateSections = states ? Chunk.sectionsFromArray(states) : new Array(SECTION_COUNT).fill(null);
+    }
+
+    /**
+     * Replaces all block data with previously detached sections (see `sections`); they are not copied.
+     * @param {(PaletteStorage|null)[]} sections One entry per section, null for all-air sections.
+     * @param {(PaletteStorage|null)[] | null} [stateSections=null] State storages (see `stateSections`); null for all defaults.
+     */
+    setSections(sections, stateSections = null) {
+        this.sections = sections;
+        this.stateSections = stateSections || new Array(SECTION_COUNT).fill(null);
+    }
+
+    /**
+     * Copies all block data into a flat array (for saving, export and transfer).
+     * @returns {Uint16Array} Block IDs in Y-major order.
+     */
+    getBlockData() {
+        return Chunk.sectionsToArray(this.sections);
+    }
+
+    /**
+     * Copies all block states into a flat array, like getBlockData.
+     * @returns {Uint16Array | null} Block states in Y-major order, or null if every block has its default state.
+     */
+    getStateData() {
+        return Chunk.hasStates(this.stateSections) ? Chunk.sectionsToArray(this.stateSections) : null;
+    }
+
+    /**
+     * Approximate memory used by the chunk's block data and light, in bytes.
+     * @returns {number}
+     */
+    getMemoryUsage() {
+        const lightBytes = this.lightSections
+            ? this.lightSections.reduce((total, light) => total + (light ? light.byteLength : 0), this.uniformLight.byteLength)
+            : 0;
+        return Chunk.getSectionsMemoryUsage(this.sections) + Chunk.getSectionsMemoryUsage(this.stateSections) + lightBytes;
+    }
+
+    /**
+     * Checks whether state sections hold any non-default state.
+     * @param {(PaletteStorage|null)[] | null} stateSections
+     * @returns {boolean}
+     */
+    static hasStates(stateSections) {
+        return !!stateSections && stateSections.some(states => states !== null);
+    }
+
+    /**
+     * Splits whole-chunk block data into section storages, dropping all-zero sections
+     * (all air for block IDs, all default for states).
+     * @param {ArrayLike<number>} blocks Block IDs (or states) in Y-major order for the whole chunk.
+     * @returns {(PaletteStorage|null)[]}
+     */
+    static sectionsFromArray(blocks) {
+        const sections = [];
+        for (let sectionIndex = 0; sectionIndex < SECTION_COUNT; sectionIndex++) {
+            const start = sectionIndex * SECTION_VOLUME;
+            const values = blocks.subarray ? blocks.subarray(start, start + SECTION_VOLUME) : blocks.slice(start, start + SECTION_VOLUME);
+            const section = PaletteStorage.fromArray(values);
+            sections.push(section.isSingleValue() && section.get(0) === BLOCKS[0].id ? null : section);
+        }
+        return sections;
+    }
+
+    /**
+     * Joins section storages into whole-chunk block data.
+     * @param {(PaletteStorage|null)[]} sections
+     * @returns {Uint16Array} Block IDs in Y-major order.
+     */
+    static sectionsToArray(sections) {
+        const blocks = new Uint16Array(CHUNK_VOLUME).fill(BLOCKS[0].id);
+        sections.forEach((section, sectionIndex) => {
+            if (section) {
+                const start = sectionIndex * SECTION_VOLUME;
+                section.toArray(blocks.subarray(start, start + SECTION_VOLUME));
+            }
+        });
+        return blocks;
+    }
+
+    /**
+     * Approximate memory used by section storages, in bytes.
+     * @param {(PaletteStorage|null)[]} sections
+     * @returns {number}
+     */
+    static getSectionsMemoryUsage(sections) {
+        return sections.reduce((total, section) => total + (section ? section.getMemoryUsage() : 0), 0);
+    }
+
+    /**
+     * Sets one state in a section's state storage, creating or dropping the storage as needed.
+     * @returns {number} The previous state.
+     * @private
+     */
+    _setSectionState(sectionIndex, index, state) {
+        let states = this.stateSections[sectionIndex];
+        if (!states) {
+            if (state === 0) return 0;
+            states = new PaletteStorage(SECTION_VOLUME, 0);
+            this.stateSections[sectionIndex] = states;
+        }
+        const oldState = states.set(index, state);
+        if (state === 0 && states.isSingleValue()) {
+            this.stateSections[sectionIndex] = null; // Back to all defaults
+        }
+        return oldState;
     }
 
     /**
@@ -139,7 +591,7 @@ export class Chunk {
      * @param {number} x Local X coordinate.
      * @param {number} y Local Y coordinate.
      * @param {number} z Local Z coordinate.
-     * @returns {number} The index in the `blocks` array.
+     * @returns {number} The index in the chunk's block data (see getBlockData).
      * @private
      */
     _getIndex(x, y, z) {
@@ -149,8 +601,8 @@ export class Chunk {
     }
 
     /**
-     * Returns the chunk's mesh object.
-     * @returns {THREE.Mesh | null}
+     * Returns the chunk's mesh object (a group of section meshes).
+     * @returns {THREE.Group | null}
      */
     getMesh() {
         return this.mesh;
@@ -160,10 +612,14 @@ export class Chunk {
      * Disposes of the chunk's geometry. Material is shared and handled elsewhere.
      */
     dispose() {
-        if (this.geometry) {
-            this.geometry.dispose();
-            this.geometry = null;
-        }
+        [...this.sectionMeshes, ...this.cutoutMeshes, ...this.translucentMeshes].forEach(mesh => {
+            if (mesh) {
+                mesh.geometry.dispose();
+            }
+        });
+        this.sectionMeshes.fill(null);
+        this.cutoutMeshes.fill(null);
+        this.translucentMeshes.fill(null);
         if (this.mesh) {
             // Mesh removal from scene is handled by World
             this.mesh = null;
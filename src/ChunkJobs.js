@@ -0,0 +1,143 @@
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { ChunkMesher } from './ChunkMesher.js';
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH, SECTION_HEIGHT, SECTION_COUNT } from './Chunk.js';
+import { BLOCKS, isBlockOpaque } from './BlockRegistry.js';
+import { computeChunkLight } from './Lighting.js';
+import { BlockVolume } from './BlockVolume.js';
+
+/**
+ * Pure chunk job handlers shared by the Web Worker (ChunkWorker.js) and tests.
+ * Jobs are plain objects so they can be posted to a worker; results contain typed
+ * arrays whose buffers are listed in `transfer` so they move without copying.
+ */
+
+// One generator per seed and settings; a worker typically serves a single world
+const generators = new Map();
+
+function getGenerator(seed, settings) {
+    const key = `${seed}:${JSON.stringify(settings || {})}`;
+    let generator = generators.get(key);
+    if (!generator) {
+        generator = new TerrainGenerator(seed);
+        if (settings) {
+            generator.applySettings(settings);
+        }
+        generators.set(key, generator);
+    }
+    return generator;
+}
+
+/**
+ * Generates block data, light and initial section meshes for a chunk.
+ * Blocks outside the chunk are looked up from the generator itself, so faces against
+ * neighbors that are not loaded yet are culled as if the untouched terrain were there.
+ * The chunk is lit on its own (see computeChunkLight); outside it, the light of the nearest
+ * block inside is used. World joins the light up with the neighbors and remeshes what changed.
+ * All-air sections and all-opaque sections enclosed by opaque blocks get no mesh (null); the others are
+ * meshed from one BlockVolume spanning them.
+ * @param {{seed: number, settings?: object, chunkX: number, chunkY: number, chunkZ: number, greedy?: boolean}} job
+ *   `settings` are TerrainGenerator settings (see getSettings); defaults are used when omitted. `greedy` selects
+ *   greedy meshing (see ChunkMesher.generate).
+ * @returns {{result: object, transfer: ArrayBuffer[]}}
+ */
+function generateChunk(job) {
+    const generator = getGenerator(job.seed, job.settings);
+    const origin = {
+        x: job.chunkX * CHUNK_WIDTH,
+        y: job.chunkY * CHUNK_HEIGHT,
+        z: job.chunkZ * CHUNK_DEPTH
+    };
+    const blocks = generator.generateChunkData(origin.x, origin.y, origin.z);
+
+    const getBlockFn = (worldX, worldY, worldZ) => {
+        const localX = worldX - origin.x;
+        const localY = worldY - origin.y;
+        const localZ = worldZ - origin.z;
+        if (localX >= 0 && localX < CHUNK_WIDTH && localY >= 0 && localY < CHUNK_HEIGHT && localZ >= 0 && localZ < CHUNK_DEPTH) {
+            return blocks[localY * (CHUNK_WIDTH * CHUNK_DEPTH) + localZ * CHUNK_WIDTH + localX];
+        }
+        return generator.getBlockId(worldX, worldY, worldZ);
+    };
+    const light = computeChunkLight(blocks);
+    const getLightFn = (worldX, worldY, worldZ) => {
+        const localX = Math.min(Math.max(worldX - origin.x, 0), CHUNK_WIDTH - 1);
+        const localY = Math.min(Math.max(worldY - origin.y, 0), CHUNK_HEIGHT - 1);
+        const localZ = Math.min(Math.max(worldZ - origin.z, 0), CHUNK_DEPTH - 1);
+        return light[localY * (CHUNK_WIDTH * CHUNK_DEPTH) + localZ * CHUNK_WIDTH + localX];
+    };
+
+    const sectionVolume = CHUNK_WIDTH * SECTION_HEIGHT * CHUNK_DEPTH;
+    const meshedSections = [];
+    for (let sectionIndex = 0; sectionIndex < SECTION_COUNT; sectionIndex++) {
+        const sectionBlocks = blocks.subarray(sectionIndex * sectionVolume, (sectionIndex + 1) * sectionVolume);
+        const isEmpty = sectionBlocks.every(blockId => blockId === BLOCKS[0].id);
+        const isOpaque = !isEmpty && sectionBlocks.every(isBlockOpaque);
+        if (!isEmpty && !(isOpaque && ChunkMesher.isSectionEnclosed(origin, sectionIndex, getBlockFn))) {
+            meshedSections.push(sectionIndex);
+        }
+    }
+
+    const mesh = new Array(SECTION_COUNT).fill(null);
+    const transfer = [blocks.buffer, light.buffer];
+    if (meshedSections.length > 0) {
+        // Generated terrain has default states only
+        const minY = meshedSections[0] * SECTION_HEIGHT;
+        const maxY = (meshedSections[meshedSections.length - 1] + 1) * SECTION_HEIGHT;
+        const volume = BlockVolume.fromLookups(origin.x, origin.y + minY, origin.z, CHUNK_WIDTH, maxY - minY, CHUNK_DEPTH, getBlockFn,
+            null, getLightFn);
+        for (const sectionIndex of meshedSections) {
+            const sectionMesh = ChunkMesher.generateSectionFromVolume(volume, origin, sectionIndex, { greedy: job.greedy });
+            transferMeshData(sectionMesh, transfer);
+            if (sectionMesh.cutout) transferMeshData(sectionMesh.cutout, transfer);
+            if (sectionMesh.translucent) transferMeshData(sectionMesh.translucent, transfer);
+            mesh[sectionIndex] = sectionMesh;
+        }
+    }
+
+    return {
+        result: { blocks, light, mesh },
+        transfer
+    };
+}
+
+/**
+ * Adds the buffers of mesher output (typed arrays of their own, see ChunkMesher.generate) to a transfer list.
+ * @param {{positions: Uint16Array, faces: Uint8Array, uvs: Float32Array, tiles: Uint8Array, lights: Uint8Array,
+ *   ao: Uint8Array, indices: Uint16Array | Uint32Array}} meshData
+ * @param {ArrayBuffer[]} transfer
+ */
+function transferMeshData(meshData, transfer) {
+    const { positions, faces, uvs, tiles, lights, ao, indices } = meshData;
+    transfer.push(positions.buffer, faces.buffer, uvs.buffer, tiles.buffer, lights.buffer, ao.buffer, indices.buffer);
+}
+
+const JOB_HANDLERS = {
+    generate: generateChunk,
+};
+
+/**
+ * Runs a single job.
+ * @param {{type: string}} job The job description. `type` selects the handler.
+ * @returns {{result: object, transfer: ArrayBuffer[]}} The result and the buffers to transfer.
+ */
+export function runChunkJob(job) {
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) {
+        throw new Error(`Unknown chunk job type: ${job.type}`);
+    }
+    return handler(job);
+}
+
+/**
+ * Handles a message posted by WorkerPool: `{ id, job }`.
+ * @param {{id: number, job: object}} data The message data.
+ * @returns {{response: object, transfer: ArrayBuffer[]}} The reply (`{ id, result }` or `{ id, error }`) and its transfer list.
+ */
+export function handleChunkJobMessage(data) {
+    try {
+        const { result, transfer } = runChunkJob(data.job);
+        return { response: { id: data.id, result }, transfer };
+    } catch (error) {
+        return { response: { id: data.id, error: error.message }, transfer: [] };
+    }
+}
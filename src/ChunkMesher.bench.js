@@ -0,0 +1,192 @@
+import { afterAll, bench, describe } from 'vitest';
+import { PerformanceObserver } from 'node:perf_hooks';
+import { World } from './World.js';
+import { ChunkMesher } from './ChunkMesher.js';
+import { CHUNK_WIDTH, CHUNK_DEPTH, SECTION_HEIGHT, SECTION_COUNT } from './Chunk.js';
+
+// Mesh build time for generated terrain: the whole 16x256x16 chunk cell by cell versus per section,
+// skipping all-air sections and all-solid sections enclosed by solid neighbours, and naive versus greedy meshing.
+// Compares the packed typed-array output (MeshBuffers) with a baseline of the output it replaced: plain number arrays
+// of unpacked floats, copied into Float32Arrays for the geometry (PlainArrayBuffers below), in build time and in the
+// memory of a build of all sections: the bytes of the mesh data and the garbage collections (count and pause) per
+// build, meshing from a copy of the world so its own lookups don't count. The memory table is printed after the runs.
+// And compares meshing through per-block world lookups with copying the chunk and its border into a BlockVolume
+// once (World.createBlockVolume) and meshing from that, as Chunk.updateMesh does.
+// Run with `npm run bench`.
+
+// Normals by face ID, in ChunkMesher's face order
+const FACE_NORMALS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+const MAX_UINT16_VERTICES = 65536;
+
+/**
+ * Baseline for the packed format, kept frozen: MeshBuffers' interface over plain number arrays in the vertex format
+ * the mesher wrote before it (float positions, normals, UVs, tiles, light and occlusion), new arrays per mesh, copied
+ * into typed arrays like the Float32BufferAttributes they went into.
+ */
+class PlainArrayBuffers {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.arrays = { positions: [], normals: [], uvs: [], tiles: [], lights: [], ao: [], indices: [] };
+        this.vertexCount = 0;
+    }
+
+    addVertex(x, y, z, face, u, v, tileColumn, tileRow, skyLight, blockLight, occlusion) {
+        const { positions, normals, uvs, tiles, lights, ao } = this.arrays;
+        positions.push(x, y, z);
+        normals.push(...FACE_NORMALS[face]);
+        uvs.push(u, v);
+        tiles.push(tileColumn, tileRow);
+        lights.push(skyLight, blockLight);
+        ao.push(occlusion);
+        this.vertexCount++;
+    }
+
+    addQuad(quadIndices) {
+        const base = this.vertexCount - 4;
+        for (const index of quadIndices) this.arrays.indices.push(base + index);
+    }
+
+    toMeshData() {
+        const meshData = {};
+        for (const [name, array] of Object.entries(this.arrays)) {
+            meshData[name] = new Float32Array(array);
+        }
+        meshData.indices = this.vertexCount <= MAX_UINT16_VERTICES
+            ? new Uint16Array(this.arrays.indices) : new Uint32Array(this.arrays.indices);
+        return meshData;
+    }
+}
+const plainArrayBuffers = { opaque: new PlainArrayBuffers(), cutout: new PlainArrayBuffers(), translucent: new PlainArrayBuffers() };
+
+const world = new World({}, 67890);
+for (let chunkX = -1; chunkX <= 1; chunkX++) {
+    for (let chunkZ = -1; chunkZ <= 1; chunkZ++) {
+        for (let chunkY = -2; chunkY <= 0; chunkY++) {
+            world.getOrCreateChunk(chunkX, chunkY, chunkZ);
+        }
+    }
+}
+const getBlockFn = (worldX, worldY, worldZ) => world.getBlock(worldX, worldY, worldZ);
+const getStateFn = (worldX, worldY, worldZ) => world.getBlockState(worldX, worldY, worldZ);
+const getLightFn = (worldX, worldY, worldZ) => world.getLight(worldX, worldY, worldZ);
+
+/**
+ * Meshes every stored section of a chunk like Chunk.updateMesh, returning the mesh data per section: from a
+ * BlockVolume if given, into `buffers` if given (see ChunkMesher.generateSectionFromVolume), else through per-block
+ * world lookups.
+ */
+function meshSections(chunk, greedy, volume = null, buffers = undefined) {
+    const meshes = [];
+    for (let sectionIndex = 0; sectionIndex < SECTION_COUNT; sectionIndex++) {
+        if (!chunk.sections[sectionIndex]) continue;
+        meshes.push(volume
+            ? ChunkMesher.generateSectionFromVolume(volume, chunk.position, sectionIndex, { greedy, buffers })
+            : ChunkMesher.generateSection(chunk.sections[sectionIndex], chunk.position, sectionIndex, getBlockFn,
+                chunk.stateSections[sectionIndex], getStateFn, getLightFn, { greedy }));
+    }
+    return meshes;
+}
+
+/**
+ * Copies the stored sections of a chunk and one block around them out of the world, like Chunk.updateMesh.
+ */
+function createChunkVolume(chunk) {
+    const stored = chunk.sections.flatMap((section, sectionIndex) => (section ? [sectionIndex] : []));
+    const minY = stored[0] * SECTION_HEIGHT;
+    const maxY = (stored[stored.length - 1] + 1) * SECTION_HEIGHT;
+    const { x, y, z } = chunk.position;
+    return world.createBlockVolume(x, y + minY, z, CHUNK_WIDTH, maxY - minY, CHUNK_DEPTH);
+}
+
+/**
+ * Total bytes of the typed arrays in mesh data from meshSections.
+ */
+function meshBytes(meshes) {
+    let bytes = 0;
+    for (const mesh of meshes) {
+        for (const array of Object.values(mesh)) {
+            if (ArrayBuffer.isView(array)) bytes += array.byteLength; // Cutout and translucent parts left out
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Meshes a chunk a number of times and reports the garbage collections that happened meanwhile.
+ */
+async function measureCollections(chunk, greedy, volume, buffers, builds = 20) {
+    const collections = [];
+    const observer = new PerformanceObserver(list => collections.push(...list.getEntries()));
+    observer.observe({ entryTypes: ['gc'] });
+    for (let i = 0; i < builds; i++) meshSections(chunk, greedy, volume, buffers);
+    await new Promise(resolve => setTimeout(resolve, 0)); // Entries are delivered asynchronously
+    observer.disconnect();
+    const milliseconds = collections.reduce((sum, entry) => sum + entry.duration, 0);
+    return `${(collections.length / builds).toFixed(1)} (${(milliseconds / builds).toFixed(2)} ms)`;
+}
+
+const memory = {};
+
+for (const [name, chunkY] of [['surface chunk (0,0,0)', 0], ['underground chunk (0,-1,0)', -1]]) {
+    const chunk = world.getChunk(0, chunkY, 0);
+    const blocks = chunk.getBlockData();
+
+    const volume = createChunkVolume(chunk);
+    for (const greedy of [false, true]) {
+        const kibibytes = buffers => `${(meshBytes(meshSections(chunk, greedy, volume, buffers)) / 1024).toFixed(1)} KiB`;
+        memory[`${name}${greedy ? ', greedy' : ''}`] = {
+            'mesh data': kibibytes(undefined),
+            'mesh data, baseline': kibibytes(plainArrayBuffers),
+            'collections per build': await measureCollections(chunk, greedy, volume, undefined),
+            'collections per build, baseline': await measureCollections(chunk, greedy, volume, plainArrayBuffers),
+        };
+    }
+
+    describe(name, () => {
+        bench('whole chunk', () => {
+            ChunkMesher.generate(blocks, chunk.position, getBlockFn);
+        }, { time: 500 });
+
+        bench('sections', () => {
+            world.greedyMeshing = false;
+            chunk.markAllSectionsDirty();
+            chunk.updateMesh();
+        }, { time: 500 });
+
+        bench('sections, greedy', () => {
+            world.greedyMeshing = true;
+            chunk.markAllSectionsDirty();
+            chunk.updateMesh();
+        }, { time: 500 });
+    });
+
+    describe(`${name}: packed buffers vs plain-array baseline`, () => {
+        for (const greedy of [false, true]) {
+            const suffix = greedy ? ', greedy' : '';
+            bench(`packed buffers${suffix}`, () => {
+                meshSections(chunk, greedy, volume);
+            }, { time: 500 });
+
+            bench(`plain-array baseline${suffix}`, () => {
+                meshSections(chunk, greedy, volume, plainArrayBuffers);
+            }, { time: 500 });
+        }
+    });
+
+    describe(`${name}: per-block lookups vs block volume`, () => {
+        bench('per-block world lookups', () => {
+            meshSections(chunk, false);
+        }, { time: 500 });
+
+        bench('block volume, copied from the world per build', () => {
+            meshSections(chunk, false, createChunkVolume(chunk));
+        }, { time: 500 });
+    });
+}
+afterAll(() => {
+    console.log('Mesh memory per build of all sections, packed buffers vs plain-array baseline:');
+    console.table(memory);
+});
@@ -1,4 +1,10 @@
-import { BLOCKS, getBlockById, getBlockTextureUV, generateFaceUVs } from './BlockRegistry.js';
+import {
+    getBlockById, getBlockFaceTexture, generateFaceUVs, getFluidHeight, getBlockTransparency, isBlockOpaque, getBlockBoxes,
+    TILE_UV_WIDTH, TILE_UV_HEIGHT,
+} from './BlockRegistry.js';
+import { MAX_LIGHT, skyLightOf, blockLightOf } from './Lighting.js';
+import { MeshBuffers, POSITION_SCALE } from './MeshBuffers.js';
+import { BlockVolume } from './BlockVolume.js';
 
 // Chunk dimensions (needed for _getIndex and loop bounds)
 // These must match the values in Chunk.js
@@ -6,6 +12,9 @@ export const CHUNK_WIDTH = 16;
 export const CHUNK_HEIGHT = 256;
 export const CHUNK_DEPTH = 16;
 // const CHUNK_VOLUME = CHUNK_WIDTH * CHUNK_HEIGHT * CHUNK_DEPTH;
+// Height of the vertical sections chunks are split into (must match Chunk.js)
+export const SECTION_HEIGHT = 16;
+const SECTION_VOLUME = CHUNK_WIDTH * SECTION_HEIGHT * CHUNK_DEPTH;
 
 // Geometry constants
 // Vertices ordered consistently for UV mapping (bl, br, tl, tr) relative to face direction
@@ -38,10 +47,79 @@ const CUBE_FACE_NORMALS = [
 // Assumes vertex order: 0:bl, 1:br, 2:tl, 3:tr
 const INDICES_CW = [0, 2, 1, 1, 2, 3];   // Clockwise (Use for Top/Bottom anomaly where CW makes them visible)
 const INDICES_CCW = [0, 1, 2, 1, 3, 2];  // Counter-Clockwise (Use for Sides where CCW makes them visible)
+// The same with the quad split along the other diagonal (bl-tr instead of br-tl), see _addFace
+const INDICES_CW_FLIPPED = [0, 3, 1, 0, 2, 3];
+const INDICES_CCW_FLIPPED = [0, 1, 3, 0, 3, 2];
 
 // Face names corresponding to CUBE_FACE_VERTICES/NORMALS order
 const FACE_NAMES = ['east', 'west', 'top', 'bottom', 'south', 'north']; // +x, -x, +y, -y, +z, -z
 
+// Per face: the axis (0 = x, 1 = y, 2 = z) of its normal, and those its texture's right (bl -> br) and up (bl -> tl) run along
+const FACE_AXES = CUBE_FACE_VERTICES.map((vertices, faceIndex) => ({
+    normal: CUBE_FACE_NORMALS[faceIndex].findIndex(component => component !== 0),
+    right: [0, 1, 2].find(axis => vertices[axis] !== vertices[3 + axis]),
+    up: [0, 1, 2].find(axis => vertices[axis] !== vertices[6 + axis]),
+}));
+
+// Per face and vertex (CUBE_FACE_VERTICES order): offsets from the block to the blocks in front of the face that
+// touch the vertex: the two beside it along the face's axes and the one diagonally at the corner
+const FACE_VERTEX_NEIGHBORS = CUBE_FACE_VERTICES.map((faceVertices, faceIndex) => {
+    const [nx, ny, nz] = CUBE_FACE_NORMALS[faceIndex];
+    return [0, 1, 2, 3].map(i => {
+        // Steps towards the vertex along the face's two in-plane axes (zero along the normal)
+        const sx = nx === 0 ? Math.sign(faceVertices[i * 3]) : 0;
+        const sy = ny === 0 ? Math.sign(faceVertices[i * 3 + 1]) : 0;
+        const sz = nz === 0 ? Math.sign(faceVertices[i * 3 + 2]) : 0;
+        const [firstX, firstY, firstZ] = nx === 0 ? [sx, 0, 0] : [0, sy, 0];
+        const [secondX, secondY, secondZ] = nz === 0 ? [0, 0, sz] : [0, sy, 0];
+        return {
+            side1: [nx + firstX, ny + firstY, nz + firstZ],
+            side2: [nx + secondX, ny + secondY, nz + secondZ],
+            corner: [nx + sx, ny + sy, nz + sz],
+        };
+    });
+});
+
+// Vertex light (sky, block) of all four vertices of a face when no light lookup is given: full daylight
+const FULL_LIGHT = [1, 0, 1, 0, 1, 0, 1, 0];
+
+// Light and opacity samples of the 3x3x3 blocks around the one being meshed (see _sampleLight, _isOpaqueAt)
+const UNSAMPLED = -2;
+const OPAQUE_SAMPLE = -1;
+
+// Marks blocks without the fluid among those around a fluid block (see _getFluidCornerHeights)
+const NO_FLUID = -1;
+
+// Ambient occlusion levels of a vertex: 0 (both blocks beside it opaque) to AO_LEVELS (nothing around it)
+const AO_LEVELS = 3;
+
+// A full block as a model box (see BlockRegistry.getBlockBoxes), for culling cube faces against models
+const FULL_BOX = [0, 0, 0, 1, 1, 1];
+const NO_BOXES = [];
+
+// Scratch space reused by every call of _generateLayers, so meshing allocates as little as possible.
+// Buffers per transparency (see BlockRegistry); the output is copied out of them (see MeshBuffers.toMeshData)
+const layerBuffers = {
+    opaque: new MeshBuffers(),
+    cutout: new MeshBuffers(),
+    translucent: new MeshBuffers(),
+};
+const neighbors = new Uint16Array(6); // IDs of the block's neighbors, in face order
+const lightSamples = new Int16Array(27); // Per block, see _sampleLight
+const opaqueSamples = new Int8Array(27); // Per block, see _isOpaqueAt
+const faceLights = new Array(8); // Per face, see _getFaceLights
+const faceOcclusion = new Array(4); // Per face, see _getFaceOcclusion
+const vertexSamples = new Int16Array(4); // Per vertex, see _getFaceLights
+const fluidHeights = new Float64Array(9); // Per fluid block, see _getFluidCornerHeights
+const fluidCornerHeights = new Float64Array(4); // Per fluid block, see _getFluidCornerHeights
+const neighborBoxes = []; // Per face, see _getNeighborBoxes
+const neighborBoxPool = []; // Box arrays neighborBoxes holds, reused
+const coveringBoxes = []; // Per model face, see _addModel
+let mergeableFaces = new Float64Array(0); // Keys of the faces waiting to be merged (see _getMergeKey); all 0 between calls
+
+// Texture of each block, state and face (see _getFaceTexture); key: (blockId * 65536 + state) * 6 + face index
+const faceTextureCache = new Map();
+
 
 /**
  * Encapsulates the logic for generating chunk mesh geometry from block data.
@@ -64,97 +142,780 @@ export class ChunkMesher {
 
     /**
      * Generates the geometry data (vertices, normals, uvs, indices) for a chunk mesh.
-     * Implements face culling by checking neighboring blocks using the provided getBlockFn.
+     * Implements face culling by checking neighboring blocks using the provided getBlockFn. The lookups are copied
+     * into a BlockVolume around the chunk first; generateSectionFromVolume() meshes from one directly.
+     *
+     * @param {PaletteStorage | ArrayLike<number>} chunkData - The chunk's block IDs: a PaletteStorage (read via get())
+     *   or a flat array, both indexed as in Chunk._getIndex.
+     * @param {object} chunkPosition - The world position of the chunk's origin (corner), expected {x, y, z}.
+     * @param {function} getBlockFn - Function to get blockId at world coordinates: (worldX, worldY, worldZ) => blockId.
+     * @param {PaletteStorage | ArrayLike<number> | null} [stateData=null] - Block states in the same layout as chunkData
+     *   (orient textures, see BlockRegistry.getBlockFaceTexture); null if every block has its default state.
+     * @param {function | null} [getStateFn=null] - Function to get the block state at world coordinates, used for the
+     *   surface height of neighboring fluid blocks and the shape of neighboring model blocks; null treats their states as default.
+     * @param {function | null} [getLightFn=null] - Function to get the packed light (see Lighting) at world coordinates;
+     *   null lights everything with full sky light.
+     * @param {{greedy?: boolean}} [options={}] - With `greedy`, neighboring faces in the same plane with the same block,
+     *   state, light and occlusion are merged into larger quads (fluid surfaces never are); otherwise every face is its own quad.
+     * @returns {{positions: Uint16Array, faces: Uint8Array, uvs: Float32Array, tiles: Uint8Array, lights: Uint8Array,
+     *   ao: Uint8Array, indices: Uint16Array | Uint32Array, cutout: object | null, translucent: object | null}}
+     *   Typed geometry arrays of their own in the packed vertex format (see MeshBuffers), ready for a BufferGeometry
+     *   or a transfer list; decodeMeshData() unpacks them. `lights` holds the sky and block light of each vertex,
+     *   smoothed over the blocks in front of the face around that corner, and `ao` its ambient occlusion from the
+     *   opaque blocks among those (see _getFaceOcclusion). `tiles` holds the atlas tile of each vertex's texture:
+     *   UVs of merged quads run on past their tile, once per block, and the chunk material wraps them back into it
+     *   (see TextureAtlas). Faces of cutout blocks (leaves) are in `cutout` and those of translucent blocks (glass,
+     *   water) in `translucent` (same arrays each), null if there are none (see BlockRegistry transparency).
+     *   Blocks with a model (slabs, stairs, fences, plants) are drawn as their boxes or crossed quads (see _addModel).
+     */
+    static generate(chunkData, chunkPosition, getBlockFn, stateData = null, getStateFn = null, getLightFn = null, options = {}) {
+        const volume = BlockVolume.fromLookups(chunkPosition.x, chunkPosition.y, chunkPosition.z, CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH,
+            getBlockFn, getStateFn, getLightFn);
+        const getLocalState = stateData ? ChunkMesher._createReader(stateData, 0) : null;
+        return ChunkMesher._generateLayers(volume, chunkPosition, 0, CHUNK_HEIGHT, options.greedy ?? false,
+            ChunkMesher._createReader(chunkData, 0), getLocalState);
+    }
+
+    /**
+     * Generates the geometry data for one vertical section of a chunk.
+     * Positions are relative to the chunk's origin (not the section's), like those of generate().
+     *
+     * @param {PaletteStorage | ArrayLike<number>} sectionData - The section's block IDs, indexed like
+     *   Chunk._getIndex with y relative to the section's bottom.
+     * @param {object} chunkPosition - The world position of the chunk's origin (corner), expected {x, y, z}.
+     * @param {number} sectionIndex - Index of the section within the chunk (0 = bottom).
+     * @param {function} getBlockFn - Function to get blockId at world coordinates: (worldX, worldY, worldZ) => blockId.
+     * @param {PaletteStorage | ArrayLike<number> | null} [stateData=null] - The section's block states in the same
+     *   layout as sectionData; null if every block has its default state.
+     * @param {function | null} [getStateFn=null] - Function to get the block state at world coordinates (see generate).
+     * @param {function | null} [getLightFn=null] - Function to get the packed light at world coordinates (see generate).
+     * @param {{greedy?: boolean}} [options={}] - Meshing options (see generate).
+     * @returns {{positions: Uint16Array, faces: Uint8Array, uvs: Float32Array, tiles: Uint8Array, lights: Uint8Array,
+     *   ao: Uint8Array, indices: Uint16Array | Uint32Array, cutout: object | null, translucent: object | null}}
+     *   Typed geometry arrays (see generate).
+     */
+    static generateSection(sectionData, chunkPosition, sectionIndex, getBlockFn, stateData = null, getStateFn = null, getLightFn = null,
+        options = {}) {
+        const minY = sectionIndex * SECTION_HEIGHT;
+        const volume = BlockVolume.fromLookups(chunkPosition.x, chunkPosition.y + minY, chunkPosition.z, CHUNK_WIDTH, SECTION_HEIGHT,
+            CHUNK_DEPTH, getBlockFn, getStateFn, getLightFn);
+        const getLocalBlock = ChunkMesher._createReader(sectionData, sectionIndex * SECTION_VOLUME);
+        const getLocalState = stateData ? ChunkMesher._createReader(stateData, sectionIndex * SECTION_VOLUME) : null;
+        return ChunkMesher._generateLayers(volume, chunkPosition, minY, minY + SECTION_HEIGHT, options.greedy ?? false,
+            getLocalBlock, getLocalState);
+    }
+
+    /**
+     * Generates the geometry data for one vertical section of a chunk from a BlockVolume holding the section and
+     * the blocks around it (see World.createBlockVolume), without calling back into the world: neighbors, states
+     * and light are all read from the volume, so it can be done on any thread.
+     *
+     * @param {BlockVolume} volume - Blocks covering at least the section, with one block of padding around it; its
+     *   states and light are used if it holds them (see generate for what null means).
+     * @param {object} chunkPosition - The world position of the chunk's origin (corner), expected {x, y, z}.
+     * @param {number} sectionIndex - Index of the section within the chunk (0 = bottom).
+     * @param {{greedy?: boolean, buffers?: {opaque: MeshBuffers, cutout: MeshBuffers, translucent: MeshBuffers}}}
+     *   [options={}] - Meshing options (see generate). `buffers` replaces the shared buffers the layers are written into
+     *   with objects that have MeshBuffers' methods, e.g. the plain-array baseline of the benchmark.
+     * @returns {{positions: Uint16Array, faces: Uint8Array, uvs: Float32Array, tiles: Uint8Array, lights: Uint8Array,
+     *   ao: Uint8Array, indices: Uint16Array | Uint32Array, cutout: object | null, translucent: object | null}}
+     *   Typed geometry arrays (see generate), or what the toMeshData() of the given `buffers` returns.
+     */
+    static generateSectionFromVolume(volume, chunkPosition, sectionIndex, options = {}) {
+        const minY = sectionIndex * SECTION_HEIGHT;
+        return ChunkMesher._generateLayers(volume, chunkPosition, minY, minY + SECTION_HEIGHT, options.greedy ?? false, null, null,
+            options.buffers);
+    }
+
+    /**
+     * Generates the geometry data for a single block on its own (all six faces), e.g. for a block
+     * moving outside the grid. Positions are relative to the block's minimum corner; it is lit with full sky light.
+     *
+     * @param {number} blockId - The block's ID.
+     * @param {number} [state=0] - The block's state.
+     * @returns {{positions: Uint16Array, faces: Uint8Array, uvs: Float32Array, tiles: Uint8Array, lights: Uint8Array,
+     *   ao: Uint8Array, indices: Uint16Array | Uint32Array}} Typed geometry arrays (see generate).
+     */
+    static generateBlock(blockId, state = 0) {
+        // A layer of air as high as the block, with the block in its corner
+        const volume = new BlockVolume(0, 0, 0, CHUNK_WIDTH, 1, CHUNK_DEPTH, { states: true });
+        volume.blocks[volume.index(0, 0, 0)] = blockId;
+        volume.states[volume.index(0, 0, 0)] = state;
+        return ChunkMesher._generateLayers(volume, { x: 0, y: 0, z: 0 }, 0, 1);
+    }
+
+    /**
+     * Checks whether every block just outside a section (the 16x16 layer beyond each of its six faces) is opaque.
+     * An all-opaque section surrounded like this has no visible faces and need not be meshed at all.
      *
-     * @param {Uint8Array} chunkData - The flat array of block IDs for the chunk.
      * @param {object} chunkPosition - The world position of the chunk's origin (corner), expected {x, y, z}.
+     * @param {number} sectionIndex - Index of the section within the chunk (0 = bottom).
      * @param {function} getBlockFn - Function to get blockId at world coordinates: (worldX, worldY, worldZ) => blockId.
-     * @returns {{positions: number[], normals: number[], uvs: number[], indices: number[]}} An object containing geometry arrays.
+     * @returns {boolean} True if the section is enclosed by opaque blocks on all sides.
+     */
+    static isSectionEnclosed(chunkPosition, sectionIndex, getBlockFn) {
+        const minX = chunkPosition.x;
+        const minY = chunkPosition.y + sectionIndex * SECTION_HEIGHT;
+        const minZ = chunkPosition.z;
+        const isOpaque = (x, y, z) => isBlockOpaque(getBlockFn(x, y, z));
+
+        for (let a = 0; a < CHUNK_WIDTH; a++) {
+            for (let b = 0; b < CHUNK_DEPTH; b++) {
+                // Layers below and above (a = x, b = z)
+                if (!isOpaque(minX + a, minY - 1, minZ + b) || !isOpaque(minX + a, minY + SECTION_HEIGHT, minZ + b)) {
+                    return false;
+                }
+            }
+            for (let b = 0; b < SECTION_HEIGHT; b++) {
+                // Layers north and south (a = x, b = y)
+                if (!isOpaque(minX + a, minY + b, minZ - 1) || !isOpaque(minX + a, minY + b, minZ + CHUNK_DEPTH)) {
+                    return false;
+                }
+            }
+        }
+        for (let a = 0; a < CHUNK_DEPTH; a++) {
+            for (let b = 0; b < SECTION_HEIGHT; b++) {
+                // Layers west and east (a = z, b = y)
+                if (!isOpaque(minX - 1, minY + b, minZ + a) || !isOpaque(minX + CHUNK_WIDTH, minY + b, minZ + a)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Unpacks mesh data from generate() (or one of its parts) into plain arrays as the chunk materials see them:
+     * chunk-relative positions, normals from the face IDs, tiles as the atlas UV of their bottom-left corner and
+     * light and ambient occlusion as 0-1. For tests and tools; the renderer uses the packed arrays.
+     * @param {object} meshData Output of generate(), generateSection() or generateBlock().
+     * @returns {{positions: number[], normals: number[], uvs: number[], tiles: number[], lights: number[], ao: number[],
+     *   indices: number[], cutout?: object | null, translucent?: object | null}} `cutout` and `translucent` are unpacked too.
+     */
+    static decodeMeshData(meshData) {
+        const { positions, faces, uvs, tiles, lights, ao, indices } = meshData;
+        const decoded = {
+            positions: Array.from(positions, coordinate => coordinate / POSITION_SCALE),
+            normals: Array.from(faces, face => CUBE_FACE_NORMALS[face]).flat(),
+            uvs: Array.from(uvs),
+            tiles: Array.from(tiles, (tile, i) => tile * (i % 2 === 0 ? TILE_UV_WIDTH : TILE_UV_HEIGHT)),
+            lights: Array.from(lights, light => light / 255),
+            ao: Array.from(ao, level => level / 255),
+            indices: Array.from(indices),
+        };
+        for (const part of ['cutout', 'translucent']) {
+            if (part in meshData) {
+                decoded[part] = meshData[part] ? ChunkMesher.decodeMeshData(meshData[part]) : null;
+            }
+        }
+        return decoded;
+    }
+
+    /**
+     * Creates a reader from chunk-relative block index to block ID.
+     * @param {PaletteStorage | ArrayLike<number>} data Block IDs; a PaletteStorage (read via get()) or a flat array.
+     * @param {number} indexOffset Chunk-relative index of data[0].
+     * @returns {function(number): number}
+     * @private
      */
-    static generate(chunkData, chunkPosition, getBlockFn) {
-        const positions = [];
-        const normals = [];
-        const uvs = [];
-        const indices = [];
-        let vertexIndex = 0; // Tracks the current vertex index for the indices array
+    static _createReader(data, indexOffset) {
+        return typeof data.get === 'function'
+            ? index => data.get(index - indexOffset)
+            : index => data[index - indexOffset];
+    }
+
+    /**
+     * Meshes the blocks with local Y in [minY, maxY), which `volume` must cover. Neighbors, their states and light are
+     * read from the volume; so are the blocks being meshed, unless `getLocalBlock` (and `getLocalState`, null when
+     * all states are default) read them by chunk-relative index instead.
+     * Faces of cutout and translucent blocks go into separate buffers, returned as `cutout` and `translucent`
+     * (null if there are none).
+     * With `greedy`, evenly lit and occluded faces are collected per direction first and merged by _mergeFaces.
+     * `layers` are the buffers per transparency written into, the shared layerBuffers by default.
+     * @private
+     */
+    static _generateLayers(volume, chunkPosition, minY, maxY, greedy = false, getLocalBlock = null, getLocalState = null,
+        layers = layerBuffers) {
+        for (const buffers of Object.values(layers)) {
+            buffers.reset();
+        }
+        const layerVolume = CHUNK_WIDTH * (maxY - minY) * CHUNK_DEPTH;
+        // Index: face index * layerVolume + block index relative to minY
+        if (greedy && mergeableFaces.length < 6 * layerVolume) {
+            mergeableFaces = new Float64Array(6 * layerVolume);
+        }
 
-        const getBlock = getBlockFn;
+        const { blocks, states, strideY, strideZ } = volume;
 
-        for (let y = 0; y < CHUNK_HEIGHT; y++) {
+        for (let y = minY; y < maxY; y++) {
             for (let z = 0; z < CHUNK_DEPTH; z++) {
+                const rowCell = volume.index(chunkPosition.x, chunkPosition.y + y, chunkPosition.z + z);
                 for (let x = 0; x < CHUNK_WIDTH; x++) {
-                    // Get block ID from the chunkData array using local coordinates
                     const blockIndex = ChunkMesher._getIndex(x, y, z);
-                    const blockId = chunkData[blockIndex];
+                    const cell = rowCell + x; // Index into the volume's arrays
+                    const blockId = getLocalBlock ? getLocalBlock(blockIndex) : blocks[cell];
                     const block = getBlockById(blockId);
 
-                    if (!block.solid) {
+                    if (!block.solid && !block.fluid && !block.model) {
                         continue; // Skip air blocks and other non-solid blocks
                     }
+                    let state = 0;
+                    if (getLocalBlock) {
+                        state = getLocalState ? getLocalState(blockIndex) : 0;
+                    } else if (states) {
+                        state = states[cell];
+                    }
+                    const transparency = getBlockTransparency(blockId);
+                    const buffers = layers[transparency];
 
                     const worldX = chunkPosition.x + x;
                     const worldY = chunkPosition.y + y;
                     const worldZ = chunkPosition.z + z;
 
-                    const neighbors = [
-                        getBlock(worldX + 1, worldY, worldZ), // East (+x)
-                        getBlock(worldX - 1, worldY, worldZ), // West (-x)
-                        getBlock(worldX, worldY + 1, worldZ), // Top (+y)
-                        getBlock(worldX, worldY - 1, worldZ), // Bottom (-y)
-                        getBlock(worldX, worldY, worldZ + 1), // South (+z)
-                        getBlock(worldX, worldY, worldZ - 1)  // North (-z)
-                    ];
+                    neighbors[0] = blocks[cell + 1]; // East (+x)
+                    neighbors[1] = blocks[cell - 1]; // West (-x)
+                    neighbors[2] = blocks[cell + strideY]; // Top (+y)
+                    neighbors[3] = blocks[cell - strideY]; // Bottom (-y)
+                    neighbors[4] = blocks[cell + strideZ]; // South (+z)
+                    neighbors[5] = blocks[cell - strideZ]; // North (-z)
+
+                    if (block.model) {
+                        ChunkMesher._addModel(buffers, blockId, state, x, y, z, worldX, worldY, worldZ, volume, cell);
+                        continue;
+                    }
+
+                    // Fluids: surface height per top corner (-x-z, +x-z, -x+z, +x+z), sloping towards lower neighbors
+                    const cornerHeights = block.fluid ? ChunkMesher._getFluidCornerHeights(blockId, state, volume, cell) : null;
+                    lightSamples.fill(UNSAMPLED);
+                    opaqueSamples.fill(UNSAMPLED);
 
                     for (let faceIndex = 0; faceIndex < 6; faceIndex++) {
                         const neighborId = neighbors[faceIndex];
-                        const neighborBlock = getBlockById(neighborId);
-
-                        // If the neighbor is not solid, expose the face
-                        if (!neighborBlock.solid) {
-                            const faceVertices = CUBE_FACE_VERTICES[faceIndex];
-                            const faceName = FACE_NAMES[faceIndex];
-
-                            // Get UV coordinates for this face based on block type and face name
-                            const uvData = getBlockTextureUV(blockId, faceName);
-                            if (!uvData) {
-                                console.warn(`Missing texture UV data for block ${blockId} face ${faceName}`);
-                                continue; // Skip face if UVs are missing
-                            }
-                            const faceUVs = generateFaceUVs(uvData[0], uvData[1]); // [u0,v0, u1,v1, u2,v2, u3,v3]
-
-                            // Add vertices, normals, and UVs for the 4 vertices of this face
-                            for (let i = 0; i < 4; i++) { // 4 vertices per face
-                                const vOffset = i * 3; // Index into faceVertices
-                                const uvOffset = i * 2; // Index into faceUVs
-
-                                // Add position vertex (relative to chunk origin, centered at x+0.5, y+0.5, z+0.5)
-                                positions.push(faceVertices[vOffset + 0] + x + 0.5, faceVertices[vOffset + 1] + y + 0.5, faceVertices[vOffset + 2] + z + 0.5);
-
-                                const normal = CUBE_FACE_NORMALS[faceIndex];
-                                normals.push(normal[0], normal[1], normal[2]);
-
-                                uvs.push(faceUVs[uvOffset], faceUVs[uvOffset + 1]);
-                            }
-
-                            // Add indices for the two triangles forming this face
-                            // Select indices based on face type to work around potential rendering anomalies
-                            let faceIndices;
-                            if (faceIndex === 2 || faceIndex === 3) { // Top or Bottom face
-                                faceIndices = INDICES_CW;
-                            } else { // Side faces (East, West, South, North)
-                                faceIndices = INDICES_CCW;
-                            }
-
-                            for (let i = 0; i < faceIndices.length; i++) {
-                                indices.push(vertexIndex + faceIndices[i]);
-                            }
-                            vertexIndex += 4; // Increment base index for the next face
+
+                        // Opaque neighbors hide the face; fluids and translucent blocks also hide faces against the same block
+                        if (isBlockOpaque(neighborId) || (neighborId === blockId && (block.fluid || transparency === 'translucent'))) {
+                            continue;
+                        }
+                        // So do neighboring models that fill the whole side, like a slab's bottom
+                        const neighborBoxes = ChunkMesher._getNeighborBoxes(faceIndex, neighborId, worldX, worldY, worldZ, volume);
+                        if (ChunkMesher._isFaceCovered(FULL_BOX, faceIndex, neighborBoxes)) {
+                            continue;
+                        }
+                        const texture = ChunkMesher._getFaceTexture(blockId, block.fluid ? 0 : state, faceIndex);
+                        if (!texture) {
+                            continue; // Skip face if UVs are missing
                         }
+                        const vertexLights = volume.light ? ChunkMesher._getFaceLights(faceIndex, volume, cell) : FULL_LIGHT;
+                        const occlusion = ChunkMesher._getFaceOcclusion(faceIndex, volume, cell);
+                        if (greedy && !cornerHeights && ChunkMesher._isEvenlyLit(vertexLights, occlusion)) {
+                            mergeableFaces[faceIndex * layerVolume + blockIndex - minY * CHUNK_WIDTH * CHUNK_DEPTH] =
+                                ChunkMesher._getMergeKey(blockId, state, vertexLights[0], vertexLights[1], occlusion[0]);
+                            continue;
+                        }
+                        ChunkMesher._addFace(buffers, faceIndex, x, y, z, texture, vertexLights, occlusion, cornerHeights);
+                    }
+                }
+            }
+        }
+        if (greedy) {
+            ChunkMesher._mergeFaces(mergeableFaces, layerVolume, minY, layers);
+        }
+
+        const { opaque, cutout, translucent } = layers;
+        return {
+            ...opaque.toMeshData(),
+            cutout: cutout.vertexCount > 0 ? cutout.toMeshData() : null,
+            translucent: translucent.vertexCount > 0 ? translucent.toMeshData() : null,
+        };
+    }
+
+    /**
+     * Looks up the texture of a block's face, with the UVs of its four corners (see BlockRegistry.generateFaceUVs)
+     * and its atlas tile, remembering it in faceTextureCache. Warns and returns null if the block has none.
+     * @returns {{faceUVs: number[], tileColumn: number, tileRow: number} | null}
+     * @private
+     */
+    static _getFaceTexture(blockId, state, faceIndex) {
+        const key = (blockId * 65536 + state) * 6 + faceIndex;
+        let faceTexture = faceTextureCache.get(key);
+        if (faceTexture === undefined) {
+            const faceName = FACE_NAMES[faceIndex];
+            const texture = getBlockFaceTexture(blockId, state, faceName);
+            if (!texture) {
+                console.warn(`Missing texture UV data for block ${blockId} face ${faceName}`);
+                faceTexture = null;
+            } else {
+                faceTexture = {
+                    faceUVs: generateFaceUVs(texture.uv[0], texture.uv[1], texture.rotation), // [u0,v0, u1,v1, u2,v2, u3,v3]
+                    tileColumn: Math.round(texture.uv[0] / TILE_UV_WIDTH),
+                    tileRow: Math.round(texture.uv[1] / TILE_UV_HEIGHT),
+                };
+            }
+            faceTextureCache.set(key, faceTexture);
+        }
+        return faceTexture;
+    }
+
+    /**
+     * Checks whether all four vertices of a face got the same light and occlusion, so it can be merged with
+     * faces lit the same.
+     * @private
+     */
+    static _isEvenlyLit(vertexLights, occlusion) {
+        for (let i = 1; i < 4; i++) {
+            if (vertexLights[i * 2] !== vertexLights[0] || vertexLights[i * 2 + 1] !== vertexLights[1] || occlusion[i] !== occlusion[0]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Packs what merged faces must share into one number, which is all _mergeFaces needs to add their quad:
+     * block ID (16 bits), state (16), sky and block light (8 each, at the precision MeshBuffers stores them) and
+     * ambient occlusion level (2). Never 0, as air has no faces.
+     * @private
+     */
+    static _getMergeKey(blockId, state, skyLight, blockLight, occlusion) {
+        const sky = Math.round(skyLight * 255);
+        const block = Math.round(blockLight * 255);
+        return (((blockId * 65536 + state) * 256 + sky) * 256 + block) * 4 + occlusion;
+    }
+
+    /**
+     * Greedy meshing: merges the collected faces of each direction into rectangles of faces with the same key
+     * (see _getMergeKey), growing each along the texture's right axis first, then along its up axis, and adds one
+     * quad per rectangle into `layers` (see _generateLayers). Consumes `mergeableFaces`.
+     * @private
+     */
+    static _mergeFaces(mergeableFaces, layerVolume, minY, layers) {
+        const strides = [1, CHUNK_WIDTH * CHUNK_DEPTH, CHUNK_WIDTH]; // Index steps along x, y and z
+        const limits = [CHUNK_WIDTH, layerVolume / (CHUNK_WIDTH * CHUNK_DEPTH), CHUNK_DEPTH];
+        const coordinates = [0, 0, 0];
+        const size = [1, 1, 1];
+
+        for (let faceIndex = 0; faceIndex < 6; faceIndex++) {
+            const { right, up } = FACE_AXES[faceIndex];
+            const base = faceIndex * layerVolume;
+            for (let index = 0; index < layerVolume; index++) {
+                const key = mergeableFaces[base + index];
+                if (key === 0) continue;
+                coordinates[0] = index % CHUNK_WIDTH;
+                coordinates[1] = Math.floor(index / (CHUNK_WIDTH * CHUNK_DEPTH));
+                coordinates[2] = Math.floor(index / CHUNK_WIDTH) % CHUNK_DEPTH;
+
+                let width = 1;
+                while (coordinates[right] + width < limits[right] && mergeableFaces[base + index + width * strides[right]] === key) {
+                    width++;
+                }
+                let height = 1;
+                grow: while (coordinates[up] + height < limits[up]) {
+                    const rowStart = base + index + height * strides[up];
+                    for (let i = 0; i < width; i++) {
+                        if (mergeableFaces[rowStart + i * strides[right]] !== key) break grow;
                     }
+                    height++;
                 }
+                for (let h = 0; h < height; h++) {
+                    for (let w = 0; w < width; w++) {
+                        mergeableFaces[base + index + h * strides[up] + w * strides[right]] = 0;
+                    }
+                }
+
+                // Unpack the key (see _getMergeKey)
+                const occlusion = key % 4;
+                const blockLight = Math.floor(key / 4) % 256;
+                const skyLight = Math.floor(key / (4 * 256)) % 256;
+                const state = Math.floor(key / (4 * 256 * 256)) % 65536;
+                const blockId = Math.floor(key / (4 * 256 * 256 * 65536));
+
+                size.fill(1);
+                size[right] = width;
+                size[up] = height;
+                ChunkMesher._addMergedFace(layers[getBlockTransparency(blockId)], faceIndex, coordinates[0], coordinates[1] + minY,
+                    coordinates[2], size, ChunkMesher._getFaceTexture(blockId, state, faceIndex), skyLight / 255, blockLight / 255, occlusion);
             }
         }
+    }
 
-        return { positions, normals, uvs, indices };
+    /**
+     * Adds a merged quad covering `size` blocks (1 along the normal) from the block at local (x, y, z) to a set of
+     * buffers, lit evenly with `skyLight`, `blockLight` and the ambient occlusion level `occlusion`. Its UVs continue
+     * past the tile, one tile per block; where the texture runs backwards along an axis they are shifted by whole
+     * tiles so they stay at or past the tile's corner, which the material's wrapping (see TextureAtlas) needs.
+     * @private
+     */
+    static _addMergedFace(buffers, faceIndex, x, y, z, size, texture, skyLight, blockLight, occlusion) {
+        const faceVertices = CUBE_FACE_VERTICES[faceIndex];
+        const { normal: normalAxis, right, up } = FACE_AXES[faceIndex];
+        const { faceUVs, tileColumn, tileRow } = texture;
+        const width = size[right];
+        const height = size[up];
+        const position = [0, 0, 0];
+        const uv = [0, 0];
+
+        for (let i = 0; i < 4; i++) { // bl, br, tl, tr
+            for (let axis = 0; axis < 3; axis++) {
+                const origin = axis === 0 ? x : axis === 1 ? y : z;
+                const offset = faceVertices[i * 3 + axis];
+                position[axis] = axis === normalAxis ? origin + 0.5 + offset : origin + (offset > 0 ? size[axis] : 0);
+            }
+            for (let component = 0; component < 2; component++) {
+                const start = faceUVs[component];
+                const alongRight = faceUVs[2 + component] - start; // Per block
+                const alongUp = faceUVs[4 + component] - start;
+                uv[component] = start + (i & 1 ? alongRight * width : 0) + (i & 2 ? alongUp * height : 0);
+                if (alongRight < 0) uv[component] -= alongRight * (width - 1);
+                if (alongUp < 0) uv[component] -= alongUp * (height - 1);
+            }
+            buffers.addVertex(position[0], position[1], position[2], faceIndex, uv[0], uv[1], tileColumn, tileRow, skyLight, blockLight,
+                occlusion / AO_LEVELS);
+        }
+        buffers.addQuad(faceIndex === 2 || faceIndex === 3 ? INDICES_CW : INDICES_CCW); // Top/Bottom : Sides
+    }
+
+    /**
+     * Adds one face of the block at local (x, y, z) to a set of buffers. `texture` is the face's texture (see
+     * _getFaceTexture), `vertexLights` holds (sky, block) and `occlusion` the ambient occlusion level per vertex.
+     * With `cornerHeights` (fluids), the face's upper vertices are lowered to the surface height at their corner.
+     * The quad is split into triangles along the diagonal whose corners are darker together, so occlusion fades
+     * the same way in every direction instead of following the triangle edges.
+     * @private
+     */
+    static _addFace(buffers, faceIndex, x, y, z, texture, vertexLights, occlusion, cornerHeights = null) {
+        const faceVertices = CUBE_FACE_VERTICES[faceIndex];
+        const { faceUVs, tileColumn, tileRow } = texture;
+
+        // Add the 4 vertices of this face
+        for (let i = 0; i < 4; i++) { // 4 vertices per face
+            const vOffset = i * 3; // Index into faceVertices
+            const uvOffset = i * 2; // Index into faceUVs
+
+            let vertexY = faceVertices[vOffset + 1];
+            if (cornerHeights && vertexY > 0) {
+                const corner = (faceVertices[vOffset] > 0 ? 1 : 0) + (faceVertices[vOffset + 2] > 0 ? 2 : 0);
+                vertexY = cornerHeights[corner] - 0.5;
+            }
+
+            // Position relative to chunk origin, centered at x+0.5, y+0.5, z+0.5
+            buffers.addVertex(faceVertices[vOffset + 0] + x + 0.5, vertexY + y + 0.5, faceVertices[vOffset + 2] + z + 0.5, faceIndex,
+                faceUVs[uvOffset], faceUVs[uvOffset + 1], tileColumn, tileRow, vertexLights[uvOffset], vertexLights[uvOffset + 1],
+                occlusion[i] / AO_LEVELS);
+        }
+
+        // Add indices for the two triangles forming this face
+        // Select indices based on face type to work around potential rendering anomalies
+        const flipped = occlusion[0] + occlusion[3] < occlusion[1] + occlusion[2];
+        buffers.addQuad(faceIndex === 2 || faceIndex === 3 // Top/Bottom : Sides
+            ? (flipped ? INDICES_CW_FLIPPED : INDICES_CW)
+            : (flipped ? INDICES_CCW_FLIPPED : INDICES_CCW));
+    }
+
+    /**
+     * Adds the geometry of a block with a model (see BlockRegistry.getBlockBoxes): a plant's crossed quads, or the
+     * faces of its boxes except those hidden by an opaque neighbor, by a neighboring model or by the block's own
+     * other boxes. Models are lit evenly with the light of their own cell and have no ambient occlusion.
+     * @private
+     */
+    static _addModel(buffers, blockId, state, x, y, z, worldX, worldY, worldZ, volume, cell) {
+        const model = getBlockById(blockId).model;
+        const boxes = getBlockBoxes(blockId, state, (dx, dy, dz) => volume.blocks[cell + dx + dy * volume.strideY + dz * volume.strideZ]);
+        let skyLight = 1;
+        let blockLight = 0;
+        if (volume.light) {
+            const light = volume.light[cell];
+            skyLight = skyLightOf(light) / MAX_LIGHT;
+            blockLight = blockLightOf(light) / MAX_LIGHT;
+        }
+
+        for (let faceIndex = 0; faceIndex < 6; faceIndex++) {
+            const texture = ChunkMesher._getFaceTexture(blockId, state, faceIndex);
+            if (!texture) {
+                continue;
+            }
+            if (model.cross) {
+                // Plants show the same texture from every side; draw them once, with the first face's
+                for (const box of boxes) {
+                    ChunkMesher._addCrossFaces(buffers, x, y, z, box, texture, skyLight, blockLight);
+                }
+                return;
+            }
+
+            let sideBoxes = null; // Looked up once a box reaches this side of the block, then with the neighbor's added
+            for (const box of boxes) {
+                let covering = boxes;
+                if (ChunkMesher._isOnBlockSide(box, faceIndex)) {
+                    if (isBlockOpaque(neighbors[faceIndex])) continue;
+                    if (!sideBoxes) {
+                        const neighborBoxes = ChunkMesher._getNeighborBoxes(faceIndex, neighbors[faceIndex], worldX, worldY, worldZ, volume);
+                        coveringBoxes.length = 0;
+                        for (let i = 0; i < boxes.length; i++) coveringBoxes.push(boxes[i]);
+                        for (let i = 0; i < neighborBoxes.length; i++) coveringBoxes.push(neighborBoxes[i]);
+                        sideBoxes = coveringBoxes;
+                    }
+                    covering = sideBoxes;
+                }
+                if (!ChunkMesher._isFaceCovered(box, faceIndex, covering)) {
+                    ChunkMesher._addBoxFace(buffers, faceIndex, x, y, z, box, texture, skyLight, blockLight);
+                }
+            }
+        }
+    }
+
+    /**
+     * Gets the model boxes of the neighbor on a face's side that can hide faces, moved into the coordinates of the
+     * block being meshed: none for blocks without a model, see-through ones and plants. The neighbor's own neighbors
+     * beyond the volume's padding read as air; that only drops its connections pointing away from the block.
+     * @returns {number[][]} The boxes, in the reused neighborBoxes (valid until the next call).
+     * @private
+     */
+    static _getNeighborBoxes(faceIndex, neighborId, worldX, worldY, worldZ, volume) {
+        const neighbor = getBlockById(neighborId);
+        if (!neighbor.model || neighbor.model.cross || neighbor.transparency) {
+            return NO_BOXES;
+        }
+        const normal = CUBE_FACE_NORMALS[faceIndex];
+        const x = worldX + normal[0];
+        const y = worldY + normal[1];
+        const z = worldZ + normal[2];
+        const state = volume.getBlockState(x, y, z);
+        const boxes = getBlockBoxes(neighborId, state, (ox, oy, oz) => volume.getBlock(x + ox, y + oy, z + oz));
+        neighborBoxes.length = 0;
+        for (let i = 0; i < boxes.length; i++) {
+            if (i === neighborBoxPool.length) neighborBoxPool.push(new Array(6));
+            const shifted = neighborBoxPool[i];
+            for (let axis = 0; axis < 3; axis++) {
+                shifted[axis] = boxes[i][axis] + normal[axis];
+                shifted[axis + 3] = boxes[i][axis + 3] + normal[axis];
+            }
+            neighborBoxes.push(shifted);
+        }
+        return neighborBoxes;
+    }
+
+    /**
+     * Checks whether a box's face on a side lies on that side of the block (rather than inside it).
+     * @private
+     */
+    static _isOnBlockSide(box, faceIndex) {
+        const axis = FACE_AXES[faceIndex].normal;
+        return CUBE_FACE_NORMALS[faceIndex][axis] > 0 ? box[axis + 3] === 1 : box[axis] === 0;
+    }
+
+    /**
+     * Checks whether a box's face on a side is completely covered by `boxes` (block-relative, may reach into the
+     * neighbor) that start right where the face is and extend away from it. The face is cut along the edges of
+     * those boxes and each piece tested, so several boxes can cover it together.
+     * @private
+     */
+    static _isFaceCovered(box, faceIndex, boxes) {
+        if (boxes.length === 0) return false;
+        const axis = FACE_AXES[faceIndex].normal;
+        const positive = CUBE_FACE_NORMALS[faceIndex][axis] > 0;
+        const plane = positive ? box[axis + 3] : box[axis];
+        const a = (axis + 1) % 3; // The face's two in-plane axes
+        const b = (axis + 2) % 3;
+        const touching = boxes.filter(other => (positive ? other[axis] : other[axis + 3]) === plane &&
+            other[a] < box[a + 3] && other[a + 3] > box[a] && other[b] < box[b + 3] && other[b + 3] > box[b]);
+        if (touching.length === 0) return false;
+
+        const cuts = inPlaneAxis => {
+            const edges = touching.flatMap(other => [other[inPlaneAxis], other[inPlaneAxis + 3]])
+                .filter(edge => edge > box[inPlaneAxis] && edge < box[inPlaneAxis + 3]);
+            return [...new Set([box[inPlaneAxis], box[inPlaneAxis + 3], ...edges])].sort((p, q) => p - q);
+        };
+        const cutsA = cuts(a);
+        const cutsB = cuts(b);
+        for (let i = 0; i + 1 < cutsA.length; i++) {
+            const centerA = (cutsA[i] + cutsA[i + 1]) / 2;
+            for (let j = 0; j + 1 < cutsB.length; j++) {
+                const centerB = (cutsB[j] + cutsB[j + 1]) / 2;
+                const covered = touching.some(other =>
+                    other[a] < centerA && other[a + 3] > centerA && other[b] < centerB && other[b + 3] > centerB);
+                if (!covered) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Adds one face of a model box (block-relative, see BlockRegistry.getBlockBoxes) of the block at local (x, y, z) to a
+     * set of buffers. The face shows the part of the texture it would cover on the full block face, so a slab's
+     * sides show the lower half of the side texture.
+     * @private
+     */
+    static _addBoxFace(buffers, faceIndex, x, y, z, box, texture, skyLight, blockLight) {
+        const faceVertices = CUBE_FACE_VERTICES[faceIndex];
+        const { right, up } = FACE_AXES[faceIndex];
+        const { faceUVs, tileColumn, tileRow } = texture;
+        const corner = [0, 0, 0];
+        const uv = [0, 0];
+
+        for (let i = 0; i < 4; i++) { // bl, br, tl, tr
+            for (let axis = 0; axis < 3; axis++) {
+                corner[axis] = faceVertices[i * 3 + axis] > 0 ? box[axis + 3] : box[axis];
+            }
+            // How far the corner is from the full face's bottom-left corner, along the texture's right and up
+            const alongRight = faceVertices[right] > 0 ? 1 - corner[right] : corner[right];
+            const alongUp = faceVertices[up] > 0 ? 1 - corner[up] : corner[up];
+            for (let component = 0; component < 2; component++) {
+                const start = faceUVs[component];
+                uv[component] = start + (faceUVs[2 + component] - start) * alongRight + (faceUVs[4 + component] - start) * alongUp;
+            }
+            buffers.addVertex(x + corner[0], y + corner[1], z + corner[2], faceIndex, uv[0], uv[1], tileColumn, tileRow, skyLight,
+                blockLight, 1);
+        }
+        buffers.addQuad(faceIndex === 2 || faceIndex === 3 ? INDICES_CW : INDICES_CCW); // Top/Bottom : Sides
+    }
+
+    /**
+     * Adds a plant's two quads, crossing diagonally through a model box of the block at local (x, y, z), each
+     * showing the whole texture. Their normals point up (the top face's) so they are lit like the ground they
+     * stand on; the cutout material draws both sides (see TextureAtlas).
+     * @private
+     */
+    static _addCrossFaces(buffers, x, y, z, box, texture, skyLight, blockLight) {
+        const { faceUVs, tileColumn, tileRow } = texture;
+        const [minX, minY, minZ, maxX, maxY, maxZ] = box;
+        for (const [startZ, endZ] of [[minZ, maxZ], [maxZ, minZ]]) {
+            const corners = [minX, minY, startZ, maxX, minY, endZ, minX, maxY, startZ, maxX, maxY, endZ]; // bl, br, tl, tr
+            for (let i = 0; i < 4; i++) {
+                buffers.addVertex(x + corners[i * 3], y + corners[i * 3 + 1], z + corners[i * 3 + 2], 2, faceUVs[i * 2], faceUVs[i * 2 + 1],
+                    tileColumn, tileRow, skyLight, blockLight, 1);
+            }
+            buffers.addQuad(INDICES_CCW);
+        }
+    }
+
+    /**
+     * Computes the smooth light of a face's four vertices: each averages the sky and block light of the
+     * non-opaque blocks among the four in front of the face that touch the vertex (the corner block only
+     * counts if light can get to it past one of the other two).
+     * @returns {number[]} (sky, block) per vertex, in CUBE_FACE_VERTICES order, scaled to 0-1 (the reused faceLights).
+     * @private
+     */
+    static _getFaceLights(faceIndex, volume, cell) {
+        const normal = CUBE_FACE_NORMALS[faceIndex];
+        const front = ChunkMesher._sampleLight(volume, cell, normal[0], normal[1], normal[2]);
+        const vertexNeighbors = FACE_VERTEX_NEIGHBORS[faceIndex];
+        for (let i = 0; i < 4; i++) {
+            const { side1, side2, corner } = vertexNeighbors[i];
+            vertexSamples[0] = front;
+            vertexSamples[1] = ChunkMesher._sampleLight(volume, cell, side1[0], side1[1], side1[2]);
+            vertexSamples[2] = ChunkMesher._sampleLight(volume, cell, side2[0], side2[1], side2[2]);
+            vertexSamples[3] = vertexSamples[1] === OPAQUE_SAMPLE && vertexSamples[2] === OPAQUE_SAMPLE
+                ? OPAQUE_SAMPLE
+                : ChunkMesher._sampleLight(volume, cell, corner[0], corner[1], corner[2]);
+
+            let sky = 0;
+            let blockLight = 0;
+            let count = 0;
+            for (let sample = 0; sample < 4; sample++) {
+                const light = vertexSamples[sample];
+                if (light === OPAQUE_SAMPLE) continue;
+                sky += skyLightOf(light);
+                blockLight += blockLightOf(light);
+                count++;
+            }
+            faceLights[i * 2] = sky / (count * MAX_LIGHT);
+            faceLights[i * 2 + 1] = blockLight / (count * MAX_LIGHT);
+        }
+        return faceLights;
+    }
+
+    /**
+     * Computes the classic ambient occlusion level of a face's four vertices from the opaque blocks in front of
+     * the face that touch the vertex: AO_LEVELS minus the number of opaque ones among the two beside it and the
+     * corner one, or 0 if both blocks beside it are opaque (the corner can't be seen then). Works across chunk
+     * borders through the volume's padding.
+     * @returns {number[]} The level (0 to AO_LEVELS) per vertex, in CUBE_FACE_VERTICES order (the reused faceOcclusion).
+     * @private
+     */
+    static _getFaceOcclusion(faceIndex, volume, cell) {
+        const vertexNeighbors = FACE_VERTEX_NEIGHBORS[faceIndex];
+        for (let i = 0; i < 4; i++) {
+            const { side1: first, side2: second, corner } = vertexNeighbors[i];
+            const side1 = ChunkMesher._isOpaqueAt(volume, cell, first[0], first[1], first[2]);
+            const side2 = ChunkMesher._isOpaqueAt(volume, cell, second[0], second[1], second[2]);
+            faceOcclusion[i] = side1 && side2
+                ? 0
+                : AO_LEVELS - side1 - side2 - ChunkMesher._isOpaqueAt(volume, cell, corner[0], corner[1], corner[2]);
+        }
+        return faceOcclusion;
+    }
+
+    /**
+     * Looks up the packed light of the block at offset (dx, dy, dz) from the volume cell being meshed, or
+     * OPAQUE_SAMPLE if it is opaque, remembering the result in `lightSamples` (reset to UNSAMPLED per block).
+     * @private
+     */
+    static _sampleLight(volume, cell, dx, dy, dz) {
+        const sampleIndex = (dx + 1) + (dy + 1) * 3 + (dz + 1) * 9;
+        if (lightSamples[sampleIndex] === UNSAMPLED) {
+            lightSamples[sampleIndex] = ChunkMesher._isOpaqueAt(volume, cell, dx, dy, dz)
+                ? OPAQUE_SAMPLE
+                : volume.light[cell + dx + dy * volume.strideY + dz * volume.strideZ];
+        }
+        return lightSamples[sampleIndex];
+    }
+
+    /**
+     * Checks whether the block at offset (dx, dy, dz) from the volume cell being meshed is opaque (1) or not (0),
+     * remembering the result in `opaqueSamples` (reset to UNSAMPLED per block).
+     * @private
+     */
+    static _isOpaqueAt(volume, cell, dx, dy, dz) {
+        const sampleIndex = (dx + 1) + (dy + 1) * 3 + (dz + 1) * 9;
+        if (opaqueSamples[sampleIndex] === UNSAMPLED) {
+            opaqueSamples[sampleIndex] = isBlockOpaque(volume.blocks[cell + dx + dy * volume.strideY + dz * volume.strideZ]) ? 1 : 0;
+        }
+        return opaqueSamples[sampleIndex];
+    }
+
+    /**
+     * Computes the surface height of a fluid block at its four top corners (-x-z, +x-z, -x+z, +x+z): the
+     * average height (see BlockRegistry.getFluidHeight) of the same fluid in the up to four blocks sharing
+     * the corner, or a full block where any of them has the same fluid above it.
+     * @returns {Float64Array} The heights (the reused fluidCornerHeights).
+     * @private
+     */
+    static _getFluidCornerHeights(blockId, state, volume, cell) {
+        const { blocks, states, strideY, strideZ } = volume;
+        if (blocks[cell + strideY] === blockId) {
+            return fluidCornerHeights.fill(1);
+        }
+        // Heights of the 3x3 blocks around (dx, dz in -1..1), in fluidHeights; NO_FLUID where there is no such fluid
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const heightIndex = (dz + 1) * 3 + dx + 1;
+                const neighborCell = cell + dx + dz * strideZ;
+                if (dx === 0 && dz === 0) {
+                    fluidHeights[heightIndex] = getFluidHeight(blockId, state);
+                } else if (blocks[neighborCell] !== blockId) {
+                    fluidHeights[heightIndex] = NO_FLUID;
+                } else if (blocks[neighborCell + strideY] === blockId) {
+                    fluidHeights[heightIndex] = 1;
+                } else {
+                    fluidHeights[heightIndex] = getFluidHeight(blockId, states ? states[neighborCell] : 0);
+                }
+            }
+        }
+        for (let corner = 0; corner < 4; corner++) {
+            // The blocks sharing the corner are at dx in cornerX - 1..cornerX, dz in cornerZ - 1..cornerZ
+            const cornerX = corner & 1;
+            const cornerZ = corner >> 1;
+            let sum = 0;
+            let count = 0;
+            let full = false;
+            for (let i = 0; i < 4; i++) {
+                const height = fluidHeights[(cornerZ + (i >> 1)) * 3 + cornerX + (i & 1)];
+                if (height === NO_FLUID) continue;
+                full = full || height === 1;
+                sum += height;
+                count++;
+            }
+            fluidCornerHeights[corner] = full ? 1 : sum / count;
+        }
+        return fluidCornerHeights;
     }
 }
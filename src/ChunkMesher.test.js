@@ -1,9 +1,13 @@
 import { describe, it, expect } from 'vitest';
 import * as THREE from 'three';
 // Import ChunkMesher and constants directly from it
-import { ChunkMesher, CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './ChunkMesher.js';
+import { ChunkMesher, CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH, SECTION_HEIGHT } from './ChunkMesher.js';
+import { POSITION_SCALE } from './MeshBuffers.js';
 // BlockRegistry is still needed for block properties and IDs
-import { BLOCKS, getBlockById } from './BlockRegistry.js';
+import { BLOCKS, getBlockById, encodeBlockState, generateFaceUVs, TILE_UV_WIDTH } from './BlockRegistry.js';
+import { packLight } from './Lighting.js';
+import { BlockVolume } from './BlockVolume.js';
+import { createRandom } from './utils.js';
 
 // --- Test Helpers ---
 
@@ -45,6 +49,10 @@ function createMockGetBlock(chunkData) {
     };
 }
 
+// Meshes like ChunkMesher.generate/generateSection, unpacked into plain arrays (see ChunkMesher.decodeMeshData)
+const generateDecoded = (...args) => ChunkMesher.decodeMeshData(ChunkMesher.generate(...args));
+const generateSectionDecoded = (...args) => ChunkMesher.decodeMeshData(ChunkMesher.generateSection(...args));
+
 // --- Tests ---
 
 describe('ChunkMesher.generate', () => { // Updated describe block
@@ -54,7 +62,7 @@ describe('ChunkMesher.generate', () => { // Updated describe block
         const chunkData = makeEmptyChunkData();
         setBlockInData(chunkData, 1, 1, 1, BLOCKS[1].id); // Place grass at (1,1,1)
         const mockGetBlock = createMockGetBlock(chunkData);
-        const { positions, indices } = ChunkMesher.generate(chunkData, chunkPosition, mockGetBlock);
+        const { positions, indices } = generateDecoded(chunkData, chunkPosition, mockGetBlock);
 
         // Assertions remain the same: 6 faces * 4 vertices/face = 24 vertices
         expect(positions.length / 3).toBe(24);
@@ -67,7 +75,7 @@ describe('ChunkMesher.generate', () => { // Updated describe block
         setBlockInData(chunkData, 1, 1, 1, BLOCKS[1].id);
         setBlockInData(chunkData, 2, 1, 1, BLOCKS[1].id); // Adjacent block
         const mockGetBlock = createMockGetBlock(chunkData);
-        const { positions, indices } = ChunkMesher.generate(chunkData, chunkPosition, mockGetBlock);
+        const { positions, indices } = generateDecoded(chunkData, chunkPosition, mockGetBlock);
 
         // Assertions remain the same: 2 blocks * 6 faces - 2 shared = 10 faces
         // 10 faces * 4 vertices/face = 40 vertices
@@ -89,7 +97,7 @@ describe('ChunkMesher.generate', () => { // Updated describe block
         setBlockInData(chunkData, 1, 1, 2, BLOCKS[3].id); // South
 
         const mockGetBlock = createMockGetBlock(chunkData);
-        const { positions, indices } = ChunkMesher.generate(chunkData, chunkPosition, mockGetBlock);
+        const { positions, indices } = generateDecoded(chunkData, chunkPosition, mockGetBlock);
 
         // The mesher iterates through all blocks. It will generate faces for the *outer* shell.
         // The block at (1,1,1) itself should generate 0 faces because all its neighbors *within chunkData* are solid.
@@ -105,7 +113,7 @@ describe('ChunkMesher.generate', () => { // Updated describe block
              // Otherwise, pretend all neighbors are solid stone
              return BLOCKS[3].id;
         };
-        const { positions: p2, indices: i2 } = ChunkMesher.generate(centerOnlyData, chunkPosition, mockGetBlockSurrounded);
+        const { positions: p2, indices: i2 } = generateDecoded(centerOnlyData, chunkPosition, mockGetBlockSurrounded);
 
         // Assertions: Center block surrounded should generate nothing
         expect(p2.length).toBe(0);
@@ -124,7 +132,7 @@ describe('ChunkMesher.generate', () => { // Updated describe block
             return BLOCKS[1].id;
         };
 
-        const { positions, indices } = ChunkMesher.generate(chunkData, chunkPosition, mockGetBlockWestAir);
+        const { positions, indices } = generateDecoded(chunkData, chunkPosition, mockGetBlockWestAir);
 
         // Assertions: Only 1 face (West) should be generated
         // 1 face * 4 vertices/face = 4 vertices
@@ -145,7 +153,7 @@ describe('ChunkMesher.generate', () => { // Updated describe block
             return BLOCKS[1].id;
         };
 
-        const { uvs, normals } = ChunkMesher.generate(chunkData, chunkPosition, mockGetBlockTopAir);
+        const { uvs, normals } = generateDecoded(chunkData, chunkPosition, mockGetBlockTopAir);
 
         // Assertions: Only 1 face (Top) generated
         // 1 face * 4 vertices * 2 UV coords = 8 UV values
@@ -160,4 +168,519 @@ describe('ChunkMesher.generate', () => { // Updated describe block
         }
         // TODO: Add specific UV value checks if needed, based on BlockRegistry
     });
+
+    it('Uses block states to pick and rotate face textures', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, BLOCKS[4].id); // Wood
+        const stateData = new Uint16Array(chunkData.length);
+        stateData[getIndex(1, 1, 1)] = encodeBlockState(BLOCKS[4].id, { axis: 'x' });
+        const mockGetBlockTopAir = (wx, wy, wz) => (wx === 1 && wy === 2 && wz === 1 ? BLOCKS[0].id : BLOCKS[4].id);
+
+        const { uvs } = generateDecoded(chunkData, chunkPosition, mockGetBlockTopAir, stateData);
+        const [u, v] = BLOCKS[4].textures.side; // Bark on top, grain turned to run along X
+        expect(Array.from(uvs)).toEqual(generateFaceUVs(u, v, 1));
+
+        const { uvs: uprightUvs } = generateDecoded(chunkData, chunkPosition, mockGetBlockTopAir);
+        expect(Array.from(uprightUvs)).toEqual(generateFaceUVs(...BLOCKS[4].textures.top));
+    });
+});
+
+describe('ChunkMesher greedy meshing', () => {
+    const chunkPosition = new THREE.Vector3(0, 0, 0);
+    const STONE = BLOCKS[3].id;
+    const WOOD = BLOCKS[4].id;
+
+    // Splits mesher output into quads of 4 vertices
+    function getQuads({ positions, uvs, tiles, lights, ao, normals }) {
+        const quads = [];
+        for (let vertex = 0; vertex < positions.length / 3; vertex += 4) {
+            const corners = [0, 1, 2, 3].map(i => vertex + i);
+            quads.push({
+                positions: corners.map(i => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]]),
+                uvs: corners.map(i => [uvs[i * 2], uvs[i * 2 + 1]]),
+                tile: [tiles[vertex * 2], tiles[vertex * 2 + 1]],
+                lights: corners.map(i => `${lights[i * 2]},${lights[i * 2 + 1]}`).join(' '),
+                ao: corners.map(i => ao[i]).join(' '),
+                normal: [normals[vertex * 3], normals[vertex * 3 + 1], normals[vertex * 3 + 2]],
+            });
+        }
+        return quads;
+    }
+
+    // Maps every block face a mesh covers ("normal:x,y,z") to its texture tile, light and occlusion, failing on overlaps
+    function getCoveredFaces(mesh) {
+        const covered = new Map();
+        for (const quad of getQuads(mesh)) {
+            const min = [0, 1, 2].map(axis => Math.min(...quad.positions.map(position => position[axis])));
+            const max = [0, 1, 2].map(axis => Math.max(...quad.positions.map(position => position[axis])));
+            const normalAxis = quad.normal.findIndex(component => component !== 0);
+            const cell = [0, 0, 0];
+            const visit = axis => {
+                if (axis === 3) {
+                    const key = `${quad.normal}:${cell}`;
+                    expect(covered.has(key)).toBe(false);
+                    covered.set(key, `${quad.tile} ${quad.lights} ${quad.ao}`);
+                    return;
+                }
+                if (axis === normalAxis) {
+                    cell[axis] = quad.normal[axis] > 0 ? min[axis] - 1 : min[axis];
+                    visit(axis + 1);
+                    return;
+                }
+                for (cell[axis] = min[axis]; cell[axis] < max[axis]; cell[axis]++) visit(axis + 1);
+            };
+            visit(0);
+        }
+        return covered;
+    }
+
+    it('Merges a flat plain into one quad per side', () => {
+        const chunkData = makeEmptyChunkData();
+        for (let x = 0; x < CHUNK_WIDTH; x++) {
+            for (let z = 0; z < CHUNK_DEPTH; z++) setBlockInData(chunkData, x, 1, z, BLOCKS[1].id);
+        }
+        const getBlock = createMockGetBlock(chunkData);
+        const naive = generateDecoded(chunkData, chunkPosition, getBlock);
+        const greedy = generateDecoded(chunkData, chunkPosition, getBlock, null, null, null, { greedy: true });
+
+        expect(getQuads(naive)).toHaveLength(256 * 2 + 16 * 4);
+        expect(getQuads(greedy)).toHaveLength(6);
+        expect(getCoveredFaces(greedy)).toEqual(getCoveredFaces(naive));
+
+        // The top repeats the grass tile once per block
+        const top = getQuads(greedy).find(quad => quad.normal[1] === 1);
+        const [u, v] = BLOCKS[1].textures.top;
+        expect(top.tile).toEqual([u, v]);
+        for (const [quadU, quadV] of top.uvs) {
+            expect([u, u + 16 * TILE_UV_WIDTH]).toContain(quadU);
+            expect(quadV - v).toBeGreaterThanOrEqual(0);
+        }
+    });
+
+    it('Covers the same faces with fewer quads for mixed blocks and states', () => {
+        const random = createRandom(20);
+        const chunkData = makeEmptyChunkData();
+        const stateData = new Uint16Array(chunkData.length);
+        const axes = ['x', 'y', 'z'];
+        for (let y = 0; y < 12; y++) {
+            for (let z = 0; z < CHUNK_DEPTH; z++) {
+                for (let x = 0; x < CHUNK_WIDTH; x++) {
+                    const roll = random();
+                    if (roll < 0.3) continue; // Air
+                    const blockId = roll < 0.5 ? STONE : roll < 0.7 ? BLOCKS[1].id : WOOD;
+                    setBlockInData(chunkData, x, y, z, blockId);
+                    // Large regions of one wood axis, so turned textures get merged too
+                    if (blockId === WOOD) stateData[getIndex(x, y, z)] = encodeBlockState(WOOD, { axis: axes[Math.floor(y / 4)] });
+                }
+            }
+        }
+        const getBlock = createMockGetBlock(chunkData);
+        const naive = generateDecoded(chunkData, chunkPosition, getBlock, stateData);
+        const greedy = generateDecoded(chunkData, chunkPosition, getBlock, stateData, null, null, { greedy: true });
+
+        expect(getCoveredFaces(greedy)).toEqual(getCoveredFaces(naive));
+        expect(getQuads(greedy).length).toBeLessThan(getQuads(naive).length);
+
+        // UVs span one tile per block and never start before the tile, so the material can wrap them
+        for (const quad of getQuads(greedy)) {
+            for (let component = 0; component < 2; component++) {
+                const offsets = quad.uvs.map(uv => (uv[component] - quad.tile[component]) / TILE_UV_WIDTH);
+                expect(Math.min(...offsets)).toBe(0);
+            }
+            const extents = [0, 1, 2].map(axis => Math.max(...quad.positions.map(p => p[axis])) - Math.min(...quad.positions.map(p => p[axis])));
+            const uvExtents = [0, 1].map(component => (Math.max(...quad.uvs.map(uv => uv[component])) - Math.min(...quad.uvs.map(uv => uv[component]))) / TILE_UV_WIDTH);
+            expect(uvExtents[0] * uvExtents[1]).toBe(extents.filter(extent => extent > 0).reduce((area, extent) => area * extent, 1));
+        }
+    });
+
+    it('Only merges faces that are lit the same', () => {
+        const chunkData = makeEmptyChunkData();
+        for (let x = 0; x < CHUNK_WIDTH; x++) {
+            for (let z = 0; z < CHUNK_DEPTH; z++) setBlockInData(chunkData, x, 1, z, STONE);
+        }
+        const getBlock = createMockGetBlock(chunkData);
+        const getLight = wx => packLight(15, wx < 8 ? 12 : 0); // Block light over half the plain
+        const naive = generateDecoded(chunkData, chunkPosition, getBlock, null, null, getLight);
+        const greedy = generateDecoded(chunkData, chunkPosition, getBlock, null, null, getLight, { greedy: true });
+
+        expect(getCoveredFaces(greedy)).toEqual(getCoveredFaces(naive));
+        const topQuads = getQuads(greedy).filter(quad => quad.normal[1] === 1);
+        expect(topQuads.length).toBe(2 + 2 * 16); // Two even halves; the faces either side of the edge stay single
+    });
+});
+
+describe('ChunkMesher ambient occlusion', () => {
+    const chunkPosition = new THREE.Vector3(0, 0, 0);
+    const STONE = BLOCKS[3].id;
+
+    // Finds the upward face at height y: the ambient occlusion at each of its corners ("x,z") and the two corners
+    // its triangles share, plus the winding of both triangles (the sign of their normal's y)
+    function getTopFace({ positions, normals, ao, indices }, y) {
+        const corners = new Map();
+        const cornerOf = vertex => `${positions[vertex * 3]},${positions[vertex * 3 + 2]}`;
+        for (let vertex = 0; vertex < positions.length / 3; vertex++) {
+            if (normals[vertex * 3 + 1] === 1 && positions[vertex * 3 + 1] === y) corners.set(cornerOf(vertex), ao[vertex]);
+        }
+        const uses = new Map();
+        const windings = [];
+        for (let i = 0; i < indices.length; i += 3) {
+            const triangle = [indices[i], indices[i + 1], indices[i + 2]];
+            if (!triangle.every(vertex => corners.has(cornerOf(vertex)) && normals[vertex * 3 + 1] === 1 && positions[vertex * 3 + 1] === y)) continue;
+            for (const vertex of triangle) uses.set(cornerOf(vertex), (uses.get(cornerOf(vertex)) ?? 0) + 1);
+            const [a, b, c] = triangle.map(vertex => new THREE.Vector3().fromArray(positions, vertex * 3));
+            windings.push(Math.sign(b.sub(a).cross(c.sub(a)).y));
+        }
+        const diagonal = [...uses].filter(([, count]) => count === 2).map(([corner]) => corner).sort();
+        return { ao: Object.fromEntries(corners), diagonal, windings };
+    }
+
+    it('Darkens the corners of a block standing in a corner', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, STONE);
+        for (let y = 1; y <= 2; y++) {
+            for (let i = 0; i <= 2; i++) {
+                setBlockInData(chunkData, 0, y, i, STONE); // Wall to the west
+                setBlockInData(chunkData, i, y, 0, STONE); // Wall to the north
+            }
+        }
+        const mesh = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData));
+
+        // Both walls touch (1, 1); one wall and the blocks along it touch (2, 1) and (1, 2); nothing touches (2, 2)
+        const top = getTopFace(mesh, 2);
+        expect(top.ao).toEqual({ '1,1': 0, '2,1': 1 / 3, '1,2': 1 / 3, '2,2': 1 });
+        expect(top.diagonal).toEqual(['1,2', '2,1']);
+
+        // The east side only has the north wall in front of its corners
+        const east = [];
+        for (let vertex = 0; vertex < mesh.positions.length / 3; vertex++) {
+            if (mesh.normals[vertex * 3] === 1 && mesh.positions[vertex * 3] === 2) {
+                east.push([mesh.positions[vertex * 3 + 1], mesh.positions[vertex * 3 + 2], mesh.ao[vertex]]);
+            }
+        }
+        expect(east.sort()).toEqual([[1, 1, 2 / 3], [1, 2, 1], [2, 1, 1 / 3], [2, 2, 1]]);
+    });
+
+    it('Splits quads along the darker diagonal without changing their winding', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, STONE);
+        const open = getTopFace(generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData)), 2);
+        expect(Object.values(open.ao)).toEqual([1, 1, 1, 1]);
+
+        setBlockInData(chunkData, 0, 2, 0, STONE); // Only diagonally at (1, 1)
+        const top = getTopFace(generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData)), 2);
+        expect(top.ao).toEqual({ '1,1': 2 / 3, '2,1': 1, '1,2': 1, '2,2': 1 });
+        expect(top.diagonal).toEqual(['1,1', '2,2']);
+        expect(open.diagonal).not.toEqual(top.diagonal);
+        expect(top.windings).toEqual(open.windings);
+        expect(new Set(top.windings).size).toBe(1);
+    });
+
+    it('Looks past chunk borders through the neighbour lookup', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, CHUNK_WIDTH - 1, 1, 1, STONE);
+        const getLocalBlock = createMockGetBlock(chunkData);
+        const getBlock = (x, y, z) => (x === CHUNK_WIDTH && y === 2 && z === 1 ? STONE : getLocalBlock(x, y, z));
+        const top = getTopFace(generateDecoded(chunkData, chunkPosition, getBlock), 2);
+
+        expect(top.ao).toEqual({ '15,1': 1, '16,1': 2 / 3, '15,2': 1, '16,2': 2 / 3 });
+    });
+});
+
+describe('ChunkMesher transparency', () => {
+    const chunkPosition = new THREE.Vector3(0, 0, 0);
+    const STONE = BLOCKS[3].id;
+    const GLASS = BLOCKS[11].id;
+    const LEAVES = BLOCKS[12].id;
+
+    it('Hides faces between glass, but not between glass and stone', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, GLASS);
+        setBlockInData(chunkData, 2, 1, 1, GLASS);
+        setBlockInData(chunkData, 3, 1, 1, STONE);
+        const mesh = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData));
+
+        expect(mesh.positions.length / 3).toBe(6 * 4); // Stone: every face, including the one against glass
+        expect(mesh.translucent.positions.length / 3).toBe((12 - 2 - 1) * 4); // Glass: not between them or against stone
+        expect(mesh.cutout).toBeNull();
+    });
+
+    it('Puts leaves in the cutout buffers and keeps the faces between them', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, LEAVES);
+        setBlockInData(chunkData, 2, 1, 1, LEAVES);
+        const mesh = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData));
+
+        expect(mesh.positions.length).toBe(0);
+        expect(mesh.translucent).toBeNull();
+        expect(mesh.cutout.positions.length / 3).toBe(12 * 4);
+        expect(mesh.cutout.ao.length).toBe(12 * 4);
+    });
+
+    it('Casts no ambient occlusion or shadow from see-through blocks', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, STONE);
+        setBlockInData(chunkData, 0, 2, 1, GLASS);
+        setBlockInData(chunkData, 1, 2, 0, LEAVES);
+        const getLight = () => packLight(15, 0);
+        const mesh = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData), null, null, getLight);
+
+        for (let vertex = 0; vertex < mesh.positions.length / 3; vertex++) {
+            if (mesh.normals[vertex * 3 + 1] !== 1) continue;
+            expect(mesh.ao[vertex]).toBe(1);
+            expect(mesh.lights[vertex * 2]).toBe(1);
+        }
+    });
+});
+
+describe('ChunkMesher block models', () => {
+    const chunkPosition = new THREE.Vector3(0, 0, 0);
+    const STONE = BLOCKS[3].id;
+    const SLAB = BLOCKS[13].id;
+    const STAIRS = BLOCKS[14].id;
+    const FENCE = BLOCKS[15].id;
+    const FLOWER = BLOCKS[16].id;
+    const faceCount = meshData => meshData.positions.length / 3 / 4;
+
+    it('Draws a slab as a half-height box with the lower half of the side texture', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, SLAB);
+        const mesh = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData));
+
+        expect(faceCount(mesh)).toBe(6);
+        const [u, v] = BLOCKS[SLAB].textures.all;
+        for (let vertex = 0; vertex < mesh.positions.length / 3; vertex++) {
+            const y = mesh.positions[vertex * 3 + 1];
+            expect(y === 1 || y === 1.5).toBe(true);
+            if (mesh.normals[vertex * 3] === 1) { // East side
+                expect(mesh.uvs[vertex * 2 + 1]).toBeCloseTo(y === 1 ? v : v + TILE_UV_WIDTH / 2);
+                expect(mesh.uvs[vertex * 2]).toBeGreaterThanOrEqual(u);
+                expect(mesh.ao[vertex]).toBe(1);
+            }
+        }
+    });
+
+    it('Hides only the faces a neighbor fully covers', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, STONE);
+        setBlockInData(chunkData, 1, 2, 1, SLAB); // On the stone
+        setBlockInData(chunkData, 2, 2, 1, SLAB); // Next to the first slab
+        setBlockInData(chunkData, 3, 2, 1, STONE); // Next to the second, covered half-way up
+        const mesh = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData));
+
+        // Lower stone: all but its top; upper stone: all; slabs: not against each other, the stones or the lower stone
+        expect(faceCount(mesh)).toBe(5 + 6 + 4 + 4);
+
+        // A slab in the top half no longer covers the stone below it
+        const stateData = new Uint16Array(chunkData.length);
+        stateData[getIndex(1, 2, 1)] = encodeBlockState(SLAB, { half: 'top' });
+        const getState = (wx, wy, wz) => stateData[getIndex(wx, wy, wz)];
+        const topHalf = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData), stateData, getState);
+        expect(faceCount(topHalf)).toBe(6 + 6 + 6 + 5); // The slabs don't line up either; only the stone hides one
+    });
+
+    it('Hides faces between a model\'s own boxes and between connected fences', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, STAIRS);
+        expect(faceCount(generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData)))).toBe(6 + 5); // Step's bottom is hidden
+
+        const fences = makeEmptyChunkData();
+        setBlockInData(fences, 1, 1, 1, FENCE);
+        expect(faceCount(generateDecoded(fences, chunkPosition, createMockGetBlock(fences)))).toBe(6); // Just the post
+        setBlockInData(fences, 2, 1, 1, FENCE);
+        // Each: post and two rails, without the rail ends against the post and against the other fence's rails
+        expect(faceCount(generateDecoded(fences, chunkPosition, createMockGetBlock(fences)))).toBe(2 * (6 + 2 * 4));
+    });
+
+    it('Draws plants as two crossed quads in the cutout buffers', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, FLOWER);
+        setBlockInData(chunkData, 1, 0, 1, STONE);
+        const mesh = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData));
+
+        expect(faceCount(mesh)).toBe(6); // The stone's top is still visible
+        expect(faceCount(mesh.cutout)).toBe(2);
+        const { positions } = mesh.cutout;
+        // First quad runs from the -x-z corner of the box to the +x+z one
+        expect(positions.slice(0, 6)).toEqual([1.1875, 1, 1.1875, 1.8125, 1, 1.8125]);
+        expect(Math.max(...positions.filter((_, i) => i % 3 === 1))).toBe(1.8125);
+    });
+});
+
+describe('ChunkMesher fluids', () => {
+    const chunkPosition = new THREE.Vector3(0, 0, 0);
+    const WATER = BLOCKS[8].id;
+    const LAVA = BLOCKS[9].id;
+
+    it('Slopes the fluid surface towards lower neighbors and puts water in the translucent buffers', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, WATER); // Source
+        setBlockInData(chunkData, 2, 1, 1, WATER); // Flowing, level 4
+        const stateData = new Uint16Array(chunkData.length);
+        stateData[getIndex(2, 1, 1)] = encodeBlockState(WATER, { level: 4 });
+        const getState = (wx, wy, wz) => stateData[getIndex(wx, wy, wz)];
+
+        const mesh = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData), stateData, getState);
+        expect(mesh.positions.length).toBe(0);
+        // 2 blocks * 6 faces - 2 faces between them
+        expect(mesh.translucent.positions.length / 3).toBe(40);
+
+        const topHeights = new Map(); // Height of each top vertex by "x,z"
+        const { positions, normals } = mesh.translucent;
+        for (let i = 0; i < positions.length; i += 3) {
+            if (normals[i + 1] === 1) topHeights.set(`${positions[i]},${positions[i + 2]}`, positions[i + 1]);
+        }
+        const sourceHeight = 8 / 9;
+        const flowingHeight = 4 / 9;
+        expect(topHeights.get('1,1')).toBeCloseTo(1 + sourceHeight); // Source only
+        expect(topHeights.get('2,1')).toBeCloseTo(1 + (sourceHeight + flowingHeight) / 2); // Shared corner
+        expect(topHeights.get('3,1')).toBeCloseTo(1 + flowingHeight); // Flowing only
+    });
+
+    it('Meshes lava as opaque and hides faces between the same fluid only', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, LAVA);
+        setBlockInData(chunkData, 2, 1, 1, WATER);
+
+        const mesh = generateDecoded(chunkData, chunkPosition, createMockGetBlock(chunkData));
+        expect(mesh.positions.length / 3).toBe(24); // Lava: every face, including the one against water
+        expect(mesh.translucent.positions.length / 3).toBe(24);
+    });
+});
+
+describe('ChunkMesher sections', () => {
+    const chunkPosition = new THREE.Vector3(0, 0, 0);
+
+    it('generateSection places vertices relative to the chunk origin', () => {
+        const sectionData = new Uint8Array(CHUNK_WIDTH * SECTION_HEIGHT * CHUNK_DEPTH);
+        sectionData[getIndex(1, 1, 1)] = BLOCKS[1].id; // (1,1,1) within section 2 = chunk y 33
+        const getBlock = (wx, wy, wz) => (wx === 1 && wy === 2 * SECTION_HEIGHT + 1 && wz === 1 ? BLOCKS[1].id : BLOCKS[0].id);
+
+        const { positions } = generateSectionDecoded(sectionData, chunkPosition, 2, getBlock);
+
+        expect(positions.length / 3).toBe(24);
+        const ys = positions.filter((_, i) => i % 3 === 1);
+        expect(Math.min(...ys)).toBe(2 * SECTION_HEIGHT + 1);
+        expect(Math.max(...ys)).toBe(2 * SECTION_HEIGHT + 2);
+    });
+
+    it('isSectionEnclosed is true only if every block around the section is solid', () => {
+        const openAt = { x: 5, y: SECTION_HEIGHT * 3 - 1, z: -1 }; // North of section 2
+        const allSolid = () => BLOCKS[3].id;
+        const oneGap = (wx, wy, wz) => (wx === openAt.x && wy === openAt.y && wz === openAt.z ? BLOCKS[0].id : BLOCKS[3].id);
+
+        expect(ChunkMesher.isSectionEnclosed(chunkPosition, 2, allSolid)).toBe(true);
+        expect(ChunkMesher.isSectionEnclosed(chunkPosition, 2, oneGap)).toBe(false);
+    });
+});
+
+describe('ChunkMesher packed output', () => {
+    const chunkPosition = new THREE.Vector3(0, 0, 0);
+
+    it('returns typed arrays with integer positions and a face ID per vertex', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 2, 3, BLOCKS[1].id);
+        const mesh = ChunkMesher.generate(chunkData, chunkPosition, createMockGetBlock(chunkData));
+
+        expect(mesh.positions).toBeInstanceOf(Uint16Array);
+        expect(mesh.faces).toBeInstanceOf(Uint8Array);
+        expect(mesh.uvs).toBeInstanceOf(Float32Array);
+        expect(mesh.lights).toBeInstanceOf(Uint8Array);
+        expect(mesh.indices).toBeInstanceOf(Uint16Array);
+        expect(Array.from(mesh.faces)).toEqual([0, 1, 2, 3, 4, 5].flatMap(face => [face, face, face, face]));
+        expect(mesh.positions.every(coordinate => coordinate % POSITION_SCALE === 0)).toBe(true);
+
+        const decoded = ChunkMesher.decodeMeshData(mesh);
+        expect(decoded.normals.slice(8 * 3, 8 * 3 + 3)).toEqual([0, 1, 0]); // The top face's first vertex
+        expect(Math.min(...decoded.positions.filter((_, i) => i % 3 === 2))).toBe(3);
+        expect(decoded.lights.slice(0, 2)).toEqual([1, 0]);
+    });
+
+    it('returns arrays of their own, not views of buffers reused by the next call', () => {
+        const chunkData = makeEmptyChunkData();
+        setBlockInData(chunkData, 1, 1, 1, BLOCKS[1].id);
+        const first = ChunkMesher.generate(chunkData, chunkPosition, createMockGetBlock(chunkData));
+        const firstPositions = Array.from(first.positions);
+
+        setBlockInData(chunkData, 1, 1, 1, BLOCKS[0].id);
+        setBlockInData(chunkData, 9, 9, 9, BLOCKS[3].id);
+        const second = ChunkMesher.generate(chunkData, chunkPosition, createMockGetBlock(chunkData));
+
+        expect(Array.from(first.positions)).toEqual(firstPositions);
+        expect(second.positions.buffer).not.toBe(first.positions.buffer);
+        expect(first.positions.buffer.byteLength).toBe(24 * 3 * 2); // Exactly the vertices, nothing spare
+    });
+});
+
+describe('ChunkMesher block volumes', () => {
+    const chunkPosition = new THREE.Vector3(0, 0, 0);
+    const STONE = BLOCKS[3].id;
+    const WATER = BLOCKS[8].id;
+    const GLASS = BLOCKS[11].id;
+    const LEAVES = BLOCKS[12].id;
+    const STAIRS = BLOCKS[14].id;
+    const FENCE = BLOCKS[15].id;
+
+    // A section of mixed blocks with states, light and blocks outside the chunk, as lookups
+    function makeMixedSection(sectionIndex) {
+        const random = createRandom(25);
+        const chunkData = makeEmptyChunkData();
+        const stateData = new Uint16Array(chunkData.length);
+        const kinds = [BLOCKS[0].id, BLOCKS[0].id, STONE, WATER, GLASS, LEAVES, STAIRS, FENCE];
+        for (let y = sectionIndex * SECTION_HEIGHT; y < (sectionIndex + 1) * SECTION_HEIGHT; y++) {
+            for (let z = 0; z < CHUNK_DEPTH; z++) {
+                for (let x = 0; x < CHUNK_WIDTH; x++) {
+                    const blockId = kinds[Math.floor(random() * kinds.length)];
+                    setBlockInData(chunkData, x, y, z, blockId);
+                    if (blockId === WATER) stateData[getIndex(x, y, z)] = encodeBlockState(WATER, { level: Math.floor(random() * 8) });
+                    if (blockId === STAIRS) stateData[getIndex(x, y, z)] = encodeBlockState(STAIRS, { facing: 'east', half: 'top' });
+                }
+            }
+        }
+        const inChunk = (x, y, z) => x >= 0 && x < CHUNK_WIDTH && y >= 0 && y < CHUNK_HEIGHT && z >= 0 && z < CHUNK_DEPTH;
+        return {
+            chunkData,
+            stateData,
+            getBlockFn: (x, y, z) => (inChunk(x, y, z) ? chunkData[getIndex(x, y, z)] : ((x + y + z) % 3 === 0 ? STONE : WATER)),
+            getStateFn: (x, y, z) => (inChunk(x, y, z) ? stateData[getIndex(x, y, z)] : 0),
+            getLightFn: (x, y, z) => packLight((x * 7 + z * 3 + y) % 16, (x + z * 5) % 16),
+        };
+    }
+
+    it('generateSectionFromVolume meshes the same as generateSection with the same lookups', () => {
+        const sectionIndex = 3;
+        const { chunkData, stateData, getBlockFn, getStateFn, getLightFn } = makeMixedSection(sectionIndex);
+        const volume = BlockVolume.fromLookups(0, sectionIndex * SECTION_HEIGHT, 0, CHUNK_WIDTH, SECTION_HEIGHT, CHUNK_DEPTH,
+            getBlockFn, getStateFn, getLightFn);
+        const sectionVolume = CHUNK_WIDTH * SECTION_HEIGHT * CHUNK_DEPTH;
+        const section = data => data.subarray(sectionIndex * sectionVolume, (sectionIndex + 1) * sectionVolume);
+
+        for (const greedy of [false, true]) {
+            const fromLookups = ChunkMesher.generateSection(section(chunkData), chunkPosition, sectionIndex, getBlockFn, section(stateData),
+                getStateFn, getLightFn, { greedy });
+            const fromVolume = ChunkMesher.generateSectionFromVolume(volume, chunkPosition, sectionIndex, { greedy });
+            expect(fromLookups.positions.length).toBeGreaterThan(0);
+            expect(fromLookups.cutout).not.toBeNull();
+            expect(fromLookups.translucent).not.toBeNull();
+            for (const part of [null, 'cutout', 'translucent']) {
+                const expected = part ? fromLookups[part] : fromLookups;
+                const actual = part ? fromVolume[part] : fromVolume;
+                for (const name of ['positions', 'faces', 'uvs', 'tiles', 'lights', 'ao', 'indices']) {
+                    expect(actual[name].join(), `${part ?? 'opaque'} ${name}`).toBe(expected[name].join());
+                }
+            }
+        }
+    });
+
+    it('meshes any section of a volume spanning several, relative to the chunk origin', () => {
+        const volume = new BlockVolume(32, 0, -16, CHUNK_WIDTH, 3 * SECTION_HEIGHT, CHUNK_DEPTH);
+        volume.blocks[volume.index(33, 40, -15)] = STONE; // Section 2
+        volume.blocks[volume.index(34, 40, -15)] = STONE; // Its neighbor, so the face between them is hidden
+        const chunkPosition = { x: 32, y: 0, z: -16 };
+
+        expect(ChunkMesher.generateSectionFromVolume(volume, chunkPosition, 1).positions.length).toBe(0);
+        const decoded = ChunkMesher.decodeMeshData(ChunkMesher.generateSectionFromVolume(volume, chunkPosition, 2));
+        expect(decoded.positions.length).toBe(10 * 4 * 3);
+        expect(Math.min(...decoded.positions.filter((_, i) => i % 3 === 1))).toBe(40);
+        expect(decoded.lights.slice(0, 2)).toEqual([1, 0]); // No light in the volume: full sky light
+    });
 });
@@ -0,0 +1,10 @@
+import { handleChunkJobMessage } from './ChunkJobs.js';
+
+/**
+ * Web Worker entry point for chunk generation and meshing.
+ * Spawned by WorkerPool (see main.js); all job logic lives in ChunkJobs.js.
+ */
+self.onmessage = (event) => {
+    const { response, transfer } = handleChunkJobMessage(event.data);
+    self.postMessage(response, transfer);
+};
@@ -0,0 +1,96 @@
+import { Structure } from './Structure.js';
+
+/**
+ * In-game structure clipboard: mark two corners, copy the box between them, paste it elsewhere.
+ *
+ * Corners, copy and paste all use the block the player is looking at (Player.targetedHitPos).
+ * The copied structure keeps its offset from the block targeted when copying (the anchor), so
+ * pasting while looking at another block puts it in the same relative place. Rotation and
+ * mirroring apply to the anchor offset as well. Structures loaded from a file are anchored so they
+ * are pasted on top of the targeted block.
+ */
+export class Clipboard {
+    /**
+     * @param {World} world The world to copy from and paste into.
+     * @param {Player} player The player whose targeted block is used.
+     */
+    constructor(world, player) {
+        this.world = world;
+        this.player = player;
+        this.corners = [null, null]; // Marked corners (world positions)
+        this.structure = null;
+        this.anchor = null; // Anchor position relative to the structure's min corner
+        this.rotation = 0; // Quarter turns about Y applied on paste
+        this.mirror = null; // 'x' or null
+        this.skipAir = true; // Pasting air would carve the structure's empty space into the world
+    }
+
+    /**
+     * Marks a corner of the copy region at the targeted block.
+     * @param {number} index 0 or 1.
+     * @returns {boolean} False if no block is targeted.
+     */
+    setCorner(index) {
+        const target = this.player.targetedHitPos;
+        if (!target) return false;
+        this.corners[index] = { x: target.x, y: target.y, z: target.z };
+        return true;
+    }
+
+    /**
+     * Copies the box between the two corners, anchored at the targeted block.
+     * @returns {boolean} False if a corner is missing or no block is targeted.
+     */
+    copy() {
+        const [a, b] = this.corners;
+        const target = this.player.targetedHitPos;
+        if (!a || !b || !target) return false;
+        const min = { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) };
+        this.setStructure(Structure.fromWorld(this.world, a, b), {
+            x: target.x - min.x,
+            y: target.y - min.y,
+            z: target.z - min.z,
+        });
+        return true;
+    }
+
+    /**
+     * Pastes the structure at the targeted block with the current rotation, mirroring and skipAir setting.
+     * @returns {number} The number of blocks changed (0 if nothing is copied or targeted).
+     */
+    paste() {
+        const target = this.player.targetedHitPos;
+        if (!this.structure || !target) return 0;
+        const anchor = this.structure.transformPosition(this.anchor, this.rotation, this.mirror);
+        const origin = { x: target.x - anchor.x, y: target.y - anchor.y, z: target.z - anchor.z };
+        return this.structure.placeInWorld(this.world, origin, {
+            rotation: this.rotation,
+            mirror: this.mirror,
+            skipAir: this.skipAir,
+            source: 'player',
+        });
+    }
+
+    /** Turns the paste rotation by 90° clockwise (seen from above). */
+    rotate() {
+        this.rotation = (this.rotation + 1) % 4;
+    }
+
+    /** Toggles mirroring along X on paste (combined with rotation this covers every flip). */
+    toggleMirror() {
+        this.mirror = this.mirror ? null : 'x';
+    }
+
+    /**
+     * Replaces the clipboard contents, e.g. with a structure loaded from a file.
+     * @param {Structure} structure
+     * @param {{x: number, y: number, z: number}} [anchor] Anchor relative to the min corner; by default the
+     *   block below the min corner, so the structure sits on top of the targeted block.
+     */
+    setStructure(structure, anchor = { x: 0, y: -1, z: 0 }) {
+        this.structure = structure;
+        this.anchor = anchor;
+        this.rotation = 0;
+        this.mirror = null;
+    }
+}
@@ -10,10 +10,14 @@ export class Controls {
      * @param {Player} player The player instance to control and interact through.
      * @param {World} world The world instance for interactions (passed to player).
      * @param {HTMLElement} domElement The element to attach listeners to (renderer canvas).
+     * @param {EditHistory} [editHistory] History for Ctrl+Z / Ctrl+Y; each click is recorded as one step.
+     * @param {Clipboard} [clipboard] Structure clipboard for [ / ] (corners), Ctrl+C, Ctrl+V, R (rotate) and M (mirror).
      */
-    constructor(player, world, domElement) {
+    constructor(player, world, domElement, editHistory = null, clipboard = null) {
         this.player = player;
         this.world = world; // Store world reference (passed to player for interaction)
+        this.editHistory = editHistory;
+        this.clipboard = clipboard;
         this.camera = player.camera;
         this.domElement = domElement;
         this.pointerLockControls = new PointerLockControls(this.camera, domElement);
@@ -57,6 +61,24 @@ export class Controls {
     onKeyDown(event) {
         if (!this.pointerLockControls.isLocked) return; // Only handle keys if pointer is locked
 
+        // Undo / redo: Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z (Cmd on macOS)
+        if ((event.ctrlKey || event.metaKey) && this.editHistory) {
+            if (event.code === 'KeyZ' && !event.shiftKey) {
+                event.preventDefault();
+                this.editHistory.undo();
+                return;
+            }
+            if (event.code === 'KeyY' || (event.code === 'KeyZ' && event.shiftKey)) {
+                event.preventDefault();
+                this.editHistory.redo();
+                return;
+            }
+        }
+
+        if (this.clipboard && this.onClipboardKey(event)) {
+            return;
+        }
+
         switch (event.code) {
             case 'KeyW':
             case 'ArrowUp':
@@ -99,7 +121,87 @@ export class Controls {
             case 'Digit4':
                 this.player.selectedBlockId = BLOCKS[4].id; // Wood
                 break;
+            case 'Digit5':
+                this.player.selectedBlockId = BLOCKS[5].id; // Sign
+                break;
+            case 'Digit6':
+                this.player.selectedBlockId = BLOCKS[6].id; // Sand
+                break;
+            case 'Digit7':
+                this.player.selectedBlockId = BLOCKS[7].id; // Gravel
+                break;
+            case 'Digit8':
+                this.player.selectedBlockId = BLOCKS[8].id; // Water
+                break;
+            case 'Digit9':
+                this.player.selectedBlockId = BLOCKS[9].id; // Lava
+                break;
+            case 'Digit0':
+                this.player.selectedBlockId = BLOCKS[10].id; // Glowstone
+                break;
+            case 'Minus':
+                this.player.selectedBlockId = BLOCKS[11].id; // Glass
+                break;
+            case 'Equal':
+                this.player.selectedBlockId = BLOCKS[12].id; // Leaves
+                break;
+            case 'KeyG':
+                this.player.selectedBlockId = BLOCKS[13].id; // Stone Slab
+                break;
+            case 'KeyH':
+                this.player.selectedBlockId = BLOCKS[14].id; // Stone Stairs
+                break;
+            case 'KeyJ':
+                this.player.selectedBlockId = BLOCKS[15].id; // Fence
+                break;
+            case 'KeyK':
+                this.player.selectedBlockId = BLOCKS[16].id; // Flower
+                break;
+        }
+    }
+
+    /**
+     * Handles the structure clipboard keys.
+     * @returns {boolean} True if the key was a clipboard command.
+     * @private Internal helper method
+     */
+    onClipboardKey(event) {
+        const clipboard = this.clipboard;
+        if (event.ctrlKey || event.metaKey) {
+            if (event.code === 'KeyC') {
+                event.preventDefault();
+                if (!clipboard.copy()) console.warn('Copy needs both corners ([ and ]) and a targeted block');
+                return true;
+            }
+            if (event.code === 'KeyV') {
+                event.preventDefault();
+                // The whole paste is one undo step
+                const paste = () => clipboard.paste();
+                if (this.editHistory) {
+                    this.editHistory.group(paste);
+                } else {
+                    paste();
+                }
+                return true;
+            }
+            return false;
+        }
+
+        switch (event.code) {
+            case 'BracketLeft':
+                clipboard.setCorner(0);
+                return true;
+            case 'BracketRight':
+                clipboard.setCorner(1);
+                return true;
+            case 'KeyR':
+                clipboard.rotate();
+                return true;
+            case 'KeyM':
+                clipboard.toggleMirror();
+                return true;
         }
+        return false;
     }
 
     onKeyUp(event) {
@@ -147,8 +249,12 @@ export class Controls {
     onMouseDown(event) {
         if (!this.pointerLockControls.isLocked || !this.player) return;
 
-        // Delegate interaction logic entirely to the player instance
-        this.player.tryInteract(event);
+        // Delegate interaction logic entirely to the player instance; everything one click changes is one undo step
+        if (this.editHistory) {
+            this.editHistory.group(() => this.player.tryInteract(event));
+        } else {
+            this.player.tryInteract(event);
+        }
     }
 
     // update(deltaTime) {
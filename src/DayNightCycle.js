@@ -0,0 +1,199 @@
+import * as THREE from 'three';
+
+// Look of the sky through the day, by time of day (see World.getTime); values in between are interpolated.
+// sky/fog: background and fog colour; sun/ambient: light intensities (at night the directional light is
+// moonlight); skyLight: how bright sky light is in the voxel lighting (see TextureAtlas); stars: star opacity
+const SKY_KEYFRAMES = [
+    { time: 0.00, sky: 0x0a0f24, fog: 0x0a0f24, sun: 0.15, ambient: 0.3, skyLight: 0.3, stars: 1 }, // Midnight
+    { time: 0.20, sky: 0x0a0f24, fog: 0x0a0f24, sun: 0.15, ambient: 0.3, skyLight: 0.3, stars: 1 },
+    { time: 0.25, sky: 0xe9a06a, fog: 0xd98a5f, sun: 0.4, ambient: 0.4, skyLight: 0.65, stars: 0.3 }, // Dawn
+    { time: 0.30, sky: 0x87ceeb, fog: 0x87ceeb, sun: 0.8, ambient: 0.5, skyLight: 1, stars: 0 }, // Day
+    { time: 0.70, sky: 0x87ceeb, fog: 0x87ceeb, sun: 0.8, ambient: 0.5, skyLight: 1, stars: 0 },
+    { time: 0.75, sky: 0xd9735a, fog: 0xc8664f, sun: 0.4, ambient: 0.4, skyLight: 0.65, stars: 0.3 }, // Dusk
+    { time: 0.80, sky: 0x0a0f24, fog: 0x0a0f24, sun: 0.15, ambient: 0.3, skyLight: 0.3, stars: 1 }, // Night
+    { time: 1.00, sky: 0x0a0f24, fog: 0x0a0f24, sun: 0.15, ambient: 0.3, skyLight: 0.3, stars: 1 },
+];
+
+// Sky objects; drawn around the camera, beyond the render distance so terrain always covers them
+const SKY_DISTANCE = 400;
+const SUN_SIZE = 60;
+const MOON_SIZE = 40;
+const SUN_COLOR = 0xfff2b0;
+const MOON_COLOR = 0xdde4f0;
+const STAR_COUNT = 800;
+const STAR_SIZE = 2; // Pixels
+const ORBIT_TILT = 0.3; // Radians the sun's path is tilted towards the south, so faces aren't lit edge-on at noon
+
+const skyColorA = new THREE.Color(); // Reused by sampleSky
+const skyColorB = new THREE.Color();
+
+/**
+ * Works out the look of the sky at a time of day by interpolating between SKY_KEYFRAMES.
+ * @param {number} time Time of day (see World.getTime); wrapped into [0, 1).
+ * @returns {{skyColor: THREE.Color, fogColor: THREE.Color, sunIntensity: number, ambientIntensity: number,
+ *   skyLightFactor: number, starOpacity: number}}
+ */
+export function sampleSky(time) {
+    const t = time - Math.floor(time);
+    let index = 0;
+    while (index < SKY_KEYFRAMES.length - 2 && SKY_KEYFRAMES[index + 1].time <= t) index++;
+    const from = SKY_KEYFRAMES[index];
+    const to = SKY_KEYFRAMES[index + 1];
+    const blend = (t - from.time) / (to.time - from.time);
+    const mix = (a, b) => a + (b - a) * blend;
+
+    return {
+        skyColor: new THREE.Color().lerpColors(skyColorA.setHex(from.sky), skyColorB.setHex(to.sky), blend),
+        fogColor: new THREE.Color().lerpColors(skyColorA.setHex(from.fog), skyColorB.setHex(to.fog), blend),
+        sunIntensity: mix(from.sun, to.sun),
+        ambientIntensity: mix(from.ambient, to.ambient),
+        skyLightFactor: mix(from.skyLight, to.skyLight),
+        starOpacity: mix(from.stars, to.stars),
+    };
+}
+
+/**
+ * Direction towards the sun at a time of day: it rises in the east (+X) at 0.25, is highest at noon
+ * and sets in the west at 0.75. The moon is always opposite.
+ * @param {number} time Time of day (see World.getTime).
+ * @param {THREE.Vector3} [target] Vector to write the result to.
+ * @returns {THREE.Vector3} A unit vector.
+ */
+export function getSunDirection(time, target = new THREE.Vector3()) {
+    const angle = sunAngle(time);
+    return target.set(Math.cos(angle), Math.sin(angle) * Math.cos(ORBIT_TILT), Math.sin(angle) * Math.sin(ORBIT_TILT));
+}
+
+/**
+ * Angle of the sun along its path above the eastern horizon.
+ * @private Internal helper method
+ */
+function sunAngle(time) {
+    return (time - 0.25) * Math.PI * 2;
+}
+
+/**
+ * Shows the World clock in the scene: moves the sun, moon and stars around the camera, colours the
+ * background and fog, sets the light intensities and dims sky light in the chunk materials at night.
+ * Reads the world's time of day on every update, so setting the time takes effect on the next frame.
+ */
+export class DayNightCycle {
+    /**
+     * @param {World} world The world whose time of day to show.
+     * @param {THREE.Scene} scene The scene to add the sky to; its background and fog (if any) are recoloured.
+     * @param {object} [options]
+     * @param {THREE.AmbientLight} [options.ambientLight] Light scaled through the day.
+     * @param {THREE.DirectionalLight} [options.sunLight] Light that follows the sun by day and the moon at night.
+     * @param {THREE.Material[]} [options.materials=[]] Chunk materials with a sky light factor (see TextureAtlas).
+     * @param {function(): number} [options.random=Math.random] Places the stars.
+     */
+    constructor(world, scene, options = {}) {
+        this.world = world;
+        this.scene = scene;
+        this.ambientLight = options.ambientLight ?? null;
+        this.sunLight = options.sunLight ?? null;
+        this.materials = options.materials ?? [];
+
+        // Everything in the sky turns together; the group is centred on the camera
+        this.sky = new THREE.Group();
+        this.sun = this.createDisc(SUN_SIZE, SUN_COLOR);
+        this.sun.position.set(SKY_DISTANCE, 0, 0);
+        this.moon = this.createDisc(MOON_SIZE, MOON_COLOR);
+        this.moon.position.set(-SKY_DISTANCE, 0, 0);
+        this.stars = this.createStars(options.random ?? Math.random);
+        this.sky.add(this.sun, this.moon, this.stars);
+        scene.add(this.sky);
+
+        this.sunDirection = new THREE.Vector3();
+    }
+
+    /**
+     * Updates the sky for the world's current time of day.
+     * @param {THREE.Vector3} cameraPosition The sky is centred on it.
+     */
+    update(cameraPosition) {
+        const time = this.world.getTime();
+        const sample = sampleSky(time);
+
+        this.sky.position.copy(cameraPosition);
+        this.sky.rotation.set(ORBIT_TILT, 0, sunAngle(time)); // Turns +X towards the sun, like getSunDirection
+        getSunDirection(time, this.sunDirection);
+
+        if (this.scene.background instanceof THREE.Color) {
+            this.scene.background.copy(sample.skyColor);
+        } else {
+            this.scene.background = sample.skyColor.clone();
+        }
+        if (this.scene.fog) {
+            this.scene.fog.color.copy(sample.fogColor);
+        }
+
+        this.stars.material.opacity = sample.starOpacity;
+        this.stars.visible = sample.starOpacity > 0;
+
+        if (this.sunLight) {
+            // Lit from whichever of the sun and moon is up; the target stays at the origin
+            this.sunLight.position.copy(this.sunDirection);
+            if (this.sunDirection.y < 0) this.sunLight.position.negate();
+            this.sunLight.intensity = sample.sunIntensity;
+        }
+        if (this.ambientLight) {
+            this.ambientLight.intensity = sample.ambientIntensity;
+        }
+        for (const material of this.materials) {
+            if (material.userData.skyLightFactor) {
+                material.userData.skyLightFactor.value = sample.skyLightFactor;
+            }
+        }
+    }
+
+    /**
+     * Removes the sky from the scene and frees its GPU resources.
+     */
+    dispose() {
+        this.scene.remove(this.sky);
+        for (const object of [this.sun, this.moon, this.stars]) {
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    }
+
+    /**
+     * Creates a sun or moon: a square facing the centre of the sky.
+     * @private Internal helper method
+     */
+    createDisc(size, color) {
+        const disc = new THREE.Mesh(
+            new THREE.PlaneGeometry(size, size),
+            new THREE.MeshBasicMaterial({ color, fog: false, side: THREE.DoubleSide })
+        );
+        disc.rotation.y = -Math.PI / 2; // The plane faces +Z; turn it towards the centre along X
+        return disc;
+    }
+
+    /**
+     * Creates the star field: points scattered evenly over the sky sphere.
+     * @private Internal helper method
+     */
+    createStars(random) {
+        const positions = new Float32Array(STAR_COUNT * 3);
+        for (let i = 0; i < STAR_COUNT; i++) {
+            const y = random() * 2 - 1;
+            const angle = random() * Math.PI * 2;
+            const radius = Math.sqrt(1 - y * y);
+            positions[i * 3] = Math.cos(angle) * radius * SKY_DISTANCE;
+            positions[i * 3 + 1] = y * SKY_DISTANCE;
+            positions[i * 3 + 2] = Math.sin(angle) * radius * SKY_DISTANCE;
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        return new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: STAR_SIZE,
+            sizeAttenuation: false,
+            transparent: true,
+            fog: false,
+            depthWrite: false,
+        }));
+    }
+}
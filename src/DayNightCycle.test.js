@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { World } from './World.js';
+import { DayNightCycle, sampleSky, getSunDirection } from './DayNightCycle.js';
+
+// Mock Material
+const mockMaterial = new THREE.MeshBasicMaterial();
+
+describe('sampleSky', () => {
+    it('should be bright by day and dark with stars at night', () => {
+        const noon = sampleSky(0.5);
+        const midnight = sampleSky(0);
+        expect(noon.skyColor.getHex()).toBe(0x87ceeb);
+        expect(noon.skyLightFactor).toBe(1);
+        expect(noon.starOpacity).toBe(0);
+        expect(midnight.skyLightFactor).toBeLessThan(noon.skyLightFactor);
+        expect(midnight.sunIntensity).toBeLessThan(noon.sunIntensity);
+        expect(midnight.ambientIntensity).toBeLessThan(noon.ambientIntensity);
+        expect(midnight.starOpacity).toBe(1);
+    });
+
+    it('should interpolate through dawn and dusk', () => {
+        const beforeDawn = sampleSky(0.2);
+        const dawn = sampleSky(0.25);
+        const morning = sampleSky(0.275);
+        expect(dawn.skyColor.r).toBeGreaterThan(dawn.skyColor.b); // Reddish
+        expect(morning.skyLightFactor).toBeGreaterThan(dawn.skyLightFactor);
+        expect(morning.skyLightFactor).toBeLessThan(1);
+        expect(beforeDawn.skyLightFactor).toBeLessThan(dawn.skyLightFactor);
+        expect(sampleSky(0.75).skyColor.r).toBeGreaterThan(sampleSky(0.75).skyColor.b);
+    });
+
+    it('should wrap times outside one day', () => {
+        expect(sampleSky(1.5)).toEqual(sampleSky(0.5));
+        expect(sampleSky(-0.25)).toEqual(sampleSky(0.75));
+    });
+});
+
+describe('getSunDirection', () => {
+    it('should rise in the east, be highest at noon and set in the west', () => {
+        expect(getSunDirection(0.25).x).toBeCloseTo(1);
+        expect(getSunDirection(0.25).y).toBeCloseTo(0);
+        expect(getSunDirection(0.5).y).toBeGreaterThan(0.9);
+        expect(getSunDirection(0.75).x).toBeCloseTo(-1);
+        expect(getSunDirection(0).y).toBeLessThan(-0.9);
+        expect(getSunDirection(0.4).length()).toBeCloseTo(1);
+    });
+});
+
+describe('DayNightCycle', () => {
+    let world;
+    let scene;
+    let ambientLight;
+    let sunLight;
+    let chunkMaterial;
+    let cycle;
+
+    beforeEach(() => {
+        world = new World(mockMaterial, 24680);
+        scene = new THREE.Scene();
+        scene.background = new THREE.Color(0xffffff);
+        scene.fog = new THREE.Fog(0xffffff, 10, 20);
+        ambientLight = new THREE.AmbientLight(0xffffff, 1);
+        sunLight = new THREE.DirectionalLight(0xffffff, 1);
+        chunkMaterial = new THREE.MeshStandardMaterial();
+        chunkMaterial.userData.skyLightFactor = { value: 1 };
+        cycle = new DayNightCycle(world, scene, { ambientLight, sunLight, materials: [chunkMaterial] });
+    });
+
+    const worldPositionOf = object => {
+        scene.updateMatrixWorld(true);
+        return object.getWorldPosition(new THREE.Vector3());
+    };
+
+    it('should move the sun and moon around the camera with the time of day', () => {
+        const camera = new THREE.Vector3(100, 70, -40);
+        world.setTime(0.5);
+        cycle.update(camera);
+        expect(worldPositionOf(cycle.sun).y).toBeGreaterThan(camera.y + 300);
+        expect(worldPositionOf(cycle.moon).y).toBeLessThan(camera.y - 300);
+        expect(worldPositionOf(cycle.sun).x).toBeCloseTo(camera.x);
+
+        world.setTime(0);
+        cycle.update(camera);
+        expect(worldPositionOf(cycle.sun).y).toBeLessThan(camera.y);
+        expect(worldPositionOf(cycle.moon).y).toBeGreaterThan(camera.y);
+    });
+
+    it('should colour the background and fog and scale the lights', () => {
+        world.setTime(0.5);
+        cycle.update(new THREE.Vector3());
+        expect(scene.background.getHex()).toBe(0x87ceeb);
+        expect(scene.fog.color.getHex()).toBe(0x87ceeb);
+        expect(sunLight.intensity).toBeCloseTo(sampleSky(0.5).sunIntensity);
+        expect(ambientLight.intensity).toBeCloseTo(sampleSky(0.5).ambientIntensity);
+        expect(chunkMaterial.userData.skyLightFactor.value).toBe(1);
+        expect(cycle.stars.visible).toBe(false);
+
+        world.setTime(0.9);
+        cycle.update(new THREE.Vector3());
+        expect(scene.background.getHex()).toBe(sampleSky(0.9).skyColor.getHex());
+        expect(scene.fog.color.getHex()).toBe(sampleSky(0.9).fogColor.getHex());
+        expect(chunkMaterial.userData.skyLightFactor.value).toBeCloseTo(sampleSky(0.9).skyLightFactor);
+        expect(cycle.stars.visible).toBe(true);
+    });
+
+    it('should light the scene from the moon at night', () => {
+        world.setTime(0.5);
+        cycle.update(new THREE.Vector3());
+        expect(sunLight.position.y).toBeGreaterThan(0);
+
+        world.setTime(0.1);
+        cycle.update(new THREE.Vector3());
+        expect(sunLight.position.y).toBeGreaterThan(0); // The moon is up
+        expect(sunLight.intensity).toBeLessThan(sampleSky(0.5).sunIntensity);
+    });
+
+    it('should remove the sky from the scene when disposed', () => {
+        expect(scene.children).toContain(cycle.sky);
+        cycle.dispose();
+        expect(scene.children).not.toContain(cycle.sky);
+    });
+});
@@ -0,0 +1,219 @@
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './Chunk.js';
+
+const DEFAULT_MAX_EDITS = 10000; // Block edits kept across all undo and redo steps
+const DEFAULT_RECORDED_SOURCES = ['player'];
+
+/**
+ * Undo/redo history of block edits.
+ *
+ * Listens to the world's 'blockChanged' events and records edits from the given sources (the
+ * player's by default). Each edit becomes its own step unless made inside group() (or between
+ * beginGroup() and endGroup()), in which case the whole action is one step. Undo and redo
+ * apply their edits with source 'undo' / 'redo', which are not recorded. An edit is only undone (or redone)
+ * while its block is still what the edit left (or found); blocks changed since, e.g. by falling sand, fluids or
+ * unrecorded sources, are skipped rather than overwritten.
+ *
+ * Memory is bounded by `maxEdits`: the oldest steps are dropped once the recorded edits exceed it.
+ * Edits in chunks that are currently unloaded are applied by loading the chunk first; edited chunks
+ * keep their data while unloaded (see World.unloadChunk), so this restores exactly what was there.
+ */
+export class EditHistory {
+    /**
+     * @param {World} world The world to record and edit.
+     * @param {object} [options]
+     * @param {number} [options.maxEdits=10000] Maximum number of block edits kept in the history.
+     * @param {string[]} [options.sources=['player']] Block change sources to record.
+     */
+    constructor(world, options = {}) {
+        this.world = world;
+        this.maxEdits = options.maxEdits ?? DEFAULT_MAX_EDITS;
+        this.recordedSources = new Set(options.sources ?? DEFAULT_RECORDED_SOURCES);
+
+        // Steps are {edits: {x, y, z, oldId, newId, oldState, newState}[], discarded: boolean}, oldest first
+        this.undoStack = [];
+        this.redoStack = [];
+        this.editCount = 0; // Edits in both stacks
+
+        // The step edits are currently grouped into (see beginGroup), and its nesting depth
+        this.openStep = null;
+        this.groupDepth = 0;
+
+        this.unsubscribe = world.on('blockChanged', event => this.record(event));
+    }
+
+    /**
+     * Whether there is a step to undo.
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is a step to redo.
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Starts grouping recorded edits into one step. Calls nest; the step ends with the outermost endGroup().
+     */
+    beginGroup() {
+        this.groupDepth++;
+    }
+
+    /**
+     * Ends a group started with beginGroup().
+     */
+    endGroup() {
+        if (this.groupDepth === 0) return;
+        this.groupDepth--;
+        if (this.groupDepth === 0) {
+            this.openStep = null;
+        }
+    }
+
+    /**
+     * Runs a function with all edits it records grouped into one step.
+     * @param {function(): *} action
+     * @returns {*} The action's return value.
+     */
+    group(action) {
+        this.beginGroup();
+        try {
+            return action();
+        } finally {
+            this.endGroup();
+        }
+    }
+
+    /**
+     * Reverts the most recent step.
+     * @returns {boolean} True if a step was undone.
+     */
+    undo() {
+        this.closeGroups();
+        const step = this.undoStack.pop();
+        if (!step) return false;
+
+        let skipped = 0;
+        for (let i = step.edits.length - 1; i >= 0; i--) {
+            const { x, y, z, oldId, newId, oldState, newState } = step.edits[i];
+            if (!this.applyEdit(x, y, z, newId, newState, oldId, oldState, 'undo')) skipped++;
+        }
+        this.warnSkipped(skipped, 'undone');
+        this.redoStack.push(step);
+        return true;
+    }
+
+    /**
+     * Re-applies the most recently undone step.
+     * @returns {boolean} True if a step was redone.
+     */
+    redo() {
+        this.closeGroups();
+        const step = this.redoStack.pop();
+        if (!step) return false;
+
+        let skipped = 0;
+        for (const { x, y, z, oldId, newId, oldState, newState } of step.edits) {
+            if (!this.applyEdit(x, y, z, oldId, oldState, newId, newState, 'redo')) skipped++;
+        }
+        this.warnSkipped(skipped, 'redone');
+        this.undoStack.push(step);
+        return true;
+    }
+
+    /**
+     * Forgets all steps (e.g. after a different world was loaded).
+     */
+    clear() {
+        this.closeGroups();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.editCount = 0;
+    }
+
+    /**
+     * Stops recording.
+     */
+    dispose() {
+        this.unsubscribe();
+        this.clear();
+    }
+
+    /**
+     * Records a block change event.
+     * @private Internal helper method
+     */
+    record({ x, y, z, oldId, newId, oldState = 0, newState = 0, source }) {
+        if (!this.recordedSources.has(source)) return;
+
+        // A new edit invalidates the redo steps
+        for (const step of this.redoStack) {
+            this.editCount -= step.edits.length;
+        }
+        this.redoStack = [];
+
+        let step = this.groupDepth > 0 ? this.openStep : null;
+        if (!step) {
+            step = { edits: [], discarded: false };
+            this.undoStack.push(step);
+            if (this.groupDepth > 0) {
+                this.openStep = step;
+            }
+        }
+        if (step.discarded) return; // The rest of an action that outgrew the history
+        step.edits.push({ x, y, z, oldId, newId, oldState, newState });
+        this.editCount++;
+
+        // Drop the oldest steps once over budget (possibly the open one, if it alone exceeds the budget)
+        while (this.editCount > this.maxEdits && this.undoStack.length > 0) {
+            const dropped = this.undoStack.shift();
+            this.editCount -= dropped.edits.length;
+            if (dropped === step) {
+                console.warn(`Edit exceeds the undo history size (${this.maxEdits} blocks); it cannot be undone`);
+                dropped.discarded = true;
+                dropped.edits = [];
+            }
+        }
+    }
+
+    /**
+     * Sets a block for undo/redo, loading its chunk first if necessary, unless it no longer holds the
+     * expected block and state.
+     * @private Internal helper method
+     * @returns {boolean} False if the block was changed since and left alone.
+     */
+    applyEdit(x, y, z, expectedId, expectedState, blockId, state, source) {
+        const chunkX = Math.floor(x / CHUNK_WIDTH);
+        const chunkY = Math.floor(y / CHUNK_HEIGHT);
+        const chunkZ = Math.floor(z / CHUNK_DEPTH);
+        this.world.getOrCreateChunk(chunkX, chunkY, chunkZ); // Restores retained edits if it was unloaded
+        if (this.world.getBlock(x, y, z) !== expectedId || this.world.getBlockState(x, y, z) !== expectedState) {
+            return false;
+        }
+        this.world.setBlock(x, y, z, blockId, { state, source, urgent: true });
+        return true;
+    }
+
+    /**
+     * @private Internal helper method
+     */
+    warnSkipped(skipped, action) {
+        if (skipped > 0) {
+            console.warn(`${skipped} block(s) changed since the edit and were not ${action}`);
+        }
+    }
+
+    /**
+     * Ends any open group, so undo/redo never splits or extends a step in progress.
+     * @private Internal helper method
+     */
+    closeGroups() {
+        this.groupDepth = 0;
+        this.openStep = null;
+    }
+}
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { World } from './World.js';
+import { EditHistory } from './EditHistory.js';
+import { BLOCKS } from './BlockRegistry.js';
+
+// --- Test Helpers ---
+const mockMaterial = {};
+const AIR = BLOCKS[0].id;
+const STONE = BLOCKS[3].id;
+const WOOD = BLOCKS[4].id;
+const playerEdit = { source: 'player' };
+
+describe('EditHistory', () => {
+    let world;
+    let history;
+    let mockScene;
+
+    beforeEach(() => {
+        world = new World(mockMaterial, 67890);
+        world.getOrCreateChunk(0, 0, 0);
+        history = new EditHistory(world);
+        mockScene = { add: vi.fn(), remove: vi.fn() };
+    });
+
+    it('should undo and redo a player edit', () => {
+        world.setBlock(4, 100, 4, STONE, playerEdit);
+
+        expect(history.undo()).toBe(true);
+        expect(world.getBlock(4, 100, 4)).toBe(AIR);
+        expect(history.canRedo).toBe(true);
+
+        expect(history.redo()).toBe(true);
+        expect(world.getBlock(4, 100, 4)).toBe(STONE);
+        expect(history.redo()).toBe(false);
+    });
+
+    it('should restore block states', () => {
+        world.setBlock(4, 100, 4, WOOD, { ...playerEdit, state: 1 });
+        world.setBlock(4, 100, 4, WOOD, playerEdit);
+
+        history.undo();
+        expect(world.getBlockState(4, 100, 4)).toBe(1);
+        history.redo();
+        expect(world.getBlockState(4, 100, 4)).toBe(0);
+    });
+
+    it('should undo steps in reverse order', () => {
+        world.setBlock(4, 100, 4, STONE, playerEdit);
+        world.setBlock(4, 100, 4, WOOD, playerEdit);
+
+        history.undo();
+        expect(world.getBlock(4, 100, 4)).toBe(STONE);
+        history.undo();
+        expect(world.getBlock(4, 100, 4)).toBe(AIR);
+        expect(history.undo()).toBe(false);
+    });
+
+    it('should only record player edits, and not its own undo/redo edits', () => {
+        world.setBlock(4, 100, 4, STONE); // Script edit
+        world.setBlock(5, 100, 5, STONE, { source: 'network' });
+        expect(history.canUndo).toBe(false);
+
+        world.setBlock(6, 100, 6, STONE, playerEdit);
+        history.undo();
+        history.redo();
+        expect(history.undoStack).toHaveLength(1);
+        expect(history.redoStack).toHaveLength(0);
+    });
+
+    it('should rebuild undone edits urgently', () => {
+        world.setBlock(4, 100, 4, STONE, playerEdit);
+        world.urgentChunks.clear();
+
+        history.undo();
+        expect(world.urgentChunks.has(world.getChunk(0, 0, 0))).toBe(true);
+    });
+
+    it('should group the edits of one action into a single step', () => {
+        history.group(() => {
+            world.setBlock(4, 100, 4, STONE, playerEdit);
+            history.group(() => world.setBlock(5, 100, 5, STONE, playerEdit)); // Nested groups join the outer one
+            world.setBlock(4, 100, 4, WOOD, playerEdit);
+        });
+        world.setBlock(6, 100, 6, STONE, playerEdit);
+
+        expect(history.undoStack).toHaveLength(2);
+        history.undo(); // The separate edit
+        expect(world.getBlock(6, 100, 6)).toBe(AIR);
+        expect(world.getBlock(4, 100, 4)).toBe(WOOD);
+
+        history.undo(); // The whole group
+        expect(world.getBlock(4, 100, 4)).toBe(AIR);
+        expect(world.getBlock(5, 100, 5)).toBe(AIR);
+
+        history.redo();
+        expect(world.getBlock(4, 100, 4)).toBe(WOOD);
+        expect(world.getBlock(5, 100, 5)).toBe(STONE);
+    });
+
+    it('should discard redo steps when a new edit is made', () => {
+        world.setBlock(4, 100, 4, STONE, playerEdit);
+        history.undo();
+        world.setBlock(5, 100, 5, WOOD, playerEdit);
+
+        expect(history.canRedo).toBe(false);
+        expect(history.editCount).toBe(1);
+    });
+
+    it('should drop the oldest steps beyond the size limit', () => {
+        history = new EditHistory(world, { maxEdits: 3 });
+        world.setBlock(1, 100, 1, STONE, playerEdit);
+        world.setBlock(2, 100, 2, STONE, playerEdit);
+        world.setBlock(3, 100, 3, STONE, playerEdit);
+        world.setBlock(4, 100, 4, STONE, playerEdit);
+
+        expect(history.editCount).toBe(3);
+        while (history.undo());
+        expect(world.getBlock(1, 100, 1)).toBe(STONE); // Forgotten
+        expect(world.getBlock(2, 100, 2)).toBe(AIR);
+    });
+
+    it('should drop an action that alone exceeds the size limit', () => {
+        history = new EditHistory(world, { maxEdits: 2 });
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        history.group(() => {
+            for (let x = 0; x < 4; x++) {
+                world.setBlock(x, 100, 0, STONE, playerEdit);
+            }
+        });
+        warnSpy.mockRestore();
+
+        expect(history.canUndo).toBe(false);
+        expect(history.editCount).toBe(0);
+    });
+
+    it('should restore blocks in chunks that were unloaded and reloaded in between', () => {
+        world.setBlock(4, 100, 4, STONE, playerEdit);
+        world.setBlock(5, 100, 5, WOOD, playerEdit);
+        world.unloadChunk('0,0,0', mockScene);
+        world.getOrCreateChunk(0, 0, 0);
+
+        history.undo();
+        expect(world.getBlock(5, 100, 5)).toBe(AIR);
+        expect(world.getBlock(4, 100, 4)).toBe(STONE);
+    });
+
+    it('should load an unloaded chunk to undo an edit in it', () => {
+        world.setBlock(4, 100, 4, STONE, playerEdit);
+        world.unloadChunk('0,0,0', mockScene);
+
+        history.undo();
+        expect(world.getChunk(0, 0, 0)).toBeDefined();
+        expect(world.getBlock(4, 100, 4)).toBe(AIR);
+    });
+
+    it('should not overwrite blocks changed since the edit', () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        history.group(() => {
+            world.setBlock(4, 100, 4, STONE, playerEdit);
+            world.setBlock(5, 100, 5, STONE, playerEdit);
+        });
+        world.setBlock(5, 100, 5, WOOD); // Unrecorded change, e.g. a script
+
+        history.undo();
+        expect(world.getBlock(4, 100, 4)).toBe(AIR);
+        expect(world.getBlock(5, 100, 5)).toBe(WOOD);
+        expect(warnSpy).toHaveBeenCalledTimes(1);
+
+        world.setBlock(4, 100, 4, WOOD, { source: 'network' });
+        history.redo();
+        expect(world.getBlock(4, 100, 4)).toBe(WOOD);
+        expect(world.getBlock(5, 100, 5)).toBe(WOOD);
+        expect(warnSpy).toHaveBeenCalledTimes(2);
+        warnSpy.mockRestore();
+    });
+
+    it('should not overwrite a changed block state', () => {
+        world.setBlock(4, 100, 4, WOOD, { ...playerEdit, state: 1 });
+        world.setBlock(4, 100, 4, WOOD, { state: 2 });
+
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        history.undo();
+        warnSpy.mockRestore();
+        expect(world.getBlock(4, 100, 4)).toBe(WOOD);
+        expect(world.getBlockState(4, 100, 4)).toBe(2);
+    });
+
+    it('should stop recording after dispose', () => {
+        history.dispose();
+        world.setBlock(4, 100, 4, STONE, playerEdit);
+        expect(history.canUndo).toBe(false);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Minimal synchronous event emitter.
+ * Listeners run in subscription order. A listener may return `false` to veto a cancellable
+ * event; see emit().
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // Key: event name, Value: array of listener functions
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {string} eventName The event name.
+     * @param {function(object): (boolean|void)} listener Called with the event payload.
+     * @returns {function(): void} Unsubscribes the listener.
+     */
+    on(eventName, listener) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, []);
+        }
+        this.listeners.get(eventName).push(listener);
+        return () => this.off(eventName, listener);
+    }
+
+    /**
+     * Unsubscribes a listener added with on().
+     * @param {string} eventName The event name.
+     * @param {function} listener The listener to remove.
+     */
+    off(eventName, listener) {
+        const listeners = this.listeners.get(eventName);
+        if (!listeners) return;
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Counts the listeners of an event (lets hot paths skip building payloads nobody receives).
+     * @param {string} eventName The event name.
+     * @returns {number}
+     */
+    listenerCount(eventName) {
+        const listeners = this.listeners.get(eventName);
+        return listeners ? listeners.length : 0;
+    }
+
+    /**
+     * Calls every listener of an event with the payload. Errors thrown by listeners are logged
+     * and do not stop the remaining listeners.
+     * @param {string} eventName The event name.
+     * @param {object} payload The event payload.
+     * @returns {boolean} False if any listener returned false (vetoed the event), true otherwise.
+     *   All listeners run even after a veto.
+     */
+    emit(eventName, payload) {
+        const listeners = this.listeners.get(eventName);
+        if (!listeners || listeners.length === 0) return true;
+
+        let allowed = true;
+        // Copy so listeners can unsubscribe while the event is dispatched
+        for (const listener of [...listeners]) {
+            try {
+                if (listener(payload) === false) {
+                    allowed = false;
+                }
+            } catch (error) {
+                console.error(`Error in '${eventName}' listener:`, error);
+            }
+        }
+        return allowed;
+    }
+}
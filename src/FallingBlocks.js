@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { BLOCKS, getBlockById } from './BlockRegistry.js';
+import { ChunkMesher } from './ChunkMesher.js';
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH, createMeshGeometry } from './Chunk.js';
+
+// Falling block physics
+const FALL_GRAVITY = 20.0; // Units per second squared (same as the player's)
+const TERMINAL_VELOCITY = 40.0; // Maximum falling speed in units per second
+const MAX_FALL_STEP = 0.5; // Longest move between collision checks, so fast blocks can't skip a block
+
+/**
+ * A block that left the grid and is falling. `position` is its minimum corner; x and z stay whole numbers.
+ */
+export class FallingBlock {
+    /**
+     * @param {number} blockId The block's ID.
+     * @param {number} state The block's state, kept when it lands.
+     * @param {number} x World X coordinate of the cell it fell from.
+     * @param {number} y World Y coordinate of the cell it fell from.
+     * @param {number} z World Z coordinate of the cell it fell from.
+     */
+    constructor(blockId, state, x, y, z) {
+        this.blockId = blockId;
+        this.state = state;
+        this.position = new THREE.Vector3(x, y, z);
+        this.velocityY = 0;
+        this.mesh = null; // Set by FallingBlocks when rendering
+    }
+}
+
+/**
+ * Makes blocks with `gravity: true` (see BlockRegistry) fall. When such a block is left without a solid
+ * block below it (its support is removed, or it is placed over a gap), it is taken out of the grid and
+ * simulated as a FallingBlock until it lands, then set back into the grid (source 'falling'). Landing
+ * uses the same box collision as the player (World.intersectsSolidBlock), so it falls through non-solid
+ * blocks and replaces the one in the cell it lands in. Stacks cascade, as each block leaving the grid
+ * removes the support of the one above.
+ *
+ * Falling blocks wait while the chunk below them isn't loaded. When the chunk they are in is streamed out they
+ * land where they are, so the chunk keeps their block; when all chunks are unloaded (the world is replaced) they
+ * are dropped.
+ */
+export class FallingBlocks {
+    /**
+     * @param {World} world The world to watch.
+     * @param {THREE.Scene} [scene] Scene to show falling blocks in; without one nothing is rendered.
+     * @param {THREE.Material} [material] Material of the falling block meshes (the chunk material).
+     */
+    constructor(world, scene = null, material = null) {
+        this.world = world;
+        this.scene = scene;
+        this.material = material;
+        this.blocks = []; // FallingBlock instances in the air
+        this.box = new THREE.Box3(); // Reused for collision checks
+
+        // Positions to check for unsupported blocks; drained in order, so cascades don't recurse
+        this.pendingChecks = [];
+        this.isDraining = false;
+        this.isSuspended = false; // Set while landing blocks of a chunk being unloaded, see landInChunk
+
+        const unsubscribers = [
+            world.on('blockChanged', ({ x, y, z }) => {
+                this.pendingChecks.push({ x, y, z }, { x, y: y + 1, z }); // The block itself and the one it supports
+                this.drainChecks();
+            }),
+            world.on('chunkUnloading', ({ chunkX, chunkY, chunkZ }) => this.landInChunk(chunkX, chunkY, chunkZ)),
+            world.on('chunkUnloaded', ({ chunkX, chunkY, chunkZ }) => {
+                this.blocks.filter(block => this.isInChunk(block, chunkX, chunkY, chunkZ)).forEach(block => this.removeBlock(block));
+            }),
+        ];
+        this.unsubscribe = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Moves the falling blocks and lands those that hit something.
+     * @param {number} deltaTime Seconds since the last update.
+     */
+    update(deltaTime) {
+        for (const block of [...this.blocks]) {
+            const { x, z } = block.position;
+            if (!this.world.isBlockLoaded(x, Math.floor(block.position.y) - 1, z)) continue;
+
+            block.velocityY = Math.max(block.velocityY - FALL_GRAVITY * deltaTime, -TERMINAL_VELOCITY);
+            let remaining = block.velocityY * deltaTime;
+            while (remaining < 0) {
+                const step = Math.max(remaining, -MAX_FALL_STEP);
+                this.box.min.set(x, block.position.y + step, z);
+                this.box.max.set(x + 1, block.position.y + step + 1, z + 1);
+                if (this.world.intersectsSolidBlock(this.box)) {
+                    // Rest on top of the block below, like the player landing (see Player.update)
+                    this.land(block, Math.floor(this.box.min.y) + 1);
+                    break;
+                }
+                block.position.y += step;
+                remaining -= step;
+            }
+            if (block.mesh) {
+                block.mesh.position.copy(block.position);
+            }
+        }
+    }
+
+    /**
+     * Stops watching the world and removes every falling block (and its mesh).
+     */
+    dispose() {
+        this.unsubscribe();
+        [...this.blocks].forEach(block => this.removeBlock(block));
+    }
+
+    /**
+     * Checks queued positions until none are left. Re-entrant calls (from the block changes made here) only queue.
+     * @private Internal helper method
+     */
+    drainChecks() {
+        if (this.isDraining || this.isSuspended) return;
+        this.isDraining = true;
+        try {
+            while (this.pendingChecks.length > 0) {
+                const { x, y, z } = this.pendingChecks.shift();
+                this.startFalling(x, y, z);
+            }
+        } finally {
+            this.isDraining = false;
+        }
+    }
+
+    /**
+     * Lands the falling blocks in a chunk in the cell they are in (or the first free one above), before the chunk is
+     * unloaded. They don't start falling again until a block next to them changes after the chunk is reloaded.
+     * @private Internal helper method
+     */
+    landInChunk(chunkX, chunkY, chunkZ) {
+        const landing = this.blocks.filter(block => this.isInChunk(block, chunkX, chunkY, chunkZ));
+        if (landing.length === 0) return;
+        this.isSuspended = true;
+        try {
+            landing.forEach(block => this.land(block, Math.floor(block.position.y)));
+        } finally {
+            this.isSuspended = false;
+        }
+        // The landed blocks' checks would find them unsupported and set them falling in a chunk about to go
+        this.pendingChecks = this.pendingChecks.filter(({ x, y, z }) =>
+            Math.floor(x / CHUNK_WIDTH) !== chunkX || Math.floor(y / CHUNK_HEIGHT) !== chunkY || Math.floor(z / CHUNK_DEPTH) !== chunkZ);
+    }
+
+    /**
+     * Turns the block at a position into a FallingBlock if it has gravity and nothing solid below it.
+     * @private Internal helper method
+     */
+    startFalling(x, y, z) {
+        const blockId = this.world.getBlock(x, y, z);
+        if (!getBlockById(blockId).gravity) return;
+        if (getBlockById(this.world.getBlock(x, y - 1, z)).solid || !this.world.isBlockLoaded(x, y - 1, z)) return;
+
+        const state = this.world.getBlockState(x, y, z);
+        if (!this.world.setBlock(x, y, z, BLOCKS[0].id, { source: 'falling' })) return; // Vetoed
+
+        const block = new FallingBlock(blockId, state, x, y, z);
+        if (this.scene) {
+            block.mesh = this.createMesh(block);
+            this.scene.add(block.mesh);
+        }
+        this.blocks.push(block);
+    }
+
+    /**
+     * Puts a falling block back into the grid at a height. If that cell was filled by a solid block in
+     * the meantime, the first free cell above is used.
+     * @private Internal helper method
+     */
+    land(block, landingY) {
+        const { x, z } = block.position;
+        let y = landingY;
+        while (getBlockById(this.world.getBlock(x, y, z)).solid) {
+            y++;
+        }
+        this.removeBlock(block);
+        if (!this.world.setBlock(x, y, z, block.blockId, { source: 'falling', state: block.state })) {
+            console.warn(`Falling block ${block.blockId} could not land at ${x},${y},${z}`);
+        }
+    }
+
+    /**
+     * Removes a falling block from the simulation and disposes its mesh.
+     * @private Internal helper method
+     */
+    removeBlock(block) {
+        this.blocks.splice(this.blocks.indexOf(block), 1);
+        if (block.mesh) {
+            this.scene.remove(block.mesh);
+            block.mesh.geometry.dispose();
+            block.mesh = null;
+        }
+    }
+
+    /**
+     * @private Internal helper method
+     */
+    isInChunk(block, chunkX, chunkY, chunkZ) {
+        const { x, y, z } = block.position;
+        return Math.floor(x / CHUNK_WIDTH) === chunkX && Math.floor(y / CHUNK_HEIGHT) === chunkY &&
+            Math.floor(z / CHUNK_DEPTH) === chunkZ;
+    }
+
+    /**
+     * Builds the mesh of a falling block: a lone block with all six faces.
+     * @private Internal helper method
+     */
+    createMesh(block) {
+        const geometry = createMeshGeometry(ChunkMesher.generateBlock(block.blockId, block.state)); // Packed like chunk meshes
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.name = `FallingBlock_${block.position.x}_${block.position.z}`;
+        mesh.position.copy(block.position);
+        return mesh;
+    }
+}
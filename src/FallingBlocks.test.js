@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { World } from './World.js';
+import { FallingBlocks } from './FallingBlocks.js';
+import { BLOCKS } from './BlockRegistry.js';
+
+// Mock Material
+const mockMaterial = new THREE.MeshBasicMaterial();
+
+// --- Test Helpers ---
+const AIR = BLOCKS[0].id;
+const DIRT = BLOCKS[2].id;
+const STONE = BLOCKS[3].id;
+const SAND = BLOCKS[6].id;
+const GRAVEL = BLOCKS[7].id;
+const TEST_ID = 250; // Temporary non-solid block (like a plant)
+const FRAME_TIME = 1 / 60;
+
+// Runs frames until nothing is falling (or a time limit is reached)
+const settle = (fallingBlocks, maxFrames = 600) => {
+    for (let i = 0; i < maxFrames && fallingBlocks.blocks.length > 0; i++) {
+        fallingBlocks.update(FRAME_TIME);
+    }
+};
+
+describe('FallingBlocks', () => {
+    let world;
+    let fallingBlocks;
+
+    beforeEach(() => {
+        BLOCKS[TEST_ID] = { id: TEST_ID, name: 'test_plant', solid: false };
+        world = new World(mockMaterial, 24680);
+        world.getOrCreateChunk(0, 0, 0);
+        world.setBlock(5, 100, 5, STONE); // Floor
+        fallingBlocks = new FallingBlocks(world);
+    });
+
+    afterEach(() => {
+        fallingBlocks.dispose();
+        delete BLOCKS[TEST_ID];
+    });
+
+    it('should fall when the block beneath is removed and land on the floor', () => {
+        world.setBlock(5, 101, 5, DIRT);
+        world.setBlock(5, 102, 5, SAND);
+        expect(fallingBlocks.blocks).toHaveLength(0); // Supported
+
+        const listener = vi.fn();
+        world.on('blockChanged', listener);
+        world.setBlock(5, 101, 5, AIR);
+        expect(world.getBlock(5, 102, 5)).toBe(AIR);
+        expect(fallingBlocks.blocks).toHaveLength(1);
+
+        fallingBlocks.update(FRAME_TIME);
+        expect(fallingBlocks.blocks[0].position.y).toBeLessThan(102);
+
+        settle(fallingBlocks);
+        expect(fallingBlocks.blocks).toHaveLength(0);
+        expect(world.getBlock(5, 101, 5)).toBe(SAND);
+        expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ x: 5, y: 101, z: 5, newId: SAND, source: 'falling' }));
+    });
+
+    it('should cascade through a stack of gravity blocks', () => {
+        world.setBlock(5, 101, 5, DIRT);
+        world.setBlock(5, 102, 5, SAND);
+        world.setBlock(5, 103, 5, GRAVEL);
+        world.setBlock(5, 104, 5, SAND);
+
+        world.setBlock(5, 101, 5, AIR);
+        expect(fallingBlocks.blocks).toHaveLength(3);
+
+        settle(fallingBlocks);
+        expect([101, 102, 103, 104].map(y => world.getBlock(5, y, 5))).toEqual([SAND, GRAVEL, SAND, AIR]);
+    });
+
+    it('should fall when placed over a gap, through non-solid blocks, replacing the one it lands in', () => {
+        world.setBlock(5, 101, 5, TEST_ID);
+        world.setBlock(5, 110, 5, GRAVEL);
+        expect(fallingBlocks.blocks).toHaveLength(1);
+
+        settle(fallingBlocks);
+        expect(world.getBlock(5, 101, 5)).toBe(GRAVEL);
+        expect(world.getBlock(5, 102, 5)).toBe(AIR);
+    });
+
+    it('should not pass through the floor on long frames', () => {
+        world.setBlock(5, 150, 5, SAND);
+        fallingBlocks.update(1);
+        fallingBlocks.update(2);
+
+        expect(fallingBlocks.blocks).toHaveLength(0);
+        expect(world.getBlock(5, 101, 5)).toBe(SAND);
+    });
+
+    it('should land falling blocks where they are when their chunk is unloaded, and keep them with it', () => {
+        world.setBlock(5, 120, 5, SAND);
+        world.setBlock(5, 121, 5, GRAVEL); // A stack, both falling
+        for (let i = 0; i < 20; i++) fallingBlocks.update(FRAME_TIME);
+        const [sandY, gravelY] = fallingBlocks.blocks.map(block => Math.floor(block.position.y));
+        expect(sandY).toBeLessThan(120);
+
+        world.unloadChunk('0,0,0', { add: vi.fn(), remove: vi.fn() });
+        expect(fallingBlocks.blocks).toHaveLength(0);
+
+        world.getOrCreateChunk(0, 0, 0);
+        expect(world.getBlock(5, sandY, 5)).toBe(SAND);
+        expect(world.getBlock(5, gravelY === sandY ? sandY + 1 : gravelY, 5)).toBe(GRAVEL);
+        expect(fallingBlocks.blocks).toHaveLength(0);
+    });
+
+    it('should drop falling blocks when the whole world is unloaded', () => {
+        world.setBlock(5, 120, 5, SAND);
+        expect(fallingBlocks.blocks).toHaveLength(1);
+
+        world.unloadAllChunks({ add: vi.fn(), remove: vi.fn() });
+        expect(fallingBlocks.blocks).toHaveLength(0);
+    });
+
+    it('should show a mesh while falling when given a scene', () => {
+        fallingBlocks.dispose(); // One simulation per world
+        const scene = { add: vi.fn(), remove: vi.fn() };
+        const renderedBlocks = new FallingBlocks(world, scene, mockMaterial);
+        world.setBlock(5, 103, 5, SAND);
+
+        const mesh = renderedBlocks.blocks[0].mesh;
+        expect(scene.add).toHaveBeenCalledWith(mesh);
+        expect(mesh.geometry.getAttribute('position').count).toBe(24); // All six faces
+        renderedBlocks.update(FRAME_TIME);
+        expect(mesh.position.y).toBe(renderedBlocks.blocks[0].position.y);
+
+        settle(renderedBlocks);
+        expect(scene.remove).toHaveBeenCalledWith(mesh);
+        renderedBlocks.dispose();
+    });
+});
@@ -0,0 +1,161 @@
+import { BLOCKS, getBlockById, encodeBlockState, decodeBlockState } from './BlockRegistry.js';
+
+// Neighbor offsets: the four horizontal ones first, then below and above
+const HORIZONTAL_OFFSETS = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]];
+const NEIGHBOR_OFFSETS = [...HORIZONTAL_OFFSETS, [0, -1, 0], [0, 1, 0]];
+
+/**
+ * Level-based fluid flow for blocks with `fluid: true` (water and lava, see BlockRegistry).
+ *
+ * A fluid's `level` state is its distance from a source block (level 0). Each flow step (a scheduled tick
+ * of the fluid block, `flowDelay` ticks after something changed next to it) does one of:
+ * - Hardening: a fluid with `hardensInto` touching a different fluid turns into that block (lava -> stone).
+ * - Updating: a non-source block recomputes what feeds it. With the same fluid above it is `falling`;
+ *   otherwise its level is one more than its lowest-level horizontal neighbor that spreads sideways.
+ *   Without any feeder, or beyond `flowDistance`, it drains away. This is how flows recede.
+ * - Spreading: down into a replaceable block (air or any non-solid, non-fluid block) as falling fluid,
+ *   and only where it can't flow down, sideways into replaceable blocks at the next level.
+ *
+ * Every change is an ordinary block change (source 'fluid') that schedules the fluid blocks around it,
+ * so a flood advances a few blocks per flow step spread over many ticks, and the scheduler's per-tick limit
+ * keeps big floods from stalling a frame. Flow that was pending when a chunk was saved or unloaded
+ * resumes once a block next to it changes.
+ */
+export class Fluids {
+    /**
+     * @param {World} world The world whose fluids to simulate.
+     */
+    constructor(world) {
+        this.world = world;
+        this.unsubscribe = world.on('blockChanged', ({ x, y, z }) => this.scheduleAround(x, y, z));
+    }
+
+    /**
+     * Runs one flow step of the fluid block at a position (called from its scheduled tick).
+     * @param {number} x World X coordinate.
+     * @param {number} y World Y coordinate.
+     * @param {number} z World Z coordinate.
+     */
+    tick(x, y, z) {
+        const blockId = this.world.getBlock(x, y, z);
+        const block = getBlockById(blockId);
+        if (!block.fluid) return;
+        const { level, falling } = decodeBlockState(blockId, this.world.getBlockState(x, y, z));
+
+        if (block.hardensInto !== undefined && this.touchesOtherFluid(blockId, x, y, z)) {
+            this.world.setBlock(x, y, z, block.hardensInto, { source: 'fluid' });
+            return;
+        }
+
+        if (level !== 0 || falling) {
+            const fed = this.getFedState(blockId, x, y, z);
+            if (!fed) {
+                this.world.setBlock(x, y, z, BLOCKS[0].id, { source: 'fluid' }); // Drained
+                return;
+            }
+            if (fed.level !== level || fed.falling !== falling) {
+                // The change schedules this block again, so it spreads on its next step
+                this.world.setBlock(x, y, z, blockId, { source: 'fluid', state: encodeBlockState(blockId, fed) });
+                return;
+            }
+        }
+        this.spread(blockId, x, y, z, falling ? 0 : level);
+    }
+
+    /**
+     * Stops reacting to block changes (pending flow steps still run).
+     */
+    dispose() {
+        this.unsubscribe();
+    }
+
+    /**
+     * Schedules a flow step for the fluid blocks at and around a changed position.
+     * @private Internal helper method
+     */
+    scheduleAround(x, y, z) {
+        this.scheduleFlow(x, y, z);
+        for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+            this.scheduleFlow(x + dx, y + dy, z + dz);
+        }
+    }
+
+    /**
+     * @private Internal helper method
+     */
+    scheduleFlow(x, y, z) {
+        const block = getBlockById(this.world.getBlock(x, y, z));
+        if (block.fluid) {
+            this.world.scheduleTick({ x, y, z }, block.flowDelay);
+        }
+    }
+
+    /**
+     * Finds the state a non-source fluid block should have from its neighbors, or null if nothing feeds it.
+     * @returns {{level: number, falling: boolean} | null}
+     * @private Internal helper method
+     */
+    getFedState(blockId, x, y, z) {
+        if (this.world.getBlock(x, y + 1, z) === blockId) {
+            return { level: 0, falling: true };
+        }
+        let lowestLevel = Infinity;
+        for (const [dx, , dz] of HORIZONTAL_OFFSETS) {
+            const neighborX = x + dx;
+            const neighborZ = z + dz;
+            if (this.world.getBlock(neighborX, y, neighborZ) !== blockId || !this.spreadsSideways(blockId, neighborX, y, neighborZ)) continue;
+            const neighbor = decodeBlockState(blockId, this.world.getBlockState(neighborX, y, neighborZ));
+            lowestLevel = Math.min(lowestLevel, neighbor.falling ? 0 : neighbor.level);
+        }
+        const level = lowestLevel + 1;
+        return level <= getBlockById(blockId).flowDistance ? { level, falling: false } : null;
+    }
+
+    /**
+     * Spreads fluid from a block: down if possible, otherwise sideways at the next level.
+     * @param {number} level The block's level (0 for sources and falling fluid).
+     * @private Internal helper method
+     */
+    spread(blockId, x, y, z, level) {
+        if (this.isReplaceable(x, y - 1, z)) {
+            this.world.setBlock(x, y - 1, z, blockId, { source: 'fluid', state: encodeBlockState(blockId, { falling: true }) });
+            return;
+        }
+        const nextLevel = level + 1;
+        if (!this.spreadsSideways(blockId, x, y, z) || nextLevel > getBlockById(blockId).flowDistance) return;
+        const state = encodeBlockState(blockId, { level: nextLevel });
+        for (const [dx, , dz] of HORIZONTAL_OFFSETS) {
+            if (this.isReplaceable(x + dx, y, z + dz)) {
+                this.world.setBlock(x + dx, y, z + dz, blockId, { source: 'fluid', state });
+            }
+        }
+    }
+
+    /**
+     * Checks whether fluid at a position spreads sideways: only when it can't flow down, i.e. it rests on a
+     * block that is neither replaceable nor the same fluid.
+     * @private Internal helper method
+     */
+    spreadsSideways(blockId, x, y, z) {
+        return !this.isReplaceable(x, y - 1, z) && this.world.getBlock(x, y - 1, z) !== blockId;
+    }
+
+    /**
+     * Checks whether fluid can flow into a position: air or another non-solid, non-fluid block, in a loaded chunk.
+     * @private Internal helper method
+     */
+    isReplaceable(x, y, z) {
+        const block = getBlockById(this.world.getBlock(x, y, z));
+        return !block.solid && !block.fluid && this.world.isBlockLoaded(x, y, z);
+    }
+
+    /**
+     * @private Internal helper method
+     */
+    touchesOtherFluid(blockId, x, y, z) {
+        return NEIGHBOR_OFFSETS.some(([dx, dy, dz]) => {
+            const neighborId = this.world.getBlock(x + dx, y + dy, z + dz);
+            return neighborId !== blockId && getBlockById(neighborId).fluid;
+        });
+    }
+}
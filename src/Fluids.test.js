@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { World } from './World.js';
+import { POSITION_SCALE } from './MeshBuffers.js';
+import { BLOCKS, decodeBlockState } from './BlockRegistry.js';
+
+// Mock Material
+const mockMaterial = new THREE.MeshBasicMaterial();
+const mockTranslucentMaterial = new THREE.MeshBasicMaterial({ transparent: true });
+
+// --- Test Helpers ---
+const AIR = BLOCKS[0].id;
+const STONE = BLOCKS[3].id;
+const WATER = BLOCKS[8].id;
+const LAVA = BLOCKS[9].id;
+
+describe('Fluids', () => {
+    let world;
+
+    const runTicks = count => {
+        for (let i = 0; i < count; i++) world.ticks.tick();
+    };
+    const levelAt = (x, y, z) => decodeBlockState(world.getBlock(x, y, z), world.getBlockState(x, y, z)).level;
+
+    beforeEach(() => {
+        world = new World(mockMaterial, 11223, { randomTickSpeed: 0, translucentMaterial: mockTranslucentMaterial });
+        world.getOrCreateChunk(0, 0, 0);
+        world.fillRegion({ x: 0, y: 100, z: 0 }, { x: 15, y: 100, z: 15 }, STONE); // Floor
+    });
+
+    it('should spread sideways from a source up to the flow distance', () => {
+        world.setBlock(8, 101, 8, WATER);
+        runTicks(5);
+        expect(world.getBlock(9, 101, 8)).toBe(WATER); // First flow step after the water's delay
+
+        runTicks(100);
+        expect(levelAt(8, 101, 8)).toBe(0);
+        expect(levelAt(10, 101, 8)).toBe(2);
+        expect(levelAt(9, 101, 9)).toBe(2);
+        expect(levelAt(15, 101, 8)).toBe(7);
+        expect(levelAt(1, 101, 8)).toBe(7);
+        expect(world.getBlock(0, 101, 8)).toBe(AIR); // Beyond the flow distance
+        expect(world.getBlock(8, 102, 8)).toBe(AIR);
+    });
+
+    it('should flow down before spreading sideways', () => {
+        world.setBlock(8, 100, 8, AIR); // A hole in the floor...
+        world.setBlock(8, 99, 8, STONE); // ...one block deep
+        world.setBlock(8, 101, 8, WATER);
+        runTicks(50);
+
+        expect(world.getBlock(8, 100, 8)).toBe(WATER);
+        expect(decodeBlockState(WATER, world.getBlockState(8, 100, 8)).falling).toBe(true);
+        expect(world.getBlock(9, 101, 8)).toBe(AIR);
+    });
+
+    it('should recede when the source is removed', () => {
+        world.setBlock(8, 101, 8, WATER);
+        runTicks(100);
+        world.setBlock(8, 101, 8, AIR);
+        runTicks(200);
+
+        for (let x = 0; x < 16; x++) {
+            expect(world.getBlock(x, 101, 8)).toBe(AIR);
+        }
+    });
+
+    it('should turn lava into stone where it meets water', () => {
+        world.setBlock(8, 101, 8, WATER);
+        runTicks(100);
+        world.setBlock(8, 101, 11, LAVA); // Into the flowing water
+        world.setBlock(8, 102, 8, LAVA); // On top of the source
+        runTicks(40);
+
+        expect(world.getBlock(8, 101, 11)).toBe(STONE);
+        expect(world.getBlock(8, 102, 8)).toBe(STONE);
+        expect(world.getBlock(8, 101, 8)).toBe(WATER);
+    });
+
+    it('should spread lava less far and more slowly than water', () => {
+        world.setBlock(8, 101, 8, LAVA);
+        runTicks(29);
+        expect(world.getBlock(9, 101, 8)).toBe(AIR);
+
+        runTicks(200);
+        expect(levelAt(11, 101, 8)).toBe(3);
+        expect(world.getBlock(12, 101, 8)).toBe(AIR);
+    });
+
+    it('should mesh water into the translucent mesh with a lowered surface', () => {
+        world.setBlock(8, 101, 8, WATER);
+        const chunk = world.getChunk(0, 0, 0);
+        chunk.updateMesh();
+
+        const mesh = chunk.translucentMeshes[6]; // Section of y = 101
+        expect(mesh).not.toBeNull();
+        expect(mesh.material).toBe(mockTranslucentMaterial);
+        const positions = mesh.geometry.getAttribute('position');
+        let top = -Infinity;
+        for (let i = 0; i < positions.count; i++) top = Math.max(top, positions.getY(i) / POSITION_SCALE);
+        expect(top).toBeCloseTo(101 + 8 / 9);
+    });
+});
@@ -0,0 +1,459 @@
+import * as THREE from 'three';
+import { getBlockById, isBlockOpaque } from './BlockRegistry.js';
+// Chunk.js imports ChunkMesher, which imports this module: chunk sizes are only read inside functions
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH, SECTION_HEIGHT } from './Chunk.js';
+
+// Light levels run from 0 (dark) to MAX_LIGHT; each step away from a source loses one level
+export const MAX_LIGHT = 15;
+
+// Both channels are packed into one byte per block: sky light in the high nibble, block light in the low one
+const SKY_SHIFT = 4;
+const BLOCK_SHIFT = 0;
+const CHANNEL_SHIFTS = [SKY_SHIFT, BLOCK_SHIFT];
+
+// Neighbor offsets; full-strength sky light travels DOWN without fading
+const NEIGHBOR_OFFSETS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+const DOWN = 3;
+
+/**
+ * Gets the sky light level from a packed light value.
+ * @param {number} light Packed light (see Chunk.getLight).
+ * @returns {number} Sky light level (0-15).
+ */
+export function skyLightOf(light) {
+    return (light >> SKY_SHIFT) & MAX_LIGHT;
+}
+
+/**
+ * Gets the block light level from a packed light value.
+ * @param {number} light Packed light (see Chunk.getLight).
+ * @returns {number} Block light level (0-15).
+ */
+export function blockLightOf(light) {
+    return (light >> BLOCK_SHIFT) & MAX_LIGHT;
+}
+
+/**
+ * Packs sky and block light levels into one value.
+ * @param {number} skyLight Sky light level (0-15).
+ * @param {number} blockLight Block light level (0-15).
+ * @returns {number}
+ */
+export function packLight(skyLight, blockLight) {
+    return (skyLight << SKY_SHIFT) | (blockLight << BLOCK_SHIFT);
+}
+
+/**
+ * @private Internal helper method
+ */
+function withLevel(light, shift, level) {
+    return (light & ~(MAX_LIGHT << shift)) | (level << shift);
+}
+
+/**
+ * The level light spreads at from a block with `level` into its neighbor in direction `dir`.
+ * @private Internal helper method
+ */
+function spreadLevel(shift, level, dir) {
+    return shift === SKY_SHIFT && dir === DOWN && level === MAX_LIGHT ? MAX_LIGHT : level - 1;
+}
+
+/**
+ * Checks whether replacing one block with another can change light: opacity or emission differ.
+ * @param {number} oldId The previous block ID.
+ * @param {number} newId The new block ID.
+ * @returns {boolean}
+ */
+export function affectsLight(oldId, newId) {
+    const oldBlock = getBlockById(oldId);
+    const newBlock = getBlockById(newId);
+    return isBlockOpaque(oldId) !== isBlockOpaque(newId) || (oldBlock.lightEmission || 0) !== (newBlock.lightEmission || 0);
+}
+
+/**
+ * Computes a chunk's light on its own: sky light falling in from open sky above its top layer and block
+ * light from its light-emitting blocks, spread within the chunk only. Lighting.addChunk then joins it
+ * up with loaded neighbors. Pure, so workers can light (and mesh) chunks too.
+ * @param {ArrayLike<number>} blocks Block IDs in Chunk block data layout.
+ * @returns {Uint8Array} Packed light in the same layout (see Chunk.getLight).
+ */
+export function computeChunkLight(blocks) {
+    const layerSize = CHUNK_WIDTH * CHUNK_DEPTH;
+    const volume = layerSize * CHUNK_HEIGHT;
+    const light = new Uint8Array(volume);
+    const skyQueue = [];
+    const blockQueue = [];
+
+    // Sky light: straight down each column until the first opaque block
+    for (let index = volume - layerSize; index < volume; index++) {
+        for (let columnIndex = index; columnIndex >= 0 && !isBlockOpaque(blocks[columnIndex]); columnIndex -= layerSize) {
+            light[columnIndex] = MAX_LIGHT << SKY_SHIFT;
+            skyQueue.push(columnIndex);
+        }
+    }
+    // Block light: from every emitter (opaque ones like glowstone too)
+    for (let index = 0; index < volume; index++) {
+        const emission = getBlockById(blocks[index]).lightEmission;
+        if (emission) {
+            light[index] |= emission << BLOCK_SHIFT;
+            blockQueue.push(index);
+        }
+    }
+
+    spreadInChunk(blocks, light, skyQueue, SKY_SHIFT);
+    spreadInChunk(blocks, light, blockQueue, BLOCK_SHIFT);
+    return light;
+}
+
+/**
+ * Flood-fills one channel from the queued block indices, within a single chunk.
+ * @private Internal helper method
+ */
+function spreadInChunk(blocks, light, queue, shift) {
+    const layerSize = CHUNK_WIDTH * CHUNK_DEPTH;
+    for (let head = 0; head < queue.length; head++) {
+        const index = queue[head];
+        const level = (light[index] >> shift) & MAX_LIGHT;
+        const x = index % CHUNK_WIDTH;
+        const z = Math.floor(index / CHUNK_WIDTH) % CHUNK_DEPTH;
+        const y = Math.floor(index / layerSize);
+        for (let dir = 0; dir < NEIGHBOR_OFFSETS.length; dir++) {
+            const [dx, dy, dz] = NEIGHBOR_OFFSETS[dir];
+            const nx = x + dx;
+            const ny = y + dy;
+            const nz = z + dz;
+            if (nx < 0 || nx >= CHUNK_WIDTH || ny < 0 || ny >= CHUNK_HEIGHT || nz < 0 || nz >= CHUNK_DEPTH) continue;
+            const neighborIndex = ny * layerSize + nz * CHUNK_WIDTH + nx;
+            const next = spreadLevel(shift, level, dir);
+            if (next <= ((light[neighborIndex] >> shift) & MAX_LIGHT) || isBlockOpaque(blocks[neighborIndex])) continue;
+            light[neighborIndex] = withLevel(light[neighborIndex], shift, next);
+            queue.push(neighborIndex);
+        }
+    }
+}
+
+/**
+ * Flood-fill voxel lighting with two channels per block (see BlockRegistry `lightEmission`):
+ * - Sky light: 15 in every block open to the sky above (straight down, without fading), spreading
+ *   sideways and under overhangs from there. Above the highest loaded chunk counts as open sky.
+ * - Block light: from light-emitting blocks (glowstone, lava).
+ * Both lose one level per block they spread through and are stopped by opaque blocks (see isBlockOpaque).
+ *
+ * Light is stored per chunk section (see Chunk.getLight) and kept up to date by World: chunks are lit when created and
+ * joined with their loaded neighbors (addChunk), and block changes relight incrementally (updateBlocks),
+ * removing light that no longer has a source before spreading the rest back in. The sections whose light
+ * changed must be remeshed so ChunkMesher bakes the new values into their vertices (see flushChangedSections).
+ */
+export class Lighting {
+    /**
+     * @param {World} world The world to light.
+     */
+    constructor(world) {
+        this.world = world;
+        // Sections whose light changed and that haven't been handed out yet: chunk -> Set of section indices
+        this.changedSections = new Map();
+        // The chunk last looked up by chunkAt and its coordinates (block lookups mostly stay within a chunk)
+        this.cachedChunk = null;
+        this.cachedChunkX = 0;
+        this.cachedChunkY = 0;
+        this.cachedChunkZ = 0;
+    }
+
+    /**
+     * Joins a newly created chunk's light (computed on its own, see computeChunkLight) with its loaded
+     * neighbors: light spreads across the shared faces both ways, and open sky assumed above a chunk that
+     * now has a chunk on top of it is taken back where that chunk blocks it. Marks the relit sections dirty.
+     * @param {Chunk} chunk The new chunk (with `light` set).
+     * @param {number} chunkX Chunk's X coordinate.
+     * @param {number} chunkY Chunk's Y coordinate.
+     * @param {number} chunkZ Chunk's Z coordinate.
+     */
+    addChunk(chunk, chunkX, chunkY, chunkZ) {
+        this.cachedChunk = null;
+        const addQueues = CHANNEL_SHIFTS.map(() => []);
+        const removeQueues = CHANNEL_SHIFTS.map(() => []);
+
+        // Every block on a face shared with a loaded neighbor, paired with the block across
+        const faces = [
+            [1, 0, 0, CHUNK_WIDTH - 1], [-1, 0, 0, 0], [0, 0, 1, CHUNK_DEPTH - 1], [0, 0, -1, 0],
+            [0, 1, 0, CHUNK_HEIGHT - 1], [0, -1, 0, 0],
+        ];
+        for (const [dx, dy, dz, boundary] of faces) {
+            const neighbor = this.world.getChunk(chunkX + dx, chunkY + dy, chunkZ + dz);
+            if (!neighbor) continue;
+            const [sizeA, sizeB] = dx !== 0 ? [CHUNK_HEIGHT, CHUNK_DEPTH] : dz !== 0 ? [CHUNK_HEIGHT, CHUNK_WIDTH] : [CHUNK_WIDTH, CHUNK_DEPTH];
+            for (let a = 0; a < sizeA; a++) {
+                for (let b = 0; b < sizeB; b++) {
+                    // (a, b) spans the face: (y, z) for east/west, (y, x) for south/north, (x, z) for top/bottom
+                    const x = dx !== 0 ? boundary : dz !== 0 ? b : a;
+                    const y = dy !== 0 ? boundary : a;
+                    const z = dz !== 0 ? boundary : b;
+                    this.joinAcrossFace(chunk, x, y, z, neighbor, dx, dy, dz, addQueues, removeQueues);
+                }
+            }
+        }
+
+        this.run(addQueues, removeQueues);
+        this.flushChangedSections();
+    }
+
+    /**
+     * Relights around changed blocks, all in one pass: removes light that came through (or from) the old
+     * blocks and spreads light into (or from) the new ones. Changes that keep opacity and emission (dirt to
+     * stone) cost nothing. The relit sections are collected for takeChangedSections / flushChangedSections.
+     * @param {{x: number, y: number, z: number, oldId: number, newId: number}[]} changes World positions with
+     *   the block IDs before and after.
+     */
+    updateBlocks(changes) {
+        this.cachedChunk = null;
+        const addQueues = CHANNEL_SHIFTS.map(() => []);
+        const removeQueues = CHANNEL_SHIFTS.map(() => []);
+        for (const { x, y, z, oldId, newId } of changes) {
+            if (!affectsLight(oldId, newId)) continue;
+            const newBlock = getBlockById(newId);
+            const chunk = this.chunkAt(x, y, z);
+            if (!chunk) continue;
+
+            const localX = x - chunk.position.x;
+            const localY = y - chunk.position.y;
+            const localZ = z - chunk.position.z;
+            const light = chunk.getLight(localX, localY, localZ);
+            CHANNEL_SHIFTS.forEach((shift, channel) => {
+                const level = (light >> shift) & MAX_LIGHT;
+                if (level > 0) {
+                    this.setLevel(chunk, localX, localY, localZ, shift, 0);
+                    removeQueues[channel].push(x, y, z, level);
+                }
+                if (!isBlockOpaque(newId)) {
+                    // Let the neighbors (and open sky above) spread back in
+                    for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+                        addQueues[channel].push(x + dx, y + dy, z + dz);
+                    }
+                    if (shift === SKY_SHIFT && !this.world.isBlockLoaded(x, y + 1, z)) {
+                        this.setLevel(chunk, localX, localY, localZ, shift, MAX_LIGHT);
+                        addQueues[channel].push(x, y, z);
+                    }
+                }
+            });
+            if (newBlock.lightEmission) {
+                this.setLevel(chunk, localX, localY, localZ, BLOCK_SHIFT, newBlock.lightEmission);
+                addQueues[CHANNEL_SHIFTS.indexOf(BLOCK_SHIFT)].push(x, y, z);
+            }
+        }
+        this.run(addQueues, removeQueues);
+    }
+
+    /**
+     * Hands out (and forgets) the sections whose light changed since the last call.
+     * @returns {Map<Chunk, Set<number>>} Chunk -> indices of its relit sections.
+     */
+    takeChangedSections() {
+        const changedSections = this.changedSections;
+        this.changedSections = new Map();
+        return changedSections;
+    }
+
+    /**
+     * Marks the sections whose light changed for remeshing (see World.markChunkDirty). Worker-built meshes
+     * of those sections, baked with older light, are dropped.
+     * @param {boolean} [urgent=false] Rebuild them ahead of everything else.
+     */
+    flushChangedSections(urgent = false) {
+        this.takeChangedSections().forEach((sectionIndices, chunk) => {
+            if (chunk.pendingMeshData) {
+                sectionIndices.forEach(sectionIndex => { chunk.pendingMeshData[sectionIndex] = undefined; });
+            }
+            this.world.markChunkDirty(chunk, urgent, [...sectionIndices]);
+        });
+    }
+
+    /**
+     * Finds the loaded chunk containing world coordinates.
+     * @returns {Chunk | undefined}
+     * @private Internal helper method
+     */
+    chunkAt(x, y, z) {
+        const chunkX = Math.floor(x / CHUNK_WIDTH);
+        const chunkY = Math.floor(y / CHUNK_HEIGHT);
+        const chunkZ = Math.floor(z / CHUNK_DEPTH);
+        if (this.cachedChunk && chunkX === this.cachedChunkX && chunkY === this.cachedChunkY && chunkZ === this.cachedChunkZ) {
+            return this.cachedChunk;
+        }
+        const chunk = this.world.getChunk(chunkX, chunkY, chunkZ);
+        if (chunk && chunk.lightSections) {
+            this.cachedChunk = chunk;
+            this.cachedChunkX = chunkX;
+            this.cachedChunkY = chunkY;
+            this.cachedChunkZ = chunkZ;
+            return chunk;
+        }
+        return undefined; // Missing, or still being created
+    }
+
+    /**
+     * Sets one channel of a block (local coordinates in a loaded chunk) and records the sections to remesh:
+     * the block's own and, on a section or chunk boundary, those of the blocks next to it, whose faces and
+     * vertices sample this light too.
+     * @private Internal helper method
+     */
+    setLevel(chunk, localX, localY, localZ, shift, level) {
+        chunk.setLight(localX, localY, localZ, withLevel(chunk.getLight(localX, localY, localZ), shift, level));
+
+        const localSectionY = localY % SECTION_HEIGHT;
+        const onBoundary = localX === 0 || localX === CHUNK_WIDTH - 1 || localZ === 0 || localZ === CHUNK_DEPTH - 1 ||
+            localSectionY === 0 || localSectionY === SECTION_HEIGHT - 1;
+        if (!onBoundary) {
+            this.addChangedSection(chunk, Math.floor(localY / SECTION_HEIGHT));
+            return;
+        }
+        const x = chunk.position.x + localX;
+        const y = chunk.position.y + localY;
+        const z = chunk.position.z + localZ;
+        const xs = localX === 0 ? [0, -1] : localX === CHUNK_WIDTH - 1 ? [0, 1] : [0];
+        const ys = localSectionY === 0 ? [0, -1] : localSectionY === SECTION_HEIGHT - 1 ? [0, 1] : [0];
+        const zs = localZ === 0 ? [0, -1] : localZ === CHUNK_DEPTH - 1 ? [0, 1] : [0];
+        for (const dx of xs) {
+            for (const dy of ys) {
+                for (const dz of zs) {
+                    const target = this.world.getChunk(Math.floor((x + dx) / CHUNK_WIDTH), Math.floor((y + dy) / CHUNK_HEIGHT),
+                        Math.floor((z + dz) / CHUNK_DEPTH));
+                    if (target) {
+                        this.addChangedSection(target, Math.floor(THREE.MathUtils.euclideanModulo(y + dy, CHUNK_HEIGHT) / SECTION_HEIGHT));
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * @private Internal helper method
+     */
+    addChangedSection(chunk, sectionIndex) {
+        let sectionIndices = this.changedSections.get(chunk);
+        if (!sectionIndices) {
+            sectionIndices = new Set();
+            this.changedSections.set(chunk, sectionIndices);
+        }
+        sectionIndices.add(sectionIndex);
+    }
+
+    /**
+     * Queues the light exchange between a block on a new chunk's face and the block across it in a neighbor.
+     * @private Internal helper method
+     */
+    joinAcrossFace(chunk, x, y, z, neighbor, dx, dy, dz, addQueues, removeQueues) {
+        const neighborX = THREE.MathUtils.euclideanModulo(x + dx, CHUNK_WIDTH);
+        const neighborY = THREE.MathUtils.euclideanModulo(y + dy, CHUNK_HEIGHT);
+        const neighborZ = THREE.MathUtils.euclideanModulo(z + dz, CHUNK_DEPTH);
+        const light = chunk.getLight(x, y, z);
+        const neighborLight = neighbor.getLight(neighborX, neighborY, neighborZ);
+        const worldX = chunk.position.x + x;
+        const worldY = chunk.position.y + y;
+        const worldZ = chunk.position.z + z;
+
+        CHANNEL_SHIFTS.forEach((shift, channel) => {
+            const level = (light >> shift) & MAX_LIGHT;
+            const neighborLevel = (neighborLight >> shift) & MAX_LIGHT;
+            if (shift === SKY_SHIFT && dy !== 0) {
+                const [upperLevel, lowerLevel] = dy > 0 ? [neighborLevel, level] : [level, neighborLevel];
+                const upperY = Math.max(worldY, worldY + dy);
+                if (lowerLevel === MAX_LIGHT && upperLevel < MAX_LIGHT) {
+                    // The lower block was lit assuming open sky above it, which the upper chunk now blocks
+                    const [lowerChunk, lowerX, lowerY, lowerZ] = dy > 0 ? [chunk, x, y, z] : [neighbor, neighborX, neighborY, neighborZ];
+                    this.setLevel(lowerChunk, lowerX, lowerY, lowerZ, shift, 0);
+                    removeQueues[channel].push(worldX, upperY - 1, worldZ, lowerLevel);
+                    addQueues[channel].push(worldX, upperY, worldZ);
+                    return;
+                }
+                if (upperLevel === MAX_LIGHT && lowerLevel < MAX_LIGHT) {
+                    addQueues[channel].push(worldX, upperY, worldZ); // Falls in without fading
+                    return;
+                }
+            }
+            if (level > neighborLevel + 1) addQueues[channel].push(worldX, worldY, worldZ);
+            if (neighborLevel > level + 1) addQueues[channel].push(worldX + dx, worldY + dy, worldZ + dz);
+        });
+    }
+
+    /**
+     * Runs light removal, then spreading, for both channels. Queues are flat lists: `removeQueues` holds
+     * x, y, z, oldLevel of blocks already set to 0; `addQueues` holds x, y, z of blocks to spread light from.
+     * @private Internal helper method
+     */
+    run(addQueues, removeQueues) {
+        CHANNEL_SHIFTS.forEach((shift, channel) => {
+            this.removeLight(shift, removeQueues[channel], addQueues[channel]);
+            this.spreadLight(shift, addQueues[channel]);
+        });
+    }
+
+    /**
+     * Darkens every block whose light came from the removed ones. Brighter blocks met on the way have
+     * another source and are queued to spread back in; emitters keep their own light.
+     * @private Internal helper method
+     */
+    removeLight(shift, removeQueue, addQueue) {
+        for (let head = 0; head < removeQueue.length; head += 4) {
+            const x = removeQueue[head];
+            const y = removeQueue[head + 1];
+            const z = removeQueue[head + 2];
+            const level = removeQueue[head + 3];
+            for (let dir = 0; dir < NEIGHBOR_OFFSETS.length; dir++) {
+                const [dx, dy, dz] = NEIGHBOR_OFFSETS[dir];
+                const nx = x + dx;
+                const ny = y + dy;
+                const nz = z + dz;
+                const chunk = this.chunkAt(nx, ny, nz);
+                if (!chunk) continue;
+                const localX = nx - chunk.position.x;
+                const localY = ny - chunk.position.y;
+                const localZ = nz - chunk.position.z;
+                const neighborLevel = (chunk.getLight(localX, localY, localZ) >> shift) & MAX_LIGHT;
+                if (neighborLevel === 0) continue;
+                if (neighborLevel < level || (neighborLevel === MAX_LIGHT && spreadLevel(shift, level, dir) === MAX_LIGHT)) {
+                    this.setLevel(chunk, localX, localY, localZ, shift, 0);
+                    removeQueue.push(nx, ny, nz, neighborLevel);
+                    const emission = shift === BLOCK_SHIFT ? getBlockById(chunk.getBlock(localX, localY, localZ)).lightEmission : 0;
+                    if (emission) {
+                        this.setLevel(chunk, localX, localY, localZ, shift, emission);
+                        addQueue.push(nx, ny, nz);
+                    }
+                } else {
+                    addQueue.push(nx, ny, nz);
+                }
+            }
+        }
+    }
+
+    /**
+     * Spreads light from the queued blocks into darker, non-opaque loaded neighbors.
+     * @private Internal helper method
+     */
+    spreadLight(shift, addQueue) {
+        for (let head = 0; head < addQueue.length; head += 3) {
+            const x = addQueue[head];
+            const y = addQueue[head + 1];
+            const z = addQueue[head + 2];
+            const chunk = this.chunkAt(x, y, z);
+            if (!chunk) continue;
+            const level = (chunk.getLight(x - chunk.position.x, y - chunk.position.y, z - chunk.position.z) >> shift) & MAX_LIGHT;
+            if (level <= 1) continue;
+            for (let dir = 0; dir < NEIGHBOR_OFFSETS.length; dir++) {
+                const [dx, dy, dz] = NEIGHBOR_OFFSETS[dir];
+                const nx = x + dx;
+                const ny = y + dy;
+                const nz = z + dz;
+                const neighbor = this.chunkAt(nx, ny, nz);
+                if (!neighbor) continue;
+                const localX = nx - neighbor.position.x;
+                const localY = ny - neighbor.position.y;
+                const localZ = nz - neighbor.position.z;
+                const next = spreadLevel(shift, level, dir);
+                if (next <= ((neighbor.getLight(localX, localY, localZ) >> shift) & MAX_LIGHT)) continue;
+                if (isBlockOpaque(neighbor.getBlock(localX, localY, localZ))) continue;
+                this.setLevel(neighbor, localX, localY, localZ, shift, next);
+                addQueue.push(nx, ny, nz);
+            }
+        }
+    }
+}
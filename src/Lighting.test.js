@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { World } from './World.js';
+import { BLOCKS } from './BlockRegistry.js';
+import { computeChunkLight, skyLightOf, blockLightOf } from './Lighting.js';
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './Chunk.js';
+import { POSITION_SCALE } from './MeshBuffers.js';
+
+// Mock Material
+const mockMaterial = new THREE.MeshBasicMaterial();
+
+// --- Test Helpers ---
+const AIR = BLOCKS[0].id;
+const STONE = BLOCKS[3].id;
+const GLOWSTONE = BLOCKS[10].id;
+const getIndex = (x, y, z) => y * (CHUNK_WIDTH * CHUNK_DEPTH) + z * CHUNK_WIDTH + x;
+
+describe('computeChunkLight', () => {
+    it('should light open columns with full sky light and spread it under overhangs', () => {
+        const blocks = new Uint16Array(CHUNK_WIDTH * CHUNK_HEIGHT * CHUNK_DEPTH);
+        for (let x = 0; x < 8; x++) {
+            for (let z = 0; z < CHUNK_DEPTH; z++) blocks[getIndex(x, 10, z)] = STONE; // Roof over x < 8
+        }
+        const light = computeChunkLight(blocks);
+
+        expect(skyLightOf(light[getIndex(10, 0, 5)])).toBe(15); // Open all the way down
+        expect(skyLightOf(light[getIndex(7, 9, 5)])).toBe(14); // One block under the roof
+        expect(skyLightOf(light[getIndex(3, 9, 5)])).toBe(10);
+        expect(skyLightOf(light[getIndex(3, 10, 5)])).toBe(0); // The roof itself
+        expect(blockLightOf(light[getIndex(3, 9, 5)])).toBe(0);
+    });
+});
+
+describe('Lighting', () => {
+    let world;
+
+    beforeEach(() => {
+        world = new World(mockMaterial, 97531, { randomTickSpeed: 0 });
+        world.getOrCreateChunk(0, 0, 0);
+    });
+
+    it('should cast a shadow under a roof and light it again when the roof is removed', () => {
+        expect(world.getSkyLight(8, 199, 8)).toBe(15);
+        world.fillRegion({ x: 6, y: 200, z: 6 }, { x: 10, y: 200, z: 10 }, STONE);
+        expect(world.getSkyLight(8, 199, 8)).toBe(12); // Three blocks in from the edge
+        expect(world.getSkyLight(8, 150, 8)).toBe(12); // All the way down
+
+        world.setBlock(8, 200, 8, AIR); // A hole in the middle
+        expect(world.getSkyLight(8, 199, 8)).toBe(15);
+        expect(world.getSkyLight(7, 199, 8)).toBe(14);
+
+        world.fillRegion({ x: 6, y: 200, z: 6 }, { x: 10, y: 200, z: 10 }, AIR);
+        expect(world.getSkyLight(9, 199, 9)).toBe(15);
+    });
+
+    it('should light a closed room only from an emitter inside, and darken it when that is removed', () => {
+        world.hollowBox({ x: 2, y: 150, z: 2 }, { x: 10, y: 158, z: 10 }, STONE);
+        expect(world.getSkyLight(6, 154, 6)).toBe(0);
+
+        world.setBlock(6, 154, 6, GLOWSTONE);
+        expect(world.getBlockLight(6, 154, 6)).toBe(15);
+        expect(world.getBlockLight(6, 155, 6)).toBe(14);
+        expect(world.getBlockLight(9, 151, 9)).toBe(15 - 3 - 3 - 3);
+        expect(world.getBlockLight(11, 154, 6)).toBe(0); // Outside, behind the wall
+        expect(world.getSkyLight(6, 155, 6)).toBe(0);
+
+        world.setBlock(6, 154, 6, AIR);
+        expect(world.getBlockLight(6, 154, 6)).toBe(0);
+        expect(world.getBlockLight(9, 151, 9)).toBe(0);
+    });
+
+    it('should keep light from a second emitter when the first is removed', () => {
+        world.hollowBox({ x: 2, y: 150, z: 2 }, { x: 12, y: 154, z: 4 }, STONE);
+        world.setBlock(4, 152, 3, GLOWSTONE);
+        world.setBlock(10, 152, 3, GLOWSTONE);
+        expect(world.getBlockLight(7, 152, 3)).toBe(12);
+
+        world.setBlock(4, 152, 3, AIR);
+        expect(world.getBlockLight(7, 152, 3)).toBe(12);
+        expect(world.getBlockLight(4, 152, 3)).toBe(9);
+    });
+
+    it('should spread light across chunk boundaries, also into chunks loaded later', () => {
+        world.getOrCreateChunk(1, 0, 0);
+        world.setBlock(15, 200, 8, GLOWSTONE);
+        expect(world.getBlockLight(17, 200, 8)).toBe(13);
+
+        world.setBlock(8, 200, 0, GLOWSTONE); // Next to the unloaded chunk at z < 0
+        const north = world.getOrCreateChunk(0, 0, -1);
+        expect(world.getBlockLight(8, 200, -2)).toBe(13);
+        expect(north.dirtySections.has(Math.floor(200 / 16))).toBe(true);
+    });
+
+    it('should mark the sections whose light changed for remeshing', () => {
+        const chunk = world.getChunk(0, 0, 0);
+        chunk.dirtySections.clear();
+        world.setBlock(8, 200, 8, GLOWSTONE);
+
+        // The glowstone's section and the one above, which its light reaches, but not the sky above that
+        expect(chunk.dirtySections.has(12)).toBe(true);
+        expect(chunk.dirtySections.has(13)).toBe(true);
+        expect(chunk.dirtySections.has(15)).toBe(false);
+    });
+
+    it('should bake the light into the mesh', () => {
+        world.hollowBox({ x: 2, y: 150, z: 2 }, { x: 10, y: 158, z: 10 }, STONE);
+        world.setBlock(6, 151, 6, GLOWSTONE);
+        const chunk = world.getChunk(0, 0, 0);
+        chunk.updateMesh();
+
+        const geometry = chunk.sectionMeshes[9].geometry; // y = 144..159
+        const positions = geometry.getAttribute('position');
+        const faces = geometry.getAttribute('face');
+        const lights = geometry.getAttribute('light');
+        const at = (i, axis) => positions.getComponent(i, axis) / POSITION_SCALE;
+        let checked = 0;
+        for (let i = 0; i < positions.count; i++) {
+            // The glowstone's top face (face 2), lit by the glowstone's light one block above it
+            if (faces.getX(i) === 2 && at(i, 1) === 152 && at(i, 0) >= 6 && at(i, 0) <= 7 && at(i, 2) >= 6 && at(i, 2) <= 7) {
+                expect(lights.getX(i)).toBe(0);
+                expect(lights.getY(i)).toBeCloseTo((14 + 13 + 13 + 12) / 4 / 15);
+                checked++;
+            }
+        }
+        expect(checked).toBe(4);
+    });
+
+    it('should let light through glass and leaves', () => {
+        world.fillRegion({ x: 6, y: 200, z: 6 }, { x: 10, y: 200, z: 10 }, BLOCKS[11].id); // Glass roof
+        world.setBlock(8, 199, 8, BLOCKS[12].id); // Leaves under it
+        expect(world.getSkyLight(8, 199, 8)).toBe(15);
+        expect(world.getSkyLight(8, 198, 8)).toBe(15);
+    });
+
+    it('should read missing chunks as full sky light', () => {
+        expect(world.getSkyLight(1000, 100, 1000)).toBe(15);
+        expect(world.getBlockLight(1000, 100, 1000)).toBe(0);
+    });
+});
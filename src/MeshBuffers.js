@@ -0,0 +1,126 @@
+// Fixed-point scale of packed vertex positions: chunk-relative coordinates times this are stored as integers, so
+// model boxes (in 1/16 steps) are exact and fluid surfaces are rounded to 1/128 of a block. A chunk's 256 blocks
+// of height times this still fit in 16 bits.
+export const POSITION_SCALE = 128;
+
+// Largest value of the 8-bit normalized attributes (light, ambient occlusion)
+const UNORM8_MAX = 255;
+// Vertices room is made for at first; grows by doubling
+const INITIAL_VERTEX_CAPACITY = 4096;
+// Highest vertex count whose indices fit in a Uint16Array
+const MAX_UINT16_VERTICES = 65536;
+
+/**
+ * Growable typed-array buffers the mesher writes one mesh's vertices into, in the packed vertex format the chunk
+ * materials decode (see TextureAtlas):
+ * - `positions` (Uint16, 3 per vertex): chunk-relative position times POSITION_SCALE
+ * - `faces` (Uint8, 1): face ID in ChunkMesher's face order (east, west, top, bottom, south, north), for the normal
+ * - `uvs` (Float32, 2): atlas UV; merged quads run on past their tile
+ * - `tiles` (Uint8, 2): column and row of the atlas tile the UVs wrap into
+ * - `lights` (Uint8, 2, normalized): sky and block light
+ * - `ao` (Uint8, 1, normalized): ambient occlusion, 0 = fully occluded
+ * - `indices` (Uint32): two triangles per quad
+ * The arrays are kept between meshes (see reset), so rebuilding allocates nothing until they have to grow;
+ * toMeshData() copies the filled part out.
+ */
+export class MeshBuffers {
+    /**
+     * @param {number} [vertexCapacity=INITIAL_VERTEX_CAPACITY] Vertices to make room for up front.
+     */
+    constructor(vertexCapacity = INITIAL_VERTEX_CAPACITY) {
+        this.vertexCount = 0;
+        this.indexCount = 0;
+        this.allocate(vertexCapacity);
+    }
+
+    /**
+     * Empties the buffers for the next mesh, keeping their memory.
+     */
+    reset() {
+        this.vertexCount = 0;
+        this.indexCount = 0;
+    }
+
+    /**
+     * Adds a vertex.
+     * @param {number} x Chunk-relative X coordinate (0 to 256, in steps of 1 / POSITION_SCALE).
+     * @param {number} y Chunk-relative Y coordinate.
+     * @param {number} z Chunk-relative Z coordinate.
+     * @param {number} face Face ID (0-5) the normal is taken from.
+     * @param {number} u Atlas U coordinate.
+     * @param {number} v Atlas V coordinate.
+     * @param {number} tileColumn Column of the texture's atlas tile.
+     * @param {number} tileRow Row of the texture's atlas tile.
+     * @param {number} skyLight Sky light, 0-1.
+     * @param {number} blockLight Block light, 0-1.
+     * @param {number} occlusion Ambient occlusion, 0 (fully occluded) to 1 (open).
+     */
+    addVertex(x, y, z, face, u, v, tileColumn, tileRow, skyLight, blockLight, occlusion) {
+        if (this.vertexCount === this.faces.length) {
+            this.allocate(this.faces.length * 2);
+        }
+        const vertex = this.vertexCount++;
+        this.positions[vertex * 3] = Math.round(x * POSITION_SCALE);
+        this.positions[vertex * 3 + 1] = Math.round(y * POSITION_SCALE);
+        this.positions[vertex * 3 + 2] = Math.round(z * POSITION_SCALE);
+        this.faces[vertex] = face;
+        this.uvs[vertex * 2] = u;
+        this.uvs[vertex * 2 + 1] = v;
+        this.tiles[vertex * 2] = tileColumn;
+        this.tiles[vertex * 2 + 1] = tileRow;
+        this.lights[vertex * 2] = Math.round(skyLight * UNORM8_MAX);
+        this.lights[vertex * 2 + 1] = Math.round(blockLight * UNORM8_MAX);
+        this.ao[vertex] = Math.round(occlusion * UNORM8_MAX);
+    }
+
+    /**
+     * Adds the two triangles of the quad made of the last four vertices added.
+     * @param {number[]} quadIndices Six indices (0-3) into those four vertices.
+     */
+    addQuad(quadIndices) {
+        // Room is made along with the vertices: six indices per four
+        const base = this.vertexCount - 4;
+        for (let i = 0; i < quadIndices.length; i++) {
+            this.indices[this.indexCount++] = base + quadIndices[i];
+        }
+    }
+
+    /**
+     * Copies the filled part of the buffers into arrays of their own, which can be handed to a BufferGeometry
+     * or transferred to another thread. Indices come as a Uint16Array when every vertex fits, else a Uint32Array.
+     * @returns {{positions: Uint16Array, faces: Uint8Array, uvs: Float32Array, tiles: Uint8Array, lights: Uint8Array,
+     *   ao: Uint8Array, indices: Uint16Array | Uint32Array}}
+     */
+    toMeshData() {
+        const vertexCount = this.vertexCount;
+        const indices = this.indices.subarray(0, this.indexCount);
+        return {
+            positions: this.positions.slice(0, vertexCount * 3),
+            faces: this.faces.slice(0, vertexCount),
+            uvs: this.uvs.slice(0, vertexCount * 2),
+            tiles: this.tiles.slice(0, vertexCount * 2),
+            lights: this.lights.slice(0, vertexCount * 2),
+            ao: this.ao.slice(0, vertexCount),
+            indices: vertexCount <= MAX_UINT16_VERTICES ? new Uint16Array(indices) : indices.slice(),
+        };
+    }
+
+    /**
+     * (Re)allocates the arrays for a number of vertices, keeping what was written so far.
+     * @private Internal helper method
+     */
+    allocate(vertexCapacity) {
+        const grow = (array, ArrayType, length) => {
+            const grown = new ArrayType(length);
+            if (array) grown.set(array);
+            return grown;
+        };
+        this.positions = grow(this.positions, Uint16Array, vertexCapacity * 3);
+        this.faces = grow(this.faces, Uint8Array, vertexCapacity);
+        this.uvs = grow(this.uvs, Float32Array, vertexCapacity * 2);
+        this.tiles = grow(this.tiles, Uint8Array, vertexCapacity * 2);
+        this.lights = grow(this.lights, Uint8Array, vertexCapacity * 2);
+        this.ao = grow(this.ao, Uint8Array, vertexCapacity);
+        this.indices = grow(this.indices, Uint32Array, vertexCapacity / 4 * 6); // Six per quad of four vertices
+    }
+}
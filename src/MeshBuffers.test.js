@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { MeshBuffers, POSITION_SCALE } from './MeshBuffers.js';
+
+// Adds a unit quad in the XY plane at depth z, facing south (face 4)
+function addQuad(buffers, z = 0) {
+    buffers.addVertex(0, 0, z, 4, 0, 0, 1, 2, 1, 0, 1);
+    buffers.addVertex(1, 0, z, 4, 0.25, 0, 1, 2, 1, 0, 1);
+    buffers.addVertex(0, 1, z, 4, 0, 0.25, 1, 2, 1, 0, 2 / 3);
+    buffers.addVertex(1, 1, z, 4, 0.25, 0.25, 1, 2, 0.5, 0.2, 0);
+    buffers.addQuad([0, 1, 2, 1, 3, 2]);
+}
+
+describe('MeshBuffers', () => {
+    it('should pack vertices into typed arrays', () => {
+        const buffers = new MeshBuffers();
+        addQuad(buffers, 0.5);
+        const mesh = buffers.toMeshData();
+
+        expect(mesh.positions).toBeInstanceOf(Uint16Array);
+        expect(Array.from(mesh.positions.subarray(9, 12))).toEqual([POSITION_SCALE, POSITION_SCALE, POSITION_SCALE / 2]);
+        expect(Array.from(mesh.faces)).toEqual([4, 4, 4, 4]);
+        expect(mesh.uvs).toBeInstanceOf(Float32Array);
+        expect(Array.from(mesh.tiles.subarray(0, 2))).toEqual([1, 2]);
+        expect(Array.from(mesh.lights.subarray(6, 8))).toEqual([128, 51]); // 0.5 and 0.2 of 255
+        expect(Array.from(mesh.ao)).toEqual([255, 255, 170, 0]);
+        expect(Array.from(mesh.indices)).toEqual([0, 1, 2, 1, 3, 2]);
+    });
+
+    it('should grow as needed and copy out only what was added', () => {
+        const buffers = new MeshBuffers(4);
+        for (let i = 0; i < 10; i++) addQuad(buffers, i);
+        const mesh = buffers.toMeshData();
+
+        expect(mesh.positions.length).toBe(40 * 3);
+        expect(mesh.indices.length).toBe(60);
+        expect(mesh.indices[59]).toBe(36 + 2);
+        expect(mesh.positions[39 * 3 + 2]).toBe(9 * POSITION_SCALE);
+        expect(mesh.positions.buffer).not.toBe(buffers.positions.buffer); // Can be transferred or kept
+    });
+
+    it('should reuse its memory after a reset', () => {
+        const buffers = new MeshBuffers(8);
+        addQuad(buffers);
+        const first = buffers.toMeshData();
+        const positions = buffers.positions;
+
+        buffers.reset();
+        addQuad(buffers, 2);
+        expect(buffers.positions).toBe(positions);
+        expect(buffers.toMeshData().positions[2]).toBe(2 * POSITION_SCALE);
+        expect(first.positions[2]).toBe(0); // Earlier output is unaffected
+    });
+
+    it('should use 32-bit indices only when 16 bits are not enough', () => {
+        const buffers = new MeshBuffers();
+        for (let i = 0; i < 65536 / 4; i++) addQuad(buffers);
+        expect(buffers.toMeshData().indices).toBeInstanceOf(Uint16Array);
+
+        addQuad(buffers);
+        const mesh = buffers.toMeshData();
+        expect(mesh.indices).toBeInstanceOf(Uint32Array);
+        expect(mesh.indices[mesh.indices.length - 2]).toBe(65536 + 3);
+    });
+});
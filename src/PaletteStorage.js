@@ -0,0 +1,290 @@
+/**
+ * Compact storage for a fixed number of block IDs (or other small integers).
+ *
+ * Values are stored as indices into a per-storage palette of distinct values, bit-packed into
+ * 32-bit words. The index width grows as the palette grows (0, 1, 2, 4, 8 or 16 bits; widths are
+ * powers of two so entries never straddle a word) and shrinks again when values disappear.
+ * A storage holding a single value (e.g. an all-air or all-stone chunk) uses no index array at all.
+ * Palette values can be any integer from 0 to 65535, so block IDs are not capped at 256.
+ */
+export class PaletteStorage {
+    /**
+     * @param {number} size Number of entries.
+     * @param {number} [initialValue=0] Value of every entry.
+     */
+    constructor(size, initialValue = 0) {
+        this.size = size;
+        this.fill(initialValue);
+    }
+
+    /**
+     * Creates a storage holding the values of a flat array.
+     * @param {ArrayLike<number>} values The values; the storage size is values.length.
+     * @returns {PaletteStorage}
+     */
+    static fromArray(values) {
+        const storage = new PaletteStorage(values.length);
+        storage.setAll(values);
+        return storage;
+    }
+
+    /**
+     * Sets every entry to one value, collapsing the storage to the single-value form.
+     * @param {number} value
+     */
+    fill(value) {
+        this.palette = [value]; // Palette index -> value
+        this.paletteIndices = new Map([[value, 0]]); // Value -> palette index
+        this.counts = [this.size]; // Palette index -> number of entries using it (0 = free slot)
+        this.liveCount = 1; // Palette entries with a non-zero count
+        this.bitsPerEntry = 0;
+        this.data = null;
+    }
+
+    /**
+     * Replaces all entries with the values of a flat array, building a fresh palette.
+     * @param {ArrayLike<number>} values Exactly `size` values.
+     */
+    setAll(values) {
+        if (values.length !== this.size) {
+            throw new Error(`Expected ${this.size} values, got ${values.length}`);
+        }
+        const palette = [];
+        const paletteIndices = new Map();
+        const counts = [];
+        const indices = new Uint16Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            const value = values[i];
+            let paletteIndex = paletteIndices.get(value);
+            if (paletteIndex === undefined) {
+                paletteIndex = palette.length;
+                palette.push(value);
+                paletteIndices.set(value, paletteIndex);
+                counts.push(0);
+            }
+            counts[paletteIndex]++;
+            indices[i] = paletteIndex;
+        }
+
+        if (palette.length === 1) {
+            this.fill(palette[0]);
+            return;
+        }
+        this.palette = palette;
+        this.paletteIndices = paletteIndices;
+        this.counts = counts;
+        this.liveCount = palette.length;
+        this.pack(indices, PaletteStorage.bitsFor(palette.length));
+    }
+
+    /**
+     * Gets the value at an index.
+     * @param {number} index Entry index (0 to size - 1).
+     * @returns {number}
+     */
+    get(index) {
+        if (this.bitsPerEntry === 0) {
+            return this.palette[0];
+        }
+        return this.palette[this.getPaletteIndex(index)];
+    }
+
+    /**
+     * Sets the value at an index, growing or shrinking the palette as needed.
+     * @param {number} index Entry index (0 to size - 1).
+     * @param {number} value The new value (0 to 65535).
+     * @returns {number} The previous value.
+     */
+    set(index, value) {
+        const oldPaletteIndex = this.bitsPerEntry === 0 ? 0 : this.getPaletteIndex(index);
+        const oldValue = this.palette[oldPaletteIndex];
+        if (oldValue === value) {
+            return oldValue;
+        }
+
+        let newPaletteIndex = this.paletteIndices.get(value);
+        if (newPaletteIndex === undefined) {
+            newPaletteIndex = this.addToPalette(value);
+        }
+        this.setPaletteIndex(index, newPaletteIndex);
+        this.counts[newPaletteIndex]++;
+        if (this.counts[newPaletteIndex] === 1) this.liveCount++;
+
+        this.counts[oldPaletteIndex]--;
+        if (this.counts[oldPaletteIndex] === 0) {
+            this.liveCount--;
+            this.paletteIndices.delete(oldValue);
+            // Shrink once the live entries fit in half the index width (hysteresis against thrashing)
+            if (this.liveCount === 1 || PaletteStorage.bitsFor(this.liveCount) <= this.bitsPerEntry / 2) {
+                this.compact();
+            }
+        }
+        return oldValue;
+    }
+
+    /**
+     * Copies all values into a flat array.
+     * @param {Uint16Array} [output] Array to fill (allocated if omitted).
+     * @returns {Uint16Array}
+     */
+    toArray(output = new Uint16Array(this.size)) {
+        if (this.bitsPerEntry === 0) {
+            output.fill(this.palette[0]);
+            return output;
+        }
+        for (let i = 0; i < this.size; i++) {
+            output[i] = this.palette[this.getPaletteIndex(i)];
+        }
+        return output;
+    }
+
+    /**
+     * Creates an independent copy.
+     * @returns {PaletteStorage}
+     */
+    clone() {
+        const copy = new PaletteStorage(this.size);
+        copy.palette = this.palette.slice();
+        copy.paletteIndices = new Map(this.paletteIndices);
+        copy.counts = this.counts.slice();
+        copy.liveCount = this.liveCount;
+        copy.bitsPerEntry = this.bitsPerEntry;
+        copy.entriesPerWord = this.entriesPerWord;
+        copy.mask = this.mask;
+        copy.data = this.data ? this.data.slice() : null;
+        return copy;
+    }
+
+    /**
+     * Whether every entry holds the same value.
+     * @returns {boolean}
+     */
+    isSingleValue() {
+        return this.liveCount === 1;
+    }
+
+    /**
+     * Checks whether every stored value satisfies a predicate. Only the palette is inspected, so this is cheap.
+     * @param {function(number): boolean} predicate
+     * @returns {boolean}
+     */
+    everyValue(predicate) {
+        return this.palette.every((value, paletteIndex) => this.counts[paletteIndex] === 0 || predicate(value));
+    }
+
+    /**
+     * Approximate memory used by the stored data, in bytes (packed indices plus palette bookkeeping).
+     * @returns {number}
+     */
+    getMemoryUsage() {
+        const dataBytes = this.data ? this.data.byteLength : 0;
+        // Palette value, count and reverse-map entry per slot; rough per-entry cost of JS arrays/Maps
+        return dataBytes + this.palette.length * 16;
+    }
+
+    /**
+     * Smallest supported index width (0, 1, 2, 4, 8, 16 bits) that can address `entryCount` palette entries.
+     * @param {number} entryCount
+     * @returns {number}
+     */
+    static bitsFor(entryCount) {
+        let bits = 0;
+        while ((1 << bits) < entryCount) {
+            bits = bits === 0 ? 1 : bits * 2;
+        }
+        return bits;
+    }
+
+    /**
+     * Adds a value to the palette, reusing a free slot or widening the indices if full.
+     * @returns {number} The new palette index.
+     * @private Internal helper method
+     */
+    addToPalette(value) {
+        let paletteIndex = this.counts.indexOf(0);
+        if (paletteIndex === -1) {
+            paletteIndex = this.palette.length;
+            this.palette.push(value);
+            this.counts.push(0);
+            if (this.palette.length > (1 << this.bitsPerEntry)) {
+                this.pack(this.unpack(), PaletteStorage.bitsFor(this.palette.length));
+            }
+        } else {
+            this.palette[paletteIndex] = value;
+        }
+        this.paletteIndices.set(value, paletteIndex);
+        return paletteIndex;
+    }
+
+    /**
+     * Drops unused palette entries and repacks the indices at the smallest width.
+     * @private Internal helper method
+     */
+    compact() {
+        if (this.liveCount === 1) {
+            this.fill(this.palette[this.counts.findIndex(count => count > 0)]);
+            return;
+        }
+        const remap = new Array(this.palette.length).fill(-1);
+        const palette = [];
+        const counts = [];
+        this.palette.forEach((value, oldIndex) => {
+            if (this.counts[oldIndex] > 0) {
+                remap[oldIndex] = palette.length;
+                palette.push(value);
+                counts.push(this.counts[oldIndex]);
+            }
+        });
+        const indices = this.unpack();
+        for (let i = 0; i < indices.length; i++) {
+            indices[i] = remap[indices[i]];
+        }
+        this.palette = palette;
+        this.counts = counts;
+        this.paletteIndices = new Map(palette.map((value, index) => [value, index]));
+        this.pack(indices, PaletteStorage.bitsFor(palette.length));
+    }
+
+    /**
+     * Reads all palette indices into a flat array.
+     * @returns {Uint16Array}
+     * @private Internal helper method
+     */
+    unpack() {
+        const indices = new Uint16Array(this.size);
+        if (this.bitsPerEntry > 0) {
+            for (let i = 0; i < this.size; i++) {
+                indices[i] = this.getPaletteIndex(i);
+            }
+        }
+        return indices;
+    }
+
+    /**
+     * Packs palette indices at the given width into a new word array.
+     * @private Internal helper method
+     */
+    pack(indices, bitsPerEntry) {
+        this.bitsPerEntry = bitsPerEntry;
+        this.entriesPerWord = 32 / bitsPerEntry;
+        this.mask = (1 << bitsPerEntry) - 1;
+        this.data = new Uint32Array(Math.ceil(this.size / this.entriesPerWord));
+        for (let i = 0; i < indices.length; i++) {
+            this.setPaletteIndex(i, indices[i]);
+        }
+    }
+
+    /** @private Internal helper method */
+    getPaletteIndex(index) {
+        const word = (index / this.entriesPerWord) | 0;
+        const shift = (index % this.entriesPerWord) * this.bitsPerEntry;
+        return (this.data[word] >>> shift) & this.mask;
+    }
+
+    /** @private Internal helper method */
+    setPaletteIndex(index, paletteIndex) {
+        const word = (index / this.entriesPerWord) | 0;
+        const shift = (index % this.entriesPerWord) * this.bitsPerEntry;
+        this.data[word] = (this.data[word] & ~(this.mask << shift)) | (paletteIndex << shift);
+    }
+}
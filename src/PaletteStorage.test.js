@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { PaletteStorage } from './PaletteStorage.js';
+
+const SIZE = 16 * 256 * 16;
+
+describe('PaletteStorage', () => {
+    it('should store a single value without an index array', () => {
+        const storage = new PaletteStorage(SIZE, 0);
+
+        expect(storage.isSingleValue()).toBe(true);
+        expect(storage.bitsPerEntry).toBe(0);
+        expect(storage.data).toBeNull();
+        expect(storage.get(12345)).toBe(0);
+        expect(storage.getMemoryUsage()).toBeLessThan(64);
+    });
+
+    it('should widen the indices as the palette grows', () => {
+        const storage = new PaletteStorage(SIZE, 0);
+
+        storage.set(0, 1);
+        expect(storage.bitsPerEntry).toBe(1);
+        storage.set(1, 2);
+        expect(storage.bitsPerEntry).toBe(2);
+        for (let value = 3; value < 20; value++) {
+            storage.set(value, value);
+        }
+        expect(storage.bitsPerEntry).toBe(8);
+
+        expect(storage.get(0)).toBe(1);
+        expect(storage.get(1)).toBe(2);
+        expect(storage.get(19)).toBe(19);
+        expect(storage.get(20)).toBe(0);
+    });
+
+    it('should support values above 255', () => {
+        const storage = new PaletteStorage(SIZE, 0);
+        storage.set(7, 300);
+        storage.set(8, 65535);
+
+        expect(storage.get(7)).toBe(300);
+        expect(storage.get(8)).toBe(65535);
+        expect(storage.toArray()[7]).toBe(300);
+    });
+
+    it('should shrink the indices when values disappear', () => {
+        const storage = new PaletteStorage(SIZE, 0);
+        for (let value = 1; value < 20; value++) {
+            storage.set(value, value);
+        }
+        expect(storage.bitsPerEntry).toBe(8);
+
+        // Down to 4 distinct values (0 and 1..3) fits 2 bits
+        for (let value = 4; value < 20; value++) {
+            storage.set(value, 0);
+        }
+        expect(storage.bitsPerEntry).toBeLessThanOrEqual(4);
+        expect(storage.get(3)).toBe(3);
+        expect(storage.get(10)).toBe(0);
+
+        for (let value = 1; value < 4; value++) {
+            storage.set(value, 0);
+        }
+        expect(storage.isSingleValue()).toBe(true);
+        expect(storage.data).toBeNull();
+        expect(storage.get(2)).toBe(0);
+    });
+
+    it('should reuse freed palette slots', () => {
+        const storage = new PaletteStorage(SIZE, 0);
+        storage.set(0, 1);
+        storage.set(1, 2);
+        storage.set(2, 3);
+        storage.set(1, 4); // 2 disappears; 4 takes its slot
+
+        expect(storage.palette).toHaveLength(4);
+        expect(storage.bitsPerEntry).toBe(2);
+        expect([0, 1, 2, 3].map(index => storage.get(index))).toEqual([1, 4, 3, 0]);
+    });
+
+    it('should use much less memory than a flat array for typical chunk contents', () => {
+        const values = new Uint16Array(SIZE);
+        values.fill(3, 0, SIZE / 2); // Stone below, air above
+        values.fill(2, SIZE / 2 - 1024, SIZE / 2); // Dirt
+        const storage = PaletteStorage.fromArray(values);
+
+        expect(storage.bitsPerEntry).toBe(2);
+        expect(storage.getMemoryUsage()).toBeLessThan(SIZE / 2);
+        expect(storage.toArray()).toEqual(values);
+    });
+
+    it('should round-trip through fromArray, toArray and clone', () => {
+        const values = new Uint16Array(SIZE);
+        for (let i = 0; i < SIZE; i++) {
+            values[i] = (i * 7) % 300;
+        }
+        const storage = PaletteStorage.fromArray(values);
+        const copy = storage.clone();
+        copy.set(0, 1);
+
+        expect(storage.bitsPerEntry).toBe(16);
+        expect(storage.toArray()).toEqual(values);
+        expect(storage.get(0)).toBe(0);
+        expect(copy.get(0)).toBe(1);
+    });
+
+    it('should throw when setAll gets the wrong number of values', () => {
+        expect(() => new PaletteStorage(10).setAll(new Uint16Array(9))).toThrow();
+    });
+});
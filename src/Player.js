@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { getBlockById, BLOCKS } from './BlockRegistry.js'; // Import BLOCKS
+import { BLOCKS, getBlockById, getPlacementState } from './BlockRegistry.js'; // Import BLOCKS
 
 // Player constants
 const INTERACTION_REACH = 5; // Max distance player can interact with blocks
@@ -12,6 +12,16 @@ const GRAVITY = 20.0; // Units per second squared
 const RESPAWN_Y_LEVEL = -50; // Y level below which the player respawns
 const JUMP_VELOCITY = 8.0; // Vertical velocity impulse on jump
 const FLY_SPEED = 10.0; // Speed for vertical flight movement
+const STEP_HEIGHT = 0.5; // Highest ledge walked up without jumping (slabs, stairs)
+
+// Swimming (while the player's box overlaps a fluid block)
+const SWIM_GRAVITY = 4.0; // Buoyancy cancels most of the gravity
+const SWIM_SINK_SPEED = 2.0; // Maximum sinking speed (fluid drag)
+const SWIM_UP_SPEED = 3.0; // Upward speed while the jump key is held
+const SWIM_SPEED_FACTOR = 0.5; // Horizontal speed relative to walking
+
+// Targeting ignores air and fluids, so blocks can be placed into and seen through water
+const isTargetable = blockId => blockId !== BLOCKS[0].id && !getBlockById(blockId).fluid;
 
 export class Player {
     /**
@@ -29,6 +39,7 @@ export class Player {
         this.velocity = new THREE.Vector3();
         this.onGround = false;
         this.isFlying = false; // Player state for flying mode
+        this.inFluid = null; // Definition of the fluid block the player is in (see BlockRegistry), or null
 
         // Player's physical representation (invisible anchor)
         this.playerObject = new THREE.Object3D();
@@ -45,9 +56,9 @@ export class Player {
             new THREE.Vector3(PLAYER_WIDTH / 2, PLAYER_HEIGHT, PLAYER_DEPTH / 2) // Max corner at head height
         );
 
-        // Interaction Raycaster
-        this.raycaster = new THREE.Raycaster();
-        this.raycaster.far = INTERACTION_REACH;
+        // Reused by updateTargetBlock for the interaction ray
+        this.rayOrigin = new THREE.Vector3();
+        this.rayDirection = new THREE.Vector3();
 
         // Hotbar state
         this.selectedBlockId = BLOCKS[3].id; // Default to Stone
@@ -55,6 +66,9 @@ export class Player {
         // Target block state
         this.targetedHitPos = null;
         this.targetedPlacePos = null;
+        this.targetedNormal = null; // Normal of the targeted face, for block placement state
+        this.targetedHitPoint = new THREE.Vector3(); // Where the ray hit the targeted face
+        this.targetedBounds = new THREE.Box3(); // Around the targeted block's boxes, for the highlight
     }
 
     /**
@@ -103,12 +117,18 @@ export class Player {
             }
 
         } else {
-            // --- Walking/Jumping Logic ---
-            // Apply Gravity
-            this.velocity.y -= GRAVITY * deltaTime;
+            // --- Walking/Jumping/Swimming Logic ---
+            this.inFluid = this.getFluidAt(this.boundingBox.clone().translate(this.playerObject.position));
+
+            // Apply Gravity (mostly offset by buoyancy in fluids, where drag also limits sinking)
+            if (this.inFluid) {
+                this.velocity.y = Math.max(this.velocity.y - SWIM_GRAVITY * deltaTime, -SWIM_SINK_SPEED);
+            } else {
+                this.velocity.y -= GRAVITY * deltaTime;
+            }
 
             // Horizontal Input Velocity
-            const speed = PLAYER_SPEED;
+            const speed = this.inFluid ? PLAYER_SPEED * SWIM_SPEED_FACTOR : PLAYER_SPEED;
             if (controls.moveForward) inputVelocity.z -= 1;
             if (controls.moveBackward) inputVelocity.z += 1;
             if (controls.moveLeft) inputVelocity.x -= 1;
@@ -122,8 +142,11 @@ export class Player {
             this.velocity.x = inputVelocity.x;
             this.velocity.z = inputVelocity.z;
 
-            // Handle Jumping
-            if (controls.jumpKeyPressed && this.onGround) {
+            // Handle Jumping (swimming up in fluids)
+            if (controls.jumpKeyPressed && this.inFluid) {
+                this.velocity.y = SWIM_UP_SPEED;
+                this.onGround = false;
+            } else if (controls.jumpKeyPressed && this.onGround) {
                 this.velocity.y = JUMP_VELOCITY;
                 this.onGround = false; // Player is no longer on the ground after initiating jump
             }
@@ -142,17 +165,16 @@ export class Player {
         // --- Check Y Collision ---
         const potentialPosY = potentialPosition.y;
         const playerBoxYCheck = playerBox.clone().translate(new THREE.Vector3(currentPos.x, potentialPosY, currentPos.z));
-        if (this.checkCollision(playerBoxYCheck)) {
+        const collidingBoxes = this.world.getCollidingBoxes(playerBoxYCheck);
+        if (collidingBoxes.length > 0) {
             if (this.velocity.y < 0) { // Moving down / Landing
-                // Snap feet to the top surface of the block below.
-                // The block causing collision is at floor(min.y of the collided box). Its top surface is floor(min.y) + 1.
-                potentialPosition.y = Math.floor(playerBoxYCheck.min.y) + 1;
+                // Snap feet to the top surface of the highest block box below (a full block's top, or e.g. a slab's).
+                potentialPosition.y = Math.max(...collidingBoxes.map(box => box.max.y));
                 this.onGround = true;
             } else if (this.velocity.y > 0) { // Moving up / Hitting ceiling
-                // Snap head to the bottom surface of the block above.
-                // The ceiling block is at floor(max.y). Its bottom surface is floor(max.y). Player head goes there.
+                // Snap head to the bottom surface of the lowest block box above.
                 // Player feet position = ceiling_bottom_surface - player_height
-                potentialPosition.y = Math.floor(playerBoxYCheck.max.y) - PLAYER_HEIGHT;
+                potentialPosition.y = Math.min(...collidingBoxes.map(box => box.min.y)) - PLAYER_HEIGHT;
             }
             this.velocity.y = 0;
         }
@@ -162,8 +184,13 @@ export class Player {
         // Use the *potentially corrected* Y position for subsequent checks
         const playerBoxXCheck = playerBox.clone().translate(new THREE.Vector3(potentialPosX, potentialPosition.y, currentPos.z));
         if (this.checkCollision(playerBoxXCheck)) {
-            potentialPosition.x = currentPos.x;
-            this.velocity.x = 0;
+            const stepY = this.getStepUpY(playerBoxXCheck);
+            if (stepY !== null) {
+                potentialPosition.y = stepY;
+            } else {
+                potentialPosition.x = currentPos.x;
+                this.velocity.x = 0;
+            }
         }
 
         // --- Check Z Collision ---
@@ -171,8 +198,13 @@ export class Player {
         // Use the *potentially corrected* Y and X positions
         const playerBoxZCheck = playerBox.clone().translate(new THREE.Vector3(potentialPosition.x, potentialPosition.y, potentialPosZ));
         if (this.checkCollision(playerBoxZCheck)) {
-            potentialPosition.z = currentPos.z;
-            this.velocity.z = 0;
+            const stepY = this.getStepUpY(playerBoxZCheck);
+            if (stepY !== null) {
+                potentialPosition.y = stepY;
+            } else {
+                potentialPosition.z = currentPos.z;
+                this.velocity.z = 0;
+            }
         }
 
         // Update Player Position
@@ -191,78 +223,78 @@ export class Player {
      * @private Internal helper method
      */
     checkCollision(playerBoxWorld) {
-        const minX = Math.floor(playerBoxWorld.min.x);
-        const maxX = Math.ceil(playerBoxWorld.max.x);
-        const minY = Math.floor(playerBoxWorld.min.y);
-        const maxY = Math.ceil(playerBoxWorld.max.y);
-        const minZ = Math.floor(playerBoxWorld.min.z);
-        const maxZ = Math.ceil(playerBoxWorld.max.z);
-
-        for (let y = minY; y < maxY; y++) {
-            for (let z = minZ; z < maxZ; z++) {
-                for (let x = minX; x < maxX; x++) {
-                    const blockId = this.world.getBlock(x, y, z);
-                    const block = getBlockById(blockId);
-
-                    if (block.solid) {
-                        const blockBox = new THREE.Box3(
-                            new THREE.Vector3(x, y, z),
-                            new THREE.Vector3(x + 1, y + 1, z + 1)
-                        );
-                        if (playerBoxWorld.intersectsBox(blockBox)) {
-                            return true;
-                        }
+        return this.world.intersectsSolidBlock(playerBoxWorld);
+    }
+
+    /**
+     * Works out whether a blocked horizontal move can step up instead, onto a slab or stair: only while walking
+     * on the ground, when everything in the way ends at most STEP_HEIGHT above the feet and there is room above it.
+     * @param {THREE.Box3} playerBoxWorld The player's bounding box after the move, in world coordinates.
+     * @returns {number|null} The feet height on top of the step, or null if the move stays blocked.
+     * @private Internal helper method
+     */
+    getStepUpY(playerBoxWorld) {
+        if (this.isFlying || !this.onGround || this.velocity.y > 0) return null;
+        const top = Math.max(...this.world.getCollidingBoxes(playerBoxWorld).map(box => box.max.y));
+        const rise = top - playerBoxWorld.min.y;
+        if (rise <= 0 || rise > STEP_HEIGHT) return null;
+        const raisedBox = playerBoxWorld.clone().translate(new THREE.Vector3(0, rise, 0));
+        return this.checkCollision(raisedBox) ? null : top;
+    }
+
+    /**
+     * Finds a fluid block overlapping a bounding box.
+     * @param {THREE.Box3} boxWorld The box in world coordinates.
+     * @returns {object|null} The fluid's block definition, or null if the box is not in any fluid.
+     * @private Internal helper method
+     */
+    getFluidAt(boxWorld) {
+        for (let y = Math.floor(boxWorld.min.y); y < Math.ceil(boxWorld.max.y); y++) {
+            for (let z = Math.floor(boxWorld.min.z); z < Math.ceil(boxWorld.max.z); z++) {
+                for (let x = Math.floor(boxWorld.min.x); x < Math.ceil(boxWorld.max.x); x++) {
+                    const block = getBlockById(this.world.getBlock(x, y, z));
+                    if (block.fluid) {
+                        return block;
                     }
                 }
             }
         }
-        return false;
+        return null;
     }
 
 
     /**
-     * Updates the currently targeted block based on raycasting.
-     * Controls the visibility and position of the highlight mesh.
+     * Updates the currently targeted block with a voxel raycast from the camera (see World.raycast).
+     * Controls the visibility and position of the highlight mesh, which is fitted around the block's boxes
+     * (e.g. only the lower half for a slab).
      */
     updateTargetBlock() {
-        this.raycaster.setFromCamera({ x: 0, y: 0 }, this.camera);
-
-        const chunkMeshes = this.world.getChunkMeshes();
-        if (chunkMeshes.length === 0) {
-             this.targetedHitPos = null;
-             this.targetedPlacePos = null;
-             this.highlightMesh.visible = false;
-             return; // No meshes to intersect with yet
-        }
-
-        const intersects = this.raycaster.intersectObjects(chunkMeshes);
-
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
-
-            // Calculate Hit and Placement Coordinates
-            // Offset slightly into/out of the block based on the face normal
-            const hitPoint = intersection.point.clone().sub(intersection.face.normal.clone().multiplyScalar(0.01));
-            const hitBlockPos = new THREE.Vector3(Math.floor(hitPoint.x), Math.floor(hitPoint.y), Math.floor(hitPoint.z));
-
-            const placePoint = intersection.point.clone().add(intersection.face.normal.clone().multiplyScalar(0.01));
-            const placeBlockPos = new THREE.Vector3(Math.floor(placePoint.x), Math.floor(placePoint.y), Math.floor(placePoint.z));
-
-            this.targetedHitPos = hitBlockPos;
-            this.targetedPlacePos = placeBlockPos;
-
-            this.highlightMesh.position.set(hitBlockPos.x + 0.5, hitBlockPos.y + 0.5, hitBlockPos.z + 0.5);
+        this.camera.getWorldPosition(this.rayOrigin);
+        this.camera.getWorldDirection(this.rayDirection);
+        const hit = this.world.raycast(this.rayOrigin, this.rayDirection, INTERACTION_REACH, isTargetable);
+
+        if (hit && hit.place) {
+            this.targetedHitPos = new THREE.Vector3(hit.x, hit.y, hit.z);
+            this.targetedPlacePos = new THREE.Vector3(hit.place.x, hit.place.y, hit.place.z);
+            this.targetedNormal = hit.normal;
+            this.targetedHitPoint.copy(this.rayDirection).multiplyScalar(hit.distance).add(this.rayOrigin);
+
+            this.targetedBounds.makeEmpty();
+            for (const box of this.world.getBlockBoxes(hit.x, hit.y, hit.z, hit.blockId, hit.state)) {
+                this.targetedBounds.union(box);
+            }
+            this.targetedBounds.getCenter(this.highlightMesh.position);
+            this.targetedBounds.getSize(this.highlightMesh.scale);
             this.highlightMesh.visible = true;
-
         } else {
-            // No intersection
+            // Nothing in reach (or the camera is inside a block)
             this.targetedHitPos = null;
             this.targetedPlacePos = null;
+            this.targetedNormal = null;
             this.highlightMesh.visible = false;
         }
     }
 
-
     /**
      * Resets the player's position to the spawn point and stops their movement.
      */
@@ -292,30 +324,35 @@ export class Player {
 
         // --- Handle Interaction based on Mouse Button ---
         if (button === 0) { // Left Click: Break Block
-            this.world.setBlock(hitBlockPos.x, hitBlockPos.y, hitBlockPos.z, BLOCKS[0].id); // Set to Air
+            this.world.setBlock(hitBlockPos.x, hitBlockPos.y, hitBlockPos.z, BLOCKS[0].id, { source: 'player' }); // Set to Air
 
         } else if (button === 2) { // Right Click: Place Block
             const blockIdToPlace = this.selectedBlockId;
 
-            // Check 1: Is target location empty (Air)?
+            // Check 1: Is target location empty (Air, or a fluid the block displaces)?
             const currentBlockId = this.world.getBlock(placeBlockPos.x, placeBlockPos.y, placeBlockPos.z);
-            if (currentBlockId !== BLOCKS[0].id) {
+            if (currentBlockId !== BLOCKS[0].id && !getBlockById(currentBlockId).fluid) {
                 return;
             }
 
-            // Check 2: Does placement collide with player's current bounding box?
-            const blockBox = new THREE.Box3(
-                placeBlockPos, // Min corner (integer coords)
-                placeBlockPos.clone().addScalar(1) // Max corner (integer coords + 1)
-            );
-            const playerBoxWorld = this.boundingBox.clone().translate(this.playerObject.position);
-
-            if (playerBoxWorld.intersectsBox(blockBox)) {
-                return; // Collision with player
+            // The block is oriented by the clicked face and view direction
+            const state = getPlacementState(blockIdToPlace, {
+                normal: this.targetedNormal,
+                lookDirection: this.rayDirection,
+                hitPoint: this.targetedHitPoint,
+            });
+
+            // Check 2: Would a solid block's boxes collide with player's current bounding box?
+            if (getBlockById(blockIdToPlace).solid) {
+                const playerBoxWorld = this.boundingBox.clone().translate(this.playerObject.position);
+                const blockBoxes = this.world.getBlockBoxes(placeBlockPos.x, placeBlockPos.y, placeBlockPos.z, blockIdToPlace, state);
+                if (blockBoxes.some(blockBox => playerBoxWorld.intersectsBox(blockBox))) {
+                    return; // Collision with player
+                }
             }
 
             // If checks pass, place the block
-            this.world.setBlock(placeBlockPos.x, placeBlockPos.y, placeBlockPos.z, blockIdToPlace);
+            this.world.setBlock(placeBlockPos.x, placeBlockPos.y, placeBlockPos.z, blockIdToPlace, { source: 'player', state });
         }
         // Middle click (button 1) is ignored
     }
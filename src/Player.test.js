@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import * as THREE from 'three';
 import { Player } from './Player.js';
+import { World } from './World.js';
 import { BLOCKS } from './BlockRegistry.js';
 
 // Constants from Player.js (or import if exported)
@@ -29,7 +30,18 @@ const MockScene = () => ({
 const MockWorld = () => ({
     // Default: all air
     getBlock: vi.fn((x, y, z) => BLOCKS[0].id), // Mock getBlock
-    getChunkMeshes: vi.fn(() => []), // Mock for raycasting
+    getBlockState: vi.fn(() => 0), // Default states
+    raycast: vi.fn(() => null), // Mock for block targeting (nothing hit)
+    // Real collision queries, reading the mocked getBlock
+    intersectsSolidBlock(box) {
+        return World.prototype.intersectsSolidBlock.call(this, box);
+    },
+    getCollidingBoxes(box) {
+        return World.prototype.getCollidingBoxes.call(this, box);
+    },
+    getBlockBoxes(x, y, z, blockId, state) {
+        return World.prototype.getBlockBoxes.call(this, x, y, z, blockId, state);
+    },
     // Helper to configure blocks for a test
     setBlockSolid: function(x, y, z) {
         this.getBlock.mockImplementation((wx, wy, wz) => {
@@ -56,6 +68,7 @@ const MockWorld = () => ({
 
 const MockHighlightMesh = () => ({
     position: new THREE.Vector3(),
+    scale: new THREE.Vector3(1, 1, 1),
     visible: false,
 });
 
@@ -223,6 +236,41 @@ describe('Player', () => {
         });
     });
 
+    // --- Swimming Tests ---
+    describe('Swimming', () => {
+        const WATER = BLOCKS[8].id;
+
+        beforeEach(() => {
+            // Stone at or below Y=0, deep water above it
+            mockWorld.getBlock.mockImplementation((wx, wy) => (Math.floor(wy) <= 0 ? BLOCKS[3].id : WATER));
+            player.playerObject.position.set(0.5, 5.0, 0.5);
+            player.onGround = false;
+        });
+
+        it('should sink slowly instead of falling when in a fluid', () => {
+            for (let i = 0; i < 10; i++) player.update(deltaTime, mockControls);
+
+            expect(player.inFluid).toBe(BLOCKS[8]);
+            expect(player.velocity.y).toBeCloseTo(-2.0); // Limited by drag
+            expect(player.playerObject.position.y).toBeGreaterThan(5.0 - 2.0 * 10 * deltaTime - 0.01);
+        });
+
+        it('should swim up while the jump key is held, even off the ground', () => {
+            mockControls.jumpKeyPressed = true;
+            player.update(deltaTime, mockControls);
+
+            expect(player.velocity.y).toBe(3.0);
+            expect(player.playerObject.position.y).toBeCloseTo(5.0 + 3.0 * deltaTime);
+        });
+
+        it('should move more slowly horizontally in a fluid', () => {
+            mockControls.moveForward = true;
+            player.update(deltaTime, mockControls);
+
+            expect(player.velocity.z).toBeCloseTo(-PLAYER_SPEED * 0.5);
+        });
+    });
+
     // --- Flying Tests ---
     describe('Flying', () => {
         it('should toggle isFlying state when toggleFlyRequested is true', () => {
@@ -336,4 +384,103 @@ describe('Player', () => {
             expect(player.velocity.y).toBe(0); // No vertical input given
         });
     });
+
+    // --- Block Model Tests ---
+    describe('Block models', () => {
+        const STONE = BLOCKS[3].id;
+        const SLAB = BLOCKS[13].id;
+        const FLOWER = BLOCKS[16].id;
+
+        // Stone at or below Y=0, and the given block at (0, 1, -1), just in front of the player
+        const placeInFront = blockId => {
+            mockWorld.getBlock.mockImplementation((wx, wy, wz) => {
+                if (Math.floor(wy) <= 0) return STONE;
+                return Math.floor(wx) === 0 && Math.floor(wy) === 1 && Math.floor(wz) === -1 ? blockId : BLOCKS[0].id;
+            });
+        };
+        const walkForward = frames => {
+            mockControls.moveForward = true;
+            for (let i = 0; i < frames; i++) player.update(deltaTime, mockControls);
+            mockControls.moveForward = false;
+        };
+
+        it('should step up onto a slab and stand on it', () => {
+            placeInFront(SLAB);
+            walkForward(2);
+            expect(player.playerObject.position.z).toBeCloseTo(-0.5);
+            expect(player.playerObject.position.y).toBeCloseTo(1.5);
+
+            for (let i = 0; i < 5; i++) player.update(deltaTime, mockControls);
+            expect(player.playerObject.position.y).toBeCloseTo(1.5);
+            expect(player.onGround).toBe(true);
+        });
+
+        it('should not step up a full block', () => {
+            placeInFront(STONE);
+            walkForward(2);
+            expect(player.playerObject.position.z).toBeCloseTo(0.5);
+            expect(player.playerObject.position.y).toBeCloseTo(1.0);
+        });
+
+        it('should walk through a flower', () => {
+            placeInFront(FLOWER);
+            walkForward(4);
+            expect(player.playerObject.position.z).toBeCloseTo(-1.5);
+            expect(player.playerObject.position.y).toBeCloseTo(1.0);
+        });
+
+        it('should place flowers but not solid blocks where the player stands', () => {
+            mockWorld.setBlock = vi.fn();
+            player.targetedHitPos = new THREE.Vector3(0, 0, 0);
+            player.targetedPlacePos = new THREE.Vector3(0, 1, 0); // The player's own cell
+            player.targetedNormal = { x: 0, y: 1, z: 0 };
+
+            player.selectedBlockId = SLAB;
+            player.tryInteract({ button: 2 });
+            expect(mockWorld.setBlock).not.toHaveBeenCalled();
+
+            player.selectedBlockId = FLOWER;
+            player.tryInteract({ button: 2 });
+            expect(mockWorld.setBlock).toHaveBeenCalledWith(0, 1, 0, FLOWER, { source: 'player', state: 0 });
+        });
+
+        it('should fit the highlight around the targeted block\'s boxes', () => {
+            mockWorld.raycast.mockReturnValue({
+                x: 0, y: 1, z: -1, blockId: SLAB, state: 0, normal: { x: 0, y: 1, z: 0 }, place: { x: 0, y: 2, z: -1 }, distance: 1,
+            });
+            player.updateTargetBlock();
+            expect(mockHighlightMesh.position.toArray()).toEqual([0.5, 1.25, -0.5]);
+            expect(mockHighlightMesh.scale.toArray()).toEqual([1, 0.5, 1]);
+        });
+    });
+
+    // --- Targeting Tests ---
+    describe('Targeting', () => {
+        it('should target the block hit by a world raycast from the camera', () => {
+            // Camera at feet (0.5, 1, 0.5) + eye height, looking along -Z (default)
+            mockWorld.raycast.mockReturnValue({ x: 0, y: 2, z: -3, blockId: BLOCKS[3].id, normal: { x: 0, y: 0, z: 1 }, place: { x: 0, y: 2, z: -2 }, distance: 2.5 });
+
+            player.updateTargetBlock();
+
+            const [origin, direction, maxDistance] = mockWorld.raycast.mock.calls[0];
+            expect(origin.y).toBeCloseTo(1.0 + PLAYER_EYE_HEIGHT);
+            expect(direction.z).toBeCloseTo(-1);
+            expect(maxDistance).toBe(5);
+            expect(player.targetedHitPos.toArray()).toEqual([0, 2, -3]);
+            expect(player.targetedPlacePos.toArray()).toEqual([0, 2, -2]);
+            expect(mockHighlightMesh.visible).toBe(true);
+            expect(mockHighlightMesh.position.toArray()).toEqual([0.5, 2.5, -2.5]);
+        });
+
+        it('should clear the target when nothing is hit or the camera is inside a block', () => {
+            mockWorld.raycast.mockReturnValue({ x: 0, y: 2, z: 0, blockId: BLOCKS[3].id, normal: null, place: null, distance: 0 });
+            player.updateTargetBlock();
+            expect(player.targetedHitPos).toBeNull();
+
+            mockWorld.raycast.mockReturnValue(null);
+            player.updateTargetBlock();
+            expect(player.targetedPlacePos).toBeNull();
+            expect(mockHighlightMesh.visible).toBe(false);
+        });
+    });
 });
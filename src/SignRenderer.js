@@ -0,0 +1,171 @@
+import * as THREE from 'three';
+import { decodeBlockState, getBlockEntityType } from './BlockRegistry.js';
+
+// Text texture layout
+const SIGN_TEXTURE_SIZE = 256; // Canvas width and height in pixels
+const SIGN_FONT = 'bold 34px sans-serif';
+const SIGN_LINE_HEIGHT = 48; // Pixels
+const SIGN_MAX_LINES = 4;
+const SIGN_LINE_LENGTH = 16; // Characters per line before wrapping
+const SIGN_TEXT_COLOR = '#1b1208';
+
+const SIGN_PLANE_SIZE = 0.9; // Side length of the text plane in blocks
+const SIGN_FACE_OFFSET = 0.501; // Distance from the block center to the text plane; just outside the face
+
+// Direction of each facing, and the Y rotation that turns the text plane (which faces +Z) towards it
+const FACING_DIRECTIONS = {
+    north: { x: 0, z: -1, rotation: Math.PI },
+    south: { x: 0, z: 1, rotation: 0 },
+    east: { x: 1, z: 0, rotation: Math.PI / 2 },
+    west: { x: -1, z: 0, rotation: -Math.PI / 2 },
+};
+
+/**
+ * Splits sign text into at most SIGN_MAX_LINES lines: at line breaks, then at spaces (or mid-word
+ * for long words) so no line exceeds SIGN_LINE_LENGTH characters.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function wrapSignText(text) {
+    const lines = [];
+    for (const paragraph of text.split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(' ')) {
+            let rest = word;
+            while (rest.length > 0 || line.length === 0) {
+                const candidate = line ? `${line} ${rest}` : rest;
+                if (candidate.length <= SIGN_LINE_LENGTH) {
+                    line = candidate;
+                    break;
+                }
+                if (line) {
+                    lines.push(line);
+                    line = '';
+                } else {
+                    lines.push(rest.slice(0, SIGN_LINE_LENGTH));
+                    rest = rest.slice(SIGN_LINE_LENGTH);
+                }
+            }
+        }
+        lines.push(line);
+    }
+    return lines.slice(0, SIGN_MAX_LINES);
+}
+
+/**
+ * Shows the text of sign block entities in the scene: a textured plane just in front of each loaded
+ * sign's front face (its `facing` state). Follows the World's block entity events, so there is
+ * nothing to update per frame.
+ */
+export class SignRenderer {
+    /**
+     * @param {World} world The world whose signs to show.
+     * @param {THREE.Scene} scene The scene to add the text planes to.
+     * @param {function(): HTMLCanvasElement} [createCanvas] Creates the canvas each sign's text is drawn on.
+     */
+    constructor(world, scene, createCanvas = () => document.createElement('canvas')) {
+        this.world = world;
+        this.scene = scene;
+        this.createCanvas = createCanvas;
+        this.meshes = new Map(); // Key: SignBlockEntity, Value: THREE.Mesh
+
+        const unsubscribers = [
+            world.on('blockEntityAdded', ({ entity }) => this.addSign(entity)),
+            world.on('blockEntityRemoved', ({ entity }) => this.removeSign(entity)),
+            world.on('blockEntityChanged', ({ entity }) => this.updateSign(entity)),
+            // A sign turned without being replaced (e.g. undo of a state change) keeps its entity
+            world.on('blockChanged', ({ x, y, z, oldId, newId }) => {
+                if (oldId !== newId || !getBlockEntityType(newId)) return;
+                const entity = world.getBlockEntity(x, y, z);
+                if (this.meshes.has(entity)) this.placeMesh(entity, this.meshes.get(entity));
+            }),
+        ];
+        this.unsubscribe = () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Creates the text plane of a sign. Entities of other types are ignored.
+     * @param {BlockEntity} entity
+     * @private Internal helper method
+     */
+    addSign(entity) {
+        if (entity.type !== 'sign' || this.meshes.has(entity)) return;
+        const canvas = this.createCanvas();
+        canvas.width = SIGN_TEXTURE_SIZE;
+        canvas.height = SIGN_TEXTURE_SIZE;
+        const material = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true });
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(SIGN_PLANE_SIZE, SIGN_PLANE_SIZE), material);
+        mesh.name = `Sign_${entity.x}_${entity.y}_${entity.z}`;
+        this.meshes.set(entity, mesh);
+        this.placeMesh(entity, mesh);
+        this.drawText(entity, mesh);
+        this.scene.add(mesh);
+    }
+
+    /**
+     * Redraws a sign's text.
+     * @param {BlockEntity} entity
+     * @private Internal helper method
+     */
+    updateSign(entity) {
+        const mesh = this.meshes.get(entity);
+        if (mesh) this.drawText(entity, mesh);
+    }
+
+    /**
+     * Removes a sign's text plane and frees its resources.
+     * @param {BlockEntity} entity
+     * @private Internal helper method
+     */
+    removeSign(entity) {
+        const mesh = this.meshes.get(entity);
+        if (!mesh) return;
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.map.dispose();
+        mesh.material.dispose();
+        this.meshes.delete(entity);
+    }
+
+    /**
+     * Moves a text plane in front of its sign's front face.
+     * @private Internal helper method
+     */
+    placeMesh(entity, mesh) {
+        const { facing = 'north' } = decodeBlockState(this.world.getBlock(entity.x, entity.y, entity.z),
+            this.world.getBlockState(entity.x, entity.y, entity.z));
+        const direction = FACING_DIRECTIONS[facing];
+        mesh.position.set(
+            entity.x + 0.5 + direction.x * SIGN_FACE_OFFSET,
+            entity.y + 0.5,
+            entity.z + 0.5 + direction.z * SIGN_FACE_OFFSET
+        );
+        mesh.rotation.set(0, direction.rotation, 0);
+    }
+
+    /**
+     * Draws a sign's text onto its plane's canvas.
+     * @private Internal helper method
+     */
+    drawText(entity, mesh) {
+        const texture = mesh.material.map;
+        const context = texture.image.getContext('2d');
+        context.clearRect(0, 0, SIGN_TEXTURE_SIZE, SIGN_TEXTURE_SIZE);
+        context.font = SIGN_FONT;
+        context.fillStyle = SIGN_TEXT_COLOR;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        const lines = wrapSignText(entity.text);
+        const top = (SIGN_TEXTURE_SIZE - lines.length * SIGN_LINE_HEIGHT) / 2 + SIGN_LINE_HEIGHT / 2;
+        lines.forEach((line, index) => context.fillText(line, SIGN_TEXTURE_SIZE / 2, top + index * SIGN_LINE_HEIGHT));
+        texture.needsUpdate = true;
+    }
+
+    /**
+     * Stops following the world and removes every text plane.
+     */
+    dispose() {
+        this.unsubscribe();
+        [...this.meshes.keys()].forEach(entity => this.removeSign(entity));
+    }
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { World } from './World.js';
+import { SignRenderer, wrapSignText } from './SignRenderer.js';
+import { BLOCKS, encodeBlockState } from './BlockRegistry.js';
+
+// --- Test Helpers ---
+const mockMaterial = {};
+const SIGN = BLOCKS[5].id;
+
+// Canvas stand-in that records the text drawn on it
+const createFakeCanvas = () => {
+    const context = {
+        lines: [],
+        clearRect() { this.lines = []; },
+        fillText(text) { this.lines.push(text); },
+    };
+    return { getContext: () => context };
+};
+
+describe('SignRenderer', () => {
+    let world;
+    let scene;
+    let renderer;
+
+    beforeEach(() => {
+        world = new World(mockMaterial, 67890);
+        scene = { add: vi.fn(), remove: vi.fn() };
+        renderer = new SignRenderer(world, scene, createFakeCanvas);
+        world.getOrCreateChunk(0, 0, 0);
+    });
+
+    const drawnLines = (x, y, z) => renderer.meshes.get(world.getBlockEntity(x, y, z)).material.map.image.getContext().lines;
+
+    it('should show sign text in front of the sign and redraw it when it changes', () => {
+        world.setBlock(5, 100, 5, SIGN, { state: encodeBlockState(SIGN, { facing: 'east' }) });
+        const mesh = renderer.meshes.get(world.getBlockEntity(5, 100, 5));
+        expect(scene.add).toHaveBeenCalledWith(mesh);
+        expect(mesh.position.x).toBeCloseTo(6.001);
+        expect(mesh.position.z).toBeCloseTo(5.5);
+        expect(mesh.rotation.y).toBeCloseTo(Math.PI / 2);
+
+        world.setBlockEntityData(5, 100, 5, { text: 'Welcome\nhome' });
+        expect(drawnLines(5, 100, 5)).toEqual(['Welcome', 'home']);
+
+        world.setBlock(5, 100, 5, SIGN, { state: encodeBlockState(SIGN, { facing: 'south' }) });
+        expect(mesh.position.z).toBeCloseTo(6.001);
+    });
+
+    it('should remove text when the sign is broken, unloaded or the renderer disposed', () => {
+        world.setBlock(5, 100, 5, SIGN);
+        const mesh = renderer.meshes.get(world.getBlockEntity(5, 100, 5));
+        world.setBlock(5, 100, 5, BLOCKS[0].id);
+        expect(scene.remove).toHaveBeenCalledWith(mesh);
+        expect(renderer.meshes.size).toBe(0);
+
+        world.setBlock(6, 100, 6, SIGN);
+        world.unloadChunk('0,0,0', scene);
+        expect(renderer.meshes.size).toBe(0);
+        world.getOrCreateChunk(0, 0, 0);
+        expect(renderer.meshes.size).toBe(1); // Back with its chunk
+
+        renderer.dispose();
+        expect(renderer.meshes.size).toBe(0);
+        world.setBlock(7, 100, 7, SIGN);
+        expect(renderer.meshes.size).toBe(0);
+    });
+
+    it('should wrap text at spaces and limit it to four lines', () => {
+        expect(wrapSignText('The quick brown fox jumps')).toEqual(['The quick brown', 'fox jumps']);
+        expect(wrapSignText('Supercalifragilistic')).toEqual(['Supercalifragili', 'stic']);
+        expect(wrapSignText('1\n2\n3\n4\n5')).toEqual(['1', '2', '3', '4']);
+        expect(wrapSignText('')).toEqual(['']);
+    });
+});
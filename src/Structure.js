@@ -0,0 +1,257 @@
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './Chunk.js';
+import { BLOCKS, formatBlockState, parseBlockState, transformBlockState, getBlockEntityType } from './BlockRegistry.js';
+
+export const STRUCTURE_FORMAT = 'dinecraft-structure';
+export const STRUCTURE_VERSION = 1;
+const MIRROR_AXES = ['x', 'z'];
+
+/**
+ * A captured box of blocks that can be pasted elsewhere in the world (a "schematic").
+ *
+ * Blocks are stored as IDs plus states in Y-major order (index = (y * sizeZ + z) * sizeX + x), like chunks.
+ * The JSON form (toJSON / fromJSON, saved as .dcstructure files) stores a palette of block names with
+ * their state (see BlockRegistry.formatBlockState) plus palette indices, so files stay valid if block
+ * IDs are renumbered:
+ *
+ *   { "format": "dinecraft-structure", "version": 1, "size": [x, y, z],
+ *     "palette": ["air", "stone", "wood[axis=x]", ...], "blocks": [0, 1, 1, ...],
+ *     "blockEntities": [{ "type": "sign", "x": 0, "y": 1, "z": 0, "data": {...} }, ...] }
+ *
+ * Block entity positions are relative to the min corner; `blockEntities` is optional, and palette entries
+ * without a state (plain names) have the default state.
+ *
+ * Transforms: `rotation` is a number of 90° turns about Y (clockwise seen from above, i.e. +X
+ * turns into +Z), `mirror` flips along 'x' or 'z'. Mirroring is applied before rotation.
+ * Oriented block states (axis, facing) are turned along with the blocks.
+ */
+export class Structure {
+    /**
+     * @param {number} sizeX Width in blocks.
+     * @param {number} sizeY Height in blocks.
+     * @param {number} sizeZ Depth in blocks.
+     * @param {Uint16Array} [blocks] Block IDs in Y-major order (all air if omitted).
+     * @param {Uint16Array} [states] Block states in the same order (all default if omitted).
+     */
+    constructor(sizeX, sizeY, sizeZ, blocks = new Uint16Array(sizeX * sizeY * sizeZ), states = new Uint16Array(blocks.length)) {
+        if (blocks.length !== sizeX * sizeY * sizeZ || states.length !== blocks.length) {
+            throw new Error(`Expected ${sizeX * sizeY * sizeZ} blocks and states, got ${blocks.length} and ${states.length}`);
+        }
+        this.sizeX = sizeX;
+        this.sizeY = sizeY;
+        this.sizeZ = sizeZ;
+        this.blocks = blocks;
+        this.states = states;
+        // Serialised block entities (see BlockEntity.toJSON) with positions relative to the min corner
+        this.blockEntities = [];
+    }
+
+    /**
+     * Captures the blocks in a box of the world. Chunks in the box are loaded (or generated) first.
+     * @param {World} world The world to read.
+     * @param {{x: number, y: number, z: number}} min One corner (world coordinates, inclusive).
+     * @param {{x: number, y: number, z: number}} max The opposite corner (inclusive).
+     * @returns {Structure}
+     */
+    static fromWorld(world, min, max) {
+        const minX = Math.min(min.x, max.x), minY = Math.min(min.y, max.y), minZ = Math.min(min.z, max.z);
+        const maxX = Math.max(min.x, max.x), maxY = Math.max(min.y, max.y), maxZ = Math.max(min.z, max.z);
+        for (let chunkX = Math.floor(minX / CHUNK_WIDTH); chunkX <= Math.floor(maxX / CHUNK_WIDTH); chunkX++) {
+            for (let chunkY = Math.floor(minY / CHUNK_HEIGHT); chunkY <= Math.floor(maxY / CHUNK_HEIGHT); chunkY++) {
+                for (let chunkZ = Math.floor(minZ / CHUNK_DEPTH); chunkZ <= Math.floor(maxZ / CHUNK_DEPTH); chunkZ++) {
+                    world.getOrCreateChunk(chunkX, chunkY, chunkZ);
+                }
+            }
+        }
+
+        const structure = new Structure(maxX - minX + 1, maxY - minY + 1, maxZ - minZ + 1);
+        for (let y = 0; y < structure.sizeY; y++) {
+            for (let z = 0; z < structure.sizeZ; z++) {
+                for (let x = 0; x < structure.sizeX; x++) {
+                    const index = structure.index(x, y, z);
+                    structure.blocks[index] = world.getBlock(minX + x, minY + y, minZ + z);
+                    structure.states[index] = world.getBlockState(minX + x, minY + y, minZ + z);
+                    const entity = getBlockEntityType(structure.blocks[index]) && world.getBlockEntity(minX + x, minY + y, minZ + z);
+                    if (entity) {
+                        structure.blockEntities.push({ ...entity.toJSON(), x, y, z });
+                    }
+                }
+            }
+        }
+        return structure;
+    }
+
+    /**
+     * Creates a structure from its JSON form (any version up to STRUCTURE_VERSION). Unknown block names are replaced with air.
+     * @param {object|string} json The object from toJSON(), or its JSON text.
+     * @returns {Structure}
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.format !== STRUCTURE_FORMAT) {
+            throw new Error('Not a structure file');
+        }
+        if (data.version > STRUCTURE_VERSION) {
+            throw new Error(`Structure version ${data.version} is newer than supported (${STRUCTURE_VERSION})`);
+        }
+        const [sizeX, sizeY, sizeZ] = data.size;
+
+        const palette = data.palette.map(entry => parseBlockState(entry));
+        const blocks = new Uint16Array(data.blocks.length);
+        const states = new Uint16Array(data.blocks.length);
+        data.blocks.forEach((paletteIndex, index) => {
+            if (paletteIndex >= palette.length) {
+                throw new Error(`Structure palette index ${paletteIndex} out of range`);
+            }
+            blocks[index] = palette[paletteIndex].blockId;
+            states[index] = palette[paletteIndex].state;
+        });
+        const structure = new Structure(sizeX, sizeY, sizeZ, blocks, states);
+        structure.blockEntities = (data.blockEntities || []).map(entity => ({ ...entity }));
+        return structure;
+    }
+
+    /**
+     * Returns the JSON-serialisable form (see the class comment).
+     * @returns {{format: string, version: number, size: number[], palette: string[], blocks: number[], blockEntities: object[]}}
+     */
+    toJSON() {
+        const palette = [];
+        const paletteIndices = new Map(); // Palette entry text -> palette index
+        const blocks = Array.from(this.blocks, (id, index) => {
+            const entry = formatBlockState(id, this.states[index]);
+            if (!paletteIndices.has(entry)) {
+                paletteIndices.set(entry, palette.length);
+                palette.push(entry);
+            }
+            return paletteIndices.get(entry);
+        });
+        return {
+            format: STRUCTURE_FORMAT,
+            version: STRUCTURE_VERSION,
+            size: [this.sizeX, this.sizeY, this.sizeZ],
+            palette,
+            blocks,
+            blockEntities: this.blockEntities,
+        };
+    }
+
+    /**
+     * Gets the block ID at a position inside the structure.
+     * @returns {number}
+     */
+    getBlock(x, y, z) {
+        return this.blocks[this.index(x, y, z)];
+    }
+
+    /**
+     * Gets the block state at a position inside the structure.
+     * @returns {number}
+     */
+    getBlockState(x, y, z) {
+        return this.states[this.index(x, y, z)];
+    }
+
+    /**
+     * Returns a rotated and/or mirrored copy.
+     * @param {number} [rotation=0] Quarter turns about Y (any integer; taken modulo 4).
+     * @param {'x'|'z'|null} [mirror=null] Axis to flip along.
+     * @returns {Structure}
+     */
+    transformed(rotation = 0, mirror = null) {
+        const turns = Structure.normalizeRotation(rotation);
+        Structure.checkMirror(mirror);
+        const size = this.getTransformedSize(turns);
+        const result = new Structure(size.x, size.y, size.z);
+        for (let y = 0; y < this.sizeY; y++) {
+            for (let z = 0; z < this.sizeZ; z++) {
+                for (let x = 0; x < this.sizeX; x++) {
+                    const target = this.transformPosition({ x, y, z }, turns, mirror);
+                    const source = this.index(x, y, z);
+                    const destination = result.index(target.x, target.y, target.z);
+                    result.blocks[destination] = this.blocks[source];
+                    result.states[destination] = transformBlockState(this.blocks[source], this.states[source], turns, mirror);
+                }
+            }
+        }
+        result.blockEntities = this.blockEntities.map(entity => ({ ...entity, ...this.transformPosition(entity, turns, mirror) }));
+        return result;
+    }
+
+    /**
+     * Maps a position relative to this structure's min corner to where it ends up in transformed(rotation, mirror).
+     * Works for positions outside the box too (e.g. a paste anchor).
+     * @param {{x: number, y: number, z: number}} position
+     * @param {number} [rotation=0] Quarter turns about Y.
+     * @param {'x'|'z'|null} [mirror=null] Axis to flip along.
+     * @returns {{x: number, y: number, z: number}}
+     */
+    transformPosition(position, rotation = 0, mirror = null) {
+        let { x, y, z } = position;
+        let sizeX = this.sizeX;
+        let sizeZ = this.sizeZ;
+        if (mirror === 'x') x = sizeX - 1 - x;
+        if (mirror === 'z') z = sizeZ - 1 - z;
+        for (let turn = 0; turn < Structure.normalizeRotation(rotation); turn++) {
+            [x, z] = [sizeZ - 1 - z, x]; // +X turns into +Z
+            [sizeX, sizeZ] = [sizeZ, sizeX];
+        }
+        return { x, y, z };
+    }
+
+    /**
+     * Writes the structure into the world with its min corner at `origin`, as one batched region edit,
+     * then copies block entity data (e.g. sign text) onto the placed blocks.
+     * @param {World} world The world to edit.
+     * @param {{x: number, y: number, z: number}} origin World position of the (transformed) min corner.
+     * @param {object} [options]
+     * @param {number} [options.rotation=0] Quarter turns about Y.
+     * @param {'x'|'z'|null} [options.mirror=null] Axis to flip along.
+     * @param {boolean} [options.skipAir=false] Leave the world unchanged where the structure has air.
+     * @param {string} [options.source='script'] Block change source (see World.setBlock).
+     * @returns {number} The number of blocks changed.
+     */
+    placeInWorld(world, origin, options = {}) {
+        const { rotation = 0, mirror = null, skipAir = false, ...editOptions } = options;
+        const structure = rotation || mirror ? this.transformed(rotation, mirror) : this;
+        const max = {
+            x: origin.x + structure.sizeX - 1,
+            y: origin.y + structure.sizeY - 1,
+            z: origin.z + structure.sizeZ - 1,
+        };
+        const changed = world.editRegion(origin, max, (x, y, z) => {
+            const index = structure.index(x - origin.x, y - origin.y, z - origin.z);
+            const id = structure.blocks[index];
+            return skipAir && id === BLOCKS[0].id ? null : { id, state: structure.states[index] };
+        }, editOptions);
+        for (const entity of structure.blockEntities) {
+            world.setBlockEntityData(origin.x + entity.x, origin.y + entity.y, origin.z + entity.z, entity.data, editOptions);
+        }
+        return changed;
+    }
+
+    /**
+     * Size after rotating by `rotation` quarter turns.
+     * @returns {{x: number, y: number, z: number}}
+     */
+    getTransformedSize(rotation = 0) {
+        const swapped = Structure.normalizeRotation(rotation) % 2 === 1;
+        return { x: swapped ? this.sizeZ : this.sizeX, y: this.sizeY, z: swapped ? this.sizeX : this.sizeZ };
+    }
+
+    /** @private Internal helper method */
+    index(x, y, z) {
+        return (y * this.sizeZ + z) * this.sizeX + x;
+    }
+
+    /** @private Internal helper method */
+    static normalizeRotation(rotation) {
+        return ((Math.round(rotation) % 4) + 4) % 4;
+    }
+
+    /** @private Internal helper method */
+    static checkMirror(mirror) {
+        if (mirror !== null && !MIRROR_AXES.includes(mirror)) {
+            throw new Error(`Invalid mirror axis '${mirror}' (expected 'x', 'z' or null)`);
+        }
+    }
+}
@@ -0,0 +1,219 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { World } from './World.js';
+import { Structure } from './Structure.js';
+import { Clipboard } from './Clipboard.js';
+import { BLOCKS } from './BlockRegistry.js';
+
+// --- Test Helpers ---
+const mockMaterial = {};
+const AIR = BLOCKS[0].id;
+const GRASS = BLOCKS[1].id;
+const STONE = BLOCKS[3].id;
+const WOOD = BLOCKS[4].id;
+
+// An L-shaped 3x2x2 structure: a stone row along X at z = 0, one wood block at (0, 0, 1), wood on top of (2, 0, 0)
+const createLShape = () => {
+    const structure = new Structure(3, 2, 2);
+    structure.blocks[structure.index(0, 0, 0)] = STONE;
+    structure.blocks[structure.index(1, 0, 0)] = STONE;
+    structure.blocks[structure.index(2, 0, 0)] = STONE;
+    structure.blocks[structure.index(0, 0, 1)] = WOOD;
+    structure.blocks[structure.index(2, 1, 0)] = WOOD;
+    return structure;
+};
+
+describe('Structure', () => {
+    let world;
+
+    beforeEach(() => {
+        world = new World(mockMaterial, 67890);
+    });
+
+    it('should capture a region across chunk boundaries, loading missing chunks', () => {
+        world.fillRegion({ x: -1, y: 100, z: -1 }, { x: 0, y: 100, z: 0 }, STONE);
+        world.setBlock(0, 101, -1, WOOD);
+        const mockScene = { add: vi.fn(), remove: vi.fn() };
+        [...world.chunks.keys()].forEach(key => world.unloadChunk(key, mockScene)); // Edits are retained
+
+        const structure = Structure.fromWorld(world, { x: 0, y: 101, z: 0 }, { x: -1, y: 100, z: -1 });
+        expect([structure.sizeX, structure.sizeY, structure.sizeZ]).toEqual([2, 2, 2]);
+        expect(structure.getBlock(0, 0, 0)).toBe(STONE);
+        expect(structure.getBlock(1, 0, 1)).toBe(STONE);
+        expect(structure.getBlock(1, 1, 0)).toBe(WOOD);
+        expect(structure.getBlock(0, 1, 0)).toBe(AIR);
+    });
+
+    it('should round-trip through JSON with a block name palette', () => {
+        const structure = createLShape();
+        const json = JSON.parse(JSON.stringify(structure));
+
+        expect(json.size).toEqual([3, 2, 2]);
+        expect(json.palette).toEqual(['stone', 'wood', 'air']);
+        expect(Structure.fromJSON(json).blocks).toEqual(structure.blocks);
+        expect(Structure.fromJSON(JSON.stringify(structure)).blocks).toEqual(structure.blocks);
+    });
+
+    it('should reject foreign or newer files and replace unknown blocks with air', () => {
+        expect(() => Structure.fromJSON({ format: 'other' })).toThrow('Not a structure file');
+        expect(() => Structure.fromJSON({ ...createLShape().toJSON(), version: 99 })).toThrow('newer');
+
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const structure = Structure.fromJSON({ format: 'dinecraft-structure', version: 1, size: [2, 1, 1], palette: ['stone', 'marble'], blocks: [0, 1] });
+        expect(Array.from(structure.blocks)).toEqual([STONE, AIR]);
+        expect(warnSpy).toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+
+    it('should rotate clockwise about Y in quarter turns', () => {
+        const structure = createLShape();
+        const rotated = structure.transformed(1);
+
+        expect([rotated.sizeX, rotated.sizeY, rotated.sizeZ]).toEqual([2, 2, 3]);
+        // The stone row along +X now runs along +Z at x = sizeX - 1
+        expect(rotated.getBlock(1, 0, 0)).toBe(STONE);
+        expect(rotated.getBlock(1, 0, 2)).toBe(STONE);
+        expect(rotated.getBlock(0, 0, 0)).toBe(WOOD);
+        expect(rotated.getBlock(1, 1, 2)).toBe(WOOD);
+
+        expect(structure.transformed(4).blocks).toEqual(structure.blocks);
+        expect(structure.transformed(-1).blocks).toEqual(structure.transformed(3).blocks);
+        expect(rotated.transformed(3).blocks).toEqual(structure.blocks);
+    });
+
+    it('should mirror along X or Z', () => {
+        const structure = createLShape();
+        expect(structure.transformed(0, 'x').getBlock(2, 0, 1)).toBe(WOOD);
+        expect(structure.transformed(0, 'z').getBlock(0, 0, 0)).toBe(WOOD);
+        expect(structure.transformed(0, 'x').transformed(0, 'x').blocks).toEqual(structure.blocks);
+        expect(() => structure.transformed(0, 'y')).toThrow('Invalid mirror axis');
+    });
+
+    it('should copy block entity data with the blocks', () => {
+        world.getOrCreateChunk(0, 0, 0);
+        world.setBlock(3, 150, 1, BLOCKS[5].id);
+        world.setBlockEntityData(3, 150, 1, { text: 'Copied' });
+
+        const structure = Structure.fromJSON(JSON.stringify(Structure.fromWorld(world, { x: 2, y: 150, z: 0 }, { x: 4, y: 150, z: 1 })));
+        expect(structure.blockEntities).toEqual([{ type: 'sign', x: 1, y: 0, z: 1, data: { text: 'Copied' } }]);
+
+        structure.placeInWorld(world, { x: 8, y: 150, z: 8 }, { rotation: 1 });
+        expect(world.getBlock(8, 150, 9)).toBe(BLOCKS[5].id);
+        expect(world.getBlockEntity(8, 150, 9).text).toBe('Copied');
+    });
+
+    it('should keep block states through JSON, rotation and pasting', () => {
+        const structure = createLShape();
+        structure.states[structure.index(0, 0, 1)] = 1; // wood[axis=x]
+        const json = structure.toJSON();
+
+        expect(json.palette).toEqual(['stone', 'wood[axis=x]', 'air', 'wood']);
+        expect(Structure.fromJSON(json).states).toEqual(structure.states);
+
+        const rotated = structure.transformed(1);
+        expect(rotated.getBlockState(0, 0, 0)).toBe(2); // wood[axis=z]
+        expect(rotated.getBlockState(1, 1, 2)).toBe(0); // Upright logs stay upright
+
+        structure.placeInWorld(world, { x: 0, y: 150, z: 0 }, { rotation: 1 });
+        expect(world.getBlockState(0, 150, 0)).toBe(2);
+    });
+
+    it('should paste with rotation and optionally skip air', () => {
+        world.fillRegion({ x: -3, y: 100, z: -3 }, { x: 2, y: 101, z: 2 }, GRASS);
+        const structure = createLShape();
+
+        const changed = structure.placeInWorld(world, { x: -1, y: 100, z: -2 }, { rotation: 1, skipAir: true });
+        expect(changed).toBe(5);
+        expect(world.getBlock(0, 100, -2)).toBe(STONE);
+        expect(world.getBlock(0, 100, 0)).toBe(STONE);
+        expect(world.getBlock(-1, 100, -2)).toBe(WOOD);
+        expect(world.getBlock(-1, 100, -1)).toBe(GRASS); // Air in the structure, skipped
+
+        expect(structure.placeInWorld(world, { x: -1, y: 100, z: -2 }, { rotation: 1 })).toBe(7); // Air too
+        expect(world.getBlock(-1, 100, -1)).toBe(AIR);
+    });
+});
+
+describe('Clipboard', () => {
+    let world;
+    let player;
+    let clipboard;
+
+    const target = (x, y, z) => { player.targetedHitPos = { x, y, z }; };
+
+    beforeEach(() => {
+        world = new World(mockMaterial, 67890);
+        player = { targetedHitPos: null };
+        clipboard = new Clipboard(world, player);
+        world.fillRegion({ x: 0, y: 100, z: 0 }, { x: 2, y: 100, z: 0 }, STONE);
+        world.setBlock(0, 100, 1, WOOD);
+    });
+
+    it('should not copy or paste without corners, a copy or a target', () => {
+        expect(clipboard.paste()).toBe(0);
+        target(0, 100, 0);
+        clipboard.setCorner(0);
+        expect(clipboard.copy()).toBe(false);
+        player.targetedHitPos = null;
+        expect(clipboard.setCorner(1)).toBe(false);
+    });
+
+    it('should paste relative to the block targeted when copying', () => {
+        target(0, 100, 0);
+        clipboard.setCorner(0);
+        target(2, 100, 1);
+        clipboard.setCorner(1);
+        target(1, 99, 0); // Anchor: the block under the middle of the row
+        expect(clipboard.copy()).toBe(true);
+
+        target(-20, 149, 5);
+        expect(clipboard.paste()).toBe(4);
+        expect(world.getBlock(-21, 150, 5)).toBe(STONE);
+        expect(world.getBlock(-19, 150, 5)).toBe(STONE);
+        expect(world.getBlock(-21, 150, 6)).toBe(WOOD);
+    });
+
+    it('should rotate and mirror around the anchor', () => {
+        target(0, 100, 0);
+        clipboard.setCorner(0);
+        target(2, 100, 1);
+        clipboard.setCorner(1);
+        target(0, 100, 0);
+        expect(clipboard.copy()).toBe(true); // Anchored at the row's first stone
+
+        clipboard.rotate();
+        target(10, 100, 10);
+        clipboard.paste();
+        // The row now runs along +Z from the anchor, and the wood moved to -X
+        expect(world.getBlock(10, 100, 10)).toBe(STONE);
+        expect(world.getBlock(10, 100, 12)).toBe(STONE);
+        expect(world.getBlock(9, 100, 10)).toBe(WOOD);
+
+        clipboard.rotate();
+        clipboard.rotate();
+        clipboard.rotate(); // Back to the original orientation
+        clipboard.toggleMirror();
+        target(20, 100, 20);
+        clipboard.paste();
+        expect(world.getBlock(20, 100, 20)).toBe(STONE);
+        expect(world.getBlock(18, 100, 20)).toBe(STONE);
+        expect(world.getBlock(20, 100, 21)).toBe(WOOD);
+    });
+
+    it('should place loaded structures on top of the targeted block', () => {
+        clipboard.setStructure(createLShape());
+        target(5, 160, 5);
+        clipboard.paste();
+        expect(world.getBlock(5, 161, 5)).toBe(STONE);
+        expect(world.getBlock(7, 162, 5)).toBe(WOOD);
+    });
+
+    it('should record a paste as player edits', () => {
+        const log = [];
+        world.on('blockChanged', event => log.push(event.source));
+        clipboard.setStructure(createLShape());
+        target(5, 160, 5);
+        clipboard.paste();
+        expect(log).toHaveLength(5);
+        expect(new Set(log)).toEqual(new Set(['player']));
+    });
+});
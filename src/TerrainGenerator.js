@@ -1,5 +1,6 @@
 import { Noise } from 'noisejs';
 import { BLOCKS } from './BlockRegistry.js';
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './Chunk.js';
 
 /**
  * Generates block data for chunks using procedural noise.
@@ -23,6 +24,33 @@ export class TerrainGenerator {
         this.dirtDepth = 3;      // How many blocks of dirt below grass
     }
 
+    /**
+     * Returns the generation parameters (everything besides the seed that shapes the terrain).
+     * @returns {{scale: number, threshold: number, surfaceScale: number, baseLevel: number, amplitude: number, dirtDepth: number}}
+     */
+    getSettings() {
+        return {
+            scale: this.scale,
+            threshold: this.threshold,
+            surfaceScale: this.surfaceScale,
+            baseLevel: this.baseLevel,
+            amplitude: this.amplitude,
+            dirtDepth: this.dirtDepth,
+        };
+    }
+
+    /**
+     * Overrides generation parameters. Unknown keys are ignored, missing keys keep their value.
+     * @param {object} settings Parameters as returned by getSettings().
+     */
+    applySettings(settings) {
+        for (const name of Object.keys(this.getSettings())) {
+            if (typeof settings[name] === 'number') {
+                this[name] = settings[name];
+            }
+        }
+    }
+
     /**
      * Determines the block ID for a given world coordinate using 3D noise.
      * @param {number} worldX World X coordinate.
@@ -56,4 +84,25 @@ export class TerrainGenerator {
             return BLOCKS[3].id; // Stone
         }
     }
+
+    /**
+     * Generates the block data for a whole chunk.
+     * The layout matches Chunk block data (Y-major: y * (CHUNK_WIDTH * CHUNK_DEPTH) + z * CHUNK_WIDTH + x).
+     * @param {number} originX World X coordinate of the chunk's corner.
+     * @param {number} originY World Y coordinate of the chunk's corner.
+     * @param {number} originZ World Z coordinate of the chunk's corner.
+     * @returns {Uint16Array} The generated block IDs.
+     */
+    generateChunkData(originX, originY, originZ) {
+        const blocks = new Uint16Array(CHUNK_WIDTH * CHUNK_HEIGHT * CHUNK_DEPTH);
+        for (let x = 0; x < CHUNK_WIDTH; x++) {
+            for (let z = 0; z < CHUNK_DEPTH; z++) {
+                for (let y = 0; y < CHUNK_HEIGHT; y++) {
+                    const index = y * (CHUNK_WIDTH * CHUNK_DEPTH) + z * CHUNK_WIDTH + x;
+                    blocks[index] = this.getBlockId(originX + x, originY + y, originZ + z);
+                }
+            }
+        }
+        return blocks;
+    }
 }
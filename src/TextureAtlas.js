@@ -1,9 +1,95 @@
 import * as THREE from 'three';
+import { TILE_UV_WIDTH, TILE_UV_HEIGHT } from './BlockRegistry.js';
+import { POSITION_SCALE } from './MeshBuffers.js';
 
 // Resolve the asset URL relative to the current JS file.
 // This tells Vite to include the image in the build and provide the correct final path.
 const atlasURL = new URL('../assets/atlas.png', import.meta.url).href;
 
+// Brightness of blocks in complete darkness, so caves aren't pitch black
+const MIN_BRIGHTNESS = 0.05;
+// Brightness of a fully occluded vertex (see ChunkMesher's ambient occlusion)
+const MIN_AO_BRIGHTNESS = 0.5;
+
+/**
+ * Makes a chunk material darken blocks by their baked voxel light: the `light` vertex attribute holds the sky
+ * and block light (0-1, see ChunkMesher), and the brighter of the two, on a curve that falls off quickly like
+ * real light, scales the block's colour. The sky part is scaled by the `skyLightFactor` uniform, kept in
+ * `material.userData.skyLightFactor` (1 = full daylight). The `ao` attribute (0 = fully occluded, 1 = open)
+ * darkens corners on top of that.
+ * @param {THREE.Material} material
+ * @private Internal helper method
+ */
+function applyVoxelLight(material) {
+    const skyLightFactor = { value: 1 };
+    material.userData.skyLightFactor = skyLightFactor;
+    material.onBeforeCompile = shader => {
+        shader.uniforms.skyLightFactor = skyLightFactor;
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nattribute vec2 light;\nattribute float ao;\nvarying vec2 vVoxelLight;\nvarying float vAO;')
+            .replace('#include <begin_vertex>', '#include <begin_vertex>\nvVoxelLight = light;\nvAO = ao;');
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', '#include <common>\nuniform float skyLightFactor;\nvarying vec2 vVoxelLight;\nvarying float vAO;')
+            .replace('#include <color_fragment>', [
+                '#include <color_fragment>',
+                'float voxelLight = max(vVoxelLight.x * skyLightFactor, vVoxelLight.y);',
+                `diffuseColor.rgb *= mix(${MIN_BRIGHTNESS.toFixed(2)}, 1.0, voxelLight / (4.0 - 3.0 * voxelLight));`,
+                `diffuseColor.rgb *= mix(${MIN_AO_BRIGHTNESS.toFixed(2)}, 1.0, vAO);`,
+            ].join('\n'));
+    };
+}
+
+/**
+ * Makes a chunk material repeat each texture tile across merged quads (see ChunkMesher.generate): the `tile`
+ * vertex attribute holds the column and row of the tile in the atlas, and UVs that run past the tile are
+ * wrapped back into it, once per block. UVs within the tile, including its far edges, are left as they are.
+ * Chained after the material's existing onBeforeCompile.
+ * @param {THREE.Material} material
+ * @private Internal helper method
+ */
+function applyTileRepeat(material) {
+    const previousOnBeforeCompile = material.onBeforeCompile;
+    const tileSize = `vec2(${TILE_UV_WIDTH.toFixed(4)}, ${TILE_UV_HEIGHT.toFixed(4)})`;
+    material.onBeforeCompile = (shader, renderer) => {
+        previousOnBeforeCompile.call(material, shader, renderer);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nattribute vec2 tile;\nvarying vec2 vTile;')
+            .replace('#include <begin_vertex>', `#include <begin_vertex>\nvTile = tile * ${tileSize};`);
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', '#include <common>\nvarying vec2 vTile;')
+            .replace('#include <map_fragment>', [
+                '#ifdef USE_MAP',
+                `vec2 tileOffset = (vMapUv - vTile) / ${tileSize};`,
+                'tileOffset -= max(ceil(tileOffset) - 1.0, 0.0); // Back into (0, 1], keeping 1 (the far edge) as it is',
+                `diffuseColor *= texture2D(map, vTile + tileOffset * ${tileSize});`,
+                '#endif',
+            ].join('\n'));
+    };
+}
+
+/**
+ * Makes a chunk material read the packed vertex format of the mesher (see MeshBuffers): positions are integers
+ * scaled by POSITION_SCALE, and instead of a normal each vertex has the ID of its face (east, west, top, bottom,
+ * south, north), looked up here. Chained after the material's existing onBeforeCompile.
+ * @param {THREE.Material} material
+ * @private Internal helper method
+ */
+function applyPackedVertices(material) {
+    const previousOnBeforeCompile = material.onBeforeCompile;
+    material.onBeforeCompile = (shader, renderer) => {
+        previousOnBeforeCompile.call(material, shader, renderer);
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', [
+                '#include <common>',
+                'attribute float face;',
+                'const vec3 FACE_NORMALS[6] = vec3[6](vec3(1.0, 0.0, 0.0), vec3(-1.0, 0.0, 0.0), vec3(0.0, 1.0, 0.0),',
+                '    vec3(0.0, -1.0, 0.0), vec3(0.0, 0.0, 1.0), vec3(0.0, 0.0, -1.0));',
+            ].join('\n'))
+            .replace('#include <beginnormal_vertex>', 'vec3 objectNormal = FACE_NORMALS[int(face)];')
+            .replace('#include <begin_vertex>', `#include <begin_vertex>\ntransformed /= ${POSITION_SCALE.toFixed(1)};`);
+    };
+}
+
 /**
  * Manages loading and providing access to the game's texture atlas.
  * For Milestone 1, this loads a single placeholder texture and creates one material.
@@ -14,6 +100,8 @@ export class TextureAtlas {
         this.textureUrl = textureUrl;
         this.texture = null;
         this.material = null;
+        this.translucentMaterial = null;
+        this.cutoutMaterial = null;
     }
 
     /**
@@ -37,6 +125,30 @@ export class TextureAtlas {
                         map: this.texture,
                         side: THREE.FrontSide // Render only the front side of faces
                     });
+                    applyVoxelLight(this.material);
+                    applyTileRepeat(this.material);
+                    applyPackedVertices(this.material);
+                    // Cutout blocks (leaves): pixels are drawn or not by the texture's alpha, so they stay in the
+                    // depth buffer and need no sorting; both sides, to see the far faces through the gaps
+                    this.cutoutMaterial = new THREE.MeshStandardMaterial({
+                        map: this.texture,
+                        side: THREE.DoubleSide,
+                        alphaTest: 0.5
+                    });
+                    applyVoxelLight(this.cutoutMaterial);
+                    applyTileRepeat(this.cutoutMaterial);
+                    applyPackedVertices(this.cutoutMaterial);
+                    // Translucent blocks (glass, water): blended using the texture's alpha, visible from inside too,
+                    // and not hiding what is behind them in the depth buffer
+                    this.translucentMaterial = new THREE.MeshStandardMaterial({
+                        map: this.texture,
+                        side: THREE.DoubleSide,
+                        transparent: true,
+                        depthWrite: false
+                    });
+                    applyVoxelLight(this.translucentMaterial);
+                    applyTileRepeat(this.translucentMaterial);
+                    applyPackedVertices(this.translucentMaterial);
                     resolve();
                 },
                 undefined, // onProgress callback not needed here
@@ -44,6 +156,7 @@ export class TextureAtlas {
                     console.error('An error occurred loading the texture:', error);
                     // Fallback: Create a simple red material if texture fails to load
                     this.material = new THREE.MeshStandardMaterial({ color: 0xff0000 });
+                    applyPackedVertices(this.material); // Chunk meshes still need decoding
                     reject(error);
                 }
             );
@@ -59,8 +172,26 @@ export class TextureAtlas {
         if (!this.material) {
             console.warn("Material requested before texture was loaded. Returning fallback.");
             // Provide a fallback material if accessed too early or if loading failed
-            return new THREE.MeshStandardMaterial({ color: 0xff00ff }); // Magenta fallback
+            const fallback = new THREE.MeshStandardMaterial({ color: 0xff00ff }); // Magenta fallback
+            applyPackedVertices(fallback);
+            return fallback;
         }
         return this.material;
     }
+
+    /**
+     * Returns the material for translucent blocks (see BlockRegistry `transparency`), using the same atlas.
+     * @returns {THREE.Material} The material, or the opaque one if the texture isn't loaded.
+     */
+    getTranslucentMaterial() {
+        return this.translucentMaterial || this.getMaterial();
+    }
+
+    /**
+     * Returns the material for cutout blocks (see BlockRegistry `transparency`), using the same atlas.
+     * @returns {THREE.Material} The material, or the opaque one if the texture isn't loaded.
+     */
+    getCutoutMaterial() {
+        return this.cutoutMaterial || this.getMaterial();
+    }
 }
@@ -0,0 +1,172 @@
+import { getBlockById } from './BlockRegistry.js';
+import { CHUNK_WIDTH, CHUNK_DEPTH, SECTION_HEIGHT } from './Chunk.js';
+import { createRandom } from './utils.js';
+
+const DEFAULT_TICK_RATE = 20; // Ticks per second
+const DEFAULT_RANDOM_TICK_SPEED = 3; // Random ticks per non-empty section per tick
+const MAX_TICKS_PER_UPDATE = 10; // Catch-up limit after a stall (e.g. a background tab); older time is dropped
+const DEFAULT_MAX_SCHEDULED_PER_TICK = 1024; // Due scheduled ticks beyond this wait for the next tick
+const SECTION_VOLUME = CHUNK_WIDTH * SECTION_HEIGHT * CHUNK_DEPTH;
+
+/**
+ * Runs block ticks at a fixed rate, independent of the frame rate.
+ *
+ * Block definitions in BlockRegistry opt in with handlers, both called as
+ * `handler(world, x, y, z, random)` with the block's world position and the scheduler's random function:
+ * - `onScheduledTick`: runs when a tick requested with schedule() (World.scheduleTick) for the position is due.
+ * - `onRandomTick`: each tick, `randomTickSpeed` random blocks of every non-empty section of every loaded
+ *   chunk are picked; those whose block has this handler run it (slow, ambient processes like grass spreading).
+ *
+ * Within a tick, due scheduled ticks run first, in the order they were scheduled, then random ticks in
+ * chunk load order. At most `maxScheduledPerTick` scheduled ticks run per tick; the rest are postponed
+ * (ahead of newer ones), so a burst such as a spreading flood is worked off over several ticks. All randomness comes from one seeded generator, so the same world, seed and inputs
+ * always tick the same way. Scheduled ticks at positions whose chunk isn't loaded when they are due are dropped.
+ */
+export class TickScheduler {
+    /**
+     * @param {World} world The world to tick.
+     * @param {object} [options]
+     * @param {function(): number} [options.random] Random numbers in [0, 1); seeded from world.seed by default.
+     * @param {number} [options.tickRate=20] Ticks per second.
+     * @param {number} [options.randomTickSpeed=3] Random ticks per non-empty section per tick (0 disables them).
+     * @param {number} [options.maxScheduledPerTick=1024] Scheduled ticks run per tick at most.
+     */
+    constructor(world, options = {}) {
+        this.world = world;
+        this.random = options.random ?? createRandom(world.seed);
+        this.isSeededFromWorld = options.random == null; // Reseeded from world.seed on reset
+        this.tickRate = options.tickRate ?? DEFAULT_TICK_RATE;
+        this.randomTickSpeed = options.randomTickSpeed ?? DEFAULT_RANDOM_TICK_SPEED;
+        this.maxScheduledPerTick = options.maxScheduledPerTick ?? DEFAULT_MAX_SCHEDULED_PER_TICK;
+
+        this.currentTick = 0; // Ticks run so far
+        this.accumulatedTime = 0; // Seconds not yet turned into ticks
+
+        // Pending scheduled ticks. Key: due tick, Value: position keys ("x,y,z") in scheduling order
+        this.dueTicks = new Map();
+        this.scheduledKeys = new Set(); // Positions with a pending scheduled tick
+    }
+
+    /**
+     * Requests a scheduled tick for the block at a position. Ignored if one is already pending there.
+     * @param {{x: number, y: number, z: number}} position World position of the block.
+     * @param {number} [delay=1] Ticks from now (at least 1).
+     * @returns {boolean} True if the tick was scheduled.
+     */
+    schedule(position, delay = 1) {
+        const key = `${position.x},${position.y},${position.z}`;
+        if (this.scheduledKeys.has(key)) return false;
+        const dueTick = this.currentTick + Math.max(1, Math.floor(delay));
+        if (!this.dueTicks.has(dueTick)) this.dueTicks.set(dueTick, []);
+        this.dueTicks.get(dueTick).push(key);
+        this.scheduledKeys.add(key);
+        return true;
+    }
+
+    /**
+     * Checks whether a scheduled tick is pending at a position.
+     * @param {{x: number, y: number, z: number}} position
+     * @returns {boolean}
+     */
+    isScheduled(position) {
+        return this.scheduledKeys.has(`${position.x},${position.y},${position.z}`);
+    }
+
+    /**
+     * Advances time and runs every tick that became due, up to MAX_TICKS_PER_UPDATE.
+     * @param {number} deltaTime Seconds since the last update.
+     * @returns {number} The number of ticks run.
+     */
+    update(deltaTime) {
+        const interval = 1 / this.tickRate;
+        this.accumulatedTime += deltaTime;
+        let ticks = 0;
+        while (this.accumulatedTime >= interval && ticks < MAX_TICKS_PER_UPDATE) {
+            this.accumulatedTime -= interval;
+            this.tick();
+            ticks++;
+        }
+        if (ticks === MAX_TICKS_PER_UPDATE) {
+            this.accumulatedTime = Math.min(this.accumulatedTime, interval); // Don't try to catch up on a stall
+        }
+        return ticks;
+    }
+
+    /**
+     * Runs one tick immediately: due scheduled ticks, then random ticks.
+     */
+    tick() {
+        this.currentTick++;
+        this.runScheduledTicks();
+        if (this.randomTickSpeed > 0) {
+            this.runRandomTicks();
+        }
+    }
+
+    /**
+     * Drops all pending scheduled ticks (e.g. when the world is replaced).
+     */
+    clear() {
+        this.dueTicks.clear();
+        this.scheduledKeys.clear();
+    }
+
+    /**
+     * Starts over as if created for the world's current seed (e.g. after a world is imported): drops pending
+     * scheduled ticks, restarts the tick count and reseeds the random function unless one was passed in.
+     */
+    reset() {
+        this.clear();
+        this.currentTick = 0;
+        this.accumulatedTime = 0;
+        if (this.isSeededFromWorld) {
+            this.random = createRandom(this.world.seed);
+        }
+    }
+
+    /**
+     * @private Internal helper method
+     */
+    runScheduledTicks() {
+        let keys = this.dueTicks.get(this.currentTick);
+        if (!keys) return;
+        this.dueTicks.delete(this.currentTick);
+        if (keys.length > this.maxScheduledPerTick) {
+            const nextTick = this.currentTick + 1;
+            this.dueTicks.set(nextTick, keys.slice(this.maxScheduledPerTick).concat(this.dueTicks.get(nextTick) ?? []));
+            keys = keys.slice(0, this.maxScheduledPerTick);
+        }
+        for (const key of keys) {
+            this.scheduledKeys.delete(key); // Before the handler, so it can schedule the next tick
+            const [x, y, z] = key.split(',').map(Number);
+            if (!this.world.isBlockLoaded(x, y, z)) continue;
+            const handler = getBlockById(this.world.getBlock(x, y, z)).onScheduledTick;
+            if (handler) {
+                handler(this.world, x, y, z, this.random);
+            }
+        }
+    }
+
+    /**
+     * @private Internal helper method
+     */
+    runRandomTicks() {
+        const hasRandomTick = blockId => !!getBlockById(blockId).onRandomTick;
+        // Snapshot, as handlers may cause chunks to load
+        for (const chunk of [...this.world.chunks.values()]) {
+            chunk.sections.forEach((section, sectionIndex) => {
+                // Only the palette is checked, so sections without tickable blocks are skipped cheaply
+                if (!section || section.everyValue(blockId => !hasRandomTick(blockId))) return;
+                for (let i = 0; i < this.randomTickSpeed; i++) {
+                    const index = Math.floor(this.random() * SECTION_VOLUME);
+                    const handler = getBlockById(section.get(index)).onRandomTick;
+                    if (!handler) continue;
+                    const x = chunk.position.x + (index % CHUNK_WIDTH);
+                    const y = chunk.position.y + sectionIndex * SECTION_HEIGHT + Math.floor(index / (CHUNK_WIDTH * CHUNK_DEPTH));
+                    const z = chunk.position.z + Math.floor(index / CHUNK_WIDTH) % CHUNK_DEPTH;
+                    handler(this.world, x, y, z, this.random);
+                }
+            });
+        }
+    }
+}
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { World } from './World.js';
+import { BLOCKS } from './BlockRegistry.js';
+import { createRandom } from './utils.js';
+
+// Mock Material
+const mockMaterial = new THREE.MeshBasicMaterial();
+
+// --- Test Helpers ---
+const AIR = BLOCKS[0].id;
+const GRASS = BLOCKS[1].id;
+const DIRT = BLOCKS[2].id;
+const STONE = BLOCKS[3].id;
+const TEST_ID = 250; // Temporary block with tick handler spies
+const testSeed = 13579;
+
+describe('TickScheduler', () => {
+    let world;
+    let onScheduledTick;
+    let onRandomTick;
+
+    beforeEach(() => {
+        onScheduledTick = vi.fn();
+        onRandomTick = vi.fn();
+        BLOCKS[TEST_ID] = { id: TEST_ID, name: 'test_ticker', solid: true, onScheduledTick, onRandomTick };
+        world = new World(mockMaterial, testSeed, { randomTickSpeed: 0 });
+        world.getOrCreateChunk(0, 0, 0);
+    });
+
+    afterEach(() => {
+        delete BLOCKS[TEST_ID];
+    });
+
+    it('should tick at a fixed rate regardless of frame time', () => {
+        expect(world.updateTicks(0.049)).toBe(0);
+        expect(world.updateTicks(0.002)).toBe(1); // 20 ticks per second
+        expect(world.updateTicks(0.1)).toBe(2);
+        expect(world.ticks.currentTick).toBe(3);
+    });
+
+    it('should cap the ticks run after a stall', () => {
+        expect(world.updateTicks(10)).toBe(10);
+        expect(world.ticks.accumulatedTime).toBeLessThanOrEqual(1 / 20);
+    });
+
+    it('should run scheduled ticks after their delay, once per position', () => {
+        world.setBlock(5, 100, 5, TEST_ID);
+        expect(world.scheduleTick({ x: 5, y: 100, z: 5 }, 3)).toBe(true);
+        expect(world.scheduleTick({ x: 5, y: 100, z: 5 }, 1)).toBe(false); // Already pending
+
+        world.ticks.tick();
+        world.ticks.tick();
+        expect(onScheduledTick).not.toHaveBeenCalled();
+        world.ticks.tick();
+        expect(onScheduledTick).toHaveBeenCalledTimes(1);
+        expect(onScheduledTick).toHaveBeenCalledWith(world, 5, 100, 5, world.ticks.random);
+        expect(world.ticks.isScheduled({ x: 5, y: 100, z: 5 })).toBe(false);
+    });
+
+    it('should let a scheduled tick handler schedule the next one', () => {
+        onScheduledTick.mockImplementation((w, x, y, z) => w.scheduleTick({ x, y, z }, 2));
+        world.setBlock(5, 100, 5, TEST_ID);
+        world.scheduleTick({ x: 5, y: 100, z: 5 });
+
+        for (let i = 0; i < 5; i++) world.ticks.tick();
+        expect(onScheduledTick).toHaveBeenCalledTimes(3); // Ticks 1, 3 and 5
+    });
+
+    it('should postpone scheduled ticks beyond the per-tick limit', () => {
+        world.ticks.maxScheduledPerTick = 4;
+        world.fillRegion({ x: 0, y: 100, z: 0 }, { x: 9, y: 100, z: 0 }, TEST_ID);
+        for (let x = 0; x < 10; x++) world.scheduleTick({ x, y: 100, z: 0 });
+
+        world.ticks.tick();
+        expect(onScheduledTick).toHaveBeenCalledTimes(4);
+        world.ticks.tick();
+        world.ticks.tick();
+        expect(onScheduledTick).toHaveBeenCalledTimes(10);
+        expect(onScheduledTick.mock.calls.map(([, x]) => x)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]); // In order
+    });
+
+    it('should skip scheduled ticks of replaced blocks and unloaded chunks', () => {
+        world.setBlock(5, 100, 5, TEST_ID);
+        world.scheduleTick({ x: 5, y: 100, z: 5 });
+        world.setBlock(5, 100, 5, AIR);
+        world.scheduleTick({ x: 100, y: 100, z: 100 }); // Chunk 6,0,6 isn't loaded
+
+        world.ticks.tick();
+        expect(onScheduledTick).not.toHaveBeenCalled();
+        expect(world.ticks.isScheduled({ x: 100, y: 100, z: 100 })).toBe(false);
+    });
+
+    it('should run randomTickSpeed random ticks per section with tickable blocks', () => {
+        world.ticks.randomTickSpeed = 3;
+        world.fillRegion({ x: 0, y: 128, z: 0 }, { x: 15, y: 143, z: 15 }, TEST_ID); // One whole section
+
+        world.ticks.tick();
+        expect(onRandomTick).toHaveBeenCalledTimes(3);
+        for (const [, x, y, z] of onRandomTick.mock.calls) {
+            expect(world.getBlock(x, y, z)).toBe(TEST_ID);
+        }
+    });
+});
+
+describe('Grass ticks', () => {
+    const tickGrass = BLOCKS[GRASS].onRandomTick;
+    let world;
+
+    beforeEach(() => {
+        world = new World(mockMaterial, testSeed, { randomTickSpeed: 0 });
+        world.getOrCreateChunk(0, 0, 0);
+        world.fillRegion({ x: 0, y: 100, z: 0 }, { x: 15, y: 100, z: 15 }, DIRT);
+    });
+
+    it('should spread onto nearby uncovered dirt only', () => {
+        world.setBlock(8, 100, 8, GRASS);
+        world.setBlock(8, 101, 9, STONE); // Covers the dirt at 8,100,9
+        const random = createRandom(1);
+        for (let i = 0; i < 200; i++) tickGrass(world, 8, 100, 8, random);
+
+        expect(world.getBlock(8, 100, 9)).toBe(DIRT);
+        let spread = 0;
+        for (let x = 7; x <= 9; x++) {
+            for (let z = 7; z <= 9; z++) {
+                if (world.getBlock(x, 100, z) === GRASS) spread++;
+            }
+        }
+        expect(spread).toBe(8); // Itself and every uncovered neighbour
+        expect(world.getBlock(10, 100, 8)).toBe(DIRT); // Out of range
+    });
+
+    it('should turn into dirt when covered by a solid block', () => {
+        world.setBlock(8, 100, 8, GRASS);
+        world.setBlock(8, 101, 8, STONE);
+        const listener = vi.fn();
+        world.on('blockChanged', listener);
+
+        tickGrass(world, 8, 100, 8, createRandom(1));
+        expect(world.getBlock(8, 100, 8)).toBe(DIRT);
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ oldId: GRASS, newId: DIRT, source: 'tick' }));
+    });
+
+    it('should tick the same way for the same seed', () => {
+        const runWorld = () => {
+            const tickedWorld = new World(mockMaterial, testSeed, { randomTickSpeed: 64 });
+            tickedWorld.getOrCreateChunk(0, 0, 0);
+            tickedWorld.fillRegion({ x: 0, y: 100, z: 0 }, { x: 15, y: 100, z: 15 }, DIRT);
+            tickedWorld.fillRegion({ x: 0, y: 100, z: 0 }, { x: 15, y: 100, z: 0 }, GRASS);
+            const changes = [];
+            tickedWorld.on('blockChanged', ({ x, y, z, newId, source }) => {
+                if (source === 'tick') changes.push(`${x},${y},${z}:${newId}`);
+            });
+            for (let i = 0; i < 200; i++) tickedWorld.ticks.tick();
+            return changes;
+        };
+
+        const changes = runWorld();
+        expect(changes.length).toBeGreaterThan(0);
+        expect(runWorld()).toEqual(changes);
+    });
+});
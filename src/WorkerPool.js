@@ -0,0 +1,114 @@
+/**
+ * A small pool of Web Workers that run chunk jobs (see ChunkJobs.js) off the main thread.
+ * Jobs are queued and dispatched to idle workers in submission order.
+ */
+export class WorkerPool {
+    /**
+     * @param {function(): Worker} createWorker Factory for a worker (or a worker-like object with
+     *   postMessage/terminate and an `onmessage` handler slot). Injected so tests can run jobs in-process.
+     * @param {number} [size=2] Number of workers to spawn.
+     */
+    constructor(createWorker, size = 2) {
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = []; // Jobs waiting for an idle worker: { id, job }
+        this.jobs = new Map(); // Key: job id, Value: { resolve, reject, cancelled }
+        this.nextJobId = 1;
+
+        for (let i = 0; i < size; i++) {
+            const worker = createWorker();
+            worker.onmessage = (event) => this.onWorkerMessage(worker, event.data);
+            this.workers.push(worker);
+            this.idleWorkers.push(worker);
+        }
+    }
+
+    /**
+     * Submits a job.
+     * The returned promise resolves with the job's result, or with `null` if the job was cancelled.
+     * It rejects if the worker reported an error.
+     * @param {object} job The job description (must be structured-cloneable).
+     * @returns {{id: number, promise: Promise<object|null>}} The job id (for cancel) and its result promise.
+     */
+    run(job) {
+        const id = this.nextJobId++;
+        const promise = new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, cancelled: false });
+        });
+        this.queue.push({ id, job });
+        this.dispatch();
+        return { id, promise };
+    }
+
+    /**
+     * Cancels a job. Queued jobs are dropped; a job already running in a worker finishes,
+     * but its result is discarded. Either way the job's promise resolves with `null`.
+     * @param {number} id The job id returned by run().
+     * @returns {boolean} True if the job was still pending.
+     */
+    cancel(id) {
+        const entry = this.jobs.get(id);
+        if (!entry || entry.cancelled) return false;
+
+        entry.cancelled = true;
+        const queueIndex = this.queue.findIndex(queued => queued.id === id);
+        if (queueIndex !== -1) {
+            this.queue.splice(queueIndex, 1);
+            this.jobs.delete(id);
+        }
+        entry.resolve(null);
+        return true;
+    }
+
+    /**
+     * Number of jobs that are queued or running.
+     * @returns {number}
+     */
+    get pendingCount() {
+        return this.jobs.size;
+    }
+
+    /**
+     * Sends queued jobs to idle workers.
+     * @private Internal helper method
+     */
+    dispatch() {
+        while (this.idleWorkers.length > 0 && this.queue.length > 0) {
+            const worker = this.idleWorkers.pop();
+            const { id, job } = this.queue.shift();
+            worker.postMessage({ id, job });
+        }
+    }
+
+    /**
+     * Handles a worker's reply: `{ id, result }` or `{ id, error }`.
+     * @private Internal helper method
+     */
+    onWorkerMessage(worker, data) {
+        const entry = this.jobs.get(data.id);
+        this.jobs.delete(data.id);
+        this.idleWorkers.push(worker);
+
+        if (entry && !entry.cancelled) {
+            if (data.error) {
+                entry.reject(new Error(data.error));
+            } else {
+                entry.resolve(data.result);
+            }
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Terminates all workers. Pending jobs resolve with `null`.
+     */
+    dispose() {
+        for (const id of [...this.jobs.keys()]) {
+            this.cancel(id);
+        }
+        this.jobs.clear();
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idleWorkers = [];
+    }
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { WorkerPool } from './WorkerPool.js';
+import { handleChunkJobMessage } from './ChunkJobs.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH, SECTION_COUNT } from './Chunk.js';
+
+// --- Mocks ---
+// Worker-like object that runs jobs in-process on the next macrotask, like a real worker would reply
+const createFakeWorker = (log) => {
+    const worker = {
+        onmessage: null,
+        terminated: false,
+        postMessage(data) {
+            log.push(data.id);
+            setTimeout(() => {
+                const { response } = handleChunkJobMessage(data);
+                worker.onmessage({ data: response });
+            }, 0);
+        },
+        terminate() {
+            worker.terminated = true;
+        }
+    };
+    return worker;
+};
+
+describe('WorkerPool', () => {
+    let pool;
+    let postedJobIds;
+
+    beforeEach(() => {
+        postedJobIds = [];
+        pool = new WorkerPool(() => createFakeWorker(postedJobIds), 1);
+    });
+
+    it('should generate the same blocks as the synchronous generator', async () => {
+        const seed = 12345;
+        const { promise } = pool.run({ type: 'generate', seed, chunkX: 0, chunkY: -1, chunkZ: 0 });
+        const result = await promise;
+
+        const expected = new TerrainGenerator(seed).generateChunkData(0, -CHUNK_HEIGHT, 0);
+        expect(result.blocks).toBeInstanceOf(Uint16Array);
+        expect(result.blocks.length).toBe(CHUNK_WIDTH * CHUNK_HEIGHT * CHUNK_DEPTH);
+        expect(result.blocks).toEqual(expected);
+        // One mesh per section; buffers are typed arrays so they can be transferred
+        expect(result.mesh).toHaveLength(SECTION_COUNT);
+        const sectionMeshes = result.mesh.filter(Boolean);
+        expect(sectionMeshes.length).toBeGreaterThan(0);
+        expect(sectionMeshes[0].positions).toBeInstanceOf(Uint16Array); // Packed, see MeshBuffers
+        expect(sectionMeshes[0].indices).toBeInstanceOf(Uint16Array);
+        expect(sectionMeshes[0].positions.length).toBeGreaterThan(0);
+        expect(result.mesh[0]).toBeNull(); // Buried all-stone section
+    });
+
+    it('should queue jobs while all workers are busy and run them in order', async () => {
+        const first = pool.run({ type: 'generate', seed: 1, chunkX: 0, chunkY: 0, chunkZ: 0 });
+        const second = pool.run({ type: 'generate', seed: 1, chunkX: 1, chunkY: 0, chunkZ: 0 });
+        expect(postedJobIds).toEqual([first.id]); // Only one worker, second job waits
+        expect(pool.pendingCount).toBe(2);
+
+        await first.promise;
+        expect(postedJobIds).toEqual([first.id, second.id]);
+        await second.promise;
+        expect(pool.pendingCount).toBe(0);
+    });
+
+    it('should drop cancelled queued jobs and resolve them with null', async () => {
+        const first = pool.run({ type: 'generate', seed: 1, chunkX: 0, chunkY: 0, chunkZ: 0 });
+        const second = pool.run({ type: 'generate', seed: 1, chunkX: 1, chunkY: 0, chunkZ: 0 });
+
+        expect(pool.cancel(second.id)).toBe(true);
+        await expect(second.promise).resolves.toBeNull();
+        await first.promise;
+        expect(postedJobIds).toEqual([first.id]); // The cancelled job never reached a worker
+    });
+
+    it('should discard the result of a cancelled running job', async () => {
+        const running = pool.run({ type: 'generate', seed: 1, chunkX: 0, chunkY: 0, chunkZ: 0 });
+        pool.cancel(running.id);
+        await expect(running.promise).resolves.toBeNull();
+
+        // The worker becomes available again once it replies
+        const next = pool.run({ type: 'generate', seed: 1, chunkX: 2, chunkY: 0, chunkZ: 0 });
+        await expect(next.promise).resolves.not.toBeNull();
+    });
+
+    it('should reject when the worker reports an error', async () => {
+        const { promise } = pool.run({ type: 'unknown' });
+        await expect(promise).rejects.toThrow('Unknown chunk job type');
+    });
+
+    it('should terminate workers on dispose', () => {
+        const worker = pool.workers[0];
+        pool.dispose();
+        expect(worker.terminated).toBe(true);
+    });
+});
@@ -1,26 +1,137 @@
 import * as THREE from 'three';
-import { Chunk, CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './Chunk.js';
-import { BLOCKS } from './BlockRegistry.js';
+import { Chunk, CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH, SECTION_HEIGHT, SECTION_COUNT } from './Chunk.js';
+import { BLOCKS, getBlockById, getBlockEntityType, getBlockBoxes } from './BlockRegistry.js';
+import { createBlockEntity, blockEntityFromJSON } from './BlockEntity.js';
 import { TerrainGenerator } from './TerrainGenerator.js'; // Import the generator
+import { encodeWorldFile, decodeWorldFile } from './WorldFormat.js';
+import { EventEmitter } from './EventEmitter.js';
+import { TickScheduler } from './TickScheduler.js';
+import { Fluids } from './Fluids.js';
+import { Lighting, computeChunkLight, affectsLight, packLight, skyLightOf, blockLightOf, MAX_LIGHT } from './Lighting.js';
+import { BlockVolume, VOLUME_PADDING } from './BlockVolume.js';
+
+// Chunk streaming defaults (all distances are in chunks)
+const DEFAULT_RENDER_DISTANCE = 4; // Horizontal radius of chunks kept loaded around the player
+const DEFAULT_VERTICAL_RENDER_DISTANCE = 1; // Vertical radius (chunks are 256 blocks tall)
+const DEFAULT_UNLOAD_MARGIN = 2; // Extra horizontal chunks before a chunk is unloaded (hysteresis)
+const DEFAULT_VERTICAL_UNLOAD_MARGIN = 1; // Extra vertical chunks before a chunk is unloaded
+const DEFAULT_MAX_CHUNK_LOADS_PER_FRAME = 1; // Generation is synchronous, so spread it over frames
+
+// Mesh rebuild budget defaults (urgent player-edited chunks are always rebuilt regardless)
+const DEFAULT_MESH_BUDGET_MS = 4; // Time spent rebuilding dirty chunk meshes per frame
+const DEFAULT_MAX_MESH_REBUILDS_PER_FRAME = Infinity; // Count limit on top of the time budget
+
+// World clock defaults (see getTime)
+const DEFAULT_DAY_LENGTH = 1200; // Seconds of ticking per full day (20 minutes)
+const DEFAULT_TIME_OF_DAY = 0.3; // New worlds start in the morning
 
 /**
  * Manages all the chunks in the world and provides methods
  * for accessing blocks at world coordinates.
+ *
+ * Events (subscribe with `world.on(name, listener)`, see EventEmitter):
+ * - 'beforeBlockChange' {x, y, z, oldId, newId, oldState, newState, source}: before a block changes; return false to veto.
+ * - 'blockChanged' {x, y, z, oldId, newId, oldState, newState, source}: after a block changed; region edits
+ *   (see editRegion) emit them once the whole region is written, relit and marked for rebuilding.
+ * - 'chunkLoaded' {chunk, chunkX, chunkY, chunkZ}: a chunk was created (edits already overlaid).
+ * - 'chunkUnloading' {chunk, chunkX, chunkY, chunkZ}: a chunk is about to be streamed out; blocks set in it now are
+ *   kept with its edits. Not emitted when all chunks are unloaded to replace the world (unloadAllChunks).
+ * - 'chunkUnloaded' {chunk, chunkX, chunkY, chunkZ}: a chunk was removed.
+ * - 'chunkMeshed' {chunk, chunkX, chunkY, chunkZ, sectionsRebuilt}: a chunk's dirty section meshes were rebuilt.
+ * - 'blockEntityAdded' {entity, reason, source}: a block entity (see BlockEntity.js) appeared; reason is 'placed'
+ *   (its block was set) or 'loaded' (its chunk was created or its data restored).
+ * - 'blockEntityRemoved' {entity, reason, source}: a block entity went away; reason is 'broken' (its block was
+ *   replaced) or 'unloaded' (its chunk was unloaded or its data replaced). Unloaded entities' data is kept.
+ * - 'blockEntityChanged' {entity, source}: a block entity's data was changed with setBlockEntityData.
+ * Block change sources are free-form tags; the game uses 'player', 'generator', 'script', 'network'
+ * 'tick' (block tick handlers, see TickScheduler) and 'fluid' (fluid flow, see Fluids).
  */
-export class World {
+export class World extends EventEmitter {
     /**
      * @param {THREE.Material} chunkMaterial The material to use for chunk meshes.
      * @param {number} [seed=Date.now()] Optional seed for terrain generation.
+     * @param {object} [options] Optional chunk streaming settings.
+     * @param {number} [options.renderDistance=4] Horizontal load radius in chunks.
+     * @param {number} [options.verticalRenderDistance=1] Vertical load radius in chunks.
+     * @param {number} [options.unloadDistance] Horizontal unload radius in chunks (defaults to renderDistance + 2).
+     * @param {number} [options.verticalUnloadDistance] Vertical unload radius in chunks (defaults to verticalRenderDistance + 1).
+     * @param {number} [options.maxChunkLoadsPerFrame=1] Maximum number of chunks requested per streaming update.
+     * @param {WorkerPool} [options.workerPool] Pool used to generate chunks off the main thread.
+     * @param {number} [options.meshBudgetMs=4] Time budget for mesh rebuilds per updateDirtyChunkMeshes call.
+     * @param {number} [options.maxMeshRebuildsPerFrame=Infinity] Count budget for mesh rebuilds per call.
+     * @param {number} [options.tickRate=20] Block ticks per second (see TickScheduler).
+     * @param {number} [options.randomTickSpeed=3] Random block ticks per non-empty section per tick.
+     * @param {function(): number} [options.random] Random source for block ticks; seeded from `seed` by default.
+     * @param {number} [options.maxScheduledPerTick=1024] Scheduled block ticks run per tick at most (the rest wait).
+     * @param {THREE.Material} [options.translucentMaterial] Material for translucent blocks (glass, water); defaults to chunkMaterial.
+     * @param {THREE.Material} [options.cutoutMaterial] Material for cutout blocks (leaves); defaults to chunkMaterial.
+     * @param {boolean} [options.greedyMeshing=true] Merge neighboring faces into larger quads when meshing chunks (see
+     *   ChunkMesher.generate); false meshes every face on its own.
+     * @param {number} [options.dayLength=1200] Seconds per full day of the world clock (see getTime).
+     * @param {number} [options.timeOfDay=0.3] Time of day the world starts at.
      */
-    constructor(chunkMaterial, seed = Date.now()) {
+    constructor(chunkMaterial, seed = Date.now(), options = {}) {
+        super();
         this.chunkMaterial = chunkMaterial;
+        this.translucentMaterial = options.translucentMaterial ?? chunkMaterial;
+        this.cutoutMaterial = options.cutoutMaterial ?? chunkMaterial;
         this.chunks = new Map(); // Key: "x,y,z", Value: Chunk instance
         this.dirtyChunks = new Set(); // Set of Chunk instances needing mesh updates
+        this.urgentChunks = new Set(); // Dirty chunks the player just edited; rebuilt first, outside the budget
         this.terrainGenerator = new TerrainGenerator(seed);
+
+        // Chunk streaming settings
+        this.renderDistance = options.renderDistance ?? DEFAULT_RENDER_DISTANCE;
+        this.verticalRenderDistance = options.verticalRenderDistance ?? DEFAULT_VERTICAL_RENDER_DISTANCE;
+        this.unloadDistance = options.unloadDistance ?? this.renderDistance + DEFAULT_UNLOAD_MARGIN;
+        this.verticalUnloadDistance = options.verticalUnloadDistance ?? this.verticalRenderDistance + DEFAULT_VERTICAL_UNLOAD_MARGIN;
+        this.maxChunkLoadsPerFrame = options.maxChunkLoadsPerFrame ?? DEFAULT_MAX_CHUNK_LOADS_PER_FRAME;
+
+        // Block data of edited chunks that are not loaded (streamed out, or restored from a save).
+        // Applied when the chunk is created. Key: "x,y,z", Value: {sections, stateSections, blockEntities}
+        // (see Chunk; blockEntities in serialised form, see BlockEntity.toJSON)
+        this.unloadedChunkData = new Map();
+        // Keys of edited chunks whose latest data hasn't been persisted yet (see WorldPersistence)
+        this.unsavedChunkKeys = new Set();
+
+        // Off-thread generation (optional). Key: "x,y,z", Value: WorkerPool job id
+        this.seed = seed;
+        this.workerPool = options.workerPool ?? null;
+        this.pendingChunks = new Map();
+
+        // Mesh rebuild budget and counters (see updateDirtyChunkMeshes)
+        this.meshBudgetMs = options.meshBudgetMs ?? DEFAULT_MESH_BUDGET_MS;
+        this.greedyMeshing = options.greedyMeshing ?? true; // Also sent with worker jobs
+        this.maxMeshRebuildsPerFrame = options.maxMeshRebuildsPerFrame ?? DEFAULT_MAX_MESH_REBUILDS_PER_FRAME;
+        this.meshStats = {
+            queueLength: 0,     // Dirty chunks still waiting after the last update
+            rebuiltLastFrame: 0, // Meshes rebuilt in the last update
+            rebuildTimeMs: 0,   // Time spent rebuilding in the last update
+            totalRebuilds: 0,   // Meshes rebuilt since the world was created
+        };
+
+        // Sky and block light of loaded chunks (see Lighting), updated as chunks load and blocks change
+        this.lighting = new Lighting(this);
+
+        // Block ticks (see TickScheduler); advanced by updateTicks
+        this.ticks = new TickScheduler(this, {
+            random: options.random,
+            tickRate: options.tickRate,
+            randomTickSpeed: options.randomTickSpeed,
+            maxScheduledPerTick: options.maxScheduledPerTick,
+        });
+        this.fluids = new Fluids(this); // Flows water and lava through scheduled ticks
+
+        // World clock; advanced with the block ticks, so it stops with them
+        this.dayLength = options.dayLength ?? DEFAULT_DAY_LENGTH;
+        this.timeOfDay = 0;
+        this.setTime(options.timeOfDay ?? DEFAULT_TIME_OF_DAY);
     }
 
     /**
      * Retrieves an existing chunk or creates, generates, and stores a new one.
+     * Generation happens synchronously on the calling thread; a pending worker request
+     * for the same chunk is cancelled.
      * @param {number} chunkX Chunk's X coordinate.
      * @param {number} chunkY Chunk's Y coordinate.
      * @param {number} chunkZ Chunk's Z coordinate.
@@ -30,34 +141,198 @@ export class World {
         const key = `${chunkX},${chunkY},${chunkZ}`;
         let chunk = this.chunks.get(key);
         if (!chunk) {
-            const chunkPosition = new THREE.Vector3(
+            this.cancelChunkRequest(key);
+            // Generate terrain using the TerrainGenerator
+            const blocks = this.terrainGenerator.generateChunkData(
                 chunkX * CHUNK_WIDTH,
                 chunkY * CHUNK_HEIGHT,
                 chunkZ * CHUNK_DEPTH
             );
-            // Pass world reference for neighbor lookups during mesh generation
-            chunk = new Chunk(chunkPosition, this.chunkMaterial, this);
-            this.chunks.set(key, chunk);
+            chunk = this.createChunk(chunkX, chunkY, chunkZ, blocks);
+            console.log(`Created chunk at ${key} using TerrainGenerator`);
+        }
+        return chunk;
+    }
 
-            // Generate terrain using the TerrainGenerator
-            for (let x = 0; x < CHUNK_WIDTH; x++) {
-                for (let z = 0; z < CHUNK_DEPTH; z++) {
-                    for (let y = 0; y < CHUNK_HEIGHT; y++) {
-                        const worldX = chunkPosition.x + x;
-                        const worldY = chunkPosition.y + y;
-                        const worldZ = chunkPosition.z + z;
-                        const blockId = this.terrainGenerator.getBlockId(worldX, worldY, worldZ);
-                        // Directly populate the chunk's block data using its internal index calculation
-                        const index = chunk._getIndex(x, y, z);
-                        chunk.blocks[index] = blockId;
-                    }
-                }
+    /**
+     * Requests a chunk to be loaded. With a worker pool the chunk is generated (and meshed)
+     * off the main thread and stays pending until the result arrives; without one it is
+     * generated synchronously.
+     * @param {number} chunkX Chunk's X coordinate.
+     * @param {number} chunkY Chunk's Y coordinate.
+     * @param {number} chunkZ Chunk's Z coordinate.
+     */
+    requestChunk(chunkX, chunkY, chunkZ) {
+        const key = `${chunkX},${chunkY},${chunkZ}`;
+        if (this.chunks.has(key) || this.pendingChunks.has(key)) return;
+
+        if (!this.workerPool) {
+            this.getOrCreateChunk(chunkX, chunkY, chunkZ);
+            return;
+        }
+
+        const { id, promise } = this.workerPool.run({
+            type: 'generate',
+            seed: this.seed,
+            settings: this.terrainGenerator.getSettings(),
+            greedy: this.greedyMeshing,
+            chunkX, chunkY, chunkZ
+        });
+        this.pendingChunks.set(key, id);
+        promise.then(result => {
+            // Ignore results for requests that were cancelled or superseded by a synchronous load
+            if (!result || this.pendingChunks.get(key) !== id) return;
+            this.pendingChunks.delete(key);
+            this.createChunk(chunkX, chunkY, chunkZ, result.blocks, result.mesh, result.light);
+        }).catch(error => {
+            console.error(`Failed to generate chunk at ${key}:`, error);
+            if (this.pendingChunks.get(key) === id) {
+                this.pendingChunks.delete(key);
             }
+        });
+    }
 
-            // Mark the new chunk as dirty so its mesh gets built and added
-            this.dirtyChunks.add(chunk);
-            console.log(`Created chunk at ${key} using TerrainGenerator`);
+    /**
+     * Cancels a pending worker request for a chunk, if any.
+     * @param {string} key The chunk key ("x,y,z").
+     * @private Internal helper method
+     */
+    cancelChunkRequest(key) {
+        const jobId = this.pendingChunks.get(key);
+        if (jobId !== undefined) {
+            this.pendingChunks.delete(key);
+            this.workerPool.cancel(jobId);
+        }
+    }
+
+    /**
+     * Overlays previously edited block data onto a chunk (e.g. from a save).
+     * Loaded chunks are updated immediately; otherwise the data is applied when the chunk is created.
+     * @param {number} chunkX Chunk's X coordinate.
+     * @param {number} chunkY Chunk's Y coordinate.
+     * @param {number} chunkZ Chunk's Z coordinate.
+     * @param {ArrayLike<number>} blocks Block IDs in Chunk block data layout (see Chunk.getBlockData).
+     * @param {ArrayLike<number> | null} [states=null] Block states in the same layout, or null for all defaults.
+     * @param {object[]} [blockEntities=[]] The chunk's block entities in serialised form (see BlockEntity.toJSON).
+     */
+    restoreChunkData(chunkX, chunkY, chunkZ, blocks, states = null, blockEntities = []) {
+        const chunk = this.getChunk(chunkX, chunkY, chunkZ);
+        if (!chunk) {
+            this.unloadedChunkData.set(`${chunkX},${chunkY},${chunkZ}`, {
+                sections: Chunk.sectionsFromArray(blocks),
+                stateSections: states ? Chunk.sectionsFromArray(states) : null,
+                blockEntities,
+            });
+            return;
         }
+        chunk.setBlockData(blocks, states);
+        this.removeBlockEntities(chunk, 'unloaded');
+        this.addBlockEntities(chunk, blockEntities);
+        chunk.isModified = true;
+        chunk.pendingMeshData = null;
+        chunk.setLightData(computeChunkLight(blocks));
+        this.lighting.addChunk(chunk, chunkX, chunkY, chunkZ);
+        this.markChunkDirty(chunk);
+        this.markNeighborChunksDirty(chunkX, chunkY, chunkZ);
+    }
+
+    /**
+     * Lists the keys of all edited chunks, loaded or not (see getModifiedChunkData).
+     * @returns {string[]} Chunk keys ("x,y,z").
+     */
+    getModifiedChunkKeys() {
+        const keys = [...this.unloadedChunkData.keys()];
+        for (const [key, chunk] of this.chunks) {
+            if (chunk.isModified) keys.push(key);
+        }
+        return keys;
+    }
+
+    /**
+     * Returns the current block data of an edited chunk, whether it is loaded or not.
+     * @param {string} key The chunk key ("x,y,z").
+     * @returns {{blocks: Uint16Array, states: Uint16Array | null, blockEntities: object[]} | undefined} Copies of the
+     *   block IDs and states in Chunk block data layout (states null if all default) and the serialised block
+     *   entities (see BlockEntity.toJSON), or undefined if unknown.
+     */
+    getModifiedChunkData(key) {
+        const chunk = this.chunks.get(key);
+        if (chunk) {
+            if (!chunk.isModified) return undefined;
+            return {
+                blocks: chunk.getBlockData(),
+                states: chunk.getStateData(),
+                blockEntities: [...chunk.blockEntities.values()].map(entity => entity.toJSON()),
+            };
+        }
+        const saved = this.unloadedChunkData.get(key);
+        if (!saved) return undefined;
+        return {
+            blocks: Chunk.sectionsToArray(saved.sections),
+            states: Chunk.hasStates(saved.stateSections) ? Chunk.sectionsToArray(saved.stateSections) : null,
+            blockEntities: saved.blockEntities.map(json => ({ ...json })),
+        };
+    }
+
+    /**
+     * Checks whether a chunk has been requested from the worker pool but has not arrived yet.
+     * Blocks in pending chunks read as Air and cannot be set, exactly like blocks in missing chunks.
+     * @param {number} chunkX Chunk's X coordinate.
+     * @param {number} chunkY Chunk's Y coordinate.
+     * @param {number} chunkZ Chunk's Z coordinate.
+     * @returns {boolean} True if the chunk is pending.
+     */
+    isChunkPending(chunkX, chunkY, chunkZ) {
+        return this.pendingChunks.has(`${chunkX},${chunkY},${chunkZ}`);
+    }
+
+    /**
+     * Creates and stores a chunk from generated block data.
+     * @param {number} chunkX Chunk's X coordinate.
+     * @param {number} chunkY Chunk's Y coordinate.
+     * @param {number} chunkZ Chunk's Z coordinate.
+     * @param {ArrayLike<number>} blocks Generated block IDs in Chunk block data layout.
+     * @param {object[]} [meshData] Per-section mesh buffers (null for sections without a mesh) built alongside the blocks (by a worker), if any.
+     * @param {Uint8Array} [light] The blocks' light computed alongside them (see computeChunkLight), if any.
+     * @returns {Chunk} The new chunk.
+     * @private Internal helper method
+     */
+    createChunk(chunkX, chunkY, chunkZ, blocks, meshData = null, light = null) {
+        const key = `${chunkX},${chunkY},${chunkZ}`;
+        const chunkPosition = new THREE.Vector3(
+            chunkX * CHUNK_WIDTH,
+            chunkY * CHUNK_HEIGHT,
+            chunkZ * CHUNK_DEPTH
+        );
+        // Pass world reference for neighbor lookups during mesh generation
+        const chunk = new Chunk(chunkPosition, this.chunkMaterial, this, this.translucentMaterial, this.cutoutMaterial);
+        this.chunks.set(key, chunk);
+
+        // Restore edits made before this chunk was last unloaded; they replace the generated blocks
+        const saved = this.unloadedChunkData.get(key);
+        if (saved) {
+            chunk.setSections(saved.sections, saved.stateSections);
+            chunk.isModified = true;
+            this.unloadedChunkData.delete(key);
+            this.addBlockEntities(chunk, saved.blockEntities);
+        } else {
+            chunk.setBlockData(blocks);
+        }
+
+        // A pre-built mesh assumed untouched terrain all around; only use it if that holds
+        if (meshData && !chunk.isModified && !this.hasModifiedNeighbor(chunkX, chunkY, chunkZ)) {
+            chunk.pendingMeshData = meshData;
+        }
+
+        // Light the chunk on its own, then let light flow to and from its neighbors
+        chunk.setLightData(light && !saved ? light : computeChunkLight(saved ? chunk.getBlockData() : blocks));
+        this.lighting.addChunk(chunk, chunkX, chunkY, chunkZ);
+
+        // Mark the new chunk as dirty so its mesh gets built and added
+        this.dirtyChunks.add(chunk);
+        // Existing neighbors exposed faces towards this (previously missing) chunk; rebuild them
+        this.markNeighborChunksDirty(chunkX, chunkY, chunkZ);
+        this.emit('chunkLoaded', this.chunkEvent(chunk));
         return chunk;
     }
 
@@ -73,12 +348,23 @@ export class World {
         return this.chunks.get(key);
     }
 
+    /**
+     * Checks whether the chunk containing the given world coordinates is loaded.
+     * @param {number} worldX World X coordinate.
+     * @param {number} worldY World Y coordinate.
+     * @param {number} worldZ World Z coordinate.
+     * @returns {boolean}
+     */
+    isBlockLoaded(worldX, worldY, worldZ) {
+        return this.chunks.has(`${Math.floor(worldX / CHUNK_WIDTH)},${Math.floor(worldY / CHUNK_HEIGHT)},${Math.floor(worldZ / CHUNK_DEPTH)}`);
+    }
+
     /**
      * Gets the block ID at the given world coordinates.
      * @param {number} worldX World X coordinate.
      * @param {number} worldY World Y coordinate.
      * @param {number} worldZ World Z coordinate.
-     * @returns {number} The block ID, or Air (0) if the chunk doesn't exist.
+     * @returns {number} The block ID, or Air (0) if the chunk doesn't exist (or is still pending).
      */
     getBlock(worldX, worldY, worldZ) {
         const chunkX = Math.floor(worldX / CHUNK_WIDTH);
@@ -100,14 +386,341 @@ export class World {
     }
 
     /**
-     * Sets the block ID at the given world coordinates.
+     * Gets the block state at the given world coordinates (see BlockRegistry).
+     * @param {number} worldX World X coordinate.
+     * @param {number} worldY World Y coordinate.
+     * @param {number} worldZ World Z coordinate.
+     * @returns {number} The state, or 0 (default) if the chunk doesn't exist.
+     */
+    getBlockState(worldX, worldY, worldZ) {
+        const chunk = this.getChunk(Math.floor(worldX / CHUNK_WIDTH), Math.floor(worldY / CHUNK_HEIGHT), Math.floor(worldZ / CHUNK_DEPTH));
+        if (!chunk) return 0;
+        return chunk.getBlockState(
+            THREE.MathUtils.euclideanModulo(worldX, CHUNK_WIDTH),
+            THREE.MathUtils.euclideanModulo(worldY, CHUNK_HEIGHT),
+            THREE.MathUtils.euclideanModulo(worldZ, CHUNK_DEPTH)
+        );
+    }
+
+    /**
+     * Gets the packed sky and block light at world coordinates (see Lighting).
+     * @param {number} worldX World X coordinate.
+     * @param {number} worldY World Y coordinate.
+     * @param {number} worldZ World Z coordinate.
+     * @returns {number} The packed light; blocks in missing chunks read as full sky light.
+     */
+    getLight(worldX, worldY, worldZ) {
+        const chunk = this.getChunk(Math.floor(worldX / CHUNK_WIDTH), Math.floor(worldY / CHUNK_HEIGHT), Math.floor(worldZ / CHUNK_DEPTH));
+        if (!chunk) {
+            return packLight(MAX_LIGHT, 0);
+        }
+        return chunk.getLight(
+            THREE.MathUtils.euclideanModulo(worldX, CHUNK_WIDTH),
+            THREE.MathUtils.euclideanModulo(worldY, CHUNK_HEIGHT),
+            THREE.MathUtils.euclideanModulo(worldZ, CHUNK_DEPTH)
+        );
+    }
+
+    /**
+     * Gets the sky light level (0-15) at world coordinates.
+     * @param {number} worldX World X coordinate.
+     * @param {number} worldY World Y coordinate.
+     * @param {number} worldZ World Z coordinate.
+     * @returns {number}
+     */
+    getSkyLight(worldX, worldY, worldZ) {
+        return skyLightOf(this.getLight(worldX, worldY, worldZ));
+    }
+
+    /**
+     * Gets the block light level (0-15) at world coordinates.
+     * @param {number} worldX World X coordinate.
+     * @param {number} worldY World Y coordinate.
+     * @param {number} worldZ World Z coordinate.
+     * @returns {number}
+     */
+    getBlockLight(worldX, worldY, worldZ) {
+        return blockLightOf(this.getLight(worldX, worldY, worldZ));
+    }
+
+    /**
+     * Copies the blocks, states and light of a box of the world and the padding around it into a BlockVolume,
+     * looking up each chunk it overlaps once instead of once per block. Blocks in missing chunks read as in
+     * getBlock, getBlockState and getLight: air with full sky light.
+     * @param {number} minX World X coordinate of the box's minimum corner.
+     * @param {number} minY World Y coordinate of the box's minimum corner.
+     * @param {number} minZ World Z coordinate of the box's minimum corner.
+     * @param {number} sizeX Size of the box along X.
+     * @param {number} sizeY Size of the box along Y.
+     * @param {number} sizeZ Size of the box along Z.
+     * @returns {BlockVolume}
+     */
+    createBlockVolume(minX, minY, minZ, sizeX, sizeY, sizeZ) {
+        const volume = new BlockVolume(minX, minY, minZ, sizeX, sizeY, sizeZ, { states: true, light: true });
+        volume.light.fill(packLight(MAX_LIGHT, 0)); // Overwritten wherever there is a chunk
+
+        const min = { x: minX - VOLUME_PADDING, y: minY - VOLUME_PADDING, z: minZ - VOLUME_PADDING };
+        const max = { x: minX + sizeX + VOLUME_PADDING - 1, y: minY + sizeY + VOLUME_PADDING - 1, z: minZ + sizeZ + VOLUME_PADDING - 1 };
+        for (let chunkY = Math.floor(min.y / CHUNK_HEIGHT); chunkY <= Math.floor(max.y / CHUNK_HEIGHT); chunkY++) {
+            for (let chunkZ = Math.floor(min.z / CHUNK_DEPTH); chunkZ <= Math.floor(max.z / CHUNK_DEPTH); chunkZ++) {
+                for (let chunkX = Math.floor(min.x / CHUNK_WIDTH); chunkX <= Math.floor(max.x / CHUNK_WIDTH); chunkX++) {
+                    const chunk = this.getChunk(chunkX, chunkY, chunkZ);
+                    if (!chunk) continue;
+                    const originX = chunkX * CHUNK_WIDTH;
+                    const originY = chunkY * CHUNK_HEIGHT;
+                    const originZ = chunkZ * CHUNK_DEPTH;
+                    const chunkBox = {
+                        min: { x: originX, y: originY, z: originZ },
+                        max: { x: originX + CHUNK_WIDTH - 1, y: originY + CHUNK_HEIGHT - 1, z: originZ + CHUNK_DEPTH - 1 },
+                    };
+                    volume.forEachCell((index, worldX, worldY, worldZ) => {
+                        const localX = worldX - originX;
+                        const localY = worldY - originY;
+                        const localZ = worldZ - originZ;
+                        volume.blocks[index] = chunk.getBlock(localX, localY, localZ);
+                        volume.states[index] = chunk.getBlockState(localX, localY, localZ);
+                        volume.light[index] = chunk.getLight(localX, localY, localZ);
+                    }, chunkBox);
+                }
+            }
+        }
+        return volume;
+    }
+
+    /**
+     * Gets the block entity at the given world coordinates (see BlockEntity.js).
+     * @param {number} worldX World X coordinate.
+     * @param {number} worldY World Y coordinate.
+     * @param {number} worldZ World Z coordinate.
+     * @returns {BlockEntity | undefined} The entity, or undefined if the block has none or its chunk isn't loaded.
+     */
+    getBlockEntity(worldX, worldY, worldZ) {
+        const chunk = this.getChunk(Math.floor(worldX / CHUNK_WIDTH), Math.floor(worldY / CHUNK_HEIGHT), Math.floor(worldZ / CHUNK_DEPTH));
+        if (!chunk) return undefined;
+        return chunk.getBlockEntity(
+            THREE.MathUtils.euclideanModulo(worldX, CHUNK_WIDTH),
+            THREE.MathUtils.euclideanModulo(worldY, CHUNK_HEIGHT),
+            THREE.MathUtils.euclideanModulo(worldZ, CHUNK_DEPTH)
+        );
+    }
+
+    /**
+     * Replaces the data of the block entity at the given world coordinates (e.g. a sign's text)
+     * and keeps it for saving. Emits 'blockEntityChanged'.
+     * @param {number} worldX World X coordinate.
+     * @param {number} worldY World Y coordinate.
+     * @param {number} worldZ World Z coordinate.
+     * @param {object} data The new data (see the entity's setData).
+     * @param {object} [options]
+     * @param {string} [options.source='script'] Who made the change (see setBlock).
+     * @returns {boolean} True if there was an entity to update.
+     */
+    setBlockEntityData(worldX, worldY, worldZ, data, options = {}) {
+        const entity = this.getBlockEntity(worldX, worldY, worldZ);
+        if (!entity) return false;
+        entity.setData(data);
+        const chunkX = Math.floor(worldX / CHUNK_WIDTH);
+        const chunkY = Math.floor(worldY / CHUNK_HEIGHT);
+        const chunkZ = Math.floor(worldZ / CHUNK_DEPTH);
+        this.getChunk(chunkX, chunkY, chunkZ).isModified = true;
+        this.unsavedChunkKeys.add(`${chunkX},${chunkY},${chunkZ}`);
+        this.emit('blockEntityChanged', { entity, source: options.source ?? 'script' });
+        return true;
+    }
+
+    /**
+     * Gets the boxes a block takes up: its model's boxes (see BlockRegistry.getBlockBoxes), with fences connected
+     * to the blocks around them, or the whole cell for other blocks. Air takes up nothing.
+     * @param {number} worldX World X coordinate.
+     * @param {number} worldY World Y coordinate.
+     * @param {number} worldZ World Z coordinate.
+     * @param {number} [blockId] The block to get the boxes of, e.g. one about to be placed; defaults to the block
+     *   at the position, with its state.
+     * @param {number} [state=0] The block's state, if `blockId` is given.
+     * @returns {THREE.Box3[]} The boxes in world coordinates.
+     */
+    getBlockBoxes(worldX, worldY, worldZ, blockId = undefined, state = 0) {
+        if (blockId === undefined) {
+            blockId = this.getBlock(worldX, worldY, worldZ);
+            state = this.getBlockState(worldX, worldY, worldZ);
+        }
+        if (blockId === BLOCKS[0].id) return [];
+        const origin = new THREE.Vector3(worldX, worldY, worldZ);
+        const modelBoxes = getBlockBoxes(blockId, state, (dx, dy, dz) => this.getBlock(worldX + dx, worldY + dy, worldZ + dz));
+        if (!modelBoxes) {
+            return [new THREE.Box3(origin, origin.clone().addScalar(1))];
+        }
+        return modelBoxes.map(([minX, minY, minZ, maxX, maxY, maxZ]) => new THREE.Box3(
+            new THREE.Vector3(minX, minY, minZ).add(origin),
+            new THREE.Vector3(maxX, maxY, maxZ).add(origin)
+        ));
+    }
+
+    /**
+     * Gets the boxes of the solid blocks (see getBlockBoxes) that a box overlaps. Boxes that merely touch it
+     * don't count, so a player standing on a slab doesn't collide with it.
+     * @param {THREE.Box3} box The box in world coordinates.
+     * @returns {THREE.Box3[]} The overlapping block boxes.
+     */
+    getCollidingBoxes(box) {
+        const minX = Math.floor(box.min.x);
+        const maxX = Math.ceil(box.max.x);
+        const minY = Math.floor(box.min.y);
+        const maxY = Math.ceil(box.max.y);
+        const minZ = Math.floor(box.min.z);
+        const maxZ = Math.ceil(box.max.z);
+
+        const colliding = [];
+        for (let y = minY; y < maxY; y++) {
+            for (let z = minZ; z < maxZ; z++) {
+                for (let x = minX; x < maxX; x++) {
+                    if (!getBlockById(this.getBlock(x, y, z)).solid) continue;
+                    for (const blockBox of this.getBlockBoxes(x, y, z)) {
+                        if (box.min.x < blockBox.max.x && box.max.x > blockBox.min.x &&
+                            box.min.y < blockBox.max.y && box.max.y > blockBox.min.y &&
+                            box.min.z < blockBox.max.z && box.max.z > blockBox.min.z) {
+                            colliding.push(blockBox);
+                        }
+                    }
+                }
+            }
+        }
+        return colliding;
+    }
+
+    /**
+     * Checks whether a box intersects any solid block. Used for collisions of the player and falling blocks.
+     * Blocks with a model only collide where their boxes are (see getCollidingBoxes), and a box merely
+     * touching a block doesn't collide.
+     * @param {THREE.Box3} box The box in world coordinates.
+     * @returns {boolean} True if a solid block intersects the box.
+     */
+    intersectsSolidBlock(box) {
+        return this.getCollidingBoxes(box).length > 0;
+    }
+
+    /**
+     * Casts a ray through the block grid and returns the first block it hits (Amanatides-Woo voxel traversal).
+     * Works on block data only, so it doesn't depend on chunk meshes; blocks in missing chunks count as air.
+     * @param {{x: number, y: number, z: number}} origin Start of the ray (world coordinates).
+     * @param {{x: number, y: number, z: number}} direction Ray direction (need not be normalized).
+     * @param {number} maxDistance Maximum distance along the ray, in blocks.
+     * @param {function(number): boolean} [isHit] Which block IDs stop the ray; any non-air block by default.
+     * @returns {{x: number, y: number, z: number, blockId: number, state: number, normal: {x: number, y: number, z: number}|null,
+     *   place: {x: number, y: number, z: number}|null, distance: number}|null} The hit block's position, ID and state,
+     *   the normal of the face the ray entered through, the cell in front of that face (where a block would be
+     *   placed) and the distance to the entry point; null if nothing was hit. Blocks with a model are only hit
+     *   where the ray meets one of their boxes (see BlockRegistry.getBlockBoxes), e.g. a slab's top face.
+     *   If the origin is inside a hit block, `normal` and `place` are null and `distance` is 0.
+     */
+    raycast(origin, direction, maxDistance, isHit = blockId => blockId !== BLOCKS[0].id) {
+        const length = Math.hypot(direction.x, direction.y, direction.z);
+        if (length === 0) return null;
+        const dir = [direction.x / length, direction.y / length, direction.z / length];
+        const start = [origin.x, origin.y, origin.z];
+
+        const cell = start.map(Math.floor);
+        const step = dir.map(Math.sign);
+        // Distance along the ray to cross one cell, and to the next cell boundary, per axis
+        const tDelta = dir.map(d => (d !== 0 ? Math.abs(1 / d) : Infinity));
+        const tMax = dir.map((d, axis) => {
+            if (d > 0) return (cell[axis] + 1 - start[axis]) / d;
+            if (d < 0) return (start[axis] - cell[axis]) / -d;
+            return Infinity;
+        });
+
+        let distance = 0;
+        let enteredAxis = -1; // Axis of the face the ray last crossed
+        for (;;) {
+            const blockId = this.getBlock(cell[0], cell[1], cell[2]);
+            if (isHit(blockId)) {
+                const state = this.getBlockState(cell[0], cell[1], cell[2]);
+                const modelBoxes = getBlockBoxes(blockId, state, (dx, dy, dz) => this.getBlock(cell[0] + dx, cell[1] + dy, cell[2] + dz));
+                const boxHit = modelBoxes ? this.intersectModelBoxes(start, dir, cell, modelBoxes, maxDistance) : null;
+                if (!modelBoxes || boxHit) {
+                    const hitAxis = boxHit ? boxHit.axis : enteredAxis;
+                    const hit = {
+                        x: cell[0], y: cell[1], z: cell[2], blockId, state, normal: null, place: null,
+                        distance: boxHit ? boxHit.distance : distance,
+                    };
+                    if (hitAxis !== -1) {
+                        const normal = [0, 0, 0];
+                        normal[hitAxis] = -step[hitAxis];
+                        hit.normal = { x: normal[0], y: normal[1], z: normal[2] };
+                        hit.place = { x: cell[0] + normal[0], y: cell[1] + normal[1], z: cell[2] + normal[2] };
+                    }
+                    return hit;
+                }
+                // The ray passes by the model's boxes
+            }
+
+            // Step into the neighboring cell whose boundary is closest
+            let axis = tMax[0] <= tMax[1] ? 0 : 1;
+            if (tMax[2] < tMax[axis]) axis = 2;
+            distance = tMax[axis];
+            if (distance > maxDistance) return null;
+            cell[axis] += step[axis];
+            tMax[axis] += tDelta[axis];
+            enteredAxis = axis;
+        }
+    }
+
+    /**
+     * Finds where a ray first meets the boxes of a block model in a cell (slab test per box).
+     * @returns {{distance: number, axis: number}|null} Distance along the ray and the axis of the box face it
+     *   entered through (-1 if it starts inside a box), or null if it misses them within `maxDistance`.
+     * @private Internal helper method
+     */
+    intersectModelBoxes(start, dir, cell, boxes, maxDistance) {
+        let nearest = null;
+        for (const box of boxes) {
+            let near = -Infinity;
+            let far = Infinity;
+            let nearAxis = -1;
+            for (let axis = 0; axis < 3; axis++) {
+                const min = cell[axis] + box[axis];
+                const max = cell[axis] + box[axis + 3];
+                if (dir[axis] === 0) {
+                    if (start[axis] < min || start[axis] > max) far = -Infinity; // Parallel to and outside the slab
+                    continue;
+                }
+                const t1 = (min - start[axis]) / dir[axis];
+                const t2 = (max - start[axis]) / dir[axis];
+                if (Math.min(t1, t2) > near) {
+                    near = Math.min(t1, t2);
+                    nearAxis = axis;
+                }
+                far = Math.min(far, Math.max(t1, t2));
+            }
+            if (near > far || far < 0 || near > maxDistance) continue;
+            const distance = Math.max(near, 0);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { distance, axis: near < 0 ? -1 : nearAxis };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Sets the block ID (and state) at the given world coordinates.
      * Note: This only updates data. Mesh updates happen separately.
      * @param {number} worldX World X coordinate.
      * @param {number} worldY World Y coordinate.
      * @param {number} worldZ World Z coordinate.
      * @param {number} blockId The ID of the block to set.
+     * @param {object} [options] Optional settings for the change.
+     * @param {number} [options.state=0] The block's state (see BlockRegistry.encodeBlockState).
+     * @param {string} [options.source='script'] Who made the change ('player', 'generator', 'script',
+     *   'network', ...); passed on to block change events.
+     * @param {boolean} [options.urgent] Rebuild the affected meshes ahead of everything else so feedback
+     *   stays instant. Defaults to true for source 'player'.
+     * @returns {boolean} True if the block changed; false if it already had that ID and state, a
+     *   'beforeBlockChange' listener vetoed the change, or the chunk is not loaded.
      */
-    setBlock(worldX, worldY, worldZ, blockId) {
+    setBlock(worldX, worldY, worldZ, blockId, options = {}) {
+        const source = options.source ?? 'script';
+        const state = options.state ?? 0;
+
         const chunkX = Math.floor(worldX / CHUNK_WIDTH);
         const chunkY = Math.floor(worldY / CHUNK_HEIGHT);
         const chunkZ = Math.floor(worldZ / CHUNK_DEPTH);
@@ -118,32 +731,96 @@ export class World {
 
         const chunk = this.getChunk(chunkX, chunkY, chunkZ);
 
-        if (chunk) {
-            const blockChanged = chunk.setBlock(localX, localY, localZ, blockId);
-
-            if (blockChanged) {
-                this.dirtyChunks.add(chunk); // Mark the current chunk as dirty
-                // Check if the block is on a chunk boundary and mark neighbors dirty if necessary
-                this.checkAndMarkNeighborsDirty(worldX, worldY, worldZ, chunkX, chunkY, chunkZ, localX, localY, localZ);
-            }
-        } else {
+        if (!chunk) {
             console.warn(`Attempted to set block in non-existent chunk at ${chunkX},${chunkY},${chunkZ}`);
+            return false;
+        }
+
+        const oldId = chunk.getBlock(localX, localY, localZ);
+        const oldState = chunk.getBlockState(localX, localY, localZ);
+        if (oldId === blockId && oldState === state) {
+            return false;
+        }
+        const event = { x: worldX, y: worldY, z: worldZ, oldId, newId: blockId, oldState, newState: state, source };
+        if (!this.emit('beforeBlockChange', event)) {
+            return false; // Vetoed
+        }
+
+        chunk.setBlock(localX, localY, localZ, blockId, state);
+        this.updateBlockEntity(chunk, localX, localY, localZ, worldX, worldY, worldZ, oldId, blockId, source);
+        chunk.isModified = true; // Keep its data if the chunk is streamed out
+        this.unsavedChunkKeys.add(`${chunkX},${chunkY},${chunkZ}`);
+        chunk.pendingMeshData = null; // A worker-built mesh no longer matches the data
+        const urgent = options.urgent ?? source === 'player';
+        this.lighting.updateBlocks([{ x: worldX, y: worldY, z: worldZ, oldId, newId: blockId }]);
+        this.lighting.flushChangedSections(urgent); // Sections shadowed or lit by the change
+        this.markChunkDirty(chunk, urgent, Math.floor(localY / SECTION_HEIGHT)); // Mark the block's section as dirty
+        // Check if the block is on a section or chunk boundary and mark neighbors dirty if necessary
+        this.checkAndMarkNeighborsDirty(worldX, worldY, worldZ, chunkX, chunkY, chunkZ, localX, localY, localZ, urgent);
+
+        this.emit('blockChanged', event);
+        return true;
+    }
+
+    /**
+     * Removes the block entity of a replaced block and creates one for the new block if its type declares one.
+     * Changes of state only keep the entity.
+     * @private Internal helper method
+     */
+    updateBlockEntity(chunk, localX, localY, localZ, worldX, worldY, worldZ, oldId, newId, source) {
+        if (oldId === newId) return;
+        const removed = chunk.removeBlockEntity(localX, localY, localZ);
+        if (removed) {
+            this.emit('blockEntityRemoved', { entity: removed, reason: 'broken', source });
+        }
+        const type = getBlockEntityType(newId);
+        const entity = type ? createBlockEntity(type, worldX, worldY, worldZ) : null;
+        if (entity) {
+            chunk.setBlockEntity(localX, localY, localZ, entity);
+            this.emit('blockEntityAdded', { entity, reason: 'placed', source });
+        }
+    }
+
+    /**
+     * Recreates serialised block entities (see BlockEntity.toJSON) in a chunk. Emits 'blockEntityAdded' (reason 'loaded').
+     * @private Internal helper method
+     */
+    addBlockEntities(chunk, blockEntities) {
+        for (const json of blockEntities) {
+            const entity = blockEntityFromJSON(json);
+            if (!entity) continue;
+            chunk.setBlockEntity(json.x - chunk.position.x, json.y - chunk.position.y, json.z - chunk.position.z, entity);
+            this.emit('blockEntityAdded', { entity, reason: 'loaded', source: 'script' });
         }
     }
 
     /**
-     * If a block change occurred on a boundary, mark the adjacent chunk(s) as dirty.
+     * Removes every block entity of a chunk, emitting 'blockEntityRemoved' with the given reason.
+     * @returns {object[]} The removed entities in serialised form.
+     * @private Internal helper method
+     */
+    removeBlockEntities(chunk, reason) {
+        const removed = [...chunk.blockEntities.values()];
+        chunk.blockEntities.clear();
+        removed.forEach(entity => this.emit('blockEntityRemoved', { entity, reason, source: 'script' }));
+        return removed.map(entity => entity.toJSON());
+    }
+
+    /**
+     * If a block change occurred on a section or chunk boundary, mark the adjacent section(s) as dirty.
      * @private Internal helper method
      */
-    checkAndMarkNeighborsDirty(worldX, worldY, worldZ, chunkX, chunkY, chunkZ, localX, localY, localZ) {
+    checkAndMarkNeighborsDirty(worldX, worldY, worldZ, chunkX, chunkY, chunkZ, localX, localY, localZ, urgent = false) {
+        const localSectionY = localY % SECTION_HEIGHT;
         const isOnBoundaryX = localX === 0 || localX === CHUNK_WIDTH - 1;
-        const isOnBoundaryY = localY === 0 || localY === CHUNK_HEIGHT - 1;
+        const isOnBoundaryY = localSectionY === 0 || localSectionY === SECTION_HEIGHT - 1;
         const isOnBoundaryZ = localZ === 0 || localZ === CHUNK_DEPTH - 1;
 
         if (!isOnBoundaryX && !isOnBoundaryY && !isOnBoundaryZ) {
             return; // Not on any boundary, no neighbors need updating
         }
 
+        const sectionIndex = Math.floor(localY / SECTION_HEIGHT);
         const neighborOffsets = [
             { x: 1, y: 0, z: 0 }, { x: -1, y: 0, z: 0 }, // East, West
             { x: 0, y: 1, z: 0 }, { x: 0, y: -1, z: 0 }, // Top, Bottom
@@ -151,63 +828,643 @@ export class World {
         ];
 
         for (const offset of neighborOffsets) {
-            // Calculate the world coordinate of the block *in* the potential neighbor chunk
+            // Calculate the world coordinate of the block *in* the potential neighbor section
             const neighborWorldX = worldX + offset.x;
             const neighborWorldY = worldY + offset.y;
             const neighborWorldZ = worldZ + offset.z;
 
-            // Find which chunk this neighbor coordinate belongs to
+            // Find which chunk and section this neighbor coordinate belongs to
             const neighborChunkX = Math.floor(neighborWorldX / CHUNK_WIDTH);
             const neighborChunkY = Math.floor(neighborWorldY / CHUNK_HEIGHT);
             const neighborChunkZ = Math.floor(neighborWorldZ / CHUNK_DEPTH);
+            const neighborSectionIndex = Math.floor(THREE.MathUtils.euclideanModulo(neighborWorldY, CHUNK_HEIGHT) / SECTION_HEIGHT);
 
-            // Check if the neighbor is in a different chunk
             const isDifferentChunk = neighborChunkX !== chunkX || neighborChunkY !== chunkY || neighborChunkZ !== chunkZ;
+            if (!isDifferentChunk) {
+                if (neighborSectionIndex !== sectionIndex) {
+                    this.markChunkDirty(this.getChunk(chunkX, chunkY, chunkZ), urgent, neighborSectionIndex);
+                }
+                continue;
+            }
+
+            const neighborChunk = this.getChunk(neighborChunkX, neighborChunkY, neighborChunkZ);
+            if (neighborChunk) {
+                neighborChunk.pendingMeshData = null;
+                this.markChunkDirty(neighborChunk, urgent, neighborSectionIndex);
+            }
+        }
+    }
+
+
+    /**
+     * Sets every block in a box to one ID.
+     * Like the other region edits, it writes straight into chunk storage (creating missing chunks),
+     * then marks each affected section and boundary neighbor dirty once. 'beforeBlockChange' listeners can
+     * veto individual blocks as they are written. Light is updated once the whole box is written, and only
+     * then are the 'blockChanged' events emitted, one per block, so listeners that edit the world in
+     * response (falling sand, fluids) see it lit and marked dirty.
+     * @param {{x: number, y: number, z: number}} min One corner of the box (world coordinates, inclusive).
+     * @param {{x: number, y: number, z: number}} max The opposite corner (inclusive).
+     * @param {number} blockId The ID to set.
+     * @param {object} [options] Same as for setBlock (`source`, `urgent`).
+     * @returns {number} The number of blocks changed.
+     */
+    fillRegion(min, max, blockId, options = {}) {
+        return this.editRegion(min, max, () => blockId, options);
+    }
+
+    /**
+     * Replaces every block of one ID in a box with another ID.
+     * @param {{x: number, y: number, z: number}} min One corner of the box (world coordinates, inclusive).
+     * @param {{x: number, y: number, z: number}} max The opposite corner (inclusive).
+     * @param {number} fromId The ID to replace.
+     * @param {number} toId The replacement ID.
+     * @param {object} [options] Same as for setBlock (`source`, `urgent`).
+     * @returns {number} The number of blocks changed.
+     */
+    replaceInRegion(min, max, fromId, toId, options = {}) {
+        return this.editRegion(min, max, (x, y, z, oldId) => (oldId === fromId ? toId : null), options);
+    }
+
+    /**
+     * Sets the six one-block-thick faces of a box to one ID; the inside is left unchanged.
+     * @param {{x: number, y: number, z: number}} min One corner of the box (world coordinates, inclusive).
+     * @param {{x: number, y: number, z: number}} max The opposite corner (inclusive).
+     * @param {number} blockId The ID to set.
+     * @param {object} [options] Same as for setBlock (`source`, `urgent`).
+     * @returns {number} The number of blocks changed.
+     */
+    hollowBox(min, max, blockId, options = {}) {
+        const lo = { x: Math.min(min.x, max.x), y: Math.min(min.y, max.y), z: Math.min(min.z, max.z) };
+        const hi = { x: Math.max(min.x, max.x), y: Math.max(min.y, max.y), z: Math.max(min.z, max.z) };
+        return this.editRegion(lo, hi, (x, y, z) => {
+            const onFace = x === lo.x || x === hi.x || y === lo.y || y === hi.y || z === lo.z || z === hi.z;
+            return onFace ? blockId : null;
+        }, options);
+    }
+
+    /**
+     * Sets every block whose center is within `radius` of the center block's center to one ID.
+     * @param {{x: number, y: number, z: number}} center The center block (world coordinates).
+     * @param {number} radius Radius in blocks.
+     * @param {number} blockId The ID to set.
+     * @param {object} [options] Same as for setBlock (`source`, `urgent`), plus:
+     * @param {boolean} [options.hollow=false] Only set a one-block-thick shell; the inside is left unchanged.
+     * @returns {number} The number of blocks changed.
+     */
+    sphere(center, radius, blockId, options = {}) {
+        const outerSq = radius * radius;
+        const innerSq = options.hollow ? (radius - 1) * (radius - 1) : -1;
+        const extent = Math.floor(radius);
+        const min = { x: center.x - extent, y: center.y - extent, z: center.z - extent };
+        const max = { x: center.x + extent, y: center.y + extent, z: center.z + extent };
+        return this.editRegion(min, max, (x, y, z) => {
+            const dx = x - center.x;
+            const dy = y - center.y;
+            const dz = z - center.z;
+            const distanceSq = dx * dx + dy * dy + dz * dz;
+            return distanceSq <= outerSq && distanceSq > innerSq ? blockId : null;
+        }, options);
+    }
 
-            if (isDifferentChunk) {
-                // Determine if the change occurred on the specific boundary relevant to this neighbor offset
-                let shouldMarkNeighbor = false;
-                if (offset.x === 1 && localX === CHUNK_WIDTH - 1) shouldMarkNeighbor = true;  // Changed block on East face
-                else if (offset.x === -1 && localX === 0) shouldMarkNeighbor = true; // Changed block on West face
-                else if (offset.y === 1 && localY === CHUNK_HEIGHT - 1) shouldMarkNeighbor = true; // Changed block on Top face
-                else if (offset.y === -1 && localY === 0) shouldMarkNeighbor = true; // Changed block on Bottom face
-                else if (offset.z === 1 && localZ === CHUNK_DEPTH - 1) shouldMarkNeighbor = true; // Changed block on South face
-                else if (offset.z === -1 && localZ === 0) shouldMarkNeighbor = true; // Changed block on North face
-
-                if (shouldMarkNeighbor) {
-                    const neighborChunk = this.getChunk(neighborChunkX, neighborChunkY, neighborChunkZ);
-                    if (neighborChunk) {
-                        this.dirtyChunks.add(neighborChunk);
+    /**
+     * Applies a per-block edit to a box, chunk by chunk. The general form of the region edits above
+     * (also used to paste structures), with the same chunk creation, events and dirty marking.
+     * @param {{x: number, y: number, z: number}} min One corner (world coordinates, inclusive).
+     * @param {{x: number, y: number, z: number}} max The opposite corner (inclusive).
+     * @param {function(number, number, number, number, number): (number|{id: number, state: number}|null)} computeId
+     *   Gets (x, y, z, oldId, oldState) and returns the new ID (with the default state), an {id, state} pair,
+     *   or null to leave the block unchanged.
+     * @param {object} [options] Same as for setBlock (`source`, `urgent`).
+     * @returns {number} The number of blocks changed.
+     */
+    editRegion(min, max, computeId, options = {}) {
+        const source = options.source ?? 'script';
+        const urgent = options.urgent ?? source === 'player';
+        const minX = Math.floor(Math.min(min.x, max.x));
+        const minY = Math.floor(Math.min(min.y, max.y));
+        const minZ = Math.floor(Math.min(min.z, max.z));
+        const maxX = Math.floor(Math.max(min.x, max.x));
+        const maxY = Math.floor(Math.max(min.y, max.y));
+        const maxZ = Math.floor(Math.max(min.z, max.z));
+        const checkVeto = this.listenerCount('beforeBlockChange') > 0;
+        const notify = this.listenerCount('blockChanged') > 0;
+        const dirtySections = new Map(); // Chunk -> Set of section indices to rebuild
+        const lightChanges = []; // Changes that affect light, relit together at the end (see Lighting.updateBlocks)
+        const changeEvents = []; // 'blockChanged' events, emitted once everything is written, relit and marked
+
+        let changed = 0;
+        for (let chunkX = Math.floor(minX / CHUNK_WIDTH); chunkX <= Math.floor(maxX / CHUNK_WIDTH); chunkX++) {
+            for (let chunkY = Math.floor(minY / CHUNK_HEIGHT); chunkY <= Math.floor(maxY / CHUNK_HEIGHT); chunkY++) {
+                for (let chunkZ = Math.floor(minZ / CHUNK_DEPTH); chunkZ <= Math.floor(maxZ / CHUNK_DEPTH); chunkZ++) {
+                    const chunk = this.getOrCreateChunk(chunkX, chunkY, chunkZ);
+                    const originX = chunkX * CHUNK_WIDTH;
+                    const originY = chunkY * CHUNK_HEIGHT;
+                    const originZ = chunkZ * CHUNK_DEPTH;
+                    // Sections to rebuild here, and per face the sections of neighbors to rebuild
+                    const touched = { sections: new Set(), east: new Set(), west: new Set(), south: new Set(), north: new Set(), top: false, bottom: false };
+                    let chunkChanged = 0;
+
+                    for (let y = Math.max(minY, originY); y <= Math.min(maxY, originY + CHUNK_HEIGHT - 1); y++) {
+                        const localY = y - originY;
+                        const sectionIndex = Math.floor(localY / SECTION_HEIGHT);
+                        for (let z = Math.max(minZ, originZ); z <= Math.min(maxZ, originZ + CHUNK_DEPTH - 1); z++) {
+                            const localZ = z - originZ;
+                            for (let x = Math.max(minX, originX); x <= Math.min(maxX, originX + CHUNK_WIDTH - 1); x++) {
+                                const localX = x - originX;
+                                const oldId = chunk.getBlock(localX, localY, localZ);
+                                const oldState = chunk.getBlockState(localX, localY, localZ);
+                                const result = computeId(x, y, z, oldId, oldState);
+                                if (result === null || result === undefined) continue;
+                                const newId = typeof result === 'number' ? result : result.id;
+                                const newState = typeof result === 'number' ? 0 : result.state ?? 0;
+                                if (newId === oldId && newState === oldState) continue;
+
+                                const event = checkVeto || notify ? { x, y, z, oldId, newId, oldState, newState, source } : null;
+                                if (checkVeto && !this.emit('beforeBlockChange', event)) continue;
+                                chunk.setBlock(localX, localY, localZ, newId, newState);
+                                this.updateBlockEntity(chunk, localX, localY, localZ, x, y, z, oldId, newId, source);
+                                if (affectsLight(oldId, newId)) lightChanges.push({ x, y, z, oldId, newId });
+                                chunkChanged++;
+
+                                touched.sections.add(sectionIndex);
+                                if (localY % SECTION_HEIGHT === 0 && sectionIndex > 0) touched.sections.add(sectionIndex - 1);
+                                if (localY % SECTION_HEIGHT === SECTION_HEIGHT - 1 && sectionIndex < SECTION_COUNT - 1) touched.sections.add(sectionIndex + 1);
+                                if (localX === CHUNK_WIDTH - 1) touched.east.add(sectionIndex);
+                                if (localX === 0) touched.west.add(sectionIndex);
+                                if (localZ === CHUNK_DEPTH - 1) touched.south.add(sectionIndex);
+                                if (localZ === 0) touched.north.add(sectionIndex);
+                                if (localY === CHUNK_HEIGHT - 1) touched.top = true;
+                                if (localY === 0) touched.bottom = true;
+
+                                if (notify) changeEvents.push(event);
+                            }
+                        }
+                    }
+
+                    if (chunkChanged > 0) {
+                        this.collectRegionEditSections(dirtySections, chunk, chunkX, chunkY, chunkZ, touched);
+                        changed += chunkChanged;
                     }
                 }
             }
         }
+
+        this.lighting.updateBlocks(lightChanges);
+        this.lighting.takeChangedSections().forEach((sectionIndices, chunk) => {
+            if (!dirtySections.has(chunk)) dirtySections.set(chunk, new Set());
+            sectionIndices.forEach(sectionIndex => dirtySections.get(chunk).add(sectionIndex));
+        });
+
+        // Mark everything only now, so a chunk shared by several edited chunks is marked once
+        dirtySections.forEach((sectionIndices, chunk) => {
+            chunk.pendingMeshData = null; // A worker-built mesh no longer matches the data
+            this.markChunkDirty(chunk, urgent, [...sectionIndices]);
+        });
+        changeEvents.forEach(event => this.emit('blockChanged', event));
+        return changed;
     }
 
+    /**
+     * Adds the sections a region edit touched in one chunk, and the facing sections of its loaded
+     * neighbors, to `dirtySections` (Map of chunk to Set of section indices), and flags the chunk as modified.
+     * @private Internal helper method
+     */
+    collectRegionEditSections(dirtySections, chunk, chunkX, chunkY, chunkZ, touched) {
+        chunk.isModified = true; // Keep its data if the chunk is streamed out
+        this.unsavedChunkKeys.add(`${chunkX},${chunkY},${chunkZ}`);
+
+        const add = (target, sectionIndices) => {
+            if (!target || sectionIndices.size === 0) return;
+            if (!dirtySections.has(target)) dirtySections.set(target, new Set());
+            sectionIndices.forEach(sectionIndex => dirtySections.get(target).add(sectionIndex));
+        };
+        add(chunk, touched.sections);
+        add(this.getChunk(chunkX + 1, chunkY, chunkZ), touched.east);
+        add(this.getChunk(chunkX - 1, chunkY, chunkZ), touched.west);
+        add(this.getChunk(chunkX, chunkY, chunkZ + 1), touched.south);
+        add(this.getChunk(chunkX, chunkY, chunkZ - 1), touched.north);
+        add(this.getChunk(chunkX, chunkY + 1, chunkZ), new Set(touched.top ? [0] : []));
+        add(this.getChunk(chunkX, chunkY - 1, chunkZ), new Set(touched.bottom ? [SECTION_COUNT - 1] : []));
+    }
 
     /**
-     * Updates the meshes for all chunks marked as dirty.
+     * Marks the (up to six) loaded chunks adjacent to the given chunk as dirty.
+     * @param {number} chunkX Chunk's X coordinate.
+     * @param {number} chunkY Chunk's Y coordinate.
+     * @param {number} chunkZ Chunk's Z coordinate.
+     * @private Internal helper method
+     */
+    markNeighborChunksDirty(chunkX, chunkY, chunkZ) {
+        const horizontalNeighbors = [
+            this.getChunk(chunkX + 1, chunkY, chunkZ), this.getChunk(chunkX - 1, chunkY, chunkZ),
+            this.getChunk(chunkX, chunkY, chunkZ + 1), this.getChunk(chunkX, chunkY, chunkZ - 1)
+        ];
+        for (const neighbor of horizontalNeighbors) {
+            if (neighbor) {
+                this.markChunkDirty(neighbor);
+            }
+        }
+        // Only the section touching this chunk is affected in the chunks above and below
+        const above = this.getChunk(chunkX, chunkY + 1, chunkZ);
+        if (above) {
+            this.markChunkDirty(above, false, 0);
+        }
+        const below = this.getChunk(chunkX, chunkY - 1, chunkZ);
+        if (below) {
+            this.markChunkDirty(below, false, SECTION_COUNT - 1);
+        }
+    }
+
+    /**
+     * Checks whether any loaded chunk adjacent to the given chunk has been edited.
+     * @private Internal helper method
+     */
+    hasModifiedNeighbor(chunkX, chunkY, chunkZ) {
+        const neighbors = [
+            this.getChunk(chunkX + 1, chunkY, chunkZ), this.getChunk(chunkX - 1, chunkY, chunkZ),
+            this.getChunk(chunkX, chunkY + 1, chunkZ), this.getChunk(chunkX, chunkY - 1, chunkZ),
+            this.getChunk(chunkX, chunkY, chunkZ + 1), this.getChunk(chunkX, chunkY, chunkZ - 1)
+        ];
+        return neighbors.some(neighbor => neighbor && neighbor.isModified);
+    }
+
+    /**
+     * Streams chunks in and out around a position (usually the player's).
+     * Missing chunks within the render distance are requested nearest-first (see requestChunk),
+     * up to `maxLoads` per call. Chunks beyond the (larger) unload distance are unloaded and
+     * pending requests for them are cancelled.
+     * @param {THREE.Vector3} position The world position to stream around.
+     * @param {THREE.Scene} scene The scene chunk meshes are added to / removed from.
+     * @param {number} [maxLoads=this.maxChunkLoadsPerFrame] Maximum number of chunks to request in this call.
+     * @returns {{loaded: number, unloaded: number}} How many chunks were requested and unloaded.
+     */
+    updateLoadedChunks(position, scene, maxLoads = this.maxChunkLoadsPerFrame) {
+        const centerX = Math.floor(position.x / CHUNK_WIDTH);
+        const centerY = Math.floor(position.y / CHUNK_HEIGHT);
+        const centerZ = Math.floor(position.z / CHUNK_DEPTH);
+
+        // --- Unload chunks beyond the hysteresis radius ---
+        let unloaded = 0;
+        const unloadDistanceSq = this.unloadDistance * this.unloadDistance;
+        for (const [key, chunk] of this.chunks) {
+            const chunkX = Math.round(chunk.position.x / CHUNK_WIDTH);
+            const chunkY = Math.round(chunk.position.y / CHUNK_HEIGHT);
+            const chunkZ = Math.round(chunk.position.z / CHUNK_DEPTH);
+            const dx = chunkX - centerX;
+            const dz = chunkZ - centerZ;
+            if (dx * dx + dz * dz > unloadDistanceSq || Math.abs(chunkY - centerY) > this.verticalUnloadDistance) {
+                this.unloadChunk(key, scene);
+                unloaded++;
+            }
+        }
+        for (const key of [...this.pendingChunks.keys()]) {
+            const [chunkX, chunkY, chunkZ] = key.split(',').map(Number);
+            const dx = chunkX - centerX;
+            const dz = chunkZ - centerZ;
+            if (dx * dx + dz * dz > unloadDistanceSq || Math.abs(chunkY - centerY) > this.verticalUnloadDistance) {
+                this.cancelChunkRequest(key);
+            }
+        }
+
+        // --- Collect missing chunks within the render distance ---
+        const candidates = [];
+        const renderDistanceSq = this.renderDistance * this.renderDistance;
+        for (let dx = -this.renderDistance; dx <= this.renderDistance; dx++) {
+            for (let dz = -this.renderDistance; dz <= this.renderDistance; dz++) {
+                if (dx * dx + dz * dz > renderDistanceSq) continue; // Circular horizontal footprint
+                for (let dy = -this.verticalRenderDistance; dy <= this.verticalRenderDistance; dy++) {
+                    const chunkX = centerX + dx;
+                    const chunkY = centerY + dy;
+                    const chunkZ = centerZ + dz;
+                    if (this.getChunk(chunkX, chunkY, chunkZ) || this.isChunkPending(chunkX, chunkY, chunkZ)) continue;
+                    candidates.push({
+                        chunkX, chunkY, chunkZ,
+                        distanceSq: this.distanceSqToChunk(position, chunkX, chunkY, chunkZ)
+                    });
+                }
+            }
+        }
+
+        // --- Load the nearest ones first ---
+        candidates.sort((a, b) => a.distanceSq - b.distanceSq);
+        const loadCount = Math.min(maxLoads, candidates.length);
+        for (let i = 0; i < loadCount; i++) {
+            const { chunkX, chunkY, chunkZ } = candidates[i];
+            this.requestChunk(chunkX, chunkY, chunkZ);
+        }
+
+        return { loaded: loadCount, unloaded };
+    }
+
+    /**
+     * Removes a chunk from the world, its mesh from the scene, and frees its geometry.
+     * Block data of edited chunks is kept so it can be restored when the chunk is loaded again.
+     * @param {string} key The chunk key ("x,y,z").
+     * @param {THREE.Scene} scene The scene the chunk's mesh was added to.
+     */
+    unloadChunk(key, scene) {
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+
+        this.emit('chunkUnloading', this.chunkEvent(chunk)); // Listeners can still set blocks in it
+        if (chunk.mesh) {
+            scene.remove(chunk.mesh);
+        }
+        chunk.dispose();
+        const blockEntities = this.removeBlockEntities(chunk, 'unloaded');
+
+        if (chunk.isModified) {
+            // The chunk is discarded, so its (compact) sections are kept as-is
+            this.unloadedChunkData.set(key, { sections: chunk.sections, stateSections: chunk.stateSections, blockEntities });
+        }
+
+        this.chunks.delete(key);
+        this.dirtyChunks.delete(chunk);
+        this.urgentChunks.delete(chunk);
+        this.emit('chunkUnloaded', this.chunkEvent(chunk));
+    }
+
+    /**
+     * Unloads every chunk and cancels all pending requests, discarding all edits.
+     * @param {THREE.Scene} scene The scene chunk meshes were added to.
+     */
+    unloadAllChunks(scene) {
+        for (const key of [...this.pendingChunks.keys()]) {
+            this.cancelChunkRequest(key);
+        }
+        const unloaded = [...this.chunks.values()];
+        for (const chunk of unloaded) {
+            if (chunk.mesh) {
+                scene.remove(chunk.mesh);
+            }
+            chunk.dispose();
+            this.removeBlockEntities(chunk, 'unloaded');
+        }
+        this.chunks.clear();
+        this.dirtyChunks.clear();
+        this.urgentChunks.clear();
+        this.unloadedChunkData.clear();
+        this.unsavedChunkKeys.clear();
+        this.ticks.clear();
+        unloaded.forEach(chunk => this.emit('chunkUnloaded', this.chunkEvent(chunk)));
+    }
+
+    /**
+     * Builds the payload of chunk events.
+     * @param {Chunk} chunk
+     * @returns {{chunk: Chunk, chunkX: number, chunkY: number, chunkZ: number}}
+     * @private Internal helper method
+     */
+    chunkEvent(chunk) {
+        return {
+            chunk,
+            chunkX: Math.round(chunk.position.x / CHUNK_WIDTH),
+            chunkY: Math.round(chunk.position.y / CHUNK_HEIGHT),
+            chunkZ: Math.round(chunk.position.z / CHUNK_DEPTH),
+        };
+    }
+
+    /**
+     * Requests a scheduled tick for the block at a position: after `delay` ticks, the
+     * `onScheduledTick` handler of the block there at that time runs (see TickScheduler).
+     * @param {{x: number, y: number, z: number}} position World position of the block.
+     * @param {number} [delay=1] Ticks from now.
+     * @returns {boolean} False if a tick was already pending at the position.
+     */
+    scheduleTick(position, delay = 1) {
+        return this.ticks.schedule(position, delay);
+    }
+
+    /**
+     * Advances block ticks by the elapsed time, running scheduled and random ticks at the fixed tick rate.
+     * @param {number} deltaTime Seconds since the last call.
+     * @returns {number} The number of ticks run.
+     */
+    updateTicks(deltaTime) {
+        const ticks = this.ticks.update(deltaTime);
+        if (ticks > 0) {
+            this.setTime(this.timeOfDay + ticks / (this.ticks.tickRate * this.dayLength));
+        }
+        return ticks;
+    }
+
+    /**
+     * Gets the time of day as a fraction of a full day: 0 is midnight, 0.25 sunrise, 0.5 noon and 0.75 sunset.
+     * It advances by one day every `dayLength` seconds of ticking (see updateTicks).
+     * @returns {number} The time of day in [0, 1).
+     */
+    getTime() {
+        return this.timeOfDay;
+    }
+
+    /**
+     * Sets the time of day.
+     * @param {number} time The time of day (see getTime); wrapped into [0, 1), so e.g. 1.5 is noon.
+     */
+    setTime(time) {
+        if (!Number.isFinite(time)) {
+            console.warn(`Ignoring invalid time of day: ${time}`);
+            return;
+        }
+        this.timeOfDay = time - Math.floor(time);
+    }
+
+    /**
+     * Serialises the world (seed, generator settings, time of day, edited chunks) plus player state into a
+     * binary world file (see WorldFormat.js).
+     * @param {object} [player] Player state to include.
+     * @param {{x: number, y: number, z: number}} [player.position] Player feet position.
+     * @param {number} [player.selectedBlockId] Block selected in the hotbar.
+     * @returns {ArrayBuffer} The file contents.
+     */
+    exportWorld(player = {}) {
+        const chunks = [];
+        const keys = [...this.chunks.keys(), ...this.unloadedChunkData.keys()];
+        for (const key of keys) {
+            const data = this.getModifiedChunkData(key);
+            if (!data) continue;
+            const [chunkX, chunkY, chunkZ] = key.split(',').map(Number);
+            chunks.push({ chunkX, chunkY, chunkZ, blocks: data.blocks, states: data.states, blockEntities: data.blockEntities });
+        }
+
+        const position = player.position || { x: 0, y: 0, z: 0 };
+        return encodeWorldFile({
+            seed: this.seed,
+            generatorSettings: this.terrainGenerator.getSettings(),
+            timeOfDay: this.timeOfDay,
+            player: {
+                position: { x: position.x, y: position.y, z: position.z },
+                selectedBlockId: player.selectedBlockId ?? BLOCKS[0].id,
+            },
+            chunks,
+        });
+    }
+
+    /**
+     * Replaces the world with the contents of a world file. All current chunks are unloaded,
+     * terrain is regenerated from the file's seed and settings with its edits overlaid, block ticks start
+     * over from the file's seed (see TickScheduler.reset) and the clock is set to the file's time of day.
+     * Imported chunks are marked unsaved so persistence picks them up.
+     * @param {ArrayBuffer} buffer The file contents.
+     * @param {THREE.Scene} scene The scene chunk meshes were added to.
+     * @returns {{position: {x: number, y: number, z: number}, selectedBlockId: number}} The stored player state.
+     */
+    importWorld(buffer, scene) {
+        const data = decodeWorldFile(buffer); // Throws on invalid files, before anything is touched
+        this.unloadAllChunks(scene);
+
+        this.seed = data.seed;
+        this.terrainGenerator = new TerrainGenerator(data.seed);
+        this.terrainGenerator.applySettings(data.generatorSettings);
+        this.ticks.reset();
+        this.setTime(data.timeOfDay);
+
+        for (const { chunkX, chunkY, chunkZ, blocks, states, blockEntities } of data.chunks) {
+            this.restoreChunkData(chunkX, chunkY, chunkZ, blocks, states, blockEntities);
+            this.unsavedChunkKeys.add(`${chunkX},${chunkY},${chunkZ}`);
+        }
+        return data.player;
+    }
+
+    /**
+     * Squared distance from a world position to the closest point of a chunk's bounds.
+     * @private Internal helper method
+     */
+    distanceSqToChunk(position, chunkX, chunkY, chunkZ) {
+        const axisDistance = (value, min, size) => Math.max(min - value, 0, value - (min + size));
+        const dx = axisDistance(position.x, chunkX * CHUNK_WIDTH, CHUNK_WIDTH);
+        const dy = axisDistance(position.y, chunkY * CHUNK_HEIGHT, CHUNK_HEIGHT);
+        const dz = axisDistance(position.z, chunkZ * CHUNK_DEPTH, CHUNK_DEPTH);
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    /**
+     * Marks a chunk as needing a mesh rebuild.
+     * @param {Chunk} chunk The chunk to mark.
+     * @param {boolean} [urgent=false] Rebuild it before all non-urgent chunks, regardless of the frame budget.
+     * @param {number | number[] | null} [sectionIndex=null] The section (or sections) to rebuild; all sections if null.
+     */
+    markChunkDirty(chunk, urgent = false, sectionIndex = null) {
+        if (sectionIndex === null) {
+            chunk.markAllSectionsDirty();
+        } else if (Array.isArray(sectionIndex)) {
+            sectionIndex.forEach(index => chunk.markSectionDirty(index));
+        } else {
+            chunk.markSectionDirty(sectionIndex);
+        }
+        this.dirtyChunks.add(chunk);
+        if (urgent) {
+            this.urgentChunks.add(chunk);
+        }
+    }
+
+    /**
+     * Rebuilds the meshes of dirty chunks within the per-frame budget.
+     * Urgent (player-edited) chunks are always rebuilt first. The rest are rebuilt nearest-first
+     * relative to `cameraPosition` until `meshBudgetMs` or `maxMeshRebuildsPerFrame` is used up;
+     * at least one chunk is rebuilt per call so the queue always drains. Leftover chunks stay dirty
+     * for the next frame. Counters are updated in `meshStats`.
      * Adds newly created meshes to the scene.
      * @param {THREE.Scene} scene The scene to add new meshes to.
+     * @param {THREE.Vector3} [cameraPosition] World position used to prioritise rebuilds; without it chunks
+     *   are rebuilt in the order they became dirty.
      */
-    updateDirtyChunkMeshes(scene) {
-        if (this.dirtyChunks.size === 0) return;
+    updateDirtyChunkMeshes(scene, cameraPosition = null) {
+        const stats = this.meshStats;
+        stats.rebuiltLastFrame = 0;
+        stats.rebuildTimeMs = 0;
+        if (this.dirtyChunks.size === 0) {
+            stats.queueLength = 0;
+            return;
+        }
+
+        // Order the queue: urgent chunks first, then by distance to the camera
+        const queue = [...this.dirtyChunks];
+        if (cameraPosition) {
+            const distances = new Map();
+            for (const chunk of queue) {
+                distances.set(chunk, this.distanceSqToChunk(
+                    cameraPosition,
+                    Math.round(chunk.position.x / CHUNK_WIDTH),
+                    Math.round(chunk.position.y / CHUNK_HEIGHT),
+                    Math.round(chunk.position.z / CHUNK_DEPTH)
+                ));
+            }
+            queue.sort((a, b) => distances.get(a) - distances.get(b));
+        }
+        const urgent = queue.filter(chunk => this.urgentChunks.has(chunk));
+        const ordered = urgent.concat(queue.filter(chunk => !this.urgentChunks.has(chunk)));
+
+        const startTime = performance.now();
+        for (const chunk of ordered) {
+            const isUrgent = this.urgentChunks.has(chunk);
+            const elapsed = performance.now() - startTime;
+            if (!isUrgent && stats.rebuiltLastFrame > 0 &&
+                (elapsed >= this.meshBudgetMs || stats.rebuiltLastFrame >= this.maxMeshRebuildsPerFrame)) {
+                break; // Budget used up; the rest waits for the next frame
+            }
 
-        this.dirtyChunks.forEach(chunk => {
             const meshExisted = !!chunk.mesh;
-            chunk.updateMesh(); // Regenerate geometry and update/create mesh
+            const sectionsRebuilt = chunk.updateMesh(); // Regenerate geometry and update/create mesh
             // If the mesh was newly created, add it to the scene
             if (chunk.mesh && !meshExisted) {
                  scene.add(chunk.mesh);
             }
-        });
-        this.dirtyChunks.clear();
+            this.dirtyChunks.delete(chunk);
+            this.urgentChunks.delete(chunk);
+            stats.rebuiltLastFrame++;
+            this.emit('chunkMeshed', { ...this.chunkEvent(chunk), sectionsRebuilt });
+        }
+
+        stats.rebuildTimeMs = performance.now() - startTime;
+        stats.totalRebuilds += stats.rebuiltLastFrame;
+        stats.queueLength = this.dirtyChunks.size;
+    }
+
+    /**
+     * Sorts the faces of translucent meshes back to front for the camera (see Chunk.sortTranslucentFaces).
+     * Call every frame after updateDirtyChunkMeshes; meshes are only sorted again when needed.
+     * @param {THREE.Vector3} cameraPosition World position of the camera.
+     * @returns {number} The number of meshes sorted.
+     */
+    sortTranslucentFaces(cameraPosition) {
+        let sorted = 0;
+        for (const chunk of this.chunks.values()) {
+            sorted += chunk.sortTranslucentFaces(cameraPosition);
+        }
+        return sorted;
+    }
+
+    /**
+     * Reports approximate memory used by block data and light, for debugging and tuning render distance.
+     * @returns {{loadedChunks: number, loadedBytes: number, retainedChunks: number, retainedBytes: number, unpackedBytes: number}}
+     *   Loaded chunks with their block data and light sizes, edited-but-unloaded chunks with their block data
+     *   sizes (their light isn't kept), plus the size the loaded chunks would take as flat one-byte-per-block
+     *   arrays of block IDs and light, for comparison.
+     */
+    getMemoryStats() {
+        let loadedBytes = 0;
+        for (const chunk of this.chunks.values()) {
+            loadedBytes += chunk.getMemoryUsage();
+        }
+        let retainedBytes = 0;
+        for (const { sections, stateSections } of this.unloadedChunkData.values()) {
+            retainedBytes += Chunk.getSectionsMemoryUsage(sections) + (stateSections ? Chunk.getSectionsMemoryUsage(stateSections) : 0);
+        }
+        return {
+            loadedChunks: this.chunks.size,
+            loadedBytes,
+            retainedChunks: this.unloadedChunkData.size,
+            retainedBytes,
+            unpackedBytes: this.chunks.size * CHUNK_WIDTH * CHUNK_HEIGHT * CHUNK_DEPTH * 2,
+        };
     }
 
     /**
-     * Returns an array of all current chunk mesh objects.
-     * Used for raycasting.
-     * @returns {THREE.Mesh[]} Array of chunk meshes.
+     * Returns an array of all current chunk mesh objects (groups of section meshes).
+     * Block targeting uses raycast() instead, which doesn't depend on meshes.
+     * @returns {THREE.Group[]} Array of chunk meshes.
      */
      getChunkMeshes() {
         const meshes = [];
@@ -1,12 +1,31 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import * as THREE from 'three';
 import { World } from './World.js';
-import { Chunk, CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './Chunk.js';
-import { BLOCKS } from './BlockRegistry.js';
+import { Chunk, CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH, SECTION_HEIGHT, SECTION_COUNT } from './Chunk.js';
+import { BLOCKS, encodeBlockState } from './BlockRegistry.js';
+import { WorkerPool } from './WorkerPool.js';
+import { handleChunkJobMessage } from './ChunkJobs.js';
+import { POSITION_SCALE } from './MeshBuffers.js';
+import { FallingBlocks } from './FallingBlocks.js';
 
 // Mock Material
 const mockMaterial = new THREE.MeshBasicMaterial();
 
+// Worker-like object that runs chunk jobs in-process on the next macrotask
+const createFakeWorker = () => {
+    const worker = {
+        onmessage: null,
+        postMessage(data) {
+            setTimeout(() => worker.onmessage({ data: handleChunkJobMessage(data).response }), 0);
+        },
+        terminate() {}
+    };
+    return worker;
+};
+
+// Resolves after pending fake-worker replies have been delivered
+const flushWorkers = () => new Promise(resolve => setTimeout(resolve, 0));
+
 describe('World', () => {
     let world;
     const testSeed = 67890; // Define a fixed seed for predictable terrain in tests
@@ -91,6 +110,22 @@ describe('World', () => {
         it('should return Air for coordinates far outside any generated chunk', () => {
             expect(world.getBlock(1000, 1000, 1000)).toBe(BLOCKS[0].id); // Air
         });
+
+        it('should copy the blocks, states and light around a box into a block volume, across chunks', () => {
+            const stairs = encodeBlockState(BLOCKS[14].id, { facing: 'east' });
+            world.setBlock(15, 0, 8, BLOCKS[14].id, { state: stairs });
+            world.setBlock(14, -1, 8, BLOCKS[10].id); // Glowstone, lighting the blocks around it
+            const volume = world.createBlockVolume(13, -4, 6, 3, 8, 4); // Its padding reaches into the missing chunk at x >= 16
+
+            volume.forEachCell((index, x, y, z) => {
+                expect(volume.blocks[index]).toBe(world.getBlock(x, y, z));
+                expect(volume.states[index]).toBe(world.getBlockState(x, y, z));
+                expect(volume.light[index]).toBe(world.getLight(x, y, z));
+            });
+            expect(volume.getBlockState(15, 0, 8)).toBe(stairs);
+            expect(volume.getBlock(16, 0, 8)).toBe(BLOCKS[0].id);
+            expect(world.getBlockLight(14, 0, 8)).toBe(14);
+        });
     });
 
     describe('setBlock', () => {
@@ -172,4 +207,987 @@ describe('World', () => {
             expect(world.dirtyChunks.has(chunk000)).toBe(true);
         });
     });
+
+    describe('updateLoadedChunks', () => {
+        let streamingWorld;
+        let mockScene;
+
+        beforeEach(() => {
+            // Small radii keep generation cheap: radius 1 in a single vertical layer is 5 chunks
+            streamingWorld = new World(mockMaterial, testSeed, {
+                renderDistance: 1,
+                verticalRenderDistance: 0,
+                unloadDistance: 2,
+                verticalUnloadDistance: 0,
+            });
+            mockScene = { add: vi.fn(), remove: vi.fn() };
+        });
+
+        it('should load the chunk containing the position first', () => {
+            const result = streamingWorld.updateLoadedChunks(new THREE.Vector3(8, 1, 8), mockScene, 1);
+            expect(result.loaded).toBe(1);
+            expect(streamingWorld.chunks.size).toBe(1);
+            expect(streamingWorld.getChunk(0, 0, 0)).toBeInstanceOf(Chunk);
+        });
+
+        it('should load neighbors in nearest-first order', () => {
+            // Standing near the east edge of chunk 0,0,0 -> chunk 1,0,0 is the closest neighbor
+            const position = new THREE.Vector3(15, 1, 8);
+            streamingWorld.updateLoadedChunks(position, mockScene, 1);
+            streamingWorld.updateLoadedChunks(position, mockScene, 1);
+            expect(streamingWorld.getChunk(1, 0, 0)).toBeInstanceOf(Chunk);
+            expect(streamingWorld.getChunk(-1, 0, 0)).toBeUndefined();
+        });
+
+        it('should load every chunk within the render distance', () => {
+            streamingWorld.updateLoadedChunks(new THREE.Vector3(8, 1, 8), mockScene, Infinity);
+            expect(streamingWorld.chunks.size).toBe(5); // Center plus 4 horizontal neighbors
+            expect(streamingWorld.getChunk(1, 0, 1)).toBeUndefined(); // Diagonal is outside the circle
+            expect(streamingWorld.getChunk(0, 1, 0)).toBeUndefined(); // Vertical radius is 0
+        });
+
+        it('should keep chunks within the unload distance (hysteresis)', () => {
+            streamingWorld.updateLoadedChunks(new THREE.Vector3(8, 1, 8), mockScene, Infinity);
+            // Move one chunk east: chunk -1,0,0 is now 2 chunks away, outside render but inside unload distance
+            const result = streamingWorld.updateLoadedChunks(new THREE.Vector3(24, 1, 8), mockScene, 0);
+            expect(result.unloaded).toBe(0);
+            expect(streamingWorld.getChunk(-1, 0, 0)).toBeInstanceOf(Chunk);
+        });
+
+        it('should unload distant chunks, remove their meshes and dispose them', () => {
+            streamingWorld.updateLoadedChunks(new THREE.Vector3(8, 1, 8), mockScene, 1);
+            streamingWorld.updateDirtyChunkMeshes(mockScene);
+            const chunk = streamingWorld.getChunk(0, 0, 0);
+            const mesh = chunk.mesh;
+            const disposeSpy = vi.spyOn(chunk, 'dispose');
+
+            // Jump far away: chunk 0,0,0 is beyond the unload distance
+            const result = streamingWorld.updateLoadedChunks(new THREE.Vector3(8 + 16 * 10, 1, 8), mockScene, 0);
+
+            expect(result.unloaded).toBe(1);
+            expect(streamingWorld.getChunk(0, 0, 0)).toBeUndefined();
+            expect(mockScene.remove).toHaveBeenCalledWith(mesh);
+            expect(disposeSpy).toHaveBeenCalled();
+            expect(streamingWorld.dirtyChunks.has(chunk)).toBe(false);
+        });
+
+        it('should restore edited blocks when an unloaded chunk is loaded again', () => {
+            const woodId = BLOCKS[4].id;
+            streamingWorld.updateLoadedChunks(new THREE.Vector3(8, 1, 8), mockScene, 1);
+            streamingWorld.setBlock(3, 100, 3, woodId);
+
+            streamingWorld.updateLoadedChunks(new THREE.Vector3(8 + 16 * 10, 1, 8), mockScene, 0);
+            expect(streamingWorld.getChunk(0, 0, 0)).toBeUndefined();
+
+            streamingWorld.updateLoadedChunks(new THREE.Vector3(8, 1, 8), mockScene, 1);
+            expect(streamingWorld.getBlock(3, 100, 3)).toBe(woodId);
+            expect(streamingWorld.getChunk(0, 0, 0).isModified).toBe(true);
+        });
+
+        it('should mark loaded neighbors dirty when a new chunk is created', () => {
+            streamingWorld.updateLoadedChunks(new THREE.Vector3(8, 1, 8), mockScene, 1);
+            const center = streamingWorld.getChunk(0, 0, 0);
+            streamingWorld.dirtyChunks.clear();
+
+            streamingWorld.getOrCreateChunk(1, 0, 0);
+            expect(streamingWorld.dirtyChunks.has(center)).toBe(true);
+        });
+    });
+
+    describe('worker pool generation', () => {
+        let asyncWorld;
+        let workerPool;
+        let mockScene;
+
+        beforeEach(() => {
+            workerPool = new WorkerPool(createFakeWorker, 1);
+            asyncWorld = new World(mockMaterial, testSeed, {
+                renderDistance: 0,
+                verticalRenderDistance: 0,
+                workerPool,
+            });
+            mockScene = { add: vi.fn(), remove: vi.fn() };
+        });
+
+        it('should keep a requested chunk pending until the worker replies', async () => {
+            asyncWorld.updateLoadedChunks(new THREE.Vector3(8, -10, 8), mockScene);
+            expect(asyncWorld.isChunkPending(0, -1, 0)).toBe(true);
+            expect(asyncWorld.getChunk(0, -1, 0)).toBeUndefined();
+
+            await flushWorkers();
+
+            expect(asyncWorld.isChunkPending(0, -1, 0)).toBe(false);
+            expect(asyncWorld.getChunk(0, -1, 0)).toBeInstanceOf(Chunk);
+            expect(asyncWorld.getBlock(8, -256, 8)).toBe(BLOCKS[3].id); // Same terrain as synchronous generation
+        });
+
+        it('should treat blocks in pending chunks as Air and ignore edits to them', () => {
+            asyncWorld.updateLoadedChunks(new THREE.Vector3(8, -10, 8), mockScene);
+            expect(asyncWorld.getBlock(8, -256, 8)).toBe(BLOCKS[0].id);
+            asyncWorld.setBlock(8, -256, 8, BLOCKS[4].id);
+            expect(asyncWorld.getBlock(8, -256, 8)).toBe(BLOCKS[0].id);
+        });
+
+        it('should use the worker-built mesh for the first mesh update', async () => {
+            asyncWorld.updateLoadedChunks(new THREE.Vector3(8, -10, 8), mockScene);
+            await flushWorkers();
+
+            const chunk = asyncWorld.getChunk(0, -1, 0);
+            expect(chunk.pendingMeshData).not.toBeNull();
+            asyncWorld.updateDirtyChunkMeshes(mockScene);
+            expect(chunk.pendingMeshData).toBeNull();
+            expect(chunk.mesh).not.toBeNull();
+            expect(mockScene.add).toHaveBeenCalledWith(chunk.mesh);
+        });
+
+        it('should cancel pending requests for chunks that went out of range', async () => {
+            asyncWorld.updateLoadedChunks(new THREE.Vector3(8, -10, 8), mockScene);
+            asyncWorld.updateLoadedChunks(new THREE.Vector3(8 + 16 * 10, -10, 8), mockScene, 0);
+            expect(asyncWorld.isChunkPending(0, -1, 0)).toBe(false);
+
+            await flushWorkers();
+            expect(asyncWorld.getChunk(0, -1, 0)).toBeUndefined();
+        });
+
+        it('should let a synchronous load supersede a pending request', async () => {
+            asyncWorld.updateLoadedChunks(new THREE.Vector3(8, -10, 8), mockScene);
+            const chunk = asyncWorld.getOrCreateChunk(0, -1, 0);
+            expect(asyncWorld.isChunkPending(0, -1, 0)).toBe(false);
+
+            await flushWorkers();
+            expect(asyncWorld.getChunk(0, -1, 0)).toBe(chunk); // Late worker result was discarded
+        });
+    });
+
+    describe('updateDirtyChunkMeshes', () => {
+        let mockScene;
+        let chunkNear, chunkMid, chunkFar;
+
+        beforeEach(() => {
+            world = new World(mockMaterial, testSeed, { maxMeshRebuildsPerFrame: 1, meshBudgetMs: Infinity });
+            mockScene = { add: vi.fn(), remove: vi.fn() };
+            chunkFar = world.getOrCreateChunk(3, -1, 0);
+            chunkMid = world.getOrCreateChunk(1, -1, 0);
+            chunkNear = world.getOrCreateChunk(0, -1, 0);
+        });
+
+        it('should rebuild within the count budget and leave the rest queued', () => {
+            world.updateDirtyChunkMeshes(mockScene, new THREE.Vector3(8, -10, 8));
+            expect(world.meshStats.rebuiltLastFrame).toBe(1);
+            expect(world.meshStats.queueLength).toBe(2);
+            expect(world.dirtyChunks.size).toBe(2);
+        });
+
+        it('should rebuild chunks nearest to the camera first', () => {
+            const cameraPosition = new THREE.Vector3(8, -10, 8);
+            world.updateDirtyChunkMeshes(mockScene, cameraPosition);
+            expect(chunkNear.mesh).not.toBeNull();
+            expect(chunkMid.mesh).toBeNull();
+
+            world.updateDirtyChunkMeshes(mockScene, cameraPosition);
+            expect(chunkMid.mesh).not.toBeNull();
+            expect(chunkFar.mesh).toBeNull();
+        });
+
+        it('should rebuild player-edited chunks first, even beyond the budget', () => {
+            world.updateDirtyChunkMeshes(mockScene, new THREE.Vector3(8, -10, 8)); // Builds chunkNear
+            // Player edits in both remaining chunks' neighborhood: the far chunk becomes urgent
+            world.setBlock(3 * 16 + 5, -1, 5, BLOCKS[4].id, { source: 'player' });
+            world.setBlock(5, -1, 5, BLOCKS[4].id, { source: 'player' });
+
+            world.updateDirtyChunkMeshes(mockScene, new THREE.Vector3(8, -10, 8));
+            expect(chunkFar.mesh).not.toBeNull(); // Urgent, despite being farthest
+            expect(world.meshStats.rebuiltLastFrame).toBe(2); // Both urgent chunks, count budget ignored
+            expect(chunkMid.mesh).toBeNull(); // Non-urgent chunk waits
+            expect(world.meshStats.queueLength).toBe(1);
+        });
+
+        it('should not treat non-player edits as urgent', () => {
+            world.setBlock(3 * 16 + 5, -1, 5, BLOCKS[4].id);
+            expect(world.urgentChunks.size).toBe(0);
+        });
+
+        it('should always rebuild at least one chunk when the time budget is zero', () => {
+            world.meshBudgetMs = 0;
+            world.maxMeshRebuildsPerFrame = Infinity;
+            world.updateDirtyChunkMeshes(mockScene, new THREE.Vector3(8, -10, 8));
+            expect(world.meshStats.rebuiltLastFrame).toBe(1);
+            expect(world.meshStats.rebuildTimeMs).toBeGreaterThanOrEqual(0);
+            expect(world.meshStats.totalRebuilds).toBe(1);
+        });
+    });
+
+    describe('time of day', () => {
+        it('should start in the morning unless configured otherwise', () => {
+            expect(world.getTime()).toBe(0.3);
+            expect(new World(mockMaterial, testSeed, { timeOfDay: 0.75 }).getTime()).toBe(0.75);
+        });
+
+        it('should wrap set times into one day and ignore invalid ones', () => {
+            world.setTime(1.5);
+            expect(world.getTime()).toBe(0.5);
+            world.setTime(-0.25);
+            expect(world.getTime()).toBe(0.75);
+
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            world.setTime(NaN);
+            expect(world.getTime()).toBe(0.75);
+            warnSpy.mockRestore();
+        });
+
+        it('should advance one day per dayLength seconds of ticks', () => {
+            const clockWorld = new World(mockMaterial, testSeed, { dayLength: 10, timeOfDay: 0, randomTickSpeed: 0 });
+            clockWorld.updateTicks(0.5); // 10 ticks, the most run per update
+            expect(clockWorld.getTime()).toBeCloseTo(0.05);
+            for (let i = 0; i < 19; i++) clockWorld.updateTicks(0.5);
+            expect(clockWorld.getTime()).toBeCloseTo(0, 5); // A whole day later
+        });
+    });
+
+    describe('exportWorld / importWorld', () => {
+        let mockScene;
+
+        beforeEach(() => {
+            mockScene = { add: vi.fn(), remove: vi.fn() };
+        });
+
+        it('should restore edited block data after a round trip', () => {
+            world.getOrCreateChunk(0, -1, 0);
+            world.getOrCreateChunk(1, 0, 0);
+            world.setBlock(5, -256, 5, BLOCKS[0].id);
+            world.setBlock(6, -100, 6, BLOCKS[4].id);
+            world.setBlock(20, 50, 3, BLOCKS[1].id);
+            world.setTime(0.9);
+            const buffer = world.exportWorld({ position: new THREE.Vector3(1.5, 2, 3.5), selectedBlockId: BLOCKS[4].id });
+
+            const importedWorld = new World(mockMaterial, 11111); // Different seed, replaced by the file's
+            const playerState = importedWorld.importWorld(buffer, mockScene);
+            const lowerChunk = importedWorld.getOrCreateChunk(0, -1, 0);
+            const eastChunk = importedWorld.getOrCreateChunk(1, 0, 0);
+
+            expect(importedWorld.seed).toBe(testSeed);
+            expect(importedWorld.getTime()).toBe(0.9);
+            expect(lowerChunk.getBlockData()).toEqual(world.getChunk(0, -1, 0).getBlockData());
+            expect(eastChunk.getBlockData()).toEqual(world.getChunk(1, 0, 0).getBlockData());
+            expect(playerState.position).toEqual({ x: 1.5, y: 2, z: 3.5 });
+            expect(playerState.selectedBlockId).toBe(BLOCKS[4].id);
+        });
+
+        it('should include edits of chunks that are currently unloaded', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            world.setBlock(5, 100, 5, BLOCKS[4].id);
+            world.unloadChunk('0,0,0', mockScene);
+
+            const importedWorld = new World(mockMaterial, testSeed);
+            importedWorld.importWorld(world.exportWorld(), mockScene);
+            importedWorld.getOrCreateChunk(0, 0, 0);
+            expect(importedWorld.getBlock(5, 100, 5)).toBe(BLOCKS[4].id);
+        });
+
+        it('should regenerate unedited terrain with the stored generator settings', () => {
+            world.terrainGenerator.amplitude = 40;
+            const importedWorld = new World(mockMaterial, testSeed);
+            importedWorld.importWorld(world.exportWorld(), mockScene);
+
+            expect(importedWorld.terrainGenerator.getSettings()).toEqual(world.terrainGenerator.getSettings());
+            expect(importedWorld.getOrCreateChunk(0, 0, 0).getBlockData()).toEqual(world.getOrCreateChunk(0, 0, 0).getBlockData());
+        });
+
+        it('should unload existing chunks and mark imported ones unsaved', () => {
+            const existing = world.getOrCreateChunk(0, 0, 0);
+            world.updateDirtyChunkMeshes(mockScene);
+            const existingMesh = existing.mesh;
+            const source = new World(mockMaterial, testSeed);
+            source.getOrCreateChunk(2, 0, 0);
+            source.setBlock(40, 10, 5, BLOCKS[4].id);
+
+            world.importWorld(source.exportWorld(), mockScene);
+
+            expect(world.chunks.size).toBe(0);
+            expect(mockScene.remove).toHaveBeenCalledWith(existingMesh);
+            expect([...world.unsavedChunkKeys]).toEqual(['2,0,0']);
+        });
+
+        it('should restart block ticks from the imported seed', () => {
+            const buffer = world.exportWorld();
+            const playedWorld = new World(mockMaterial, 11111);
+            playedWorld.updateTicks(0.5);
+            playedWorld.ticks.schedule({ x: 1, y: 2, z: 3 });
+            playedWorld.importWorld(buffer, mockScene);
+            const freshWorld = new World(mockMaterial, 22222);
+            freshWorld.importWorld(buffer, mockScene);
+
+            expect(playedWorld.ticks.currentTick).toBe(0);
+            expect(playedWorld.ticks.accumulatedTime).toBe(0);
+            expect(playedWorld.ticks.scheduledKeys.size).toBe(0);
+            const draws = w => Array.from({ length: 5 }, () => w.ticks.random());
+            expect(draws(playedWorld)).toEqual(draws(freshWorld));
+        });
+
+        it('should keep an explicit random source for block ticks', () => {
+            const random = () => 0.5;
+            const customWorld = new World(mockMaterial, 11111, { random });
+            customWorld.importWorld(world.exportWorld(), mockScene);
+            expect(customWorld.ticks.random).toBe(random);
+        });
+
+        it('should leave the world untouched when the file is invalid', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            expect(() => world.importWorld(new ArrayBuffer(16), mockScene)).toThrow();
+            expect(world.getChunk(0, 0, 0)).toBe(chunk);
+        });
+    });
+
+    describe('block storage', () => {
+        let mockScene;
+
+        beforeEach(() => {
+            mockScene = { add: vi.fn(), remove: vi.fn() };
+        });
+
+        it('should store block IDs above 255', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            world.setBlock(1, 200, 1, 300);
+            expect(world.getBlock(1, 200, 1)).toBe(300);
+        });
+
+        it('should keep edits of unloaded chunks compact and restorable', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            world.setBlock(5, 100, 5, BLOCKS[4].id);
+            world.unloadChunk('0,0,0', mockScene);
+
+            expect(world.getMemoryStats().retainedChunks).toBe(1);
+            expect(world.getModifiedChunkData('0,0,0').blocks[100 * 256 + 5 * 16 + 5]).toBe(BLOCKS[4].id);
+            world.getOrCreateChunk(0, 0, 0);
+            expect(world.getBlock(5, 100, 5)).toBe(BLOCKS[4].id);
+        });
+
+        it('should report memory usage far below flat arrays for generated terrain', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            world.getOrCreateChunk(0, -1, 0);
+            const stats = world.getMemoryStats();
+
+            expect(stats.loadedChunks).toBe(2);
+            expect(stats.loadedBytes).toBeGreaterThan(0);
+            expect(stats.loadedBytes).toBeLessThan(stats.unpackedBytes / 2);
+            expect(stats.retainedChunks).toBe(0);
+        });
+
+        it('should store light only for sections without the same light throughout, and count it', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            const underground = world.getOrCreateChunk(0, -1, 0);
+            const topSection = SECTION_COUNT - 1;
+            expect(chunk.lightSections[topSection]).toBeNull(); // Open sky
+            expect(world.getSkyLight(3, CHUNK_HEIGHT - 1, 3)).toBe(15);
+            expect(underground.lightSections[0]).toBeNull(); // Dark rock
+            expect(world.getSkyLight(3, -CHUNK_HEIGHT, 3)).toBe(0);
+            const lightBytes = chunk.getMemoryUsage() - Chunk.getSectionsMemoryUsage(chunk.sections) -
+                Chunk.getSectionsMemoryUsage(chunk.stateSections);
+            expect(lightBytes).toBe(SECTION_COUNT + chunk.lightSections.filter(Boolean).length * CHUNK_WIDTH * SECTION_HEIGHT * CHUNK_DEPTH);
+
+            world.setBlock(3, CHUNK_HEIGHT - 8, 3, BLOCKS[10].id); // Glowstone in the sky
+            expect(chunk.lightSections[topSection]).not.toBeNull();
+            expect(world.getBlockLight(4, CHUNK_HEIGHT - 8, 3)).toBe(14);
+            expect(world.getSkyLight(4, CHUNK_HEIGHT - 8, 3)).toBe(15);
+        });
+    });
+
+    describe('block entities', () => {
+        const SIGN = BLOCKS[5].id;
+        let mockScene;
+
+        beforeEach(() => {
+            mockScene = { add: vi.fn(), remove: vi.fn() };
+            world.getOrCreateChunk(0, 0, 0);
+        });
+
+        it('should create an entity when its block is placed and remove it when broken', () => {
+            const added = vi.fn();
+            const removed = vi.fn();
+            world.on('blockEntityAdded', added);
+            world.on('blockEntityRemoved', removed);
+
+            world.setBlock(5, 100, 5, SIGN, { source: 'player' });
+            const sign = world.getBlockEntity(5, 100, 5);
+            expect(sign).toMatchObject({ type: 'sign', x: 5, y: 100, z: 5, text: '' });
+            expect(added).toHaveBeenCalledWith({ entity: sign, reason: 'placed', source: 'player' });
+
+            world.setBlock(5, 100, 5, SIGN, { state: 2 }); // Turning it keeps the entity
+            expect(world.getBlockEntity(5, 100, 5)).toBe(sign);
+
+            world.setBlock(5, 100, 5, BLOCKS[3].id);
+            expect(world.getBlockEntity(5, 100, 5)).toBeUndefined();
+            expect(removed).toHaveBeenCalledWith({ entity: sign, reason: 'broken', source: 'script' });
+        });
+
+        it('should manage entities in region edits', () => {
+            world.fillRegion({ x: 0, y: 100, z: 0 }, { x: 1, y: 100, z: 1 }, SIGN);
+            expect(world.getBlockEntity(1, 100, 1)).toMatchObject({ x: 1, y: 100, z: 1 });
+            world.fillRegion({ x: 0, y: 100, z: 0 }, { x: 1, y: 100, z: 1 }, BLOCKS[0].id);
+            expect(world.getChunk(0, 0, 0).blockEntities.size).toBe(0);
+        });
+
+        it('should update entity data and keep it for saving', () => {
+            const changed = vi.fn();
+            world.on('blockEntityChanged', changed);
+            world.setBlock(5, 100, 5, SIGN);
+            world.unsavedChunkKeys.clear();
+
+            expect(world.setBlockEntityData(5, 100, 5, { text: 'Hello' }, { source: 'player' })).toBe(true);
+            expect(world.setBlockEntityData(6, 100, 5, { text: 'Nope' })).toBe(false);
+            expect(changed).toHaveBeenCalledWith({ entity: world.getBlockEntity(5, 100, 5), source: 'player' });
+            expect([...world.unsavedChunkKeys]).toEqual(['0,0,0']);
+            expect(world.getModifiedChunkData('0,0,0').blockEntities).toEqual([
+                { type: 'sign', x: 5, y: 100, z: 5, data: { text: 'Hello' } },
+            ]);
+        });
+
+        it('should keep entity data through unloading and export/import', () => {
+            const removed = vi.fn();
+            const added = vi.fn();
+            world.getOrCreateChunk(-1, 0, 0);
+            world.setBlock(-3, 100, 5, SIGN);
+            world.setBlockEntityData(-3, 100, 5, { text: 'Far away' });
+            world.on('blockEntityRemoved', removed);
+            world.on('blockEntityAdded', added);
+
+            world.unloadChunk('-1,0,0', mockScene);
+            expect(removed).toHaveBeenCalledWith(expect.objectContaining({ reason: 'unloaded' }));
+            world.getOrCreateChunk(-1, 0, 0);
+            expect(added).toHaveBeenCalledWith(expect.objectContaining({ reason: 'loaded' }));
+            expect(world.getBlockEntity(-3, 100, 5).text).toBe('Far away');
+
+            const importedWorld = new World(mockMaterial, testSeed);
+            importedWorld.importWorld(world.exportWorld(), mockScene);
+            importedWorld.getOrCreateChunk(-1, 0, 0);
+            expect(importedWorld.getBlockEntity(-3, 100, 5).text).toBe('Far away');
+        });
+    });
+
+    describe('block states', () => {
+        const WOOD = BLOCKS[4].id;
+        const AXIS_X = 1; // wood[axis=x]
+        let mockScene;
+
+        beforeEach(() => {
+            mockScene = { add: vi.fn(), remove: vi.fn() };
+            world.getOrCreateChunk(0, 0, 0);
+        });
+
+        it('should store states next to block IDs and treat a state change as a change', () => {
+            const changed = vi.fn();
+            world.on('blockChanged', changed);
+
+            expect(world.setBlock(5, 100, 5, WOOD, { state: AXIS_X })).toBe(true);
+            expect(world.getBlockState(5, 100, 5)).toBe(AXIS_X);
+            expect(world.getBlockState(6, 100, 5)).toBe(0);
+            expect(world.setBlock(5, 100, 5, WOOD, { state: AXIS_X })).toBe(false);
+            expect(world.setBlock(5, 100, 5, WOOD)).toBe(true); // Back to the default state
+            expect(changed).toHaveBeenLastCalledWith(expect.objectContaining({ oldId: WOOD, newId: WOOD, oldState: AXIS_X, newState: 0 }));
+            expect(world.getModifiedChunkData('0,0,0').states).toBeNull();
+        });
+
+        it('should keep states through unloading and export/import', () => {
+            world.setBlock(5, 100, 5, WOOD, { state: AXIS_X });
+            world.unloadChunk('0,0,0', mockScene);
+            expect(world.getModifiedChunkData('0,0,0').states[100 * 256 + 5 * 16 + 5]).toBe(AXIS_X);
+
+            const importedWorld = new World(mockMaterial, testSeed);
+            importedWorld.importWorld(world.exportWorld(), mockScene);
+            importedWorld.getOrCreateChunk(0, 0, 0);
+            expect(importedWorld.getBlock(5, 100, 5)).toBe(WOOD);
+            expect(importedWorld.getBlockState(5, 100, 5)).toBe(AXIS_X);
+        });
+
+        it('should let region edits set states', () => {
+            world.editRegion({ x: 0, y: 100, z: 0 }, { x: 2, y: 100, z: 0 }, x => (x === 1 ? { id: WOOD, state: AXIS_X } : WOOD));
+            expect(world.getBlockState(0, 100, 0)).toBe(0);
+            expect(world.getBlockState(1, 100, 0)).toBe(AXIS_X);
+        });
+    });
+
+    describe('sections', () => {
+        const stoneId = BLOCKS[3].id;
+
+        it('should neither store nor mesh all-air sections', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            chunk.updateMesh();
+
+            expect(chunk.isSectionEmpty(SECTION_COUNT - 1)).toBe(true);
+            expect(chunk.sections[SECTION_COUNT - 1]).toBeNull();
+            expect(chunk.sectionMeshes[SECTION_COUNT - 1]).toBeNull();
+            expect(chunk.getBlock(0, CHUNK_HEIGHT - 1, 0)).toBe(BLOCKS[0].id);
+        });
+
+        it('should skip all-solid sections enclosed by solid neighbours', () => {
+            const chunk = world.getOrCreateChunk(0, -1, 0);
+            [[1, -1, 0], [-1, -1, 0], [0, -1, 1], [0, -1, -1], [0, -2, 0], [0, 0, 0]]
+                .forEach(([x, y, z]) => world.getOrCreateChunk(x, y, z));
+            chunk.markAllSectionsDirty();
+            chunk.updateMesh();
+
+            expect(chunk.isSectionOpaque(5)).toBe(true);
+            expect(chunk.sectionMeshes[5]).toBeNull();
+            expect(chunk.sectionMeshes[SECTION_COUNT - 1]).not.toBeNull(); // Contains the surface
+            expect(chunk.mesh.children).toContain(chunk.sectionMeshes[SECTION_COUNT - 1]);
+        });
+
+        it('should merge faces with greedy meshing unless it is turned off', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            world.fillRegion({ x: 0, y: 200, z: 0 }, { x: 15, y: 200, z: 15 }, stoneId); // Section 12
+            chunk.updateMesh();
+            const greedyVertices = chunk.sectionMeshes[12].geometry.getAttribute('position').count;
+
+            world.greedyMeshing = false;
+            chunk.markAllSectionsDirty();
+            chunk.updateMesh();
+            expect(greedyVertices).toBeLessThan(chunk.sectionMeshes[12].geometry.getAttribute('position').count);
+            expect(chunk.sectionMeshes[12].geometry.getAttribute('tile')).toBeDefined();
+        });
+
+        it('should mesh cutout and translucent blocks separately and sort translucent faces back to front', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            world.setBlock(4, 200, 4, BLOCKS[12].id); // Leaves
+            for (const x of [2, 6, 10]) world.setBlock(x, 200, 8, BLOCKS[11].id); // Glass, apart so no faces are culled
+            chunk.updateMesh();
+            expect(chunk.cutoutMeshes[12].material).toBe(world.cutoutMaterial);
+            expect(chunk.cutoutMeshes[12].geometry.getAttribute('position').count).toBe(24);
+            expect(chunk.mesh.children).toContain(chunk.translucentMeshes[12]);
+
+            const geometry = chunk.translucentMeshes[12].geometry;
+            const positions = geometry.getAttribute('position');
+            const faces = geometry.getAttribute('face');
+            const normalX = [1, -1, 0, 0, 0, 0]; // Per face ID
+            const x = vertex => positions.getX(vertex) / POSITION_SCALE;
+            // X of the block each face in drawing order belongs to: half a block behind the face's centre
+            const blockOrder = () => Array.from({ length: geometry.index.count / 6 }, (_, slot) => {
+                const vertex = geometry.index.getX(slot * 6);
+                const vertices = [0, 1, 2, 3, 4, 5].map(i => geometry.index.getX(slot * 6 + i));
+                const centerX = (Math.min(...vertices.map(x)) + Math.max(...vertices.map(x))) / 2;
+                return Math.floor(centerX - normalX[faces.getX(vertex)] / 2);
+            });
+
+            const fromWest = new THREE.Vector3(-5, 200.5, 8.5);
+            expect(world.sortTranslucentFaces(fromWest)).toBe(1);
+            expect(blockOrder()).toEqual([10, 10, 10, 10, 10, 10, 6, 6, 6, 6, 6, 6, 2, 2, 2, 2, 2, 2]); // The far block first
+
+            expect(world.sortTranslucentFaces(fromWest.clone().setZ(8.9))).toBe(0); // Hardly moved
+            expect(world.sortTranslucentFaces(new THREE.Vector3(20, 200.5, 8.5))).toBe(1);
+            expect(blockOrder()).toEqual([2, 2, 2, 2, 2, 2, 6, 6, 6, 6, 6, 6, 10, 10, 10, 10, 10, 10]);
+        });
+
+        it('should use the packed mesh arrays in the geometry, with the bounding sphere in blocks', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            world.fillRegion({ x: 0, y: 241, z: 0 }, { x: 15, y: 255, z: 15 }, BLOCKS[0].id);
+            world.setBlock(4, 250, 6, BLOCKS[3].id);
+            chunk.updateMesh();
+
+            const geometry = chunk.sectionMeshes[15].geometry;
+            expect(geometry.getAttribute('position').array).toBeInstanceOf(Uint16Array);
+            expect(geometry.getAttribute('light').normalized).toBe(true);
+            expect(geometry.getAttribute('normal')).toBeUndefined(); // Decoded from the face IDs by the material
+            const { center, radius } = geometry.boundingSphere;
+            expect(center.y).toBeGreaterThan(240);
+            expect(center.y).toBeLessThan(256);
+            expect(radius).toBeLessThan(16);
+        });
+
+        it('should mesh an enclosed section once it is dug into', () => {
+            const chunk = world.getOrCreateChunk(0, -1, 0);
+            [[1, -1, 0], [-1, -1, 0], [0, -1, 1], [0, -1, -1], [0, -2, 0], [0, 0, 0]]
+                .forEach(([x, y, z]) => world.getOrCreateChunk(x, y, z));
+            chunk.updateMesh();
+
+            world.setBlock(5, -256 + 5 * SECTION_HEIGHT + 8, 5, BLOCKS[0].id);
+            chunk.updateMesh();
+            expect(chunk.sectionMeshes[5]).not.toBeNull();
+        });
+
+        it('should rebuild only the edited section, plus the adjacent one on a section boundary', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            world.setBlock(3, 5 * SECTION_HEIGHT + 8, 3, stoneId);
+            world.setBlock(3, 7 * SECTION_HEIGHT - 1, 3, stoneId); // Top layer of section 6
+            chunk.updateMesh();
+
+            // Solid to solid, so the light (and with it the sections below) stays the same
+            world.setBlock(3, 5 * SECTION_HEIGHT + 8, 3, BLOCKS[2].id);
+            expect([...chunk.dirtySections]).toEqual([5]);
+            expect(chunk.updateMesh()).toBe(1);
+
+            world.setBlock(3, 7 * SECTION_HEIGHT - 1, 3, BLOCKS[2].id);
+            expect([...chunk.dirtySections].sort()).toEqual([6, 7]);
+        });
+
+        it('should mark only the touching section of the chunk below on a chunk boundary', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            const below = world.getOrCreateChunk(0, -1, 0);
+            chunk.updateMesh();
+            below.updateMesh();
+
+            world.setBlock(3, 0, 3, BLOCKS[4].id);
+            expect([...below.dirtySections]).toEqual([SECTION_COUNT - 1]);
+        });
+
+        it('should drop a section again when its last block is removed', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            world.setBlock(3, 200, 3, stoneId);
+            expect(chunk.isSectionEmpty(Math.floor(200 / SECTION_HEIGHT))).toBe(false);
+
+            world.setBlock(3, 200, 3, BLOCKS[0].id);
+            expect(chunk.isSectionEmpty(Math.floor(200 / SECTION_HEIGHT))).toBe(true);
+        });
+    });
+
+    describe('events', () => {
+        let mockScene;
+        let log;
+
+        beforeEach(() => {
+            mockScene = { add: vi.fn(), remove: vi.fn() };
+            log = [];
+        });
+
+        it('should emit chunkLoaded when a chunk is created', () => {
+            world.on('chunkLoaded', ({ chunk, chunkX, chunkY, chunkZ }) => log.push(['loaded', chunkX, chunkY, chunkZ, chunk]));
+            const chunk = world.getOrCreateChunk(1, -1, 2);
+            world.getOrCreateChunk(1, -1, 2); // Existing chunk: no event
+            expect(log).toEqual([['loaded', 1, -1, 2, chunk]]);
+        });
+
+        it('should emit beforeBlockChange then blockChanged with position, IDs and source', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            world.setBlock(4, 100, 4, BLOCKS[3].id);
+            world.on('beforeBlockChange', event => {
+                log.push(['before', { ...event }, world.getBlock(4, 100, 4)]);
+            });
+            world.on('blockChanged', event => {
+                log.push(['after', { ...event }, world.getBlock(4, 100, 4)]);
+            });
+
+            expect(world.setBlock(4, 100, 4, BLOCKS[4].id, { source: 'network' })).toBe(true);
+
+            const expected = { x: 4, y: 100, z: 4, oldId: BLOCKS[3].id, newId: BLOCKS[4].id, oldState: 0, newState: 0, source: 'network' };
+            expect(log).toEqual([
+                ['before', expected, BLOCKS[3].id], // Not applied yet
+                ['after', expected, BLOCKS[4].id],
+            ]);
+        });
+
+        it('should default the source to script and not emit for no-op changes', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            world.on('blockChanged', event => log.push(event.source));
+
+            world.setBlock(4, 100, 4, BLOCKS[3].id);
+            world.setBlock(4, 100, 4, BLOCKS[3].id); // Same ID
+            world.setBlock(4, 1000, 4, BLOCKS[3].id); // Missing chunk
+
+            expect(log).toEqual(['script']);
+        });
+
+        it('should let a beforeBlockChange listener veto a change', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            const isSpawn = ({ x, z }) => Math.abs(x) < 8 && Math.abs(z) < 8;
+            world.on('beforeBlockChange', event => !(event.source === 'player' && isSpawn(event)));
+            world.on('blockChanged', event => log.push(event));
+            world.markChunkDirty = vi.fn();
+
+            expect(world.setBlock(2, 100, 2, BLOCKS[3].id, { source: 'player' })).toBe(false);
+            expect(world.getBlock(2, 100, 2)).toBe(BLOCKS[0].id);
+            expect(world.unsavedChunkKeys.size).toBe(0);
+            expect(world.markChunkDirty).not.toHaveBeenCalled();
+            expect(log).toHaveLength(0);
+
+            expect(world.setBlock(2, 100, 2, BLOCKS[3].id, { source: 'script' })).toBe(true);
+            expect(world.setBlock(12, 100, 12, BLOCKS[3].id, { source: 'player' })).toBe(true);
+            expect(log).toHaveLength(2);
+        });
+
+        it('should emit chunkMeshed after the mesh is rebuilt and chunkUnloaded after removal', () => {
+            const chunk = world.getOrCreateChunk(0, 0, 0);
+            world.on('chunkMeshed', event => log.push(['meshed', event.chunk, event.sectionsRebuilt, mockScene.add.mock.calls.length]));
+            world.on('chunkUnloaded', event => log.push(['unloaded', event.chunk, world.getChunk(0, 0, 0)]));
+
+            world.setBlock(4, 100, 4, BLOCKS[3].id);
+            world.updateDirtyChunkMeshes(mockScene);
+            world.setBlock(4, 100, 4, BLOCKS[2].id); // Keeps the light, so only its own section is rebuilt
+            world.updateDirtyChunkMeshes(mockScene);
+            world.unloadChunk('0,0,0', mockScene);
+
+            expect(log).toEqual([
+                ['meshed', chunk, SECTION_COUNT, 1], // Added to the scene before the event
+                ['meshed', chunk, 1, 1],
+                ['unloaded', chunk, undefined],
+            ]);
+        });
+
+        it('should emit chunkUnloaded for every chunk when unloading all', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            world.getOrCreateChunk(0, -1, 0);
+            world.on('chunkUnloaded', ({ chunkX, chunkY, chunkZ }) => log.push(`${chunkX},${chunkY},${chunkZ}`));
+
+            world.unloadAllChunks(mockScene);
+            expect(log.sort()).toEqual(['0,-1,0', '0,0,0']);
+        });
+
+        it('should stop calling a listener after it unsubscribes', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            const unsubscribe = world.on('blockChanged', event => log.push(event.newId));
+
+            world.setBlock(4, 100, 4, BLOCKS[3].id);
+            unsubscribe();
+            world.setBlock(4, 100, 4, BLOCKS[4].id);
+            expect(log).toEqual([BLOCKS[3].id]);
+        });
+
+        it('should keep notifying other listeners when one throws', () => {
+            world.getOrCreateChunk(0, 0, 0);
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            world.on('blockChanged', () => { throw new Error('listener failure'); });
+            world.on('blockChanged', event => log.push(event.newId));
+
+            expect(world.setBlock(4, 100, 4, BLOCKS[3].id)).toBe(true);
+            expect(log).toEqual([BLOCKS[3].id]);
+            expect(errorSpy).toHaveBeenCalled();
+            errorSpy.mockRestore();
+        });
+    });
+    describe('region edits', () => {
+        const STONE = BLOCKS[3].id;
+        const WOOD = BLOCKS[4].id;
+        const AIR = BLOCKS[0].id;
+
+        it('should fill a box across chunk boundaries and negative coordinates', () => {
+            // From chunk (-1, 0, -1) to chunk (0, 0, 0); missing chunks are created
+            const changed = world.fillRegion({ x: 3, y: 101, z: 2 }, { x: -2, y: 100, z: -3 }, STONE);
+
+            expect(changed).toBe(6 * 2 * 6);
+            expect(world.chunks.size).toBe(4);
+            for (let x = -2; x <= 3; x++) {
+                for (let z = -3; z <= 2; z++) {
+                    expect(world.getBlock(x, 100, z)).toBe(STONE);
+                    expect(world.getBlock(x, 101, z)).toBe(STONE);
+                }
+            }
+            expect(world.getBlock(4, 100, 0)).toBe(AIR);
+            expect(world.getBlock(-3, 100, 0)).toBe(AIR);
+            expect(world.getBlock(0, 102, 0)).toBe(AIR);
+            expect(world.unsavedChunkKeys).toEqual(new Set(['-1,0,-1', '-1,0,0', '0,0,-1', '0,0,0']));
+
+            // Only blocks that actually change are counted
+            expect(world.fillRegion({ x: -2, y: 100, z: -3 }, { x: 4, y: 100, z: 2 }, STONE)).toBe(6);
+        });
+
+        it('should mark each affected chunk and boundary neighbor dirty once', () => {
+            const chunks = [world.getOrCreateChunk(-1, 0, 0), world.getOrCreateChunk(0, 0, 0), world.getOrCreateChunk(1, 0, 0)];
+            const below = world.getOrCreateChunk(0, -1, 0);
+            const markSpy = vi.spyOn(world, 'markChunkDirty');
+            chunks.concat(below).forEach(chunk => chunk.dirtySections.clear());
+
+            // Covers chunk 0 entirely in X and touches the edges of chunks -1 and 1, from y = 0 to the top of section 1
+            world.fillRegion({ x: -1, y: 0, z: 0 }, { x: 16, y: 31, z: 15 }, STONE);
+
+            const calls = markSpy.mock.calls.map(([chunk]) => chunk);
+            expect(calls).toHaveLength(4);
+            expect(new Set(calls)).toEqual(new Set([...chunks, below]));
+            expect([...chunks[1].dirtySections].sort((a, b) => a - b)).toEqual([0, 1, 2]); // Section 2 borders y = 31
+            expect([...below.dirtySections]).toEqual([SECTION_COUNT - 1]);
+            markSpy.mockRestore();
+        });
+
+        it('should emit block change events only once the region is relit and marked dirty', () => {
+            const chunks = [world.getOrCreateChunk(0, 0, 0), world.getOrCreateChunk(1, 0, 0)];
+            const markSpy = vi.spyOn(world, 'markChunkDirty');
+            let marksAtFirstEvent = null;
+            let skyLightAtFirstEvent = null;
+            world.on('blockChanged', () => {
+                if (marksAtFirstEvent) return;
+                marksAtFirstEvent = markSpy.mock.calls.map(([chunk]) => chunk);
+                skyLightAtFirstEvent = world.getSkyLight(12, 199, 5);
+            });
+            const fallingBlocks = new FallingBlocks(world); // Edits the world from its blockChanged listener
+
+            // A strip of sand in the sky across the chunk border: nothing holds it up
+            world.fillRegion({ x: 12, y: 200, z: 5 }, { x: 19, y: 200, z: 6 }, BLOCKS[6].id);
+
+            expect(marksAtFirstEvent).toHaveLength(2);
+            expect(new Set(marksAtFirstEvent)).toEqual(new Set(chunks));
+            expect(skyLightAtFirstEvent).toBe(14); // Shaded by the sand
+            expect(fallingBlocks.blocks).toHaveLength(16);
+            expect(world.getBlock(12, 200, 5)).toBe(AIR);
+            expect(world.getSkyLight(12, 200, 5)).toBe(15);
+            expect(world.getSkyLight(12, 199, 5)).toBe(15); // No shade left behind by the sand that fell
+            fallingBlocks.dispose();
+            markSpy.mockRestore();
+        });
+
+        it('should replace only matching blocks', () => {
+            world.fillRegion({ x: -4, y: 100, z: -4 }, { x: 3, y: 100, z: 3 }, STONE);
+            world.setBlock(0, 100, 0, WOOD);
+
+            const changed = world.replaceInRegion({ x: -4, y: 99, z: -4 }, { x: 3, y: 101, z: 3 }, STONE, AIR);
+            expect(changed).toBe(63);
+            expect(world.getBlock(-4, 100, -4)).toBe(AIR);
+            expect(world.getBlock(0, 100, 0)).toBe(WOOD);
+        });
+
+        it('should build a hollow box without touching the inside', () => {
+            world.getOrCreateChunk(-1, 0, -1);
+            world.setBlock(-1, 101, -1, WOOD);
+
+            const changed = world.hollowBox({ x: -3, y: 99, z: -3 }, { x: 1, y: 103, z: 1 }, STONE);
+            expect(changed).toBe(5 * 5 * 5 - 3 * 3 * 3);
+            expect(world.getBlock(-3, 101, -1)).toBe(STONE);
+            expect(world.getBlock(1, 103, 1)).toBe(STONE);
+            expect(world.getBlock(-1, 101, -1)).toBe(WOOD);
+            expect(world.getBlock(0, 100, 0)).toBe(AIR);
+        });
+
+        it('should fill solid and hollow spheres', () => {
+            const center = { x: 0, y: 100, z: 0 };
+            const solid = world.sphere(center, 2, STONE);
+            expect(solid).toBe(33); // Blocks within distance 2 of the center
+            expect(world.getBlock(-2, 100, 0)).toBe(STONE);
+            expect(world.getBlock(-1, 101, -1)).toBe(STONE);
+            expect(world.getBlock(-2, 101, 0)).toBe(AIR);
+
+            expect(world.sphere(center, 2, WOOD, { hollow: true })).toBe(33 - 7);
+            expect(world.getBlock(0, 100, 0)).toBe(STONE);
+            expect(world.getBlock(0, 98, 0)).toBe(WOOD);
+        });
+
+        it('should emit block events and honor vetoes', () => {
+            const log = [];
+            world.on('beforeBlockChange', ({ x }) => x >= 0);
+            world.on('blockChanged', event => log.push(event));
+
+            const changed = world.fillRegion({ x: -2, y: 100, z: 0 }, { x: 1, y: 100, z: 0 }, STONE, { source: 'player' });
+            expect(changed).toBe(2);
+            expect(log.map(({ x, source }) => [x, source])).toEqual([[0, 'player'], [1, 'player']]);
+            expect(world.getBlock(-1, 100, 0)).toBe(AIR);
+            expect(world.urgentChunks.has(world.getChunk(0, 0, 0))).toBe(true);
+        });
+    });
+
+    describe('raycast', () => {
+        const STONE = BLOCKS[3].id;
+
+        beforeEach(() => {
+            world.getOrCreateChunk(0, 0, 0);
+            world.getOrCreateChunk(-1, 0, 0);
+        });
+
+        it('should return the hit block, face normal, placement cell and distance', () => {
+            world.setBlock(5, 100, 2, STONE);
+            const hit = world.raycast({ x: 0.5, y: 100.5, z: 2.5 }, { x: 2, y: 0, z: 0 }, 10); // Unnormalized direction
+
+            expect(hit).toEqual({
+                x: 5, y: 100, z: 2,
+                blockId: STONE,
+                state: 0,
+                normal: { x: -1, y: 0, z: 0 },
+                place: { x: 4, y: 100, z: 2 },
+                distance: 4.5,
+            });
+        });
+
+        it('should hit the face the ray enters through on diagonals and across chunk boundaries', () => {
+            world.setBlock(-3, 148, 4, STONE);
+            // Reaches the top face plane (y = 149) at (-2.5, 149, 4.5), after one unnormalized direction length
+            const hit = world.raycast({ x: 1.5, y: 151.5, z: 1.5 }, { x: -4, y: -2.5, z: 3 }, 10);
+
+            expect([hit.x, hit.y, hit.z]).toEqual([-3, 148, 4]);
+            expect(hit.normal).toEqual({ x: 0, y: 1, z: 0 });
+            expect(hit.place).toEqual({ x: -3, y: 149, z: 4 });
+            expect(hit.distance).toBeCloseTo(Math.hypot(4, 2.5, 3));
+        });
+
+        it('should respect the maximum distance', () => {
+            world.setBlock(5, 100, 2, STONE);
+            expect(world.raycast({ x: 0.5, y: 100.5, z: 2.5 }, { x: 1, y: 0, z: 0 }, 4.4)).toBeNull();
+            expect(world.raycast({ x: 0.5, y: 100.5, z: 2.5 }, { x: 1, y: 0, z: 0 }, 4.5)).not.toBeNull();
+        });
+
+        it('should report a hit at the origin without a face, and ignore zero directions', () => {
+            world.setBlock(0, 100, 0, STONE);
+            const hit = world.raycast({ x: 0.2, y: 100.9, z: 0.7 }, { x: 0, y: 1, z: 0 }, 5);
+            expect(hit).toMatchObject({ x: 0, y: 100, z: 0, normal: null, place: null, distance: 0 });
+            expect(world.raycast({ x: 0.2, y: 101, z: 0.7 }, { x: 0, y: 0, z: 0 }, 5)).toBeNull();
+        });
+
+        it('should pass through missing chunks and blocks rejected by the filter', () => {
+            world.setBlock(-2, 100, 0, STONE);
+            world.setBlock(-4, 100, 0, BLOCKS[4].id);
+            const isWood = blockId => blockId === BLOCKS[4].id;
+
+            expect(world.raycast({ x: 0.5, y: 100.5, z: 0.5 }, { x: -1, y: 0, z: 0 }, 10, isWood)).toMatchObject({ x: -4, distance: 3.5 });
+            expect(world.raycast({ x: 0.5, y: 100.5, z: 0.5 }, { x: 0, y: 0, z: 1 }, 40)).toBeNull(); // Into chunk (0, 0, 1), not loaded
+        });
+
+        it('should only hit blocks with a model where the ray meets their boxes', () => {
+            const SLAB = BLOCKS[13].id;
+            world.setBlock(3, 100, 2, SLAB); // Bottom half
+            world.setBlock(5, 100, 2, STONE);
+
+            // Over the slab, then into its side and onto its top
+            expect(world.raycast({ x: 0.5, y: 100.75, z: 2.5 }, { x: 1, y: 0, z: 0 }, 10)).toMatchObject({ x: 5, distance: 4.5 });
+            expect(world.raycast({ x: 0.5, y: 100.25, z: 2.5 }, { x: 1, y: 0, z: 0 }, 10)).toMatchObject({
+                x: 3, blockId: SLAB, normal: { x: -1, y: 0, z: 0 }, place: { x: 2, y: 100, z: 2 }, distance: 2.5,
+            });
+            expect(world.raycast({ x: 3.5, y: 102, z: 2.5 }, { x: 0, y: -1, z: 0 }, 10)).toMatchObject({
+                x: 3, y: 100, normal: { x: 0, y: 1, z: 0 }, place: { x: 3, y: 101, z: 2 }, distance: 1.5,
+            });
+
+            const topHalf = encodeBlockState(SLAB, { half: 'top' });
+            world.setBlock(3, 100, 2, SLAB, { state: topHalf });
+            expect(world.raycast({ x: 0.5, y: 100.25, z: 2.5 }, { x: 1, y: 0, z: 0 }, 10)).toMatchObject({ x: 5 });
+            expect(world.raycast({ x: 0.5, y: 100.75, z: 2.5 }, { x: 1, y: 0, z: 0 }, 10)).toMatchObject({ x: 3, state: topHalf });
+        });
+    });
+
+    describe('block boxes', () => {
+        const STONE = BLOCKS[3].id;
+        const SLAB = BLOCKS[13].id;
+        const FENCE = BLOCKS[15].id;
+        const FLOWER = BLOCKS[16].id;
+        const toArrays = boxes => boxes.map(box => [...box.min.toArray(), ...box.max.toArray()]);
+
+        beforeEach(() => {
+            world.getOrCreateChunk(0, 0, 0);
+            world.fillRegion({ x: 0, y: 100, z: 0 }, { x: 15, y: 110, z: 15 }, BLOCKS[0].id);
+        });
+
+        it('should give the whole cell for cubes, the model boxes otherwise and nothing for air', () => {
+            world.setBlock(2, 100, 2, STONE);
+            world.setBlock(4, 100, 2, SLAB);
+            expect(toArrays(world.getBlockBoxes(2, 100, 2))).toEqual([[2, 100, 2, 3, 101, 3]]);
+            expect(toArrays(world.getBlockBoxes(4, 100, 2))).toEqual([[4, 100, 2, 5, 100.5, 3]]);
+            expect(world.getBlockBoxes(6, 100, 2)).toEqual([]);
+            // A block about to be placed
+            expect(toArrays(world.getBlockBoxes(6, 100, 2, SLAB, encodeBlockState(SLAB, { half: 'top' }))))
+                .toEqual([[6, 100.5, 2, 7, 101, 3]]);
+        });
+
+        it('should connect fences to fences and opaque blocks', () => {
+            world.setBlock(5, 100, 5, FENCE);
+            expect(world.getBlockBoxes(5, 100, 5)).toHaveLength(1); // Just the post
+
+            world.setBlock(6, 100, 5, FENCE); // East
+            world.setBlock(5, 100, 4, STONE); // North
+            world.setBlock(4, 100, 5, SLAB); // West: not opaque, no connection
+            const boxes = toArrays(world.getBlockBoxes(5, 100, 5));
+            expect(boxes).toHaveLength(5);
+            expect(boxes).toContainEqual([5.4375, 100.375, 5, 5.5625, 100.5625, 5.375]); // Lower north rail
+            expect(boxes).toContainEqual([5.625, 100.75, 5.4375, 6, 100.9375, 5.5625]); // Upper east rail
+        });
+
+        it('should only collide with the boxes of solid blocks', () => {
+            world.setBlock(4, 100, 2, SLAB);
+            world.setBlock(6, 100, 2, FLOWER);
+            const onSlab = new THREE.Box3(new THREE.Vector3(4.2, 100.5, 2.2), new THREE.Vector3(4.8, 102.3, 2.8));
+            expect(world.intersectsSolidBlock(onSlab)).toBe(false);
+            expect(toArrays(world.getCollidingBoxes(onSlab.clone().translate(new THREE.Vector3(0, -0.1, 0)))))
+                .toEqual([[4, 100, 2, 5, 100.5, 3]]);
+            expect(world.intersectsSolidBlock(onSlab.clone().translate(new THREE.Vector3(2, -0.5, 0)))).toBe(false); // In the flower
+        });
+    });
 });
@@ -0,0 +1,225 @@
+import { encodeRunLength, decodeRunLength } from './utils.js';
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './Chunk.js';
+
+/**
+ * Binary world file format ("DineCraft world", extension .dcworld).
+ *
+ * Used to move worlds between machines and attach them to bug reports. Like WorldPersistence it
+ * stores the seed plus the chunks that differ from generated terrain. All numbers are little-endian.
+ *
+ * Header (8 bytes, identical in every version):
+ *   u8[4]  magic        "DCWF"
+ *   u16    version      FORMAT_VERSION of the writer
+ *   u16    reserved     0
+ *
+ * Version 1 body:
+ *   f64    seed
+ *   f64[6] generator settings: scale, threshold, surfaceScale, baseLevel, amplitude, dirtDepth
+ *   f64[3] player position x, y, z
+ *   u16    selected block ID
+ *   f64    time of day (see World.getTime)
+ *   u32    chunk count
+ *   per chunk:
+ *     i32[3] chunk coordinates x, y, z
+ *     u32    byte length of the block data
+ *     u8[]   block IDs (Chunk.getBlockData layout), run-length encoded as varint run/value pairs
+ *            (see utils.encodeRunLength); IDs above 255 fit without a layout change
+ *     u32    byte length of the state data (0 if every block has its default state)
+ *     u8[]   block states (Chunk.getStateData layout), run-length encoded like the block IDs
+ *     u32    byte length of the block entity data (0 if the chunk has none)
+ *     u8[]   UTF-8 JSON array of serialised block entities (see BlockEntity.toJSON)
+ *
+ * Reading: the body is parsed by the reader for the file's version, then upgraded one version at a
+ * time by MIGRATIONS until it matches FORMAT_VERSION. When the layout changes, bump FORMAT_VERSION,
+ * add a reader for the new version and a migration from the previous one.
+ */
+
+export const FORMAT_VERSION = 1;
+const MAGIC = 'DCWF';
+const HEADER_SIZE = 8;
+const GENERATOR_SETTING_NAMES = ['scale', 'threshold', 'surfaceScale', 'baseLevel', 'amplitude', 'dirtDepth'];
+const CHUNK_VOLUME = CHUNK_WIDTH * CHUNK_HEIGHT * CHUNK_DEPTH;
+
+/**
+ * Sequential little-endian reader over an ArrayBuffer.
+ */
+class ByteReader {
+    constructor(buffer, offset = 0) {
+        this.view = new DataView(buffer);
+        this.offset = offset;
+    }
+
+    ensure(byteCount) {
+        if (this.offset + byteCount > this.view.byteLength) {
+            throw new Error('World file is truncated');
+        }
+    }
+
+    u16() { this.ensure(2); const value = this.view.getUint16(this.offset, true); this.offset += 2; return value; }
+    u32() { this.ensure(4); const value = this.view.getUint32(this.offset, true); this.offset += 4; return value; }
+    i32() { this.ensure(4); const value = this.view.getInt32(this.offset, true); this.offset += 4; return value; }
+    f64() { this.ensure(8); const value = this.view.getFloat64(this.offset, true); this.offset += 8; return value; }
+
+    bytes(length) {
+        this.ensure(length);
+        const value = new Uint8Array(this.view.buffer, this.offset, length);
+        this.offset += length;
+        return value;
+    }
+}
+
+/**
+ * Growable little-endian writer producing an ArrayBuffer.
+ */
+class ByteWriter {
+    constructor(initialSize = 1024) {
+        this.buffer = new ArrayBuffer(initialSize);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    reserve(byteCount) {
+        if (this.offset + byteCount <= this.buffer.byteLength) return;
+        let size = this.buffer.byteLength * 2;
+        while (size < this.offset + byteCount) size *= 2;
+        const grown = new ArrayBuffer(size);
+        new Uint8Array(grown).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = grown;
+        this.view = new DataView(grown);
+    }
+
+    u16(value) { this.reserve(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+    u32(value) { this.reserve(4); this.view.setUint32(this.offset, value, true); this.offset += 4; }
+    i32(value) { this.reserve(4); this.view.setInt32(this.offset, value, true); this.offset += 4; }
+    f64(value) { this.reserve(8); this.view.setFloat64(this.offset, value, true); this.offset += 8; }
+
+    bytes(value) {
+        this.reserve(value.length);
+        new Uint8Array(this.buffer, this.offset, value.length).set(value);
+        this.offset += value.length;
+    }
+
+    /** @returns {ArrayBuffer} A copy trimmed to the written length. */
+    finish() {
+        return this.buffer.slice(0, this.offset);
+    }
+}
+
+/**
+ * Parses a version 1 body.
+ * @param {ByteReader} reader Positioned after the header.
+ * @returns {object} World data in the version 1 shape.
+ */
+function readVersion1(reader) {
+    const seed = reader.f64();
+    const generatorSettings = {};
+    for (const name of GENERATOR_SETTING_NAMES) {
+        generatorSettings[name] = reader.f64();
+    }
+    const playerPosition = { x: reader.f64(), y: reader.f64(), z: reader.f64() };
+    const selectedBlockId = reader.u16();
+    const timeOfDay = reader.f64();
+
+    const chunkCount = reader.u32();
+    const chunks = [];
+    for (let i = 0; i < chunkCount; i++) {
+        const chunkX = reader.i32();
+        const chunkY = reader.i32();
+        const chunkZ = reader.i32();
+        const encoded = reader.bytes(reader.u32());
+        const blocks = decodeRunLength(encoded, new Uint16Array(CHUNK_VOLUME));
+        const encodedStates = reader.bytes(reader.u32());
+        const states = encodedStates.length > 0 ? decodeRunLength(encodedStates, new Uint16Array(CHUNK_VOLUME)) : null;
+        const encodedEntities = reader.bytes(reader.u32());
+        const blockEntities = encodedEntities.length > 0 ? JSON.parse(new TextDecoder().decode(encodedEntities)) : [];
+        chunks.push({ chunkX, chunkY, chunkZ, blocks, states, blockEntities });
+    }
+
+    return { seed, generatorSettings, timeOfDay, player: { position: playerPosition, selectedBlockId }, chunks };
+}
+
+// Body readers by file version
+const READERS = {
+    1: readVersion1,
+};
+
+// Upgrades world data from version N (key) to N + 1; none yet
+const MIGRATIONS = {};
+
+/**
+ * Encodes world data into a world file.
+ * @param {object} data
+ * @param {number} data.seed Terrain seed.
+ * @param {object} data.generatorSettings TerrainGenerator settings (see TerrainGenerator.getSettings).
+ * @param {number} data.timeOfDay Time of day (see World.getTime).
+ * @param {{position: {x: number, y: number, z: number}, selectedBlockId: number}} data.player Player state.
+ * @param {{chunkX: number, chunkY: number, chunkZ: number, blocks: ArrayLike<number>, states?: ArrayLike<number> | null,
+ *   blockEntities?: object[]}[]} data.chunks Edited chunks; `states` may be null (or omitted) when every block has its
+ *   default state, `blockEntities` (serialised, see BlockEntity.toJSON) omitted when there are none.
+ * @returns {ArrayBuffer} The file contents.
+ */
+export function encodeWorldFile(data) {
+    const writer = new ByteWriter();
+    writer.bytes(new TextEncoder().encode(MAGIC));
+    writer.u16(FORMAT_VERSION);
+    writer.u16(0);
+
+    writer.f64(data.seed);
+    for (const name of GENERATOR_SETTING_NAMES) {
+        writer.f64(data.generatorSettings[name]);
+    }
+    writer.f64(data.player.position.x);
+    writer.f64(data.player.position.y);
+    writer.f64(data.player.position.z);
+    writer.u16(data.player.selectedBlockId);
+    writer.f64(data.timeOfDay);
+
+    writer.u32(data.chunks.length);
+    for (const chunk of data.chunks) {
+        writer.i32(chunk.chunkX);
+        writer.i32(chunk.chunkY);
+        writer.i32(chunk.chunkZ);
+        const encoded = encodeRunLength(chunk.blocks);
+        writer.u32(encoded.length);
+        writer.bytes(encoded);
+        const encodedStates = chunk.states ? encodeRunLength(chunk.states) : new Uint8Array(0);
+        writer.u32(encodedStates.length);
+        writer.bytes(encodedStates);
+        const hasEntities = chunk.blockEntities && chunk.blockEntities.length > 0;
+        const encodedEntities = hasEntities ? new TextEncoder().encode(JSON.stringify(chunk.blockEntities)) : new Uint8Array(0);
+        writer.u32(encodedEntities.length);
+        writer.bytes(encodedEntities);
+    }
+    return writer.finish();
+}
+
+/**
+ * Decodes a world file of any supported version into the current data shape (see encodeWorldFile).
+ * @param {ArrayBuffer} buffer The file contents.
+ * @returns {object} The world data, plus `version`: the version the file was written with.
+ */
+export function decodeWorldFile(buffer) {
+    if (buffer.byteLength < HEADER_SIZE) {
+        throw new Error('Not a DineCraft world file (too short)');
+    }
+    const magic = new TextDecoder().decode(new Uint8Array(buffer, 0, 4));
+    if (magic !== MAGIC) {
+        throw new Error('Not a DineCraft world file (bad magic)');
+    }
+    const reader = new ByteReader(buffer, 4);
+    const version = reader.u16();
+    reader.u16(); // Reserved
+    if (version > FORMAT_VERSION) {
+        throw new Error(`World file version ${version} is newer than supported version ${FORMAT_VERSION}`);
+    }
+    const read = READERS[version];
+    if (!read) {
+        throw new Error(`Unsupported world file version: ${version}`);
+    }
+
+    let data = read(reader);
+    for (let from = version; from < FORMAT_VERSION; from++) {
+        data = MIGRATIONS[from](data);
+    }
+    return { ...data, version };
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { encodeWorldFile, decodeWorldFile, FORMAT_VERSION } from './WorldFormat.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './Chunk.js';
+
+// --- Test Helpers ---
+function makeWorldData() {
+    const blocks = new Uint16Array(CHUNK_WIDTH * CHUNK_HEIGHT * CHUNK_DEPTH);
+    blocks.fill(3, 0, 4096);
+    blocks[5000] = 4;
+    blocks[5001] = 300; // IDs above 255 must survive
+    return {
+        seed: 1712345678901, // Date.now()-sized seeds must survive exactly
+        generatorSettings: new TerrainGenerator(1).getSettings(),
+        timeOfDay: 0.8125,
+        player: { position: { x: 8.5, y: 12.25, z: -3.75 }, selectedBlockId: 4 },
+        chunks: [{ chunkX: -2, chunkY: -1, chunkZ: 7, blocks }],
+    };
+}
+
+describe('WorldFormat', () => {
+    it('should round-trip seed, settings, time of day, player state and chunks', () => {
+        const data = makeWorldData();
+        const decoded = decodeWorldFile(encodeWorldFile(data));
+
+        expect(decoded.version).toBe(FORMAT_VERSION);
+        expect(decoded.seed).toBe(data.seed);
+        expect(decoded.generatorSettings).toEqual(data.generatorSettings);
+        expect(decoded.timeOfDay).toBe(0.8125);
+        expect(decoded.player).toEqual(data.player);
+        expect(decoded.chunks).toHaveLength(1);
+        expect(decoded.chunks[0].chunkX).toBe(-2);
+        expect(decoded.chunks[0].chunkY).toBe(-1);
+        expect(decoded.chunks[0].chunkZ).toBe(7);
+        expect(decoded.chunks[0].blocks).toEqual(data.chunks[0].blocks);
+    });
+
+    it('should start with the magic and version header', () => {
+        const bytes = new Uint8Array(encodeWorldFile(makeWorldData()));
+        expect(new TextDecoder().decode(bytes.slice(0, 4))).toBe('DCWF');
+        expect(new DataView(bytes.buffer).getUint16(4, true)).toBe(FORMAT_VERSION);
+    });
+
+    it('should reject files that are not world files', () => {
+        expect(() => decodeWorldFile(new ArrayBuffer(4))).toThrow('too short');
+        expect(() => decodeWorldFile(new TextEncoder().encode('PK\x03\x04 not a world').buffer)).toThrow('bad magic');
+    });
+
+    it('should reject files from a newer version', () => {
+        const buffer = encodeWorldFile(makeWorldData());
+        new DataView(buffer).setUint16(4, FORMAT_VERSION + 1, true);
+        expect(() => decodeWorldFile(buffer)).toThrow('newer than supported');
+    });
+
+    it('should reject files without a known version', () => {
+        const buffer = encodeWorldFile(makeWorldData());
+        new DataView(buffer).setUint16(4, 0, true);
+        expect(() => decodeWorldFile(buffer)).toThrow('Unsupported world file version: 0');
+    });
+
+    it('should reject truncated files', () => {
+        const buffer = encodeWorldFile(makeWorldData());
+        expect(() => decodeWorldFile(buffer.slice(0, buffer.byteLength - 3))).toThrow();
+    });
+
+    it('should round-trip block states and omit all-default ones', () => {
+        const data = makeWorldData();
+        const states = new Uint16Array(data.chunks[0].blocks.length);
+        states[5000] = 2;
+        data.chunks.push({ chunkX: 0, chunkY: 0, chunkZ: 0, blocks: data.chunks[0].blocks, states: null });
+        data.chunks[0].states = states;
+
+        const decoded = decodeWorldFile(encodeWorldFile(data));
+        expect(decoded.chunks[0].states).toEqual(states);
+        expect(decoded.chunks[1].states).toBeNull();
+    });
+
+    it('should round-trip block entities', () => {
+        const data = makeWorldData();
+        const sign = { type: 'sign', x: -30, y: -200, z: 115, data: { text: 'Héllo\nworld' } };
+        data.chunks[0].blockEntities = [sign];
+
+        const decoded = decodeWorldFile(encodeWorldFile(data));
+        expect(decoded.chunks[0].blockEntities).toEqual([sign]);
+    });
+});
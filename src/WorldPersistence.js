@@ -0,0 +1,237 @@
+import { encodeRunLength, decodeRunLength, compressBytes, decompressBytes } from './utils.js';
+import { CHUNK_WIDTH, CHUNK_HEIGHT, CHUNK_DEPTH } from './Chunk.js';
+
+// Version of the stored records; bump and migrate in decodeChunkRecord when the layout changes
+const STORAGE_VERSION = 1;
+const DEFAULT_AUTOSAVE_INTERVAL_MS = 30000;
+
+/**
+ * Builds the storage key of a world's metadata record.
+ * @param {string} worldId
+ * @returns {string}
+ */
+function metaKey(worldId) {
+    return `${worldId}/meta`;
+}
+
+/**
+ * Builds the storage key prefix of a world's chunk records.
+ * @param {string} worldId
+ * @returns {string}
+ */
+function chunkKeyPrefix(worldId) {
+    return `${worldId}/chunk/`;
+}
+
+/**
+ * Saves and restores player edits of a World.
+ *
+ * A world is fully determined by its seed plus edits, so only chunks that were modified are stored, keyed by
+ * world id and chunk coordinate. Each is stored whole, not as a per-block diff against the generated terrain:
+ * all its block IDs and states, run-length encoded and compressed, plus serialised block entities. On load they
+ * replace the generated data of their chunks (see World.restoreChunkData). The metadata record holds the seed,
+ * the terrain generator settings (an imported world may not use the defaults) and the time of day.
+ * The storage backend is injected (see WorldStorage.js).
+ */
+export class WorldPersistence {
+    /**
+     * @param {World} world The world to persist.
+     * @param {object} storage A storage backend (IndexedDBStorage, MemoryStorage, ...).
+     * @param {string} [worldId='default'] Identifies this world within the storage.
+     */
+    constructor(world, storage, worldId = 'default') {
+        this.world = world;
+        this.storage = storage;
+        this.worldId = worldId;
+
+        this.autosaveTimer = null;
+        this.visibilityTarget = null;
+        this.onVisibilityChange = null;
+        this.savePromise = null; // The last queued save or clear, if any (see enqueue)
+    }
+
+    /**
+     * Reads a world's metadata (seed, ...) without loading the world.
+     * Used to create the World with the stored seed before calling load().
+     * @param {object} storage A storage backend.
+     * @param {string} [worldId='default']
+     * @returns {Promise<{version: number, seed: number, generatorSettings: object, timeOfDay: number, savedAt: number} | undefined>}
+     *   `generatorSettings` as returned by TerrainGenerator.getSettings.
+     */
+    static readMeta(storage, worldId = 'default') {
+        return storage.get(metaKey(worldId));
+    }
+
+    /**
+     * Loads all stored chunk edits of this world and overlays them onto the world, and restores its terrain
+     * generator settings and time of day. Call it before any chunk is generated, so terrain uses those settings.
+     * @returns {Promise<number>} The number of chunks restored.
+     */
+    async load() {
+        const meta = await WorldPersistence.readMeta(this.storage, this.worldId);
+        if (meta) {
+            this.world.terrainGenerator.applySettings(meta.generatorSettings);
+            this.world.setTime(meta.timeOfDay);
+        }
+        const keys = await this.storage.keys(chunkKeyPrefix(this.worldId));
+        for (const storageKey of keys) {
+            const record = await this.storage.get(storageKey);
+            const { blocks, states, blockEntities } = await this.decodeChunkRecord(record);
+            const [chunkX, chunkY, chunkZ] = storageKey.slice(chunkKeyPrefix(this.worldId).length).split(',').map(Number);
+            this.world.restoreChunkData(chunkX, chunkY, chunkZ, blocks, states, blockEntities);
+        }
+        return keys.length;
+    }
+
+    /**
+     * Writes every edited chunk that changed since the last save, plus the world metadata.
+     * Concurrent calls are serialised, with each other and with clear().
+     * @returns {Promise<number>} The number of chunks written.
+     */
+    save() {
+        return this.enqueue(() => this.writeUnsavedChunks());
+    }
+
+    /**
+     * Runs a storage task once the queued saves and clears before it have finished (whether or not they failed),
+     * so they never interleave.
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>} The task's result.
+     * @private Internal helper method
+     */
+    enqueue(task) {
+        const previous = this.savePromise || Promise.resolve();
+        const queued = previous.catch(() => {}).then(task).finally(() => {
+            if (this.savePromise === queued) {
+                this.savePromise = null;
+            }
+        });
+        this.savePromise = queued;
+        return queued;
+    }
+
+    /**
+     * @private Internal helper method
+     */
+    async writeUnsavedChunks() {
+        const keys = [...this.world.unsavedChunkKeys];
+        this.world.unsavedChunkKeys.clear();
+
+        let written = 0;
+        try {
+            await this.storage.put(metaKey(this.worldId), {
+                version: STORAGE_VERSION,
+                seed: this.world.seed,
+                generatorSettings: this.world.terrainGenerator.getSettings(),
+                timeOfDay: this.world.getTime(),
+                savedAt: Date.now(),
+            });
+            for (const key of keys) {
+                const data = this.world.getModifiedChunkData(key);
+                if (!data) continue;
+                await this.storage.put(chunkKeyPrefix(this.worldId) + key, await this.encodeChunkRecord(data.blocks, data.states, data.blockEntities));
+                written++;
+            }
+        } catch (error) {
+            // Keep the keys so the next save retries them
+            keys.forEach(key => this.world.unsavedChunkKeys.add(key));
+            throw error;
+        }
+        return written;
+    }
+
+    /**
+     * Encodes chunk block data into a storage record.
+     * @param {ArrayLike<number>} blocks Block IDs in Chunk block data layout (see Chunk.getBlockData).
+     * @param {ArrayLike<number> | null} [states=null] Block states in the same layout, or null if all default.
+     * @param {object[]} [blockEntities=[]] Serialised block entities (see BlockEntity.toJSON).
+     * @returns {Promise<{version: number, compression: string, data: Uint8Array,
+     *   states: {compression: string, data: Uint8Array} | null, blockEntities: object[]}>}
+     * @private Internal helper method
+     */
+    async encodeChunkRecord(blocks, states = null, blockEntities = []) {
+        const { compression, data } = await compressBytes(encodeRunLength(blocks));
+        return {
+            version: STORAGE_VERSION,
+            compression,
+            data,
+            states: states ? await compressBytes(encodeRunLength(states)) : null,
+            blockEntities,
+        };
+    }
+
+    /**
+     * Decodes a storage record (of this or an earlier version) back into chunk block data.
+     * @param {{version: number, compression: string, data: Uint8Array, states: object | null, blockEntities: object[]}} record
+     * @returns {Promise<{blocks: Uint16Array, states: Uint16Array | null, blockEntities: object[]}>} Block IDs and
+     *   states in Chunk block data layout, and serialised block entities; states are null if all default.
+     * @private Internal helper method
+     */
+    async decodeChunkRecord(record) {
+        if (!record || !(record.version >= 1 && record.version <= STORAGE_VERSION)) {
+            throw new Error(`Unsupported chunk record version: ${record && record.version}`);
+        }
+        const volume = CHUNK_WIDTH * CHUNK_HEIGHT * CHUNK_DEPTH;
+        const blocks = decodeRunLength(await decompressBytes(record.data, record.compression), new Uint16Array(volume));
+        let states = null;
+        if (record.states) {
+            const bytes = await decompressBytes(record.states.data, record.states.compression);
+            states = decodeRunLength(bytes, new Uint16Array(volume));
+        }
+        return { blocks, states, blockEntities: record.blockEntities };
+    }
+
+    /**
+     * Deletes everything stored for this world (e.g. when it was replaced by an imported one), after any save in
+     * progress. Every edited chunk of the world is marked unsaved again, so the next save() writes all of them
+     * even if a save took them between the replacement and this call.
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.enqueue(async () => {
+            const keys = await this.storage.keys(chunkKeyPrefix(this.worldId));
+            for (const key of keys) {
+                await this.storage.delete(key);
+            }
+            await this.storage.delete(metaKey(this.worldId));
+            this.world.getModifiedChunkKeys().forEach(key => this.world.unsavedChunkKeys.add(key));
+        });
+    }
+
+    /**
+     * Saves periodically and whenever the page is hidden (tab switch, close, mobile app switch).
+     * @param {number} [intervalMs=30000] Autosave interval.
+     * @param {EventTarget} [visibilityTarget=globalThis.document] Emits 'visibilitychange'; its
+     *   `visibilityState` is checked for 'hidden'.
+     */
+    startAutosave(intervalMs = DEFAULT_AUTOSAVE_INTERVAL_MS, visibilityTarget = globalThis.document) {
+        this.stopAutosave();
+        const saveAndReport = () => this.save().catch(error => console.error('Autosave failed:', error));
+
+        this.autosaveTimer = setInterval(saveAndReport, intervalMs);
+        if (visibilityTarget) {
+            this.visibilityTarget = visibilityTarget;
+            this.onVisibilityChange = () => {
+                if (visibilityTarget.visibilityState === 'hidden') {
+                    saveAndReport();
+                }
+            };
+            visibilityTarget.addEventListener('visibilitychange', this.onVisibilityChange);
+        }
+    }
+
+    /**
+     * Stops autosaving.
+     */
+    stopAutosave() {
+        if (this.autosaveTimer !== null) {
+            clearInterval(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+        if (this.visibilityTarget) {
+            this.visibilityTarget.removeEventListener('visibilitychange', this.onVisibilityChange);
+            this.visibilityTarget = null;
+            this.onVisibilityChange = null;
+        }
+    }
+}
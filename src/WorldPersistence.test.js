@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { World } from './World.js';
+import { WorldPersistence } from './WorldPersistence.js';
+import { MemoryStorage } from './WorldStorage.js';
+import { BLOCKS } from './BlockRegistry.js';
+
+// Mock Material
+const mockMaterial = new THREE.MeshBasicMaterial();
+
+describe('WorldPersistence', () => {
+    const testSeed = 67890;
+    const woodId = BLOCKS[4].id;
+    let storage;
+    let world;
+    let persistence;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        world = new World(mockMaterial, testSeed);
+        persistence = new WorldPersistence(world, storage, 'test-world');
+    });
+
+    afterEach(() => {
+        persistence.stopAutosave();
+        vi.useRealTimers();
+    });
+
+    it('should store only the chunks that were modified', async () => {
+        world.getOrCreateChunk(0, 0, 0);
+        world.getOrCreateChunk(1, 0, 0);
+        world.setBlock(5, 100, 5, woodId); // Only chunk 0,0,0 is edited
+
+        const written = await persistence.save();
+
+        expect(written).toBe(1);
+        expect(await storage.keys('test-world/chunk/')).toEqual(['test-world/chunk/0,0,0']);
+        expect((await WorldPersistence.readMeta(storage, 'test-world')).seed).toBe(testSeed);
+    });
+
+    it('should overlay saved edits onto freshly generated terrain', async () => {
+        world.getOrCreateChunk(0, -1, 0);
+        world.setBlock(5, -256, 5, BLOCKS[0].id); // Dig into stone
+        world.setBlock(6, -200, 6, woodId);
+        await persistence.save();
+
+        const reloadedWorld = new World(mockMaterial, testSeed);
+        await new WorldPersistence(reloadedWorld, storage, 'test-world').load();
+        reloadedWorld.getOrCreateChunk(0, -1, 0);
+
+        expect(reloadedWorld.getBlock(5, -256, 5)).toBe(BLOCKS[0].id);
+        expect(reloadedWorld.getBlock(6, -200, 6)).toBe(woodId);
+        expect(reloadedWorld.getBlock(7, -256, 7)).toBe(BLOCKS[3].id); // Untouched terrain is regenerated
+    });
+
+    it('should restore the time of day', async () => {
+        world.setTime(0.6);
+        await persistence.save();
+
+        const reloadedWorld = new World(mockMaterial, testSeed);
+        await new WorldPersistence(reloadedWorld, storage, 'test-world').load();
+        expect(reloadedWorld.getTime()).toBe(0.6);
+    });
+
+    it('should restore the terrain generator settings of an imported world', async () => {
+        const source = new World(mockMaterial, 11111);
+        source.terrainGenerator.amplitude = 40;
+        source.getOrCreateChunk(0, 0, 0);
+        source.setBlock(5, 100, 5, woodId);
+        world.importWorld(source.exportWorld(), { add: vi.fn(), remove: vi.fn() });
+        await persistence.clear();
+        await persistence.save();
+
+        const meta = await WorldPersistence.readMeta(storage, 'test-world');
+        const reloadedWorld = new World(mockMaterial, meta.seed);
+        await new WorldPersistence(reloadedWorld, storage, 'test-world').load();
+
+        expect(reloadedWorld.terrainGenerator.getSettings()).toEqual(source.terrainGenerator.getSettings());
+        expect(reloadedWorld.getOrCreateChunk(1, 0, 0).getBlockData()).toEqual(source.getOrCreateChunk(1, 0, 0).getBlockData());
+        expect(reloadedWorld.getOrCreateChunk(0, 0, 0).getBlockData()).toEqual(source.getChunk(0, 0, 0).getBlockData());
+    });
+
+    it('should apply loaded edits to chunks that already exist', async () => {
+        world.getOrCreateChunk(0, 0, 0);
+        world.setBlock(5, 100, 5, woodId);
+        await persistence.save();
+
+        const reloadedWorld = new World(mockMaterial, testSeed);
+        const chunk = reloadedWorld.getOrCreateChunk(0, 0, 0);
+        reloadedWorld.dirtyChunks.clear();
+        await new WorldPersistence(reloadedWorld, storage, 'test-world').load();
+
+        expect(reloadedWorld.getBlock(5, 100, 5)).toBe(woodId);
+        expect(reloadedWorld.dirtyChunks.has(chunk)).toBe(true);
+    });
+
+    it('should restore block states', async () => {
+        world.getOrCreateChunk(0, 0, 0);
+        world.setBlock(5, 100, 5, woodId, { state: 1 });
+        world.setBlock(6, 100, 6, woodId);
+        await persistence.save();
+
+        const reloadedWorld = new World(mockMaterial, testSeed);
+        await new WorldPersistence(reloadedWorld, storage, 'test-world').load();
+        reloadedWorld.getOrCreateChunk(0, 0, 0);
+        expect(reloadedWorld.getBlockState(5, 100, 5)).toBe(1);
+        expect(reloadedWorld.getBlockState(6, 100, 6)).toBe(0);
+    });
+
+    it('should restore block entities', async () => {
+        world.getOrCreateChunk(0, 0, 0);
+        world.setBlock(5, 100, 5, BLOCKS[5].id);
+        world.setBlockEntityData(5, 100, 5, { text: 'Saved' });
+        await persistence.save();
+
+        const reloadedWorld = new World(mockMaterial, testSeed);
+        await new WorldPersistence(reloadedWorld, storage, 'test-world').load();
+        reloadedWorld.getOrCreateChunk(0, 0, 0);
+        expect(reloadedWorld.getBlockEntity(5, 100, 5).text).toBe('Saved');
+    });
+
+    it('should save edits of chunks that were unloaded before saving', async () => {
+        const mockScene = { add: vi.fn(), remove: vi.fn() };
+        world.getOrCreateChunk(0, 0, 0);
+        world.setBlock(5, 100, 5, woodId);
+        world.unloadChunk('0,0,0', mockScene);
+
+        expect(await persistence.save()).toBe(1);
+    });
+
+    it('should only write chunks changed since the last save', async () => {
+        world.getOrCreateChunk(0, 0, 0);
+        world.setBlock(5, 100, 5, woodId);
+        expect(await persistence.save()).toBe(1);
+        expect(await persistence.save()).toBe(0);
+    });
+
+    it('should clear only after a save in progress, and write every edited chunk again on the next save', async () => {
+        world.getOrCreateChunk(0, 0, 0);
+        world.setBlock(5, 100, 5, woodId);
+        // Hold the save's first write until clear has been called, as an autosave running during an import would
+        let releaseWrite;
+        const put = storage.put.bind(storage);
+        vi.spyOn(storage, 'put').mockImplementationOnce(async (...args) => {
+            await new Promise(resolve => { releaseWrite = resolve; });
+            return put(...args);
+        });
+        const saving = persistence.save();
+        await vi.waitFor(() => expect(releaseWrite).toBeDefined()); // The save has taken the unsaved chunk keys
+        expect(world.unsavedChunkKeys.size).toBe(0);
+
+        const clearing = persistence.clear();
+        releaseWrite();
+        expect(await saving).toBe(1);
+        await clearing;
+        expect(await storage.keys('test-world/chunk/')).toEqual([]); // Deleted after the save wrote it
+
+        expect(await persistence.save()).toBe(1);
+        expect(await storage.keys('test-world/chunk/')).toEqual(['test-world/chunk/0,0,0']);
+    });
+
+    it('should keep edits from different worlds apart', async () => {
+        world.getOrCreateChunk(0, 0, 0);
+        world.setBlock(5, 100, 5, woodId);
+        await persistence.save();
+
+        const otherWorld = new World(mockMaterial, testSeed);
+        expect(await new WorldPersistence(otherWorld, storage, 'other-world').load()).toBe(0);
+    });
+
+    it('should autosave on an interval', async () => {
+        vi.useFakeTimers();
+        const saveSpy = vi.spyOn(persistence, 'save');
+        persistence.startAutosave(1000, null);
+
+        vi.advanceTimersByTime(2500);
+        expect(saveSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should save when the page becomes hidden', () => {
+        const saveSpy = vi.spyOn(persistence, 'save').mockResolvedValue(0);
+        const fakeDocument = new EventTarget();
+        fakeDocument.visibilityState = 'visible';
+        persistence.startAutosave(60000, fakeDocument);
+
+        fakeDocument.dispatchEvent(new Event('visibilitychange'));
+        expect(saveSpy).not.toHaveBeenCalled();
+
+        fakeDocument.visibilityState = 'hidden';
+        fakeDocument.dispatchEvent(new Event('visibilitychange'));
+        expect(saveSpy).toHaveBeenCalledTimes(1);
+
+        persistence.stopAutosave();
+        fakeDocument.dispatchEvent(new Event('visibilitychange'));
+        expect(saveSpy).toHaveBeenCalledTimes(1);
+    });
+});
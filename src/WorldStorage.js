@@ -0,0 +1,121 @@
+/**
+ * Key-value storage backends used by WorldPersistence.
+ *
+ * Every backend implements the same asynchronous interface:
+ *   get(key)      -> Promise<any | undefined>
+ *   put(key, val) -> Promise<void>
+ *   delete(key)   -> Promise<void>
+ *   keys(prefix)  -> Promise<string[]>   (all keys starting with prefix)
+ * Values are structured-cloneable objects (ArrayBuffers, typed arrays, plain objects).
+ */
+
+/**
+ * Stores values in an IndexedDB object store. Browser only.
+ */
+export class IndexedDBStorage {
+    /**
+     * @param {string} [databaseName='dinecraft'] IndexedDB database name.
+     * @param {string} [storeName='worlds'] Object store name.
+     */
+    constructor(databaseName = 'dinecraft', storeName = 'worlds') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Opens (and on first use creates) the database.
+     * @returns {Promise<IDBDatabase>}
+     * @private Internal helper method
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs a single request against the object store.
+     * @param {IDBTransactionMode} mode 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): IDBRequest} makeRequest Creates the request.
+     * @returns {Promise<any>} The request's result.
+     * @private Internal helper method
+     */
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<any | undefined>} The stored value, or undefined.
+     */
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} value A structured-cloneable value.
+     * @returns {Promise<void>}
+     */
+    async put(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * @param {string} prefix
+     * @returns {Promise<string[]>} All keys starting with prefix, sorted.
+     */
+    keys(prefix) {
+        // '\uffff' sorts after every character used in our keys
+        return this.request('readonly', store => store.getAllKeys(IDBKeyRange.bound(prefix, prefix + '\uffff')));
+    }
+}
+
+/**
+ * Keeps values in a Map. Used by tests and as a fallback when IndexedDB is unavailable.
+ */
+export class MemoryStorage {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key);
+    }
+
+    async put(key, value) {
+        this.entries.set(key, value);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async keys(prefix) {
+        return [...this.entries.keys()].filter(key => key.startsWith(prefix)).sort();
+    }
+}
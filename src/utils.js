@@ -2,5 +2,132 @@
  * Utility functions for the voxel sandbox game.
  */
 
-// Currently empty, will be populated as needed.
-// Potential candidates: Vector math helpers, coordinate conversions, etc.
+// --- Run-length encoding ---
+// Encoded form: a sequence of (runLength, value) pairs, each written as an unsigned LEB128 varint.
+// Chunk data is dominated by long runs of air and stone, so this shrinks it dramatically.
+
+/**
+ * Writes an unsigned integer as a LEB128 varint.
+ * @param {number[]} bytes Output byte list.
+ * @param {number} value Non-negative integer (< 2^32).
+ */
+function writeVarint(bytes, value) {
+    while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value >>>= 7;
+    }
+    bytes.push(value);
+}
+
+/**
+ * Run-length encodes an array of non-negative integers (e.g. Chunk.blocks).
+ * @param {ArrayLike<number>} values The values to encode.
+ * @returns {Uint8Array} The encoded bytes.
+ */
+export function encodeRunLength(values) {
+    const bytes = [];
+    let i = 0;
+    while (i < values.length) {
+        const value = values[i];
+        let runLength = 1;
+        while (i + runLength < values.length && values[i + runLength] === value) {
+            runLength++;
+        }
+        writeVarint(bytes, runLength);
+        writeVarint(bytes, value);
+        i += runLength;
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Decodes run-length encoded bytes produced by encodeRunLength.
+ * @param {Uint8Array} bytes The encoded bytes.
+ * @param {Uint8Array|Uint16Array|number[]} output Array to fill; its length is the expected value count.
+ * @returns {Uint8Array|Uint16Array|number[]} The filled output array.
+ */
+export function decodeRunLength(bytes, output) {
+    let offset = 0;
+    let outIndex = 0;
+    const readVarint = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (offset >= bytes.length) {
+                throw new Error('Run-length data is truncated');
+            }
+            byte = bytes[offset++];
+            result += (byte & 0x7f) * 2 ** shift; // Multiplication keeps values above 2^31 positive
+            shift += 7;
+        } while (byte & 0x80);
+        return result;
+    };
+
+    while (offset < bytes.length) {
+        const runLength = readVarint();
+        const value = readVarint();
+        if (outIndex + runLength > output.length) {
+            throw new Error('Run-length data exceeds the output size');
+        }
+        output.fill(value, outIndex, outIndex + runLength);
+        outIndex += runLength;
+    }
+    if (outIndex !== output.length) {
+        throw new Error(`Run-length data decoded ${outIndex} values, expected ${output.length}`);
+    }
+    return output;
+}
+
+// --- Byte compression ---
+// Uses the platform's CompressionStream (browsers, Node 18+). Falls back to storing bytes as-is.
+
+/**
+ * Compresses bytes with deflate if the platform supports it.
+ * @param {Uint8Array} bytes The bytes to compress.
+ * @returns {Promise<{compression: string, data: Uint8Array}>} The algorithm used ('deflate-raw' or 'none') and the output.
+ */
+export async function compressBytes(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        return { compression: 'none', data: bytes };
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    const data = new Uint8Array(await new Response(stream).arrayBuffer());
+    return { compression: 'deflate-raw', data };
+}
+
+/**
+ * Reverses compressBytes.
+ * @param {Uint8Array} data The compressed bytes.
+ * @param {string} compression The algorithm reported by compressBytes.
+ * @returns {Promise<Uint8Array>} The original bytes.
+ */
+export async function decompressBytes(data, compression) {
+    if (compression === 'none') {
+        return data;
+    }
+    if (compression !== 'deflate-raw' || typeof DecompressionStream === 'undefined') {
+        throw new Error(`Unsupported compression: ${compression}`);
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// --- Seeded random numbers ---
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32): fast, 32 bits of state, and the same
+ * sequence for the same seed on every platform. Used where results must be reproducible (ticks, tests).
+ * @param {number} seed Any number; only its low 32 bits are used.
+ * @returns {function(): number} Returns the next number in [0, 1) on each call.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { encodeRunLength, decodeRunLength, compressBytes, decompressBytes, createRandom } from './utils.js';
+
+describe('encodeRunLength / decodeRunLength', () => {
+    it('should round-trip chunk-like data with long runs', () => {
+        const values = new Uint8Array(65536);
+        values.fill(3, 0, 20000); // Stone
+        values.fill(2, 20000, 20100); // Dirt
+        values[30000] = 4; // A single block
+        const encoded = encodeRunLength(values);
+
+        expect(encoded.length).toBeLessThan(20); // Four runs, a few bytes each
+        expect(decodeRunLength(encoded, new Uint8Array(values.length))).toEqual(values);
+    });
+
+    it('should round-trip values and run lengths above 127 (multi-byte varints)', () => {
+        const values = new Uint16Array([300, 300, 300, 65535, 0]);
+        const decoded = decodeRunLength(encodeRunLength(values), new Uint16Array(values.length));
+        expect(decoded).toEqual(values);
+    });
+
+    it('should throw when the data does not match the expected length', () => {
+        const encoded = encodeRunLength(new Uint8Array(10));
+        expect(() => decodeRunLength(encoded, new Uint8Array(11))).toThrow();
+        expect(() => decodeRunLength(encoded, new Uint8Array(9))).toThrow();
+    });
+});
+
+describe('compressBytes / decompressBytes', () => {
+    it('should round-trip bytes', async () => {
+        const bytes = new Uint8Array(1000).map((_, i) => i % 7);
+        const { compression, data } = await compressBytes(bytes);
+        expect(await decompressBytes(data, compression)).toEqual(bytes);
+    });
+});
+
+describe('createRandom', () => {
+    it('should repeat the same sequence for the same seed', () => {
+        const a = createRandom(42);
+        const b = createRandom(42);
+        const sequence = Array.from({ length: 5 }, () => a());
+        expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+        expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+        expect(createRandom(43)()).not.toBe(sequence[0]);
+    });
+});